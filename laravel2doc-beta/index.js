@@ -2,6 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
 const chalk = require('chalk');
 const figlet = require('figlet');
 const { program } = require('commander');
@@ -12,6 +14,7 @@ const open = require('open');
 const { generateERD } = require('./lib/generators/erd');
 const { generateUML } = require('./lib/generators/uml');
 const { generateSequenceDiagrams } = require('./lib/generators/sequence');
+const { generateAsyncDiagrams } = require('./lib/generators/async');
 const { generateAPIDocumentation } = require('./lib/generators/api');
 const { isLaravelProject, extractLaravelInfo } = require('./lib/utils/laravel');
 const { generateDummyDocumentation } = require('./lib/generators/dummy');
@@ -33,6 +36,11 @@ program
   .argument('[path]', 'Path to Laravel project root', process.cwd())
   .option('-p, --port <number>', 'Port to serve documentation on', 3333)
   .option('-o, --output <dir>', 'Output directory', 'laravel2doc')
+  .option('--route-list <file>', 'Saved `php artisan route:list --json` output to read routes from')
+  .option('--route-list-mode <mode>', 'Merge the route list with the parsed route files, or replace them (merge|replace)', 'merge')
+  .option('--base-url <url>', 'Base URL of the running application that Try it and the collections send requests to', 'http://localhost:8000')
+  .option('--sequence-depth <number>', 'How many levels of calls into app classes the sequence diagrams follow', 2)
+  .option('--sequence-lifecycle', 'Draw the whole request in sequence diagrams: middleware, route model binding, validation, policies and the response')
   .parse(process.argv);
 
 const options = program.opts();
@@ -41,8 +49,18 @@ const laravelPath = program.args[0] || process.cwd();
 async function main() {
   const spinner = ora('Checking environment...').start();
   
+  if (!['merge', 'replace'].includes(options.routeListMode)) {
+    spinner.fail(`Unknown route list mode "${options.routeListMode}", use merge or replace`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(Number(options.sequenceDepth)) || Number(options.sequenceDepth) < 0) {
+    spinner.fail(`Invalid sequence depth "${options.sequenceDepth}", use a whole number of 0 or more`);
+    process.exit(1);
+  }
+
   // Change to the specified Laravel project directory
   const originalDir = process.cwd();
+  const routeList = options.routeList ? path.resolve(originalDir, options.routeList) : null;
   process.chdir(laravelPath);
   
   // Check if running inside a Laravel project
@@ -51,7 +69,10 @@ async function main() {
   if (isLaravel) {
     spinner.text = 'Laravel project detected';
     spinner.succeed();
-    await generateLaravelDocumentation(options.output, options.port, spinner);
+    await generateLaravelDocumentation(options.output, options.port, spinner, {
+      routeList,
+      routeListMode: options.routeListMode,
+    });
   } else {
     spinner.text = 'Not a Laravel project, generating dummy documentation';
     spinner.succeed();
@@ -62,7 +83,7 @@ async function main() {
   process.chdir(originalDir);
 }
 
-async function generateLaravelDocumentation(outputDir, port, spinner) {
+async function generateLaravelDocumentation(outputDir, port, spinner, analysisOptions) {
   // Create output directory if it doesn't exist
   const fullOutputPath = path.resolve(process.cwd(), outputDir);
   if (!fs.existsSync(fullOutputPath)) {
@@ -71,7 +92,7 @@ async function generateLaravelDocumentation(outputDir, port, spinner) {
   
   // Extract Laravel project information
   spinner.text = 'Analyzing Laravel project...';
-  const projectInfo = await extractLaravelInfo();
+  const projectInfo = await extractLaravelInfo(analysisOptions);
   
   // Generate all documentation
   spinner.text = 'Generating ERD diagrams...';
@@ -81,10 +102,16 @@ async function generateLaravelDocumentation(outputDir, port, spinner) {
   await generateUML(projectInfo, fullOutputPath);
   
   spinner.text = 'Generating sequence diagrams...';
-  await generateSequenceDiagrams(projectInfo, fullOutputPath);
+  await generateSequenceDiagrams(projectInfo, fullOutputPath, {
+    depth: Number(options.sequenceDepth),
+    lifecycle: Boolean(options.sequenceLifecycle),
+  });
+  
+  spinner.text = 'Generating asynchronous flow diagrams...';
+  await generateAsyncDiagrams(projectInfo, fullOutputPath);
   
   spinner.text = 'Generating API documentation...';
-  await generateAPIDocumentation(projectInfo, fullOutputPath);
+  await generateAPIDocumentation(projectInfo, fullOutputPath, { baseUrl: options.baseUrl });
   
   spinner.text = 'Documentation generated successfully!';
   spinner.succeed();
@@ -98,6 +125,9 @@ function serveDocumentation(docPath, port) {
   
   // Serve static files from the documentation directory
   app.use(express.static(docPath));
+
+  // Forward Try it requests to the application, so it needs no CORS setup
+  app.all('/__proxy', (req, res) => proxyRequest(req, res, port));
   
   // // Route all requests to index.html
   // app.get('*', (req, res) => {
@@ -115,6 +145,58 @@ function serveDocumentation(docPath, port) {
   });
 }
 
+// Send a request on to the URL in its X-Proxy-Target header and stream the
+// response back. Only requests from this machine are forwarded, and only from
+// pages served under localhost, so a DNS-rebinding page can't use it as a relay.
+function proxyRequest(req, res, port) {
+  const remoteAddress = req.socket.remoteAddress || '';
+  if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(remoteAddress)) {
+    res.status(403).json({ message: 'The Try it proxy only accepts requests from localhost' });
+    return;
+  }
+  if (![`localhost:${port}`, `127.0.0.1:${port}`].includes((req.get('Host') || '').toLowerCase())) {
+    res.status(403).json({ message: 'The Try it proxy only accepts requests to localhost' });
+    return;
+  }
+
+  let target;
+  try {
+    target = new URL(req.get('X-Proxy-Target'));
+  } catch (err) {
+    res.status(400).json({ message: 'Missing or invalid X-Proxy-Target header' });
+    return;
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    res.status(400).json({ message: 'Only http and https targets can be proxied' });
+    return;
+  }
+
+  // Pass the request on as it came, minus what belongs to the docs server
+  const headers = { ...req.headers, host: target.host };
+  ['x-proxy-target', 'origin', 'referer', 'cookie', 'connection'].forEach(name => delete headers[name]);
+
+  const client = target.protocol === 'https:' ? https : http;
+  const proxyReq = client.request(target, { method: req.method, headers }, proxyRes => {
+    res.status(proxyRes.statusCode);
+    Object.entries(proxyRes.headers).forEach(([name, value]) => {
+      if (!['connection', 'transfer-encoding'].includes(name)) {
+        res.setHeader(name, value);
+      }
+    });
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on('error', err => {
+    // Once the response has started streaming, all that's left is to cut it off
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.status(502).json({ message: `Could not reach ${target.origin}: ${err.message}` });
+  });
+  req.pipe(proxyReq);
+}
+
 // Run the main function
 main().catch(err => {
   console.error(chalk.red('\nError generating documentation:'));
@@ -1,270 +1,85 @@
 const fs = require("fs");
 const path = require("path");
+const { findControllerMethod } = require("../utils/laravel");
+const { findFormRequest, describeRules } = require("../utils/validation");
+const {
+  findResponseResource,
+  isResourceCollection,
+  describeResource,
+} = require("../utils/resources");
+const { parseMiddlewareConfig, describeMiddleware, TOKEN_KINDS } = require("../utils/middleware");
+const { getEndpointDocs, getEndpointInput } = require("../utils/docblocks");
+const { snakeCase } = require("../utils/naming");
+const { endpointAnchor } = require("../utils/routes");
+const { generateOpenAPISpec, getEndpointMethods } = require("./openapi");
+const {
+  generateCollections,
+  exampleFromSchema,
+  DEFAULT_BASE_URL,
+} = require("./collections");
+const { buildSnippets } = require("./snippets");
+
+/**
+ * Flags for routes found by only one of the route sources
+ */
+const ROUTE_SOURCE_LABELS = {
+  "route-list": "Only in route:list, not found in the route files",
+  static: "Only in the route files, not in route:list",
+};
+
+/**
+ * Badge styles of the access labels, by the words they start with
+ */
+const ACCESS_BADGES = [
+  ["Authenticated", "auth"],
+  ["Guest", "guest"],
+  ["Can ", "ability"],
+  ["Abilities", "ability"],
+  ["Any ability", "ability"],
+  ["Scopes", "ability"],
+  ["Any scope", "ability"],
+  ["Throttle", "throttle"],
+];
+
+/**
+ * Verbs an endpoint heading starts with; other H3s are group headings
+ */
+const HEADING_VERBS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "ANY"];
 
 /**
  * Generate API documentation from project info
  * @param {Object} projectInfo Project information
  * @param {string} outputDir Output directory
+ * @param {Object} options Options ({ baseUrl } of the running application)
  */
-async function generateAPIDocumentation(projectInfo, outputDir) {
+async function generateAPIDocumentation(projectInfo, outputDir, options = {}) {
   // Create API documentation directory
   const apiDir = path.join(outputDir, "api");
   if (!fs.existsSync(apiDir)) {
     fs.mkdirSync(apiDir, { recursive: true });
   }
 
-  // Parse route files to extract endpoints
-  const endpoints = [];
-
-  if (projectInfo.routeFiles) {
-    projectInfo.routeFiles.forEach((routeFile) => {
-      // Extract standard routes
-      extractStandardRoutes(routeFile, endpoints);
-
-      // Extract resource routes
-      extractResourceRoutes(routeFile, endpoints);
-
-      // Extract API resource routes
-      extractApiResourceRoutes(routeFile, endpoints);
-
-      // Extract route groups
-      extractRouteGroups(routeFile, endpoints);
-    });
-  }
+  // Describe the routes found in the route files; a docblock summary or
+  // @group on the controller method wins over what the route implies
+  const endpoints = (projectInfo.routes || []).map((route) => {
+    const docs = getEndpointDocs(projectInfo, route);
+    return {
+      ...route,
+      description:
+        docs.summary || route.description || generateRouteDescription(route.method, route.path),
+      group: docs.group || route.group,
+    };
+  });
 
   // Generate API documentation
-  generateApiDocs(projectInfo, endpoints, apiDir);
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const specFiles = generateApiDocs(projectInfo, endpoints, apiDir, baseUrl);
 
   return {
-    files: [path.join(apiDir, "api.md"), path.join(apiDir, "index.html")],
+    files: [path.join(apiDir, "api.md"), path.join(apiDir, "index.html"), ...specFiles],
   };
 }
 
-/**
- * Extract standard routes from route file
- */
-function extractStandardRoutes(routeFile, endpoints) {
-  const routeMatches = routeFile.content.matchAll(
-    /Route::(get|post|put|patch|delete|options|any)\(\s*['"]([^'"]+)['"]\s*,\s*(?:(?:\[?([^\]]+)\]?|['"]([^'"]+)['"]))(?:(?:->name\(['"]([^'"]+)['"]\))|(?:->middleware\([^)]+\))?)?/g
-  );
-
-  for (const match of routeMatches) {
-    const method = match[1].toUpperCase();
-    const path = match[2];
-    const handler = match[3] || match[4] || "Closure";
-    const routeName = match[5] || null;
-
-    endpoints.push({
-      method,
-      path,
-      handler,
-      routeName,
-      description: generateRouteDescription(method, path),
-      routeFile: routeFile.name,
-    });
-  }
-}
-
-/**
- * Extract resource routes from route file
- */
-function extractResourceRoutes(routeFile, endpoints) {
-  const resourceMatches = routeFile.content.matchAll(
-    /Route::resource\(\s*['"]([^'"]+)['"]\s*,\s*['"]?([^,)"']+)['"]?(?:,\s*\[?['"]?only['"]?\s*=>\s*\[([^\]]+)\]\]?)?(?:,\s*\[?['"]?except['"]?\s*=>\s*\[([^\]]+)\]\]?)?/g
-  );
-
-  for (const match of resourceMatches) {
-    const path = match[1];
-    const handler = match[2];
-    const only = match[3]
-      ? match[3]
-          .split(/[,\s]+/)
-          .map((m) => m.replace(/['"]/g, "").trim())
-          .filter(Boolean)
-      : null;
-    const except = match[4]
-      ? match[4]
-          .split(/[,\s]+/)
-          .map((m) => m.replace(/['"]/g, "").trim())
-          .filter(Boolean)
-      : null;
-
-    // Get singular name for descriptions
-    const singularName = path.endsWith("s") ? path.slice(0, -1) : path;
-
-    // Define all resource routes
-    const resourceRoutes = [
-      {
-        method: "GET",
-        suffix: "",
-        action: "index",
-        description: `List all ${path}`,
-      },
-      {
-        method: "GET",
-        suffix: "/create",
-        action: "create",
-        description: `Show form to create a new ${singularName}`,
-      },
-      {
-        method: "POST",
-        suffix: "",
-        action: "store",
-        description: `Store a new ${singularName}`,
-      },
-      {
-        method: "GET",
-        suffix: "/{id}",
-        action: "show",
-        description: `Show a specific ${singularName}`,
-      },
-      {
-        method: "GET",
-        suffix: "/{id}/edit",
-        action: "edit",
-        description: `Show form to edit ${singularName}`,
-      },
-      {
-        method: "PUT/PATCH",
-        suffix: "/{id}",
-        action: "update",
-        description: `Update a specific ${singularName}`,
-      },
-      {
-        method: "DELETE",
-        suffix: "/{id}",
-        action: "destroy",
-        description: `Delete a specific ${singularName}`,
-      },
-    ];
-
-    // Add routes based on 'only' and 'except' options
-    for (const route of resourceRoutes) {
-      if (
-        (only && !only.includes(route.action)) ||
-        (except && except.includes(route.action))
-      ) {
-        continue;
-      }
-
-      endpoints.push({
-        method: route.method,
-        path: `/${path}${route.suffix}`,
-        handler: `${handler}@${route.action}`,
-        description: route.description,
-        routeFile: routeFile.name,
-        group: "Resource",
-      });
-    }
-  }
-}
-
-/**
- * Extract API resource routes from route file (no create/edit forms)
- */
-function extractApiResourceRoutes(routeFile, endpoints) {
-  const apiResourceMatches = routeFile.content.matchAll(
-    /Route::apiResource\(\s*['"]([^'"]+)['"]\s*,\s*['"]?([^,)"']+)['"]?(?:,\s*\[?['"]?only['"]?\s*=>\s*\[([^\]]+)\]\]?)?(?:,\s*\[?['"]?except['"]?\s*=>\s*\[([^\]]+)\]\]?)?/g
-  );
-
-  for (const match of apiResourceMatches) {
-    const path = match[1];
-    const handler = match[2];
-    const only = match[3]
-      ? match[3]
-          .split(/[,\s]+/)
-          .map((m) => m.replace(/['"]/g, "").trim())
-          .filter(Boolean)
-      : null;
-    const except = match[4]
-      ? match[4]
-          .split(/[,\s]+/)
-          .map((m) => m.replace(/['"]/g, "").trim())
-          .filter(Boolean)
-      : null;
-
-    // Get singular name for descriptions
-    const singularName = path.endsWith("s") ? path.slice(0, -1) : path;
-
-    // Define all API resource routes (no create/edit forms)
-    const apiResourceRoutes = [
-      {
-        method: "GET",
-        suffix: "",
-        action: "index",
-        description: `List all ${path}`,
-      },
-      {
-        method: "POST",
-        suffix: "",
-        action: "store",
-        description: `Store a new ${singularName}`,
-      },
-      {
-        method: "GET",
-        suffix: "/{id}",
-        action: "show",
-        description: `Show a specific ${singularName}`,
-      },
-      {
-        method: "PUT/PATCH",
-        suffix: "/{id}",
-        action: "update",
-        description: `Update a specific ${singularName}`,
-      },
-      {
-        method: "DELETE",
-        suffix: "/{id}",
-        action: "destroy",
-        description: `Delete a specific ${singularName}`,
-      },
-    ];
-
-    // Add routes based on 'only' and 'except' options
-    for (const route of apiResourceRoutes) {
-      if (
-        (only && !only.includes(route.action)) ||
-        (except && except.includes(route.action))
-      ) {
-        continue;
-      }
-
-      endpoints.push({
-        method: route.method,
-        path: `/${path}${route.suffix}`,
-        handler: `${handler}@${route.action}`,
-        description: route.description,
-        routeFile: routeFile.name,
-        group: "API Resource",
-      });
-    }
-  }
-}
-
-/**
- * Extract route groups from route file
- */
-function extractRouteGroups(routeFile, endpoints) {
-  // Simplified approach for route groups
-  const groupMatches = routeFile.content.matchAll(
-    /Route::group\(\[\s*'prefix'\s*=>\s*['"]([^'"]+)['"]/g
-  );
-
-  for (const match of groupMatches) {
-    const prefix = match[1];
-    // Mark endpoints within this group
-    // This is a simplified approach - a full parser would need to analyze the scope
-    endpoints.forEach((endpoint) => {
-      if (
-        endpoint.routeFile === routeFile.name &&
-        endpoint.path.startsWith(`/${prefix}`)
-      ) {
-        endpoint.group = prefix;
-      }
-    });
-  }
-}
-
 /**
  * Generate a human-readable description for a route
  */
@@ -292,8 +107,13 @@ function generateRouteDescription(method, path) {
 
 /**
  * Generate API documentation files
+ * @param {Object} projectInfo Project information
+ * @param {Array} endpoints Endpoints to document
+ * @param {string} apiDir API documentation directory
+ * @param {string} baseUrl Base URL of the running application
+ * @returns {Array} Paths of the OpenAPI spec and request collection files
  */
-function generateApiDocs(projectInfo, endpoints, apiDir) {
+function generateApiDocs(projectInfo, endpoints, apiDir, baseUrl) {
   // Group endpoints logically
   const groupedEndpoints = {};
 
@@ -305,12 +125,23 @@ function generateApiDocs(projectInfo, endpoints, apiDir) {
     groupedEndpoints[endpoint.routeFile].push(endpoint);
   });
 
+  const middlewareConfig = projectInfo.middlewareConfig || parseMiddlewareConfig(projectInfo.classes);
+
   // Generate markdown
   let apiMarkdown = `# API Documentation\n\n`;
   apiMarkdown += `## Project: ${projectInfo.name}\n\n`;
   apiMarkdown += `Laravel Version: ${projectInfo.version || "Unknown"}\n\n`;
   apiMarkdown += `Generated: ${new Date().toLocaleString()}\n\n`;
 
+  // Compare the route files with an imported route:list
+  if (endpoints.some((endpoint) => endpoint.source)) {
+    const count = (source) => endpoints.filter((e) => e.source === source).length;
+    apiMarkdown += `## Route Sources\n\n`;
+    apiMarkdown += `- Found in both the route files and route:list: ${count("both")}\n`;
+    apiMarkdown += `- Only in route:list (missed by the route file parser): ${count("route-list")}\n`;
+    apiMarkdown += `- Only in the route files (not in route:list): ${count("static")}\n\n`;
+  }
+
   // Table of contents
   apiMarkdown += `## Table of Contents\n\n`;
   Object.keys(groupedEndpoints).forEach((routeFile) => {
@@ -353,12 +184,38 @@ function generateApiDocs(projectInfo, endpoints, apiDir) {
 
       // Detailed endpoint documentation
       resourceGroups[groupKey].forEach((endpoint) => {
+        const docs = getEndpointDocs(projectInfo, endpoint);
         apiMarkdown += `### ${endpoint.method} ${endpoint.path}\n\n`;
         apiMarkdown += `**Handler:** ${endpoint.handler}\n\n`;
+        if (endpoint.controllerFile) {
+          apiMarkdown += `**Controller:** \`${endpoint.controller}::${endpoint.controllerMethod}()\` in \`${endpoint.controllerFile}:${endpoint.controllerLine}\`\n\n`;
+        }
         apiMarkdown += `**Description:** ${endpoint.description}\n\n`;
+        if (docs.description) {
+          apiMarkdown += `${docs.description}\n\n`;
+        }
+
+        if (endpoint.routeName) {
+          apiMarkdown += `**Route Name:** ${endpoint.routeName}\n\n`;
+        }
+        if (endpoint.middleware && endpoint.middleware.length > 0) {
+          apiMarkdown += describeEndpointMiddleware(endpoint.middleware, middlewareConfig, docs);
+        } else if (docs.authenticated) {
+          apiMarkdown += `**Access:** Authenticated\n\n`;
+        }
+        if (endpoint.domain) {
+          apiMarkdown += `**Domain:** ${endpoint.domain}\n\n`;
+        }
+        if (endpoint.source && endpoint.source !== "both") {
+          apiMarkdown += `**Source:** ${ROUTE_SOURCE_LABELS[endpoint.source]}\n\n`;
+        }
+        if (endpoint.routeFilePath) {
+          apiMarkdown += `**Route File:** ${endpoint.routeFilePath}\n\n`;
+        }
 
         // Extract controller method info if available
-        extractControllerMethodInfo(projectInfo, endpoint, apiMarkdown);
+        apiMarkdown += extractControllerMethodInfo(projectInfo, endpoint, docs);
+        apiMarkdown += describeCodeExamples(projectInfo, endpoint, baseUrl, middlewareConfig, docs);
 
         apiMarkdown += "---\n\n";
       });
@@ -369,84 +226,284 @@ function generateApiDocs(projectInfo, endpoints, apiDir) {
   fs.writeFileSync(path.join(apiDir, "api.md"), apiMarkdown);
 
   // Create HTML file with improved styling
-  const htmlContent = generateHtmlDoc(projectInfo, apiMarkdown);
+  const htmlContent = generateHtmlDoc(projectInfo, apiMarkdown, baseUrl);
   fs.writeFileSync(path.join(apiDir, "index.html"), htmlContent);
+
+  // Machine-readable spec for contract tests and client generators, and
+  // ready-made request collections for Postman and Insomnia
+  return [
+    ...generateOpenAPISpec(projectInfo, endpoints, apiDir),
+    ...generateCollections(projectInfo, endpoints, apiDir, baseUrl),
+  ];
 }
 
 /**
  * Extract controller method information
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint being documented
+ * @param {Object} docs Annotations from the method's docblock
+ * @returns {string} Markdown describing the handler method
  */
-function extractControllerMethodInfo(projectInfo, endpoint, apiMarkdown) {
-  const handlerParts = endpoint.handler.split("@");
-  if (handlerParts.length !== 2) return;
+function extractControllerMethodInfo(projectInfo, endpoint, docs) {
+  let markdown = "";
+  const handler = findControllerMethod(projectInfo, endpoint);
+  const method = handler ? handler.method : null;
+  if (!method || method.body === null) return markdown;
 
-  const controllerName = handlerParts[0].trim();
-  const methodName = handlerParts[1].trim();
+  if (method.params.length > 0) {
+    markdown += `**Parameters:**\n\n`;
 
-  const controller = projectInfo.controllers?.find(
-    (c) => c.name === controllerName || c.name === `${controllerName}Controller`
-  );
+    method.params.forEach((param) => {
+      markdown += `- \`${param.name}\` (${param.type || "mixed"})\n`;
+    });
 
-  if (!controller) return;
+    markdown += "\n";
+  }
 
-  // Extract method content and parameters
-  const methodMatch = controller.content.match(
-    new RegExp(
-      `(?:public|protected|private)\\s+function\\s+${methodName}\\s*\\(([^)]*)\\)(?:\\s*:[^{]*)?\\s*{([^}]*)}`,
-      "s"
-    )
-  );
+  if (docs.urlParams.length > 0) {
+    markdown += `**URL Parameters:**\n\n`;
+    markdown += `| Name | Type | Required | Description |\n`;
+    markdown += `|------|------|----------|-------------|\n`;
+    docs.urlParams.forEach((param) => {
+      markdown += `| \`${param.name}\` | ${param.type || "string"} | ${param.required ? "Yes" : "No"} | ${describeParam(param)} |\n`;
+    });
+    markdown += "\n";
+  }
 
-  if (methodMatch) {
-    const params = methodMatch[1]
-      .split(",")
-      .map((p) => p.trim())
-      .filter((p) => p);
-    const methodBody = methodMatch[2];
+  // Validated input, from a type-hinted FormRequest or inline validation,
+  // completed with @queryParam and @bodyParam tags
+  const httpMethod = getEndpointMethods(endpoint.method)[0] || "get";
+  const input = getEndpointInput(projectInfo, endpoint, httpMethod);
+  const formRequest = findFormRequest(projectInfo, handler);
+  const validatedBy = formRequest ? ` validated by \`${formRequest.fullName}\`` : "";
+  if (input.query) {
+    markdown += describeInputTable("Query Parameters", input.query, input.body ? "" : validatedBy);
+  }
+  if (input.body) {
+    markdown += describeInputTable("Request Body", input.body, validatedBy);
+  }
 
-    if (params.length > 0) {
-      apiMarkdown += `**Parameters:**\n\n`;
+  // Response shape from an API resource, or just the kind of response
+  const resourceUsage = findResponseResource(projectInfo, handler);
+  if (resourceUsage) {
+    markdown += describeResourceResponse(projectInfo, resourceUsage);
+  } else if (
+    method.body.includes("return response()->json(") ||
+    method.body.includes("return JsonResponse")
+  ) {
+    markdown += `**Returns:** JSON Response\n\n`;
+  }
 
-      params.forEach((param) => {
-        // Extract type hint and param name
-        const paramParts = param.split(" ").filter((p) => p);
-        let paramName = paramParts[paramParts.length - 1].replace("$", "");
-        let paramType = paramParts.length > 1 ? paramParts[0] : "mixed";
+  docs.responses.forEach((response) => {
+    const scenario = response.scenario ? ` ${response.scenario}` : "";
+    markdown += `**Example Response:** \`${response.status}\`${scenario}\n\n`;
+    if (response.example !== undefined) {
+      markdown += `\`\`\`json\n${JSON.stringify(response.example, null, 2)}\n\`\`\`\n\n`;
+    } else if (response.body) {
+      markdown += `\`\`\`text\n${response.body}\n\`\`\`\n\n`;
+    }
+  });
 
-        apiMarkdown += `- \`${paramName}\` (${paramType})\n`;
-      });
+  return markdown;
+}
 
-      apiMarkdown += "\n";
+/**
+ * Describe validated or documented input as a table
+ * @param {string} title Table title
+ * @param {Object} input Input ({ rules, descriptions })
+ * @param {string} note Text after the title
+ * @returns {string} Markdown table
+ */
+function describeInputTable(title, input, note) {
+  const rows = describeRules(input.rules);
+  const withDescriptions = rows.some((row) => input.descriptions[row.field]);
+
+  let markdown = `**${title}:**${note}\n\n`;
+  markdown += `| Field | Type | Required | Nullable | Constraints |${withDescriptions ? " Description |" : ""}\n`;
+  markdown += `|-------|------|----------|----------|-------------|${withDescriptions ? "-------------|" : ""}\n`;
+
+  rows.forEach((row) => {
+    // Pipes inside rules (regex alternatives) would split the table cell
+    const constraints = row.constraints.map((c) => `\`${c.replace(/\|/g, "&#124;")}\``);
+    markdown += `| \`${row.field}\` | ${row.type} | ${row.required} | ${row.nullable ? "Yes" : "No"} | ${constraints.join(", ") || "-"} |`;
+    if (withDescriptions) {
+      markdown += ` ${(input.descriptions[row.field] || "-").replace(/\|/g, "&#124;")} |`;
     }
+    markdown += "\n";
+  });
 
-    // Try to extract validation rules
-    const validationMatches = methodBody.match(
-      /validate\(\s*\$request->all\(\)\s*,\s*\[([\s\S]*?)\]\s*\)/
+  return markdown + "\n";
+}
+
+/**
+ * Describe a documented parameter with its example
+ * @param {Object} param Documented parameter
+ * @returns {string} Table cell text
+ */
+function describeParam(param) {
+  const description = (param.description || "-").replace(/\|/g, "&#124;");
+  if (param.example === undefined) return description;
+  return `${description} Example: \`${JSON.stringify(param.example)}\``;
+}
+
+/**
+ * Write a request to an endpoint in each snippet language, as fenced code
+ * blocks the viewer turns into tabs
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint being documented
+ * @param {string} baseUrl Base URL of the running application
+ * @param {Object} middlewareConfig Middleware configuration
+ * @param {Object} docs Annotations from the method's docblock
+ * @returns {string} Markdown with the code examples
+ */
+function describeCodeExamples(projectInfo, endpoint, baseUrl, middlewareConfig, docs) {
+  const methods = getEndpointMethods(endpoint.method);
+  const method = (methods[0] || "get").toUpperCase();
+
+  const { access } = describeMiddleware(endpoint.middleware || [], middlewareConfig);
+  const auth = docs.authenticated === true || access.some((item) => TOKEN_KINDS.includes(item.kind));
+
+  const input = getEndpointInput(projectInfo, endpoint, method);
+  let url = baseUrl.replace(/\/+$/, "") + exampleUri(projectInfo, endpoint.path, docs.urlParams);
+  const query = input.query ? buildQueryString(exampleFromSchema(input.query.schema)) : "";
+  if (query) url += `?${query}`;
+
+  const body = input.body ? exampleFromSchema(input.body.schema) : null;
+  const snippets = buildSnippets({ method, url, auth, body });
+
+  let markdown = `**Code Examples:**\n\n`;
+  snippets.forEach(({ label, language, code }) => {
+    markdown += `\`\`\`${language} title="${label}"\n${code}\n\`\`\`\n\n`;
+  });
+  return markdown;
+}
+
+/**
+ * Fill in the parameters of a route URI with example values: the @urlParam
+ * example, 1 for ids and route model bindings, the parameter name otherwise
+ * @param {Object} projectInfo Project information
+ * @param {string} uri Route URI
+ * @param {Array} urlParams Documented URL parameters
+ * @returns {string} Path starting with a slash
+ */
+function exampleUri(projectInfo, uri, urlParams) {
+  const models = new Set((projectInfo.models || []).map((model) => snakeCase(model.name)));
+
+  const segments = uri
+    .split("/")
+    .filter((segment) => segment && !/^\{\w+\?\}$/.test(segment))
+    .map((segment) =>
+      segment.replace(/\{(\w+)\}/g, (match, name) => {
+        const param = urlParams.find((p) => p.name === name && p.example !== undefined);
+        if (param) return encodeURIComponent(param.example);
+        return /^(id|\w+_id)$/.test(name) || models.has(snakeCase(name)) ? "1" : name;
+      })
     );
+  return `/${segments.join("/")}`;
+}
 
-    if (validationMatches) {
-      apiMarkdown += `**Validation Rules:**\n\n`;
-      apiMarkdown += "```php\n";
-      apiMarkdown += validationMatches[0];
-      apiMarkdown += "\n```\n\n";
-    }
+/**
+ * Build a query string the way Laravel reads it (items[0][name]=...)
+ * @param {*} value Example input
+ * @param {string} prefix Key of the value
+ * @returns {string} Query string without the leading ?
+ */
+function buildQueryString(value, prefix = "") {
+  if (value !== null && typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, item]) => buildQueryString(item, prefix ? `${prefix}[${key}]` : key))
+      .filter(Boolean)
+      .join("&");
+  }
+  const encoded = typeof value === "boolean" ? Number(value) : value === null ? "" : value;
+  return `${encodeURIComponent(prefix)}=${encodeURIComponent(encoded)}`;
+}
 
-    // Check if the method returns a response
-    if (
-      methodBody.includes("return response()->json(") ||
-      methodBody.includes("return JsonResponse")
-    ) {
-      apiMarkdown += `**Returns:** JSON Response\n\n`;
-    }
+/**
+ * Describe an endpoint's middleware: what the caller needs (shown as badges
+ * in the viewer) and the class or group each alias resolves to
+ * @param {Array} middleware Middleware of the route as written
+ * @param {Object} config Middleware configuration
+ * @param {Object} docs Annotations from the method's docblock
+ * @returns {string} Markdown describing the middleware
+ */
+function describeEndpointMiddleware(middleware, config, docs) {
+  const { entries, access } = describeMiddleware(middleware, config);
+  let markdown = "";
+
+  // @authenticated covers auth applied outside the route, e.g. in the controller
+  if (docs.authenticated && !access.some((item) => item.kind === "auth")) {
+    access.unshift({ kind: "auth", label: "Authenticated" });
   }
+
+  if (access.length > 0) {
+    markdown += `**Access:** ${access.map((item) => item.label).join(" · ")}\n\n`;
+  }
+
+  markdown += `**Middleware:**\n\n`;
+  entries.forEach(({ name, target }) => {
+    if (Array.isArray(target)) {
+      const members = target.map((member) => `\`${member}\``).join(", ");
+      markdown += `- \`${name}\` group: ${members || "empty"}\n`;
+    } else {
+      markdown += target ? `- \`${name}\`: \`${target}\`\n` : `- \`${name}\`\n`;
+    }
+  });
+
+  return markdown + "\n";
 }
 
-// ...existing code...
+/**
+ * Describe the response an API resource produces as a field table
+ * @param {Object} projectInfo Project information
+ * @param {Object} usage Resource usage ({ resource, collection, paginated })
+ * @returns {string} Markdown describing the response
+ */
+function describeResourceResponse(projectInfo, usage) {
+  const { resource, collection, paginated } = usage;
+  // A ResourceCollection class is a collection already
+  let shape = collection && !isResourceCollection(resource) ? "collection of " : "";
+  if (paginated) shape = isResourceCollection(resource) ? "paginated " : "paginated collection of ";
+
+  let markdown = `**Returns:** JSON Response, ${shape}\`${resource.fullName}\``;
+  markdown += paginated ? " with `links` and `meta`\n\n" : "\n\n";
+
+  const fields = describeResource(projectInfo, resource, {});
+  if (fields.length === 0) return markdown;
+
+  markdown += `| Field | Type | Present |\n`;
+  markdown += `|-------|------|---------|\n`;
+  fields.forEach((field) => {
+    // Conditions are PHP expressions, whose || would split the table cell
+    const present = field.condition ? `Only ${field.condition.replace(/\|/g, "&#124;")}` : "Always";
+    markdown += `| \`${field.name}\` | ${schemaLabel(field.schema)} | ${present} |\n`;
+  });
+
+  return markdown + "\n";
+}
+
+/**
+ * Describe a JSON schema in a few words (PostResource[], string or null, ...)
+ * @param {Object} schema JSON schema
+ * @returns {string} Label
+ */
+function schemaLabel(schema) {
+  if (schema.$ref) return schema.$ref.split("/").pop();
+  if (schema.items) return `${schemaLabel(schema.items)}[]`;
+  if (!schema.type) return "mixed";
+
+  const label = [].concat(schema.type).join(" or ");
+  return schema.format ? `${label} (${schema.format})` : label;
+}
 
 /**
  * Generate HTML documentation
+ * @param {Object} projectInfo Project information
+ * @param {string} apiMarkdown API documentation as markdown
+ * @param {string} baseUrl Base URL Try it sends requests to by default
+ * @returns {string} HTML page
  */
-function generateHtmlDoc(projectInfo, apiMarkdown) {
+function generateHtmlDoc(projectInfo, apiMarkdown, baseUrl) {
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -591,6 +648,60 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
     .method-post { background-color: var(--post-color); }
     .method-put, .method-patch { background-color: var(--put-color); }
     .method-delete { background-color: var(--delete-color); }
+
+    .access-badges {
+      margin: 0 0 1rem;
+    }
+    .badge {
+      display: inline-block;
+      padding: 0.15rem 0.6rem;
+      margin: 0 0.4rem 0.4rem 0;
+      border-radius: 999px;
+      font-size: 0.8rem;
+      font-weight: 600;
+      color: white;
+      background-color: #718096;
+    }
+    .badge-auth { background-color: var(--primary-color); }
+    .badge-guest { background-color: #9561e2; }
+    .badge-ability { background-color: var(--put-color); }
+    .badge-throttle { background-color: var(--delete-color); }
+
+    .snippet-tabs {
+      margin: 0 0 1rem;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      overflow: hidden;
+    }
+    .snippet-tab-bar {
+      display: flex;
+      flex-wrap: wrap;
+      background-color: var(--light-color);
+      border-bottom: 1px solid #ddd;
+    }
+    .snippet-tab, .snippet-copy {
+      background: none;
+      border: none;
+      padding: 0.5rem 0.8rem;
+      cursor: pointer;
+      font-size: 0.85rem;
+      color: inherit;
+    }
+    .snippet-tab.active {
+      font-weight: 600;
+      box-shadow: inset 0 -2px 0 var(--primary-color);
+    }
+    .snippet-copy {
+      margin-left: auto;
+    }
+    .snippet-panel {
+      display: none;
+      margin: 0;
+      border-radius: 0;
+    }
+    .snippet-panel.active {
+      display: block;
+    }
     
     #api-content ul {
       padding-left: 20px;
@@ -668,7 +779,7 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
       margin-bottom: 0.5rem;
       font-weight: bold;
     }
-    .form-group input, .form-group textarea {
+    .form-group input, .form-group textarea, .form-group select {
       width: 100%;
       padding: 0.5rem;
       border: 1px solid #ddd;
@@ -736,6 +847,9 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
       background-color: #2d3748;
       color: #f7fafc;
     }
+    .dark-mode .snippet-tab-bar {
+      background-color: #2d3748;
+    }
     
     @media (max-width: 768px) {
       table {
@@ -747,8 +861,6 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
 </head>
 <body>
-<!-- Add Font Awesome CDN if not already included -->
-<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" />
 
 <div class="navbar">
   <div class="navbar-title">
@@ -759,6 +871,7 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
     <a href="../erd/"><i class="fas fa-project-diagram"></i> ERD</a>
     <a href="../uml/"><i class="fas fa-sitemap"></i> UML</a>
     <a href="../sequence/"><i class="fas fa-stream"></i> Sequence</a>
+    <a href="../async/"><i class="fas fa-bolt"></i> Async</a>
     <a href="../api/"><i class="fas fa-plug"></i> API</a>
     <a href="https://github.com/Priom7/laravel2doc" target="_blank" class="github-link">
       <i class="fab fa-github"></i> GitHub
@@ -822,106 +935,248 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
         content.classList.toggle('active');
       });
     });
+
+    // Open the endpoint linked to from elsewhere, such as a sequence diagram
+    function openLinkedEndpoint() {
+      const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+      if (!target || !target.classList.contains('endpoint-container')) return;
+
+      const header = target.querySelector('.endpoint-header');
+      if (!header.classList.contains('active')) header.click();
+      target.scrollIntoView();
+    }
+    openLinkedEndpoint();
+    window.addEventListener('hashchange', openLinkedEndpoint);
     
-    // Try It functionality
+    // Try It: requests go through the docs server's proxy route, so the
+    // API doesn't have to allow the docs origin in its CORS settings
+    const PROXY_PATH = '/__proxy';
+    const DEFAULT_BASE_URL = ${JSON.stringify(baseUrl)};
+    const storage = {
+      get: (key, fallback) => localStorage.getItem('laravel2doc.' + key) || fallback,
+      set: (key, value) => localStorage.setItem('laravel2doc.' + key, value),
+    };
+
+    function createField(labelText, input) {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      group.appendChild(label);
+      group.appendChild(input);
+      return group;
+    }
+
+    function createInput(className, value, placeholder) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = className;
+      input.value = value || '';
+      input.placeholder = placeholder || '';
+      return input;
+    }
+
+    function createTextarea(className, value) {
+      const textarea = document.createElement('textarea');
+      textarea.className = className;
+      textarea.value = value;
+      return textarea;
+    }
+
+    // "Name: value" lines to a headers object
+    function parseHeaders(text) {
+      const headers = {};
+      text.split('\\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+      });
+      return headers;
+    }
+
+    function hasHeader(headers, name) {
+      return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+    }
+
+    function buildTargetUrl(baseUrl, endpoint, paramInputs, query) {
+      const path = endpoint.replace(/\\{(\\w+)\\??\\}/g, (match, name) =>
+        encodeURIComponent(paramInputs[name].value.trim())
+      );
+      // Optional parameters left empty leave a double slash behind
+      let url = baseUrl.replace(/\\/+$/, '') + ('/' + path).replace(/\\/{2,}/g, '/');
+      if (query) {
+        url += '?' + query.replace(/^\\?/, '');
+      }
+      return url;
+    }
+
+    function buildTryItForm(container) {
+      const methods = container.getAttribute('data-method').split('/');
+      const endpoint = container.getAttribute('data-endpoint');
+      const params = (endpoint.match(/\\{\\w+\\??\\}/g) || []).map(param => param.replace(/[{}?]/g, ''));
+
+      const form = document.createElement('div');
+      form.className = 'try-it-form';
+      form.innerHTML = '<h4>Test Request</h4>';
+
+      const methodSelect = document.createElement('select');
+      methodSelect.className = 'method-input';
+      (methods[0] === 'ANY' ? ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] : methods).forEach(method => {
+        methodSelect.add(new Option(method, method));
+      });
+      form.appendChild(createField('Method', methodSelect));
+
+      // The base URL and token are shared by every endpoint and remembered
+      const baseUrlInput = createInput('base-url-input', storage.get('baseUrl', DEFAULT_BASE_URL), DEFAULT_BASE_URL);
+      baseUrlInput.addEventListener('change', () => {
+        storage.set('baseUrl', baseUrlInput.value.trim());
+        document.querySelectorAll('.base-url-input').forEach(input => { input.value = baseUrlInput.value; });
+      });
+      form.appendChild(createField('Base URL', baseUrlInput));
+
+      const paramInputs = {};
+      params.forEach(name => {
+        paramInputs[name] = createInput('param-input', '', name);
+        form.appendChild(createField('Path parameter: ' + name, paramInputs[name]));
+      });
+
+      const queryInput = createInput('query-input', '', 'page=1&per_page=15');
+      form.appendChild(createField('Query string', queryInput));
+
+      const headersInput = createTextarea('headers-input', 'Accept: application/json');
+      form.appendChild(createField('Headers (one "Name: value" per line)', headersInput));
+
+      const tokenInput = createInput('token-input', storage.get('token', ''), 'Sent as Authorization: Bearer <token>');
+      tokenInput.type = 'password';
+      tokenInput.addEventListener('change', () => {
+        storage.set('token', tokenInput.value.trim());
+        document.querySelectorAll('.token-input').forEach(input => { input.value = tokenInput.value; });
+      });
+      form.appendChild(createField('Bearer token (remembered in this browser)', tokenInput));
+
+      const bodyInput = createTextarea('body-input', '{}');
+      const bodyField = createField('Request Body (JSON)', bodyInput);
+      form.appendChild(bodyField);
+      const toggleBody = () => {
+        bodyField.style.display = ['GET', 'HEAD'].includes(methodSelect.value) ? 'none' : 'block';
+      };
+      methodSelect.addEventListener('change', toggleBody);
+      toggleBody();
+
+      const actions = document.createElement('div');
+      actions.className = 'form-group';
+      actions.innerHTML = '<button type="button" class="send-request">Send Request</button>';
+      form.appendChild(actions);
+
+      const responseContainer = document.createElement('div');
+      responseContainer.className = 'response-container';
+      responseContainer.innerHTML =
+        '<div class="response-header"><span class="response-status"></span><span class="response-time"></span></div>' +
+        '<div class="response-body"><pre><code class="language-json response-code"></code></pre></div>';
+      form.appendChild(responseContainer);
+
+      actions.querySelector('.send-request').addEventListener('click', async () => {
+        const responseStatus = responseContainer.querySelector('.response-status');
+        const responseTime = responseContainer.querySelector('.response-time');
+        const responseCode = responseContainer.querySelector('.response-code');
+
+        const method = methodSelect.value;
+        const url = buildTargetUrl(baseUrlInput.value.trim(), endpoint, paramInputs, queryInput.value.trim());
+        const headers = parseHeaders(headersInput.value);
+        const token = tokenInput.value.trim();
+        if (token && !hasHeader(headers, 'Authorization')) {
+          headers.Authorization = 'Bearer ' + token;
+        }
+
+        const body = ['GET', 'HEAD'].includes(method) ? '' : bodyInput.value.trim();
+        if (body && !hasHeader(headers, 'Content-Type')) {
+          headers['Content-Type'] = 'application/json';
+        }
+        headers['X-Proxy-Target'] = url;
+
+        responseContainer.style.display = 'block';
+        responseStatus.textContent = 'Loading...';
+        responseTime.textContent = '';
+        responseCode.textContent = '';
+        delete responseCode.dataset.highlighted;
+
+        const startTime = Date.now();
+        try {
+          const response = await fetch(PROXY_PATH, { method, headers, body: body || undefined });
+          const text = await response.text();
+          let pretty = text;
+          try {
+            pretty = JSON.stringify(JSON.parse(text), null, 2);
+          } catch (error) {
+            // Not JSON, show it as it came
+          }
+
+          responseStatus.textContent = 'Status: ' + response.status + ' ' + response.statusText;
+          responseTime.textContent = 'Time: ' + (Date.now() - startTime) + 'ms';
+          responseCode.textContent = pretty;
+          hljs.highlightElement(responseCode);
+        } catch (error) {
+          responseStatus.textContent = 'Error';
+          responseCode.textContent = window.location.protocol === 'file:'
+            ? 'Requests are sent through the laravel2doc server, open the docs through it to use Try it.'
+            : error.toString();
+        }
+      });
+
+      return form;
+    }
+
     document.querySelectorAll('.try-it').forEach(button => {
       button.addEventListener('click', function(e) {
         e.stopPropagation();
         const container = this.closest('.endpoint-container');
         const content = container.querySelector('.endpoint-content');
-        
+
         if (!content.classList.contains('active')) {
           container.querySelector('.endpoint-header').click();
         }
-        
+
         // Create form if it doesn't exist
         if (!container.querySelector('.try-it-form')) {
-          const method = container.getAttribute('data-method');
-          const endpoint = container.getAttribute('data-endpoint');
-          
-          const form = document.createElement('div');
-          form.className = 'try-it-form';
-          form.innerHTML = \`
-            <h4>Test Request</h4>
-            <div class="form-group">
-              <label>URL</label>
-              <input type="text" class="url-input" value="\${window.location.origin}\${endpoint}" readonly>
-            </div>
-            \${method !== 'GET' ? \`
-              <div class="form-group">
-                <label>Request Body (JSON)</label>
-                <textarea class="body-input">{}</textarea>
-              </div>
-            \` : ''}
-            <div class="form-group">
-              <button type="button" class="send-request">Send Request</button>
-            </div>
-            <div class="response-container">
-              <div class="response-header">
-                <span class="response-status"></span>
-                <span class="response-time"></span>
-              </div>
-              <div class="response-body">
-                <pre><code class="language-json response-code"></code></pre>
-              </div>
-            </div>
-          \`;
-          
-          content.appendChild(form);
-          
-          // Add event listener to send button
-          form.querySelector('.send-request').addEventListener('click', async function() {
-            const urlInput = form.querySelector('.url-input');
-            const bodyInput = form.querySelector('.body-input');
-            const responseContainer = form.querySelector('.response-container');
-            const responseStatus = form.querySelector('.response-status');
-            const responseTime = form.querySelector('.response-time');
-            const responseCode = form.querySelector('.response-code');
-            
-            const url = urlInput.value;
-            const body = bodyInput ? bodyInput.value : null;
-            
-            const startTime = Date.now();
-            
-            try {
-              responseContainer.style.display = 'block';
-              responseStatus.textContent = 'Loading...';
-              responseTime.textContent = '';
-              responseCode.textContent = '';
-              
-              // Note: In a real implementation, you would make actual API calls
-              // For demo purposes, we're just simulating a response
-              const response = {
-                status: 200,
-                statusText: 'OK',
-                data: { 
-                  message: "This is a simulated response for demonstration.",
-                  method: method,
-                  url: url,
-                  receivedBody: body ? JSON.parse(body) : null
-                }
-              };
-              
-              const endTime = Date.now();
-              const time = endTime - startTime;
-              
-              setTimeout(() => {
-                responseStatus.textContent = \`Status: \${response.status} \${response.statusText}\`;
-                responseTime.textContent = \`Time: \${time}ms\`;
-                responseCode.textContent = JSON.stringify(response.data, null, 2);
-                hljs.highlightElement(responseCode);
-              }, 500); // Simulate network delay
-              
-            } catch (error) {
-              responseStatus.textContent = 'Error';
-              responseCode.textContent = error.toString();
-              hljs.highlightElement(responseCode);
-            }
-          });
+          content.appendChild(buildTryItForm(container));
         }
       });
     });
-    
+
+    // Code example tabs: picking a language switches every endpoint to it
+    function selectSnippetLanguage(label) {
+      document.querySelectorAll('.snippet-tabs').forEach(tabs => {
+        const tabButtons = [...tabs.querySelectorAll('.snippet-tab')];
+        const index = tabButtons.findIndex(tab => tab.dataset.label === label);
+        if (index === -1) return;
+        tabButtons.forEach((tab, i) => tab.classList.toggle('active', i === index));
+        tabs.querySelectorAll('.snippet-panel').forEach((panel, i) => panel.classList.toggle('active', i === index));
+      });
+    }
+
+    document.querySelectorAll('.snippet-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        storage.set('snippetLanguage', tab.dataset.label);
+        selectSnippetLanguage(tab.dataset.label);
+      });
+    });
+
+    document.querySelectorAll('.snippet-copy').forEach(button => {
+      button.addEventListener('click', async () => {
+        const panel = button.closest('.snippet-tabs').querySelector('.snippet-panel.active');
+        try {
+          await navigator.clipboard.writeText(panel.textContent);
+          button.textContent = 'Copied';
+        } catch (error) {
+          button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+      });
+    });
+
+    selectSnippetLanguage(storage.get('snippetLanguage', ''));
+
     // Dark mode toggle
     const darkModeToggle = document.getElementById('dark-mode-toggle');
     darkModeToggle.addEventListener('click', function() {
@@ -939,20 +1194,58 @@ function generateHtmlDoc(projectInfo, apiMarkdown) {
   `;
 }
 
+/**
+ * Split an endpoint heading ("PUT/PATCH /users/{user}") into its methods and
+ * URI; group headings such as "API Resource" are not endpoints
+ * @param {string} title Heading text
+ * @returns {Object|null} Heading ({ method, endpoint }), or null for other headings
+ */
+function parseEndpointHeading(title) {
+  const match = title.match(/^(\S+)\s+(\/.*)$/);
+  if (!match) return null;
+
+  const verbs = match[1].split(/[\/|]/);
+  return verbs.every((verb) => HEADING_VERBS.includes(verb))
+    ? { method: match[1], endpoint: match[2] }
+    : null;
+}
+
 /**
  * Enhanced markdown to HTML converter with interactive features
  */
 function enhancedMarkdownToHtml(markdown, interactive = true) {
   let html = markdown;
 
+  // Code blocks are set aside until the end so the markdown rules below
+  // don't rewrite the code; the code examples become tab panels
+  const codeBlocks = [];
+  const setAside = (block) => {
+    codeBlocks.push(block);
+    return `<div data-code-block="${codeBlocks.length - 1}"></div>\n\n`;
+  };
+  html = html.replace(
+    /^\*\*Code Examples:\*\*\n\n((?:```[^\n]*\n[\s\S]*?\n```\n+)+)/gm,
+    (match, blocks) => setAside(renderSnippetTabs(blocks))
+  );
+  html = html.replace(/^```(\w*)[^\n]*\n([\s\S]*?)\n```$/gm, (match, language, code) =>
+    setAside(`<pre><code class="language-${language || "plaintext"}">${escapeHtml(code)}</code></pre>`)
+  );
+
   // Headers
   html = html.replace(/^# (.*?)$/gm, '<h1 id="$1">$1</h1>');
   html = html.replace(/^## (.*?)$/gm, '<h2 id="$1">$1</h2>');
 
-  // If interactive mode, we'll handle H3 endpoints differently
-  if (!interactive) {
-    html = html.replace(/^### (.*?)$/gm, '<h3 id="$1">$1</h3>');
-  }
+  // In interactive mode the H3 endpoints are turned into containers below
+  html = html.replace(/^### (.*?)$/gm, '<h3 id="$1">$1</h3>');
+
+  // Access requirements become badges (authenticated, abilities, throttle, ...)
+  html = html.replace(/^\*\*Access:\*\* (.*)$/gm, (match, list) => {
+    const badges = list.split(" · ").map((label) => {
+      const kind = ACCESS_BADGES.find(([prefix]) => label.startsWith(prefix));
+      return `<span class="badge badge-${kind ? kind[1] : "other"}">${label}</span>`;
+    });
+    return `<div class="access-badges">${badges.join("")}</div>`;
+  });
 
   // Bold
   html = html.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
@@ -960,12 +1253,6 @@ function enhancedMarkdownToHtml(markdown, interactive = true) {
   // Inline code
   html = html.replace(/`(.*?)`/g, "<code>$1</code>");
 
-  // Code blocks
-  html = html.replace(
-    /```(.*?)\n([\s\S]*?)\n```/g,
-    '<pre><code class="language-$1">$2</code></pre>'
-  );
-
   // Process tables (more robust approach)
   const tableRegex = /\|(.+)\|\n\|[-:| ]+\|\n((?:\|.+\|\n)+)/g;
   html = html.replace(tableRegex, (match, headerRow, bodyRows) => {
@@ -1020,16 +1307,15 @@ function enhancedMarkdownToHtml(markdown, interactive = true) {
       if (headerMatch) {
         const id = headerMatch[1];
         const title = headerMatch[2];
-        const methodMatch = title.match(/^([A-Z\/]+)\s+(.*)/);
+        const heading = parseEndpointHeading(title);
 
-        if (methodMatch) {
-          const method = methodMatch[1];
-          const endpoint = methodMatch[2];
+        if (heading) {
+          const { method, endpoint } = heading;
           const mainMethod = method.split("/")[0].toLowerCase();
 
           // Replace the section with an interactive container
           const newSection = `
-          <div class="endpoint-container" data-method="${method}" data-endpoint="${endpoint}">
+          <div class="endpoint-container" id="${endpointAnchor(method, endpoint)}" data-method="${method}" data-endpoint="${endpoint}">
             <div class="endpoint-header">
               <h3><span class="collapse-icon">▶</span><span class="method method-${mainMethod}">${method}</span> ${endpoint}</h3>
               <button class="try-it">Try it</button>
@@ -1058,9 +1344,46 @@ function enhancedMarkdownToHtml(markdown, interactive = true) {
   // Clean up empty paragraphs
   html = html.replace(/<p><\/p>/g, "");
 
+  html = html.replace(/<div data-code-block="(\d+)"><\/div>/g, (match, index) => codeBlocks[index]);
+
   return html;
 }
 
+/**
+ * Render fenced code blocks (```language title="Label") as a tab panel
+ * @param {string} blocks Markdown code blocks
+ * @returns {string} HTML
+ */
+function renderSnippetTabs(blocks) {
+  const snippets = [...blocks.matchAll(/```(\w*)(?: title="([^"]*)")?\n([\s\S]*?)\n```/g)];
+
+  const tabs = snippets.map(([, language, label], index) => {
+    const name = escapeHtml(label || language);
+    return `<button class="snippet-tab${index === 0 ? " active" : ""}" data-label="${name}">${name}</button>`;
+  });
+  const panels = snippets.map(([, language, , code], index) => {
+    return `<pre class="snippet-panel${index === 0 ? " active" : ""}"><code class="language-${language}">${escapeHtml(code)}</code></pre>`;
+  });
+
+  return `<div class="snippet-tabs">
+      <div class="snippet-tab-bar">${tabs.join("")}<button class="snippet-copy">Copy</button></div>
+      ${panels.join("\n")}
+    </div>`;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 // ...existing code...
 
 module.exports = {
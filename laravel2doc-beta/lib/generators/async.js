@@ -0,0 +1,520 @@
+const fs = require("fs");
+const path = require("path");
+const { buildAsyncMap } = require("../utils/events");
+
+/**
+ * Mermaid shapes of the nodes in a flow, by kind
+ */
+const NODE_SHAPES = {
+  caller: ["(", ")"],
+  event: ["{{", "}}"],
+  listener: ["[", "]"],
+  job: ["[[", "]]"],
+  notification: [">", "]"],
+  mail: [">", "]"],
+  none: ["[", "]"],
+};
+
+/**
+ * Generate flow diagrams of the work that happens after the request: events
+ * fanning out to their listeners, and the jobs, notifications and mail those
+ * send on, with the queue and connection each of them runs on
+ * @param {Object} projectInfo Project information
+ * @param {string} outputDir Output directory
+ * @returns {Object} Information about generated files
+ */
+async function generateAsyncDiagrams(projectInfo, outputDir) {
+  const asyncDir = path.join(outputDir, "async");
+  await fs.promises.mkdir(asyncDir, { recursive: true });
+
+  const map = buildAsyncMap(projectInfo);
+  const lookups = createLookups(map);
+
+  // A flow starts at each event, and at each job that isn't already part of
+  // another flow because a listener or job sends it
+  const handlers = new Set([
+    ...map.events.flatMap((event) => event.listeners.map((listener) => listener.className)),
+    ...map.jobs.map((job) => job.className),
+  ]);
+  const roots = [
+    ...map.events.map((event) => ({ kind: "event", entity: event, callers: event.dispatchedFrom })),
+    ...map.jobs
+      .filter((job) => job.sentFrom.length === 0 || job.sentFrom.some((emission) => !handlers.has(emission.source.className)))
+      .map((job) => ({ kind: "job", entity: job, callers: job.sentFrom })),
+  ];
+
+  console.log(`Generating asynchronous flow diagrams for ${roots.length} events and jobs...`);
+
+  const flows = [];
+  const usedIds = new Set();
+  for (const root of roots) {
+    // Classes with the same name in different namespaces get a suffix
+    const baseId = `${root.kind}-${root.entity.name}`;
+    let id = baseId;
+    for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+    usedIds.add(id);
+    const fileName = `${id}.md`;
+    const diagram = renderFlows([root], lookups);
+    await fs.promises.writeFile(path.join(asyncDir, fileName), diagram);
+    flows.push({ id, kind: root.kind, name: root.entity.name, className: root.entity.className, fileName, diagram });
+  }
+  const overview = renderFlows(roots, lookups);
+
+  await fs.promises.writeFile(
+    path.join(asyncDir, "index.html"),
+    generateIndexHTML(projectInfo, map, flows, overview)
+  );
+
+  const manifest = {
+    projectName: projectInfo.name,
+    projectVersion: projectInfo.version,
+    generatedAt: new Date().toISOString(),
+    discovery: map.discovery,
+    events: map.events,
+    jobs: map.jobs,
+    notifications: map.notifications,
+    mailables: map.mailables,
+    unregisteredListeners: map.unregistered,
+    flows: flows.map(({ diagram, ...flow }) => flow),
+  };
+  await fs.promises.writeFile(path.join(asyncDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  return {
+    files: flows
+      .map((flow) => path.join(asyncDir, flow.fileName))
+      .concat([path.join(asyncDir, "index.html"), path.join(asyncDir, "manifest.json")]),
+  };
+}
+
+/**
+ * Index the map by class name, and the emissions by the method sending them
+ * @param {Object} map Async map
+ * @returns {Object} Lookups ({ event, job, notification, mail, emissionsFrom })
+ */
+function createLookups(map) {
+  const byName = (entities) => new Map(entities.map((entity) => [entity.className, entity]));
+  return {
+    event: byName(map.events),
+    job: byName(map.jobs),
+    notification: byName(map.notifications),
+    mail: byName(map.mailables),
+    emissionsFrom: (className, method) =>
+      map.emissions.filter(
+        (emission) => emission.source.className === className && emission.source.method === method
+      ),
+  };
+}
+
+/**
+ * Draw one or more flows as a Mermaid flowchart: who sends the event or job,
+ * then everything it leads to. Queued steps are drawn with dotted arrows
+ * and dashed boxes
+ * @param {Array} roots Flow roots ({ kind, entity, callers })
+ * @param {Object} lookups Lookups (see createLookups)
+ * @returns {string} Mermaid flowchart
+ */
+function renderFlows(roots, lookups) {
+  const graph = { ids: new Map(), lines: [], queued: new Set(), none: new Set(), expanded: new Set() };
+
+  roots.forEach((root) => {
+    const rootId = addNode(graph, root.kind, root.entity.className, null, describeNode(root.kind, root.entity));
+    root.callers.forEach((emission) => {
+      const { source } = emission;
+      const callerId = addNode(graph, "caller", source.className, source.method, `${source.name}::${source.method}`);
+      addEdge(graph, callerId, rootId, describeEmission(emission), emission.queued);
+    });
+    expandNode(graph, root.kind, root.entity, rootId, lookups);
+  });
+
+  return [
+    "flowchart LR",
+    ...graph.lines.map((line) => `    ${line}`),
+    "    classDef queued stroke-dasharray: 5 5,stroke-width:2px",
+    "    classDef none fill:#fff3cd,stroke:#f6993f",
+    ...(graph.queued.size > 0 ? [`    class ${[...graph.queued].join(",")} queued`] : []),
+    ...(graph.none.size > 0 ? [`    class ${[...graph.none].join(",")} none`] : []),
+  ].join("\n");
+}
+
+/**
+ * Draw what an event or job leads to, once per node
+ * @param {Object} graph Graph being drawn
+ * @param {string} kind event or job
+ * @param {Object} entity Event or job from the map
+ * @param {string} id Node id
+ * @param {Object} lookups Lookups (see createLookups)
+ */
+function expandNode(graph, kind, entity, id, lookups) {
+  if (graph.expanded.has(id)) return;
+  graph.expanded.add(id);
+
+  if (kind === "job") {
+    if (entity.queue && entity.queue.queued) graph.queued.add(id);
+    expandHandler(graph, id, entity.className, "handle", lookups);
+    return;
+  }
+
+  if (entity.listeners.length === 0) {
+    const noneId = addNode(graph, "none", entity.className, "none", "No listeners");
+    graph.none.add(noneId);
+    addEdge(graph, id, noneId, null, false);
+    return;
+  }
+
+  entity.listeners.forEach((listener) => {
+    const queued = Boolean(listener.queue && listener.queue.queued);
+    const listenerId = addNode(
+      graph,
+      "listener",
+      listener.className,
+      listener.method,
+      `${listener.name}::${listener.method}${listener.file ? "" : "<br/>(framework)"}`
+    );
+    if (queued) graph.queued.add(listenerId);
+    addEdge(graph, id, listenerId, queued ? `queued<br/>${describeQueue(listener.queue)}` : null, queued);
+
+    if (graph.expanded.has(listenerId)) return;
+    graph.expanded.add(listenerId);
+    expandHandler(graph, listenerId, listener.className, listener.method, lookups);
+  });
+}
+
+/**
+ * Draw the events, jobs, notifications and mail a listener or job sends
+ * @param {Object} graph Graph being drawn
+ * @param {string} fromId Node id of the listener or job
+ * @param {string} className Class of the listener or job
+ * @param {string} method Method handling the event or job
+ * @param {Object} lookups Lookups (see createLookups)
+ */
+function expandHandler(graph, fromId, className, method, lookups) {
+  lookups.emissionsFrom(className, method).forEach((emission) => {
+    const entity = lookups[emission.kind].get(emission.target) || { className: emission.target, name: emission.name };
+    const targetId = addNode(graph, emission.kind, emission.target, null, describeNode(emission.kind, entity));
+    addEdge(graph, fromId, targetId, describeEmission(emission), emission.queued);
+
+    if (emission.kind === "event" || emission.kind === "job") {
+      if (lookups[emission.kind].has(emission.target)) expandNode(graph, emission.kind, entity, targetId, lookups);
+    } else if (emission.queued) {
+      graph.queued.add(targetId);
+    }
+  });
+}
+
+/**
+ * Add a node to the graph, once per class and method
+ * @param {Object} graph Graph being drawn
+ * @param {string} kind Node kind (see NODE_SHAPES)
+ * @param {string} className Fully qualified class name
+ * @param {string|null} method Method, for callers and listeners
+ * @param {string} label Node label
+ * @returns {string} Node id
+ */
+function addNode(graph, kind, className, method, label) {
+  const key = `${kind}:${className}:${method || ""}`;
+  if (!graph.ids.has(key)) {
+    const id = `n${graph.ids.size + 1}`;
+    const [open, close] = NODE_SHAPES[kind];
+    graph.ids.set(key, id);
+    graph.lines.push(`${id}${open}"${flowText(label)}"${close}`);
+  }
+  return graph.ids.get(key);
+}
+
+/**
+ * Add an arrow to the graph, dotted when what it sends is queued
+ * @param {Object} graph Graph being drawn
+ * @param {string} from Node id
+ * @param {string} to Node id
+ * @param {string|null} label Arrow label
+ * @param {boolean} queued Whether it goes through the queue
+ */
+function addEdge(graph, from, to, label, queued) {
+  const arrow = queued ? "-.->" : "-->";
+  graph.lines.push(label ? `${from} ${arrow}|"${flowText(label)}"| ${to}` : `${from} ${arrow} ${to}`);
+}
+
+/**
+ * Label a node with its class and how it runs
+ * @param {string} kind Node kind
+ * @param {Object} entity Entity from the map
+ * @returns {string} Label
+ */
+function describeNode(kind, entity) {
+  switch (kind) {
+    case "event": {
+      const notes = [];
+      if (!entity.file) notes.push("framework event");
+      if (entity.broadcast) notes.push(entity.broadcast === "now" ? "broadcast now" : "broadcast, queued");
+      return [entity.name, ...notes].join("<br/>");
+    }
+    case "job":
+      return entity.queue && entity.queue.queued ? `${entity.name}<br/>ShouldQueue` : entity.name;
+    case "notification":
+      return entity.channels && entity.channels.length > 0
+        ? `${entity.name}<br/>via ${entity.channels.join(", ")}`
+        : entity.name;
+    default:
+      return entity.name;
+  }
+}
+
+/**
+ * Label an arrow with the call that sends something and where it is queued
+ * @param {Object} emission Emission
+ * @returns {string} Label
+ */
+function describeEmission(emission) {
+  return emission.queued ? `${emission.via}<br/>${describeQueue(emission)}` : emission.via;
+}
+
+/**
+ * Describe a queue and connection, which fall back to the app's defaults
+ * @param {Object} settings Queue settings ({ queue, connection })
+ * @returns {string} Description
+ */
+function describeQueue(settings) {
+  return `queue: ${settings.queue || "default"}, connection: ${settings.connection || "default"}`;
+}
+
+/**
+ * Make text safe inside a quoted Mermaid flowchart label
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function flowText(text) {
+  return String(text).replace(/"/g, "#quot;").replace(/\s+/g, " ");
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build the async flows page: an overview, one diagram per flow, the event
+ * to listener map and what runs on each queue
+ * @param {Object} projectInfo Project information
+ * @param {Object} map Async map
+ * @param {Array} flows Flows ({ id, kind, name, className, diagram })
+ * @param {string} overview Mermaid flowchart of every flow
+ * @returns {string} HTML
+ */
+function generateIndexHTML(projectInfo, map, flows, overview) {
+  const listeners = map.events.flatMap((event) => event.listeners.map((listener) => ({ event, listener })));
+  const queuedListeners = listeners.filter(({ listener }) => listener.queue && listener.queue.queued);
+
+  const location = (entity) => (entity.file ? `<span class="location">${entity.file}:${entity.line}</span>` : "");
+  const queueCell = (settings) =>
+    settings && settings.queued
+      ? `<span class="queued-tag">queued</span> ${escapeHtml(describeQueue(settings))}`
+      : settings
+      ? "sync"
+      : "unknown";
+
+  const listenerRows = listeners
+    .map(
+      ({ event, listener }) => `
+          <tr>
+            <td><code>${event.name}</code></td>
+            <td><code>${listener.name}::${listener.method}()</code> ${location(listener)}</td>
+            <td>${escapeHtml(listener.source)}</td>
+            <td>${queueCell(listener.queue)}</td>
+          </tr>`
+    )
+    .join("");
+
+  // Everything that is sent to a queue, and the code sending it
+  const queuedRows = [
+    ...queuedListeners.map(({ event, listener }) => ({
+      kind: "listener",
+      name: `${listener.name}::${listener.method}()`,
+      settings: listener.queue,
+      from: `on ${event.name}`,
+    })),
+    ...[...map.jobs, ...map.notifications, ...map.mailables].flatMap((entity) =>
+      entity.sentFrom
+        .filter((emission) => emission.queued)
+        .map((emission) => ({
+          kind: emission.kind,
+          name: entity.name,
+          settings: emission,
+          from: `${emission.source.name}::${emission.source.method}() via <code>${escapeHtml(emission.via)}</code>`,
+        }))
+    ),
+  ]
+    .map(
+      (row) => `
+          <tr>
+            <td>${row.kind}</td>
+            <td><code>${row.name}</code></td>
+            <td>${row.settings.queue || "default"}</td>
+            <td>${row.settings.connection || "default"}</td>
+            <td>${row.from}</td>
+          </tr>`
+    )
+    .join("");
+
+  const unregisteredSection =
+    map.unregistered.length === 0
+      ? ""
+      : `
+    <div class="flow-warning">
+      <h3><i class="fas fa-triangle-exclamation"></i> Listeners that are never called (${map.unregistered.length})</h3>
+      <p>These listeners are type-hinted with an event, but listener discovery is off and they are not registered in <code>$listen</code> or with <code>Event::listen()</code>.</p>
+      <ul>
+        ${map.unregistered
+          .map((binding) => `<li><code>${binding.listener}::${binding.method}()</code> for <code>${binding.event}</code></li>`)
+          .join("\n        ")}
+      </ul>
+    </div>`;
+
+  const flowSections = flows
+    .map(
+      (flow) => `
+    <div class="diagram-container" id="${flow.id}">
+      <h3>${flow.kind === "event" ? "Event" : "Job"}: ${flow.name}</h3>
+      <div class="mermaid">
+${flow.diagram}
+      </div>
+    </div>`
+    )
+    .join("\n");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Asynchronous Flows - ${projectInfo.name}</title>
+  <script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>
+  <link rel="stylesheet" href="../sequence/assets/styles.css">
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" />
+  <style>
+    .async-table { width: 100%; border-collapse: collapse; margin-bottom: 2rem; }
+    .async-table th, .async-table td { padding: 0.5rem; border-bottom: 1px solid var(--border-color); text-align: left; vertical-align: top; }
+    .location { font-size: 0.8rem; opacity: 0.7; }
+    .queued-tag { background-color: var(--warning-color); color: white; padding: 0.1rem 0.4rem; border-radius: 4px; font-size: 0.8rem; }
+    .flow-warning { margin-bottom: 2rem; padding: 1.5rem; border-left: 4px solid var(--warning-color); background-color: var(--light-color); border-radius: 8px; }
+    .flow-warning ul { margin-top: 1rem; padding-left: 1.5rem; }
+    .flow-legend { margin-bottom: 2rem; }
+  </style>
+</head>
+<body>
+<div class="navbar">
+  <div class="navbar-title">
+    <i class="fas fa-code-branch"></i> Laravel2Doc
+  </div>
+  <div class="navbar-links">
+    <a href="https://laravel2doc.netlify.app/"><i class="fas fa-house"></i> Home</a>
+    <a href="../erd/"><i class="fas fa-project-diagram"></i> ERD</a>
+    <a href="../uml/"><i class="fas fa-sitemap"></i> UML</a>
+    <a href="../sequence/"><i class="fas fa-stream"></i> Sequence</a>
+    <a href="../async/"><i class="fas fa-bolt"></i> Async</a>
+    <a href="../api/"><i class="fas fa-plug"></i> API</a>
+    <a href="https://github.com/Priom7/laravel2doc" target="_blank" class="github-link">
+      <i class="fab fa-github"></i> GitHub
+    </a>
+  </div>
+</div>
+
+  <header>
+    <h1>Asynchronous Flows</h1>
+    <h2>${projectInfo.name} (Laravel ${projectInfo.version})</h2>
+  </header>
+
+  <nav>
+    <div class="controls">
+      <a class="btn btn-primary" href="#overview">Overview</a>
+      <a class="btn btn-primary" href="#flows">Flows</a>
+      <a class="btn btn-primary" href="#event-map">Event map</a>
+      <a class="btn btn-primary" href="#queues">Queues</a>
+    </div>
+    <div class="controls">
+      <button class="btn btn-blue theme-toggle" id="theme-toggle">🌙</button>
+    </div>
+  </nav>
+
+  <main>
+    <div class="dashboard">
+      <div class="stat-card">
+        <div class="stat-number">${map.events.length}</div>
+        <div class="stat-label">Events</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-number">${listeners.length}</div>
+        <div class="stat-label">Listeners</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-number">${queuedListeners.length}</div>
+        <div class="stat-label">Queued Listeners</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-number">${map.jobs.length}</div>
+        <div class="stat-label">Jobs</div>
+      </div>
+    </div>
+
+    <p class="flow-legend">
+      Solid arrows run right away, dotted arrows and dashed boxes go through the queue.
+      Listener discovery is <strong>${map.discovery ? "on" : "off"}</strong>${
+        map.discovery ? ", so type-hinted listeners are included" : ", so only registered listeners are called"
+      }.
+    </p>
+    ${unregisteredSection}
+
+    <div class="diagram-container" id="overview">
+      <h3>Overview</h3>
+      <div class="mermaid">
+${overview}
+      </div>
+    </div>
+
+    <h2 id="flows">Flows (${flows.length})</h2>
+    ${flowSections}
+
+    <div class="diagram-container" id="event-map">
+      <h3>Event map</h3>
+      <table class="async-table">
+        <thead>
+          <tr><th>Event</th><th>Listener</th><th>Registered by</th><th>Runs</th></tr>
+        </thead>
+        <tbody>${listenerRows || '<tr><td colspan="4">No listeners found</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="diagram-container" id="queues">
+      <h3>Queues</h3>
+      <table class="async-table">
+        <thead>
+          <tr><th>Kind</th><th>Class</th><th>Queue</th><th>Connection</th><th>Sent from</th></tr>
+        </thead>
+        <tbody>${queuedRows || '<tr><td colspan="5">Nothing is queued</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+  </main>
+
+  <footer>
+    <p>Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
+    <p>Asynchronous Flow Generator for Laravel</p>
+  </footer>
+
+  <script src="../sequence/assets/script.js"></script>
+</body>
+</html>
+  `;
+}
+
+module.exports = {
+  generateAsyncDiagrams,
+};
@@ -0,0 +1,276 @@
+const fs = require("fs");
+const path = require("path");
+const { getEndpointMethods } = require("./openapi");
+const { getEndpointInput } = require("../utils/docblocks");
+
+/**
+ * Base URL of the app when none is given (php artisan serve)
+ */
+const DEFAULT_BASE_URL = "http://localhost:8000";
+
+const POSTMAN_SCHEMA =
+  "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+
+/**
+ * Generate a Postman v2.1 collection and an Insomnia export of the endpoints
+ * @param {Object} projectInfo Project information
+ * @param {Array} endpoints Endpoints extracted from the route files
+ * @param {string} apiDir API documentation directory
+ * @param {string} baseUrl Initial value of the baseUrl variable
+ * @returns {Array} Paths of the written files
+ */
+function generateCollections(projectInfo, endpoints, apiDir, baseUrl = DEFAULT_BASE_URL) {
+  const requests = buildRequests(projectInfo, endpoints);
+
+  const postmanPath = path.join(apiDir, "postman_collection.json");
+  const insomniaPath = path.join(apiDir, "insomnia_collection.json");
+  fs.writeFileSync(
+    postmanPath,
+    JSON.stringify(buildPostmanCollection(projectInfo, requests, baseUrl), null, 2)
+  );
+  fs.writeFileSync(
+    insomniaPath,
+    JSON.stringify(buildInsomniaExport(projectInfo, requests, baseUrl), null, 2)
+  );
+
+  return [postmanPath, insomniaPath];
+}
+
+/**
+ * Build one request per endpoint method, with the folders it belongs in
+ * @param {Object} projectInfo Project information
+ * @param {Array} endpoints Endpoints extracted from the route files
+ * @returns {Array} Requests ({ folders, name, method, segments, variables, body, description })
+ */
+function buildRequests(projectInfo, endpoints) {
+  return endpoints.flatMap((endpoint) => {
+    const segments = endpoint.path.split("/").filter(Boolean);
+    const variables = segments
+      .map((segment) => segment.match(/^\{(\w+)\??\}$/))
+      .filter(Boolean)
+      .map((match) => match[1]);
+
+    const methods = getEndpointMethods(endpoint.method);
+    return methods.map((method) => {
+      const upperMethod = method.toUpperCase();
+      const input = getEndpointInput(projectInfo, endpoint, method);
+
+      // PUT/PATCH routes share a name, so tell them apart by method
+      let name = endpoint.routeName || `${upperMethod} /${segments.join("/")}`;
+      if (endpoint.routeName && methods.length > 1) name += ` (${upperMethod})`;
+
+      return {
+        folders: [endpoint.routeFile, endpoint.group].filter(Boolean),
+        name,
+        method: upperMethod,
+        segments,
+        variables,
+        body: input.body ? exampleFromSchema(input.body.schema) : null,
+        description: `${endpoint.description}\n\nHandler: ${endpoint.handler}`,
+      };
+    });
+  });
+}
+
+/**
+ * Build a Postman v2.1 collection
+ * @param {Object} projectInfo Project information
+ * @param {Array} requests Requests built from the endpoints
+ * @param {string} baseUrl Initial value of the baseUrl variable
+ * @returns {Object} Postman collection
+ */
+function buildPostmanCollection(projectInfo, requests, baseUrl) {
+  const collection = {
+    info: {
+      name: projectInfo.name,
+      description: "Generated by Laravel2Doc",
+      schema: POSTMAN_SCHEMA,
+    },
+    item: [],
+    auth: {
+      type: "bearer",
+      bearer: [{ key: "token", value: "{{token}}", type: "string" }],
+    },
+    variable: [
+      { key: "baseUrl", value: baseUrl, type: "string" },
+      { key: "token", value: "", type: "string" },
+    ],
+  };
+
+  requests.forEach((request) => {
+    // Postman writes path variables as :name and fills them per request
+    const urlPath = request.segments.map((segment) =>
+      segment.replace(/^\{(\w+)\??\}$/, ":$1")
+    );
+
+    const item = {
+      name: request.name,
+      request: {
+        method: request.method,
+        header: [{ key: "Accept", value: "application/json" }],
+        url: {
+          raw: `{{baseUrl}}/${urlPath.join("/")}`,
+          host: ["{{baseUrl}}"],
+          path: urlPath,
+        },
+        description: request.description,
+      },
+    };
+
+    if (request.variables.length > 0) {
+      item.request.url.variable = request.variables.map((key) => ({ key, value: "" }));
+    }
+    if (request.body) {
+      item.request.header.push({ key: "Content-Type", value: "application/json" });
+      item.request.body = {
+        mode: "raw",
+        raw: JSON.stringify(request.body, null, 2),
+        options: { raw: { language: "json" } },
+      };
+    }
+
+    findFolder(collection.item, request.folders).push(item);
+  });
+
+  return collection;
+}
+
+/**
+ * Build an Insomnia v4 export
+ * @param {Object} projectInfo Project information
+ * @param {Array} requests Requests built from the endpoints
+ * @param {string} baseUrl Initial value of the baseUrl variable
+ * @returns {Object} Insomnia export
+ */
+function buildInsomniaExport(projectInfo, requests, baseUrl) {
+  const workspaceId = "wrk_laravel2doc";
+  const resources = [
+    {
+      _id: workspaceId,
+      _type: "workspace",
+      parentId: null,
+      name: projectInfo.name,
+      description: "Generated by Laravel2Doc",
+      scope: "collection",
+    },
+  ];
+
+  // Insomnia has no per-request path variables, so they live in the environment
+  const environment = { baseUrl, token: "" };
+  requests.forEach((request) => {
+    request.variables.forEach((name) => {
+      environment[name] = "";
+    });
+  });
+  resources.push({
+    _id: "env_laravel2doc",
+    _type: "environment",
+    parentId: workspaceId,
+    name: "Base Environment",
+    data: environment,
+  });
+
+  const folderIds = new Map();
+  const folderId = (folders) => {
+    let parentId = workspaceId;
+    folders.forEach((name, index) => {
+      const key = folders.slice(0, index + 1).join("/");
+      if (!folderIds.has(key)) {
+        folderIds.set(key, `fld_${folderIds.size + 1}`);
+        resources.push({ _id: folderIds.get(key), _type: "request_group", parentId, name });
+      }
+      parentId = folderIds.get(key);
+    });
+    return parentId;
+  };
+
+  requests.forEach((request, index) => {
+    const urlPath = request.segments.map((segment) =>
+      segment.replace(/^\{(\w+)\??\}$/, "{{ _.$1 }}")
+    );
+
+    const resource = {
+      _id: `req_${index + 1}`,
+      _type: "request",
+      parentId: folderId(request.folders),
+      name: request.name,
+      description: request.description,
+      method: request.method,
+      url: `{{ _.baseUrl }}/${urlPath.join("/")}`,
+      headers: [{ name: "Accept", value: "application/json" }],
+      authentication: { type: "bearer", token: "{{ _.token }}" },
+      body: {},
+    };
+
+    if (request.body) {
+      resource.headers.push({ name: "Content-Type", value: "application/json" });
+      resource.body = {
+        mimeType: "application/json",
+        text: JSON.stringify(request.body, null, 2),
+      };
+    }
+
+    resources.push(resource);
+  });
+
+  return {
+    _type: "export",
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: "laravel2doc",
+    resources,
+  };
+}
+
+/**
+ * Find (or create) the nested Postman folder for a path of folder names
+ * @param {Array} items Top-level items
+ * @param {Array} folders Folder names, outermost first
+ * @returns {Array} Items of the innermost folder
+ */
+function findFolder(items, folders) {
+  return folders.reduce((current, name) => {
+    let folder = current.find((item) => item.name === name && item.item);
+    if (!folder) {
+      folder = { name, item: [] };
+      current.push(folder);
+    }
+    return folder.item;
+  }, items);
+}
+
+/**
+ * Build an example value for a JSON schema
+ * @param {Object} schema JSON schema
+ * @returns {*} Example value
+ */
+function exampleFromSchema(schema) {
+  if (schema.example !== undefined) return schema.example;
+  if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case "object": {
+      const example = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        example[name] = exampleFromSchema(property);
+      });
+      return example;
+    }
+    case "array":
+      return schema.items ? [exampleFromSchema(schema.items)] : [];
+    case "integer":
+    case "number":
+      return schema.minimum || 0;
+    case "boolean":
+      return false;
+    default:
+      return "";
+  }
+}
+
+module.exports = {
+  generateCollections,
+  exampleFromSchema,
+  DEFAULT_BASE_URL,
+};
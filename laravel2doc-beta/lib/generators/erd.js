@@ -1,5 +1,22 @@
 const fs = require("fs");
 const path = require("path");
+const { getModelTableName, classBasename } = require("../utils/naming");
+const { stripComments, getPropertyValue } = require("../utils/php");
+const { getModelCasts } = require("../utils/laravel");
+const {
+  describeRelationshipKeys,
+  getMorphType,
+} = require("../utils/relationships");
+
+/**
+ * Relationship types that go through a pivot table
+ */
+const MANY_TO_MANY_TYPES = ["belongsToMany", "morphToMany", "morphedByMany"];
+
+/**
+ * Polymorphic relationship types drawn per concrete owner model
+ */
+const MORPH_TYPES = ["morphTo", "morphOne", "morphMany"];
 
 /**
  * Generate ERD (Entity Relationship Diagram) from project models and ORM
@@ -20,9 +37,20 @@ async function generateERD(projectInfo, outputDir) {
   const processedModels = new Set();
   const foreignKeys = new Map();
 
+  // Models sharing a class basename are told apart by their namespace
+  const entityName = createEntityNamer(projectInfo.models);
+
+  // Custom pivot models are drawn as part of their pivot table entity
+  const entityModels = projectInfo.models.filter(
+    (model) =>
+      !projectInfo.relationships.some((rel) =>
+        rel.pivotClass ? rel.pivotClass === model.fullName : rel.pivotModel === model.name
+      )
+  );
+
   // First pass: Process models and collect foreign keys
-  projectInfo.models.forEach((model) => {
-    const modelName = model.name.toLowerCase();
+  entityModels.forEach((model) => {
+    const modelName = entityName(model.name, model.fullName);
     if (processedModels.has(modelName)) return;
     processedModels.add(modelName);
 
@@ -30,48 +58,44 @@ async function generateERD(projectInfo, outputDir) {
     extractForeignKeys(model, foreignKeys);
   });
 
+  // Group polymorphic relationships by the child entity and morph name
+  const morphGroups = collectMorphGroups(projectInfo, processedModels, entityName);
+
   // Second pass: Generate entities with proper key annotations
-  projectInfo.models.forEach((model) => {
-    const modelName = model.name.toLowerCase();
+  entityModels.forEach((model) => {
+    const modelName = entityName(model.name, model.fullName);
+    const table =
+      projectInfo.schema && projectInfo.schema.tables[getModelTableName(model)];
 
-    // Extract model attributes and column definitions
-    const attributes = extractModelAttributes(model, foreignKeys);
+    // Prefer the real columns from migrations, fall back to guessing from the model
+    const attributes = table
+      ? extractTableAttributes(model, table)
+      : extractModelAttributes(model, foreignKeys);
+    annotateMorphColumns(attributes, morphGroups, modelName);
 
     if (attributes.length > 0) {
       mermaidContent += `  ${modelName} {\n`;
 
       // Add default ID if not explicitly defined
-      if (!attributes.some((attr) => attr.isPrimaryKey)) {
+      if (!table && !attributes.some((attr) => attr.isPrimaryKey)) {
         mermaidContent += `    int id PK "Primary key"\n`;
       }
 
       // Add all attributes found in the model
       attributes.forEach((attr) => {
-        let keyAnnotation = "";
-        let comment = "";
-
-        if (attr.isPrimaryKey) {
-          keyAnnotation = " PK";
-          comment = ' "Primary key"';
-        } else if (attr.isForeignKey) {
-          keyAnnotation = " FK";
-          comment = ` "References ${attr.references}"`;
-        }
-
-        mermaidContent += `    ${attr.type} ${attr.name}${keyAnnotation}${comment}\n`;
+        mermaidContent += renderAttribute(attr);
       });
 
-      // Check for timestamps and soft deletes based on model traits
-      if (
-        model.content.includes("use HasFactory") ||
-        model.content.includes("use Timestamps") ||
-        !model.content.includes("public $timestamps = false")
-      ) {
+      // Migrations already list timestamps, otherwise infer them from the model
+      if (!table && getPropertyValue(model.classInfo, "timestamps") !== false) {
         mermaidContent += `    datetime created_at\n`;
         mermaidContent += `    datetime updated_at\n`;
       }
 
-      if (model.content.includes("use SoftDeletes")) {
+      const usesSoftDeletes =
+        model.classInfo &&
+        model.classInfo.traits.some((trait) => classBasename(trait) === "SoftDeletes");
+      if (!table && usesSoftDeletes) {
         mermaidContent += `    datetime deleted_at\n`;
       }
 
@@ -79,23 +103,117 @@ async function generateERD(projectInfo, outputDir) {
     }
   });
 
-  // Add relationships with proper cardinality
+  // Pivot tables of many-to-many relationships get their own entity
+  const pivots = collectPivots(projectInfo.relationships, processedModels, entityName);
+  pivots.forEach((pivot) => {
+    const table = projectInfo.schema && projectInfo.schema.tables[pivot.table];
+    const pivotModel = projectInfo.models.find((m) =>
+      pivot.pivotClass ? m.fullName === pivot.pivotClass : m.name === pivot.pivotModel
+    );
+
+    mermaidContent += `  ${pivot.table} {\n`;
+    extractPivotAttributes(pivot, table, pivotModel).forEach((attr) => {
+      mermaidContent += renderAttribute(attr);
+    });
+    mermaidContent += `  }\n`;
+  });
+
+  // Draw edges for the foreign key constraints declared in migrations
+  const tableEntities = new Map();
+  entityModels.forEach((model) => {
+    const tableName = getModelTableName(model);
+    if (projectInfo.schema && projectInfo.schema.tables[tableName]) {
+      tableEntities.set(tableName, entityName(model.name, model.fullName));
+    }
+  });
+  pivots.forEach((pivot) => {
+    if (projectInfo.schema && projectInfo.schema.tables[pivot.table]) {
+      tableEntities.set(pivot.table, pivot.table);
+    }
+  });
+
+  // Tables created by migrations without an Eloquent model are drawn too,
+  // so their constraints have an entity on both ends
+  Object.entries((projectInfo.schema && projectInfo.schema.tables) || {}).forEach(
+    ([tableName, table]) => {
+      if (tableEntities.has(tableName)) return;
+
+      const entity =
+        processedModels.has(tableName) || pivots.has(tableName)
+          ? `${tableName}_table`
+          : tableName;
+      tableEntities.set(tableName, entity);
+
+      if (table.columns.length > 0) {
+        mermaidContent += `  ${entity} {\n`;
+        extractTableAttributes({ classInfo: null }, table).forEach((attr) => {
+          mermaidContent += renderAttribute(attr);
+        });
+        mermaidContent += `  }\n`;
+      }
+    }
+  );
+
+  const constrainedPairs = new Set();
+  tableEntities.forEach((entityName, tableName) => {
+    const table = projectInfo.schema.tables[tableName];
+
+    table.foreignKeys.forEach((foreignKey) => {
+      // Constraints on tables outside the migrations still get their edge
+      const parentEntity = tableEntities.get(foreignKey.on) || foreignKey.on;
+
+      constrainedPairs.add([parentEntity, entityName].sort().join("|"));
+      mermaidContent += `  ${parentEntity} ${getForeignKeySymbol(
+        table,
+        foreignKey
+      )} ${entityName} : "${describeForeignKey(foreignKey)}"\n`;
+    });
+  });
+
+  // Connect pivot tables to both sides unless a constraint already does
+  pivots.forEach((pivot) => {
+    pivot.links.forEach((link) => {
+      if (constrainedPairs.has([link.entity, pivot.table].sort().join("|"))) {
+        return;
+      }
+
+      const label = link.morphName
+        ? `${link.key} (morph ${link.morphName})`
+        : link.key;
+      mermaidContent += `  ${link.entity} ||--o{ ${pivot.table} : "${label}"\n`;
+    });
+  });
+
+  // Draw one edge per concrete owner of each polymorphic relationship
+  morphGroups.forEach((group) => {
+    group.owners.forEach((owner, ownerEntity) => {
+      const symbol = owner.many ? "||--o{" : "||--o|";
+      const names = owner.names.length ? ` (${owner.names.join(", ")})` : "";
+      mermaidContent += `  ${ownerEntity} ${symbol} ${group.child} : "${group.morphType}/${group.morphId}${names}"\n`;
+    });
+  });
+
+  // Add model relationships that aren't backed by a constraint
   projectInfo.relationships.forEach((rel) => {
-    let sourceModel = cleanModelName(rel.sourceModel);
-    let targetModel = cleanModelName(rel.targetModel);
+    let sourceModel = entityName(rel.sourceModel, rel.sourceClass);
+    let targetModel = entityName(rel.targetModel, rel.targetClass);
 
     if (
+      MANY_TO_MANY_TYPES.includes(rel.relationshipType) ||
+      MORPH_TYPES.includes(rel.relationshipType) ||
       !processedModels.has(sourceModel) ||
-      !processedModels.has(targetModel)
+      !processedModels.has(targetModel) ||
+      constrainedPairs.has([sourceModel, targetModel].sort().join("|"))
     ) {
       return;
     }
 
-    // Determine relationship symbol and add optional labels
+    // Determine relationship symbol and label it with the keys it uses
     const relationshipDetails = getRelationshipDetails(rel);
-    const relationshipName = rel.relationshipName || "";
+    const keys = describeRelationshipKeys(rel);
+    const relationshipName = `${rel.relationshipName || ""}${keys ? ` (${keys})` : ""}`;
 
-    mermaidContent += `  ${sourceModel} ${relationshipDetails.symbol} ${targetModel} : "${relationshipName}"\n`;
+    mermaidContent += `  ${sourceModel} ${relationshipDetails.symbol} ${targetModel} : "${relationshipName.replace(/"/g, "'")}"\n`;
   });
 
   // Write ERD diagram to file
@@ -118,17 +236,296 @@ async function generateERD(projectInfo, outputDir) {
   };
 }
 
+/**
+ * Render one attribute line of an entity with its keys and notes
+ * @param {Object} attr Attribute object
+ * @returns {string} Mermaid attribute line
+ */
+function renderAttribute(attr) {
+  const keys = [];
+  const notes = [];
+
+  if (attr.isPrimaryKey) {
+    keys.push("PK");
+    notes.push("Primary key");
+  }
+  if (attr.isForeignKey) {
+    keys.push("FK");
+    notes.push(`References ${attr.references}`);
+  }
+  if (attr.isUnique) {
+    keys.push("UK");
+  }
+  notes.push(...(attr.details || []));
+
+  const keyAnnotation = keys.length ? ` ${keys.join(", ")}` : "";
+  const comment = notes.length
+    ? ` "${notes.join(", ").replace(/"/g, "'")}"`
+    : "";
+
+  return `    ${attr.type} ${attr.name}${keyAnnotation}${comment}\n`;
+}
+
+/**
+ * Collect polymorphic relationships by child entity and morph name, with
+ * every concrete owner found through morphOne/morphMany declarations or
+ * the resolved targets of morphTo
+ * @param {Object} projectInfo Project information
+ * @param {Set} processedModels Entity names of the models in the diagram
+ * @param {Function} entityName Entity name resolver from createEntityNamer()
+ * @returns {Map} Morph groups keyed by "child|morphName"
+ */
+function collectMorphGroups(projectInfo, processedModels, entityName) {
+  const groups = new Map();
+
+  const addOwner = (child, rel, owner, type, many, relationName) => {
+    if (!processedModels.has(child) || !processedModels.has(owner)) return;
+
+    const key = `${child}|${rel.morphName}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        child,
+        morphType: rel.morphType,
+        morphId: rel.morphId,
+        owners: new Map(),
+        types: [],
+      });
+    }
+    const group = groups.get(key);
+
+    if (!group.owners.has(owner)) {
+      group.owners.set(owner, { many: false, names: [] });
+    }
+    const entry = group.owners.get(owner);
+    entry.many = entry.many || many;
+    if (relationName && !entry.names.includes(relationName)) {
+      entry.names.push(relationName);
+    }
+    if (!group.types.includes(type)) {
+      group.types.push(type);
+    }
+  };
+
+  projectInfo.relationships.forEach((rel) => {
+    if (!rel.morphName || !rel.morphType || !rel.morphId) return;
+
+    if (rel.relationshipType === "morphOne" || rel.relationshipType === "morphMany") {
+      const type = getMorphType(rel.sourceClass || rel.sourceModel, projectInfo.morphMap || {});
+      addOwner(
+        entityName(rel.targetModel, rel.targetClass),
+        rel,
+        entityName(rel.sourceModel, rel.sourceClass),
+        type,
+        rel.relationshipType === "morphMany",
+        rel.relationshipName
+      );
+    } else if (rel.relationshipType === "morphTo") {
+      (rel.morphTargets || []).forEach((target) => {
+        addOwner(
+          entityName(rel.sourceModel, rel.sourceClass),
+          rel,
+          entityName(target.model, target.className),
+          target.type,
+          false,
+          null
+        );
+      });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Make sure an entity lists the *_type and *_id columns of its polymorphic
+ * relationships, noting which owners and type values they hold
+ * @param {Array} attributes Entity attributes
+ * @param {Map} morphGroups Morph groups from collectMorphGroups()
+ * @param {string} entity Entity name
+ */
+function annotateMorphColumns(attributes, morphGroups, entity) {
+  morphGroups.forEach((group) => {
+    if (group.child !== entity) return;
+
+    const ensureAttribute = (name, type) => {
+      let attr = attributes.find((a) => a.name === name);
+      if (!attr) {
+        attr = {
+          name,
+          type,
+          isPrimaryKey: false,
+          isForeignKey: false,
+          isUnique: false,
+          references: null,
+          details: [],
+        };
+        attributes.push(attr);
+      }
+      attr.details = attr.details || [];
+      return attr;
+    };
+
+    ensureAttribute(group.morphType, "string").details.push(
+      `morph type ${group.types.join(" / ")}`
+    );
+    ensureAttribute(group.morphId, "int").details.push(
+      `morph to ${[...group.owners.keys()].join(" / ")}`
+    );
+  });
+}
+
+/**
+ * Collect the pivot tables used by many-to-many relationships
+ * @param {Array} relationships Model relationships
+ * @param {Set} processedModels Entity names of the models in the diagram
+ * @param {Function} entityName Entity name resolver from createEntityNamer()
+ * @returns {Map} Pivot tables keyed by table name
+ */
+function collectPivots(relationships, processedModels, entityName) {
+  const pivots = new Map();
+
+  relationships.forEach((rel) => {
+    const source = entityName(rel.sourceModel, rel.sourceClass);
+    const target = entityName(rel.targetModel, rel.targetClass);
+    if (
+      !MANY_TO_MANY_TYPES.includes(rel.relationshipType) ||
+      !rel.table ||
+      !processedModels.has(source) ||
+      !processedModels.has(target)
+    ) {
+      return;
+    }
+
+    if (!pivots.has(rel.table)) {
+      pivots.set(rel.table, {
+        table: rel.table,
+        links: [],
+        morphType: null,
+        pivotColumns: [],
+        timestamps: false,
+        pivotModel: null,
+        pivotClass: null,
+      });
+    }
+    const pivot = pivots.get(rel.table);
+
+    // The morph side of morphToMany is the parent, of morphedByMany the related model
+    const morphName = rel.morphName || null;
+    addPivotLink(pivot, source, rel.foreignPivotKey, rel.relationshipType === "morphToMany" ? morphName : null);
+    addPivotLink(pivot, target, rel.relatedPivotKey, rel.relationshipType === "morphedByMany" ? morphName : null);
+
+    if (rel.morphType) {
+      pivot.morphType = rel.morphType;
+    }
+    (rel.pivotColumns || []).forEach((column) => {
+      if (!pivot.pivotColumns.includes(column)) pivot.pivotColumns.push(column);
+    });
+    pivot.timestamps = pivot.timestamps || Boolean(rel.pivotTimestamps);
+    if (!pivot.pivotModel && rel.pivotModel) {
+      pivot.pivotModel = rel.pivotModel;
+      pivot.pivotClass = rel.pivotClass || null;
+    }
+  });
+
+  return pivots;
+}
+
+/**
+ * Record that a pivot table points at a model through a key column
+ * @param {Object} pivot Pivot table
+ * @param {string} entity Entity name of the model
+ * @param {string} key Key column in the pivot table
+ * @param {string|null} morphName Morph name when the key is polymorphic
+ */
+function addPivotLink(pivot, entity, key, morphName) {
+  if (!pivot.links.some((link) => link.entity === entity && link.key === key)) {
+    pivot.links.push({ entity, key, morphName });
+  }
+}
+
+/**
+ * Build the attributes of a pivot table from its migration or, when it
+ * has none, the ->withPivot() columns and the custom pivot model
+ * @param {Object} pivot Pivot table
+ * @param {Object|undefined} table Table definition from the migration schema
+ * @param {Object|undefined} pivotModel Custom pivot model
+ * @returns {Array} Array of attribute objects
+ */
+function extractPivotAttributes(pivot, table, pivotModel) {
+  // The migration is authoritative, the relationship only hints at which
+  // of its columns are ->withPivot() attributes
+  if (table) {
+    return extractTableAttributes(pivotModel || { classInfo: null }, table).map((attr) =>
+      pivot.pivotColumns.includes(attr.name)
+        ? { ...attr, details: ["pivot attribute", ...attr.details] }
+        : attr
+    );
+  }
+
+  const attributes = [];
+  const addAttribute = (name, attr) => {
+    if (attributes.some((a) => a.name === name)) return;
+    attributes.push({
+      name,
+      isPrimaryKey: false,
+      isForeignKey: false,
+      isUnique: false,
+      references: null,
+      details: [],
+      ...attr,
+    });
+  };
+
+  pivot.links.forEach((link) => {
+    addAttribute(link.key, {
+      type: "int",
+      isForeignKey: true,
+      references: link.entity,
+    });
+  });
+  if (pivot.morphType) {
+    addAttribute(pivot.morphType, { type: "string" });
+  }
+  pivot.pivotColumns.forEach((column) => {
+    addAttribute(column, {
+      type: inferAttributeType(column),
+      details: ["pivot attribute"],
+    });
+  });
+
+  if (pivotModel) {
+    Object.entries(getModelCasts(pivotModel.classInfo)).forEach(([name, cast]) => {
+      if (typeof cast !== "string") return;
+
+      // Casts on the pivot model tell us more than a guessed type
+      const existing = attributes.find((a) => a.name === name);
+      if (existing) {
+        existing.type = mapCastTypeToErdType(cast);
+      }
+      addAttribute(name, { type: mapCastTypeToErdType(cast) });
+    });
+  }
+
+  if (pivot.timestamps) {
+    addAttribute("created_at", { type: "datetime" });
+    addAttribute("updated_at", { type: "datetime" });
+  }
+
+  return attributes;
+}
+
 /**
  * Extract foreign keys from model relationships
  * @param {Object} model The model object
  * @param {Map} foreignKeys Map to store foreign keys
  */
 function extractForeignKeys(model, foreignKeys) {
-  const modelName = model.name.toLowerCase();
+  const modelName = model.fullName || model.name;
+  const content = stripComments(model.content);
 
   // Look for belongsTo relationships which imply foreign keys
   const belongsToMatches = [
-    ...model.content.matchAll(
+    ...content.matchAll(
       /belongsTo\(\s*([^,)]+)(?:,\s*['"]([^'"]+)['"])?\s*\)/g
     ),
   ];
@@ -149,7 +546,7 @@ function extractForeignKeys(model, foreignKeys) {
   });
 
   // Also check for explicit foreign keys in $casts or manually defined relations
-  const foreignKeyMatches = [...model.content.matchAll(/['"]([^'"]+_id)['"]/g)];
+  const foreignKeyMatches = [...content.matchAll(/['"]([^'"]+_id)['"]/g)];
   foreignKeyMatches.forEach((match) => {
     const foreignKeyName = match[1];
     // Determine referenced model from key name
@@ -171,22 +568,18 @@ function extractForeignKeys(model, foreignKeys) {
 
 /**
  * Extract model attributes with proper key information
- * @param {Object} model Model object with content
+ * @param {Object} model Model object with classInfo
  * @param {Map} foreignKeys Map of foreign keys by model
  * @returns {Array} Array of attribute objects
  */
 function extractModelAttributes(model, foreignKeys) {
-  const modelName = model.name.toLowerCase();
+  const modelName = model.fullName || model.name;
   const attributes = [];
 
   // Extract fillable attributes
-  const fillableMatch = model.content.match(
-    /protected\s+\$fillable\s*=\s*\[([\s\S]*?)\]/
-  );
-  if (fillableMatch) {
-    const fillableAttrs = fillableMatch[1].match(/'([^']+)'/g) || [];
-    fillableAttrs.forEach((attr) => {
-      const attrName = attr.replace(/'/g, "");
+  const fillable = getPropertyValue(model.classInfo, "fillable");
+  if (Array.isArray(fillable)) {
+    fillable.filter((attr) => typeof attr === "string").forEach((attrName) => {
       attributes.push({
         name: attrName,
         type: inferAttributeType(attrName),
@@ -200,42 +593,30 @@ function extractModelAttributes(model, foreignKeys) {
   }
 
   // Extract casts
-  const castsMatch =
-    model.content.match(/protected\s+\$casts\s*=\s*\[([\s\S]*?)\]/) ||
-    model.content.match(/protected\s+\$casts\s*=\s*\{([\s\S]*?)\}/);
-  if (castsMatch) {
-    const castEntries = [
-      ...castsMatch[1].matchAll(/'([^']+)'\s*=>\s*'([^']+)'/g),
-    ];
-    castEntries.forEach((entry) => {
-      const attrName = entry[1];
-      const castType = entry[2];
-
-      // Update existing attribute or add new one
-      const existingAttr = attributes.find((a) => a.name === attrName);
-      if (existingAttr) {
-        existingAttr.type = mapCastTypeToErdType(castType);
-      } else {
-        attributes.push({
-          name: attrName,
-          type: mapCastTypeToErdType(castType),
-          isPrimaryKey: attrName === "id",
-          isForeignKey: attrName.endsWith("_id"),
-          references: attrName.endsWith("_id")
-            ? attrName.replace("_id", "")
-            : null,
-        });
-      }
-    });
-  }
+  const casts = getModelCasts(model.classInfo);
+  Object.entries(casts).forEach(([attrName, castType]) => {
+    if (typeof castType !== "string") return;
 
-  // Check for custom primary key
-  const primaryKeyMatch = model.content.match(
-    /protected\s+\$primaryKey\s*=\s*'([^']+)'/
-  );
-  if (primaryKeyMatch) {
-    const pkName = primaryKeyMatch[1];
+    // Update existing attribute or add new one
+    const existingAttr = attributes.find((a) => a.name === attrName);
+    if (existingAttr) {
+      existingAttr.type = mapCastTypeToErdType(castType);
+    } else {
+      attributes.push({
+        name: attrName,
+        type: mapCastTypeToErdType(castType),
+        isPrimaryKey: attrName === "id",
+        isForeignKey: attrName.endsWith("_id"),
+        references: attrName.endsWith("_id")
+          ? attrName.replace("_id", "")
+          : null,
+      });
+    }
+  });
 
+  // Check for custom primary key
+  const pkName = getPropertyValue(model.classInfo, "primaryKey");
+  if (typeof pkName === "string") {
     // Mark existing attribute as PK or add new one
     const existingPk = attributes.find((a) => a.name === pkName);
     if (existingPk) {
@@ -279,6 +660,149 @@ function extractModelAttributes(model, foreignKeys) {
   return attributes;
 }
 
+/**
+ * Build model attributes from the table columns defined in migrations
+ * @param {Object} model Model object with classInfo
+ * @param {Object} table Table definition from the migration schema
+ * @returns {Array} Array of attribute objects
+ */
+function extractTableAttributes(model, table) {
+  const modelPrimaryKey = getPropertyValue(model.classInfo, "primaryKey");
+  let primaryKey = table.primaryKey;
+  if (primaryKey.length === 0 && typeof modelPrimaryKey === "string") {
+    primaryKey = [modelPrimaryKey];
+  }
+
+  return table.columns.map((column) => {
+    const details = [];
+    const foreignKey = table.foreignKeys.find((fk) =>
+      fk.columns.includes(column.name)
+    );
+    const uniqueIndex = table.indexes.find(
+      (index) => index.type === "unique" && index.columns.includes(column.name)
+    );
+    const isIndexed = table.indexes.some(
+      (index) => index.type === "index" && index.columns.includes(column.name)
+    );
+
+    if (primaryKey.length > 1 && primaryKey.includes(column.name)) {
+      details.push(`composite key (${primaryKey.join(", ")})`);
+    }
+    if (uniqueIndex && uniqueIndex.columns.length > 1) {
+      details.push(`unique (${uniqueIndex.columns.join(", ")})`);
+    }
+    if (isIndexed) {
+      details.push("indexed");
+    }
+
+    let references = null;
+    if (foreignKey) {
+      const position = foreignKey.columns.indexOf(column.name);
+      references = `${foreignKey.on}.${
+        foreignKey.references[position] || foreignKey.references[0]
+      }`;
+    }
+
+    return {
+      name: column.name,
+      type: formatColumnType(column),
+      isPrimaryKey: primaryKey.includes(column.name),
+      isForeignKey: Boolean(foreignKey),
+      isUnique: Boolean(uniqueIndex),
+      references,
+      details: details.concat(describeColumn(column)),
+    };
+  });
+}
+
+/**
+ * Get the mermaid cardinality for a foreign key constraint (parent to child)
+ * @param {Object} table Table that owns the foreign key
+ * @param {Object} foreignKey Foreign key definition
+ * @returns {string} Relationship symbol
+ */
+function getForeignKeySymbol(table, foreignKey) {
+  const sameColumns = (columns) =>
+    columns.length === foreignKey.columns.length &&
+    columns.every((column) => foreignKey.columns.includes(column));
+
+  const isNullable = foreignKey.columns.some((name) => {
+    const column = table.columns.find((c) => c.name === name);
+    return column && column.nullable;
+  });
+  const isUnique =
+    sameColumns(table.primaryKey) ||
+    table.indexes.some(
+      (index) => index.type === "unique" && sameColumns(index.columns)
+    );
+
+  return `${isNullable ? "|o" : "||"}--${isUnique ? "o|" : "o{"}`;
+}
+
+/**
+ * Describe a foreign key constraint for its relationship edge label
+ * @param {Object} foreignKey Foreign key definition
+ * @returns {string} Edge label
+ */
+function describeForeignKey(foreignKey) {
+  const parts = [foreignKey.columns.join(", ")];
+
+  if (foreignKey.onDelete) {
+    parts.push(`on delete ${foreignKey.onDelete}`);
+  }
+  if (foreignKey.onUpdate) {
+    parts.push(`on update ${foreignKey.onUpdate}`);
+  }
+
+  return parts.join(", ");
+}
+
+/**
+ * Format a migration column type for the ERD, including its length
+ * @param {Object} column Column definition
+ * @returns {string} ERD type
+ */
+function formatColumnType(column) {
+  return column.length ? `${column.type}(${column.length})` : column.type;
+}
+
+/**
+ * Describe the column constraints that don't fit in the ERD type
+ * @param {Object} column Column definition
+ * @returns {Array} Short descriptions
+ */
+function describeColumn(column) {
+  const details = [];
+
+  if (column.precision !== null) {
+    details.push(
+      column.scale !== null
+        ? `precision ${column.precision}, scale ${column.scale}`
+        : `precision ${column.precision}`
+    );
+  }
+  if (column.values) {
+    details.push(`values ${column.values.join("/")}`);
+  }
+  if (column.nullable) {
+    details.push("nullable");
+  }
+  if (column.default !== undefined) {
+    details.push(
+      `default ${
+        typeof column.default === "string" && column.default !== "CURRENT_TIMESTAMP"
+          ? `'${column.default}'`
+          : column.default
+      }`
+    );
+  }
+  if (column.comment) {
+    details.push(column.comment);
+  }
+
+  return details;
+}
+
 /**
  * Infer attribute type based on attribute name
  * @param {string} attrName Attribute name
@@ -336,6 +860,32 @@ function mapCastTypeToErdType(castType) {
   return typeMap[castType.toLowerCase()] || "string";
 }
 
+/**
+ * Build the resolver for entity names. A model is drawn as its lowercased
+ * class basename, or as its full class name in snake form when another
+ * model shares that basename
+ * @param {Array} models List of models
+ * @returns {Function} Resolver taking a model name and, when known, its fully qualified class name
+ */
+function createEntityNamer(models) {
+  const basenameCounts = new Map();
+  models.forEach((model) => {
+    const basename = model.name.toLowerCase();
+    basenameCounts.set(basename, (basenameCounts.get(basename) || 0) + 1);
+  });
+
+  return (name, className) => {
+    const model = className
+      ? models.find((m) => m.fullName === className.replace(/^\\/, ""))
+      : null;
+    if (!model) return cleanModelName(name);
+
+    return basenameCounts.get(model.name.toLowerCase()) > 1 && model.fullName
+      ? model.fullName.replace(/\\/g, "_").toLowerCase()
+      : model.name.toLowerCase();
+  };
+}
+
 /**
  * Clean model name by removing namespace and ::class
  * @param {string} modelName Raw model name
@@ -385,6 +935,14 @@ function getRelationshipDetails(relationship) {
       symbol: "||--o{",
       label: "morph many",
     },
+    morphToMany: {
+      symbol: "}o--o{",
+      label: "morph many to many",
+    },
+    morphedByMany: {
+      symbol: "}o--o{",
+      label: "morph many to many",
+    },
     hasManyThrough: {
       symbol: "||..o{",
       label: "many through",
@@ -563,6 +1121,7 @@ function generateHtmlContent(projectName, version, mermaidContent) {
     <a href="../erd/"><i class="fas fa-project-diagram"></i> ERD</a>
     <a href="../uml/"><i class="fas fa-sitemap"></i> UML</a>
     <a href="../sequence/"><i class="fas fa-stream"></i> Sequence</a>
+    <a href="../async/"><i class="fas fa-bolt"></i> Async</a>
     <a href="../api/"><i class="fas fa-plug"></i> API</a>
     <a href="https://github.com/Priom7/laravel2doc" target="_blank" class="github-link">
       <i class="fab fa-github"></i> GitHub
@@ -596,7 +1155,10 @@ ${mermaidContent}
       <ul>
         <li><strong>PK</strong>: Primary Key</li>
         <li><strong>FK</strong>: Foreign Key</li>
+        <li><strong>UK</strong>: Unique Key</li>
+        <li><strong>|o--o{</strong>: Nullable Foreign Key</li>
       </ul>
+      <p>Edges labelled with column names come from foreign key constraints in your migrations, along with their on delete / on update behaviour.</p>
     </div>
   </main>
   
@@ -0,0 +1,572 @@
+const fs = require("fs");
+const path = require("path");
+const { findControllerMethod } = require("../utils/laravel");
+const { getModelTableName } = require("../utils/naming");
+const { findClosingBracket, splitTopLevel, getPropertyValue, parseValue } = require("../utils/php");
+const { getEndpointRules } = require("../utils/validation");
+const { columnSchema } = require("../utils/migrations");
+const { findResponseResource, resourceResponseSchema } = require("../utils/resources");
+const { getEndpointDocs, getEndpointInput, paramSchemaType } = require("../utils/docblocks");
+const { parseMiddlewareConfig, describeMiddleware, TOKEN_KINDS } = require("../utils/middleware");
+
+/**
+ * HTTP methods OpenAPI can describe, and the ones Route::any() registers
+ */
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const ANY_METHODS = ["get", "post", "put", "patch", "delete", "options"];
+
+/**
+ * Eloquent calls returning a single model, a collection or a paginator
+ */
+const SINGLE_MODEL_REGEX =
+  /(?:::|->)(?:create|find|findOrFail|first|firstOrFail|firstOrCreate|firstOrNew|updateOrCreate|make|sole)\(/;
+const COLLECTION_REGEX = /(?:::all\(\)|->get\(\))$/;
+const PAGINATOR_REGEX = /->(?:paginate|simplePaginate|cursorPaginate)\(/;
+
+/**
+ * Plain scalars YAML parsers resolve to something other than a string:
+ * null, the YAML 1.1 and 1.2 booleans, numbers and the special floats
+ */
+const YAML_NON_STRING_REGEX =
+  /^(?:~|null|true|false|yes|no|on|off|y|n|[-+]?\.inf|\.nan|[-+]?(?:\.\d+|\d[\d_]*(?:\.\d*)?)(?:e[-+]?\d+)?)$/i;
+
+/**
+ * Security scheme of the operations that need a token (Sanctum, Passport)
+ */
+const BEARER_SCHEME = { type: "http", scheme: "bearer" };
+
+/**
+ * Body Laravel sends back when validation fails
+ */
+const VALIDATION_ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    message: { type: "string" },
+    errors: {
+      type: "object",
+      additionalProperties: { type: "array", items: { type: "string" } },
+    },
+  },
+};
+
+/**
+ * Generate an OpenAPI 3.1 description of the endpoints as JSON and YAML
+ * @param {Object} projectInfo Project information
+ * @param {Array} endpoints Endpoints extracted from the route files
+ * @param {string} apiDir API documentation directory
+ * @returns {Array} Paths of the written files
+ */
+function generateOpenAPISpec(projectInfo, endpoints, apiDir) {
+  const spec = buildOpenAPISpec(projectInfo, endpoints);
+
+  const jsonPath = path.join(apiDir, "openapi.json");
+  const yamlPath = path.join(apiDir, "openapi.yaml");
+  fs.writeFileSync(jsonPath, JSON.stringify(spec, null, 2));
+  fs.writeFileSync(yamlPath, toYaml(spec));
+
+  return [jsonPath, yamlPath];
+}
+
+/**
+ * Build the OpenAPI document for a list of endpoints
+ * @param {Object} projectInfo Project information
+ * @param {Array} endpoints Endpoints extracted from the route files
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenAPISpec(projectInfo, endpoints) {
+  const spec = {
+    openapi: "3.1.0",
+    info: {
+      title: projectInfo.name,
+      version: "1.0.0",
+      description:
+        projectInfo.version && projectInfo.version !== "Unknown"
+          ? `Generated by Laravel2Doc from a Laravel ${projectInfo.version} project`
+          : "Generated by Laravel2Doc",
+    },
+    tags: [],
+    paths: {},
+    components: { schemas: {} },
+  };
+  const operationIds = new Set();
+
+  endpoints.forEach((endpoint) => {
+    const uri = toOpenAPIPath(endpoint.path);
+    const tag = endpoint.group || endpoint.routeFile;
+    if (!spec.tags.some((t) => t.name === tag)) {
+      spec.tags.push({ name: tag });
+    }
+
+    spec.paths[uri] = spec.paths[uri] || {};
+    getEndpointMethods(endpoint.method).forEach((method) => {
+      // The router matches the first registered route, so later ones are shadowed
+      if (spec.paths[uri][method]) return;
+      spec.paths[uri][method] = buildOperation(projectInfo, endpoint, method, tag, spec, operationIds);
+    });
+  });
+
+  if (Object.keys(spec.components.schemas).length === 0) {
+    delete spec.components.schemas;
+  }
+  if (Object.keys(spec.components).length === 0) {
+    delete spec.components;
+  }
+
+  return spec;
+}
+
+/**
+ * Build the operation object for one method of an endpoint
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @param {string} method Lowercase HTTP method
+ * @param {string} tag Tag of the endpoint
+ * @param {Object} spec OpenAPI document being built
+ * @param {Set} operationIds Operation ids already in use
+ * @returns {Object} Operation object
+ */
+function buildOperation(projectInfo, endpoint, method, tag, spec, operationIds) {
+  const docs = getEndpointDocs(projectInfo, endpoint);
+  const operation = {
+    tags: [tag],
+    summary: endpoint.description,
+    description: [docs.description, `Handler: \`${endpoint.handler}\``].filter(Boolean).join("\n\n"),
+    operationId: buildOperationId(endpoint, method, operationIds),
+  };
+
+  const parameters = getPathParameters(endpoint.path, docs.urlParams);
+  const handler = findControllerMethod(projectInfo, endpoint);
+  const rules = getEndpointRules(projectInfo, endpoint);
+  const input = getEndpointInput(projectInfo, endpoint, method);
+
+  if (input.query) {
+    const { schema } = input.query;
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      const { description, ...propertySchema } = property;
+      parameters.push({
+        name,
+        in: "query",
+        required: (schema.required || []).includes(name),
+        ...(description ? { description } : {}),
+        schema: propertySchema,
+      });
+    });
+  }
+  if (input.body) {
+    const { schema } = input.body;
+    const isUpload = Object.values(schema.properties || {}).some(
+      (p) => p.format === "binary" || (p.items && p.items.format === "binary")
+    );
+    operation.requestBody = {
+      required: true,
+      content: { [isUpload ? "multipart/form-data" : "application/json"]: { schema } },
+    };
+  }
+
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  operation.responses = inferResponses(projectInfo, endpoint, handler, rules, spec);
+
+  if (requiresToken(projectInfo, endpoint, docs)) {
+    spec.components.securitySchemes = { bearerAuth: BEARER_SCHEME };
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses["401"] = { description: "Unauthenticated" };
+  }
+  addDocumentedResponses(operation.responses, docs.responses);
+
+  return operation;
+}
+
+/**
+ * Check whether an endpoint needs a bearer token, from its auth middleware
+ * or an @authenticated annotation
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @param {Object} docs Annotations from the method's docblock
+ * @returns {boolean} True if the endpoint needs a token
+ */
+function requiresToken(projectInfo, endpoint, docs) {
+  if (docs.authenticated === true) return true;
+
+  const config = projectInfo.middlewareConfig || parseMiddlewareConfig(projectInfo.classes || []);
+  const { access } = describeMiddleware(endpoint.middleware || [], config);
+  return access.some((item) => TOKEN_KINDS.includes(item.kind));
+}
+
+/**
+ * Work out the responses of an endpoint from its controller method
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @param {Object|null} handler Controller file and parsed method
+ * @param {Object|null} rules Validation rules of the method
+ * @param {Object} spec OpenAPI document being built
+ * @returns {Object} Responses keyed by status code
+ */
+function inferResponses(projectInfo, endpoint, handler, rules, spec) {
+  const responses = {};
+  const body = handler && handler.method.body ? handler.method.body : "";
+
+  // Route::redirect() and Route::permanentRedirect() answer with their status
+  const redirect = (endpoint.handler || "").match(/^redirect\((.*), (\d{3})\)$/);
+  if (redirect) {
+    const target = parseValue(redirect[1]);
+    responses[redirect[2]] = {
+      description: `Redirect to ${typeof target === "string" ? target : redirect[1]}`,
+      headers: { Location: { schema: { type: "string" } } },
+    };
+    return responses;
+  }
+  const jsonArgs = findResponseJsonArgs(body);
+  const resourceUsage = handler ? findResponseResource(projectInfo, handler) : null;
+
+  let status = "200";
+  if (/->noContent\(/.test(body)) {
+    status = "204";
+  } else if (jsonArgs && /^\d{3}$/.test(jsonArgs[1] || "")) {
+    status = jsonArgs[1];
+  } else if (resourceUsage && !resourceUsage.collection && /(?:::|->)create\(/.test(body)) {
+    // Resources answer 201 for a model that was just created
+    status = "201";
+  }
+
+  if (status === "204") {
+    responses[status] = { description: "No content" };
+  } else if (/\bview\(|Inertia::render\(|\binertia\(/.test(body)) {
+    responses[status] = { description: "HTML page", content: { "text/html": {} } };
+  } else if (body || endpoint.routeFile === "api") {
+    const schema = resourceUsage
+      ? resourceResponseSchema(projectInfo, resourceUsage, spec.components.schemas)
+      : inferResponseSchema(projectInfo, handler, jsonArgs, spec);
+    responses[status] = {
+      description: "Successful response",
+      content: { "application/json": schema ? { schema } : {} },
+    };
+  } else {
+    responses[status] = { description: "Successful response" };
+  }
+
+  if (/\$this->authorize\(|Gate::|abort\(\s*403/.test(body)) {
+    responses["403"] = { description: "Forbidden" };
+  }
+  const bindsModel = handler && handler.method.params.some((p) => findModelByType(projectInfo, p.type));
+  if (bindsModel || /OrFail\(|abort\(\s*404/.test(body)) {
+    responses["404"] = { description: "Not found" };
+  }
+  if (rules) {
+    responses["422"] = {
+      description: "Validation error",
+      content: { "application/json": { schema: VALIDATION_ERROR_SCHEMA } },
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Add the @response examples of an endpoint to its inferred responses
+ * @param {Object} responses Responses keyed by status code
+ * @param {Array} documented Documented responses ({ status, scenario, example })
+ */
+function addDocumentedResponses(responses, documented) {
+  documented.forEach((response, index) => {
+    const status = String(response.status);
+    if (!responses[status]) {
+      responses[status] = { description: response.scenario || "Documented response" };
+    }
+    if (response.example === undefined) return;
+
+    const content = responses[status].content || {};
+    const media = content["application/json"] || {};
+    media.examples = media.examples || {};
+    media.examples[`response${index + 1}`] = {
+      summary: response.scenario || `${status} response`,
+      value: response.example,
+    };
+    content["application/json"] = media;
+    responses[status].content = content;
+  });
+}
+
+/**
+ * Find the arguments of the response()->json() call in a method body
+ * @param {string} body Method body without comments
+ * @returns {Array|null} Raw arguments, or null when there is no such call
+ */
+function findResponseJsonArgs(body) {
+  const match = body.match(/response\(\)\s*->\s*json\s*\(/);
+  if (!match) return null;
+
+  const openIndex = match.index + match[0].length - 1;
+  const closeIndex = findClosingBracket(body, openIndex);
+  return closeIndex === -1 ? null : splitTopLevel(body.slice(openIndex + 1, closeIndex), ",");
+}
+
+/**
+ * Describe the returned data when it is clearly a model, a collection of
+ * models or a paginator
+ * @param {Object} projectInfo Project information
+ * @param {Object|null} handler Controller file and parsed method
+ * @param {Array|null} jsonArgs Arguments of response()->json()
+ * @param {Object} spec OpenAPI document being built
+ * @returns {Object|null} JSON schema, or null when it can't be inferred
+ */
+function inferResponseSchema(projectInfo, handler, jsonArgs, spec) {
+  if (!handler || !handler.method.body) return null;
+  const { method } = handler;
+
+  const returnMatch = method.body.match(/return\s+([^;]+);/);
+  let expression = jsonArgs ? jsonArgs[0] : returnMatch ? returnMatch[1].trim() : null;
+  if (!expression) return null;
+
+  // Follow a returned variable back to its parameter or assignment
+  const variable = expression.match(/^\$(\w+)$/);
+  if (variable) {
+    const param = method.params.find((p) => p.name === variable[1]);
+    const model = param && findModelByType(projectInfo, param.type);
+    if (model) return modelSchemaRef(projectInfo, model, spec);
+
+    const assignments = [...method.body.matchAll(new RegExp(`\\$${variable[1]}\\s*=\\s*([^;]+);`, "g"))];
+    if (assignments.length === 0) return null;
+    expression = assignments[assignments.length - 1][1].trim();
+  }
+
+  const model = findModelByType(projectInfo, (expression.match(/^\\?([\w\\]+)::/) || [])[1]);
+  if (!model) return null;
+
+  const ref = modelSchemaRef(projectInfo, model, spec);
+  if (PAGINATOR_REGEX.test(expression)) {
+    return {
+      type: "object",
+      properties: {
+        current_page: { type: "integer" },
+        data: { type: "array", items: ref },
+        per_page: { type: "integer" },
+        total: { type: "integer" },
+        last_page: { type: "integer" },
+        next_page_url: { type: ["string", "null"] },
+        prev_page_url: { type: ["string", "null"] },
+      },
+    };
+  }
+  if (COLLECTION_REGEX.test(expression)) {
+    return { type: "array", items: ref };
+  }
+  return SINGLE_MODEL_REGEX.test(expression) ? ref : null;
+}
+
+/**
+ * Find the model a type hint or class reference names
+ * @param {Object} projectInfo Project information
+ * @param {string|null} type Type as written
+ * @returns {Object|undefined} Model file
+ */
+function findModelByType(projectInfo, type) {
+  if (!type) return undefined;
+  const name = type.replace(/^\?/, "").split("\\").pop();
+  return projectInfo.models.find((model) => model.name === name);
+}
+
+/**
+ * Add a model's schema to the components and reference it
+ * @param {Object} projectInfo Project information
+ * @param {Object} model Model file
+ * @param {Object} spec OpenAPI document being built
+ * @returns {Object} Reference to the schema
+ */
+function modelSchemaRef(projectInfo, model, spec) {
+  if (!spec.components.schemas[model.name]) {
+    spec.components.schemas[model.name] = buildModelSchema(projectInfo, model);
+  }
+  return { $ref: `#/components/schemas/${model.name}` };
+}
+
+/**
+ * Build the JSON schema of a model from its table, leaving out $hidden attributes
+ * @param {Object} projectInfo Project information
+ * @param {Object} model Model file
+ * @returns {Object} JSON schema
+ */
+function buildModelSchema(projectInfo, model) {
+  const table = projectInfo.schema && projectInfo.schema.tables[getModelTableName(model)];
+  const hidden = getPropertyValue(model.classInfo, "hidden");
+  const isVisible = (name) => !(Array.isArray(hidden) && hidden.includes(name));
+  const schema = { type: "object", properties: {} };
+
+  if (table) {
+    table.columns.filter((column) => isVisible(column.name)).forEach((column) => {
+      schema.properties[column.name] = columnSchema(column);
+    });
+  } else {
+    // Without a migration the fillable attributes are all we know
+    schema.properties.id = { type: "integer" };
+    const fillable = getPropertyValue(model.classInfo, "fillable");
+    (Array.isArray(fillable) ? fillable : []).filter(isVisible).forEach((name) => {
+      schema.properties[name] = {};
+    });
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a Laravel URI to an OpenAPI path ({id?} becomes {id})
+ * @param {string} uri Route URI
+ * @returns {string} OpenAPI path
+ */
+function toOpenAPIPath(uri) {
+  const normalized = `/${uri}`.replace(/\/+/g, "/").replace(/\{(\w+)\?\}/g, "{$1}");
+  return normalized.length > 1 ? normalized.replace(/\/$/, "") : normalized;
+}
+
+/**
+ * Get the lowercase HTTP methods of an endpoint ("PUT/PATCH", "ANY", ...)
+ * @param {string} method Endpoint method
+ * @returns {Array} HTTP methods
+ */
+function getEndpointMethods(method) {
+  if (method.toUpperCase() === "ANY") return ANY_METHODS;
+  return method
+    .toLowerCase()
+    .split(/[\/|,\s]+/)
+    .filter((m) => HTTP_METHODS.includes(m));
+}
+
+/**
+ * Build the path parameters of a route URI
+ * @param {string} uri Route URI
+ * @param {Array} urlParams URL parameters documented with @urlParam
+ * @returns {Array} Parameter objects
+ */
+function getPathParameters(uri, urlParams = []) {
+  return [...uri.matchAll(/\{(\w+)(\?)?\}/g)].map(([, name, optional]) => {
+    const documented = urlParams.find((param) => param.name === name) || {};
+    const parameter = {
+      name,
+      in: "path",
+      required: true,
+      schema: {
+        type: paramSchemaType(documented.type) || (/^(id|\w+_id)$/.test(name) ? "integer" : "string"),
+      },
+    };
+
+    // OpenAPI path parameters are always required
+    const description = [documented.description, optional && "Optional in the Laravel route"];
+    if (description.some(Boolean)) parameter.description = description.filter(Boolean).join(". ");
+    if (documented.example !== undefined) parameter.example = documented.example;
+    return parameter;
+  });
+}
+
+/**
+ * Build a unique operation id from the route name, or from the method and path
+ * @param {Object} endpoint Endpoint
+ * @param {string} method Lowercase HTTP method
+ * @param {Set} operationIds Operation ids already in use
+ * @returns {string} Operation id
+ */
+function buildOperationId(endpoint, method, operationIds) {
+  const base = endpoint.routeName
+    ? camelCase(endpoint.routeName)
+    : camelCase(`${method} ${endpoint.path.replace(/\{(\w+)\??\}/g, "by $1")}`);
+
+  // PUT/PATCH routes share a name, so tell them apart by method
+  let operationId = operationIds.has(base) ? `${base}${capitalize(method)}` : base;
+  for (let i = 2; operationIds.has(operationId); i++) {
+    operationId = `${base}${i}`;
+  }
+
+  operationIds.add(operationId);
+  return operationId;
+}
+
+/**
+ * Convert a route name or phrase such as "users.show" to camelCase
+ * @param {string} value Value to convert
+ * @returns {string} camelCase value
+ */
+function camelCase(value) {
+  const words = value.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : capitalize(word)))
+    .join("");
+}
+
+/**
+ * Upper-case the first letter of a word
+ * @param {string} word Word
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Serialize a JSON-compatible value as YAML
+ * @param {*} value Value to serialize
+ * @returns {string} YAML document
+ */
+function toYaml(value) {
+  return `${yamlLines(value, 0).join("\n")}\n`;
+}
+
+/**
+ * Serialize a value as YAML block lines at an indentation level
+ * @param {*} value Value to serialize
+ * @param {number} indent Number of spaces to indent by
+ * @returns {Array} YAML lines
+ */
+function yamlLines(value, indent) {
+  const pad = " ".repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (!isYamlBlock(item)) return [`${pad}- ${yamlScalar(item)}`];
+
+      // Nest the item two spaces in and hang its first line off the dash
+      const lines = yamlLines(item, indent + 2);
+      lines[0] = `${pad}- ${lines[0].slice(indent + 2)}`;
+      return lines;
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, item]) =>
+    isYamlBlock(item)
+      ? [`${pad}${yamlScalar(key)}:`, ...yamlLines(item, indent + 2)]
+      : [`${pad}${yamlScalar(key)}: ${yamlScalar(item)}`]
+  );
+}
+
+/**
+ * Check whether a value needs its own block (non-empty object or array)
+ * @param {*} value Value
+ * @returns {boolean} True for non-empty objects and arrays
+ */
+function isYamlBlock(value) {
+  return value !== null && typeof value === "object" && Object.keys(value).length > 0;
+}
+
+/**
+ * Serialize a scalar (or empty object/array) as a YAML flow value, quoting
+ * strings that would otherwise be read as something else
+ * @param {*} value Value
+ * @returns {string} YAML value
+ */
+function yamlScalar(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "[]";
+  if (typeof value === "object") return "{}";
+  if (typeof value !== "string") return String(value);
+
+  const isPlain =
+    /^[A-Za-z_/.$][\w ./{}$-]*$/.test(value) &&
+    !/\s$/.test(value) &&
+    !YAML_NON_STRING_REGEX.test(value);
+  return isPlain ? value : JSON.stringify(value);
+}
+
+module.exports = {
+  generateOpenAPISpec,
+  buildOpenAPISpec,
+  getEndpointMethods,
+};
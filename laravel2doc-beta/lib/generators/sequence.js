@@ -1,5 +1,8 @@
 const fs = require("fs");
 const path = require("path");
+const { traceMethod, traceRequest } = require("../utils/callgraph");
+const { findControllerMethod } = require("../utils/laravel");
+const { endpointAnchor } = require("../utils/routes");
 
 /**
  * Generate sequence diagrams from project info with enhanced UI and features
@@ -16,6 +19,8 @@ async function generateSequenceDiagrams(projectInfo, outputDir, options = {}) {
     showNotes: options.showNotes || true,
     animateDiagrams: options.animateDiagrams || true,
     groupByController: options.groupByController || true,
+    depth: options.depth === undefined ? 2 : options.depth, // levels of app class calls to follow
+    lifecycle: options.lifecycle || false, // draw middleware, binding, validation and policies too
     ...options,
   };
 
@@ -35,162 +40,110 @@ async function generateSequenceDiagrams(projectInfo, outputDir, options = {}) {
       byController: {},
     };
 
-    console.log(
-      `Generating sequence diagrams for ${projectInfo.controllers.length} controllers...`
-    );
+    const routes = projectInfo.routes || [];
+    console.log(`Generating sequence diagrams for ${routes.length} routes...`);
 
-    for (const controller of projectInfo.controllers) {
-      // Extract controller name without "Controller" suffix
-      const controllerName = controller.name.replace(/Controller$/, "");
-      diagramsByController[controllerName] = [];
-      stats.byController[controllerName] = 0;
+    // One diagram per route, so an action served by several routes gets one
+    // for each and the request is drawn with its real verb and URI
+    const routedMethods = new Set();
+    const usedIds = new Set();
+    for (const route of routes) {
+      // Closure, view and redirect routes have no controller method to walk
+      const handler = findControllerMethod(projectInfo, route);
+      if (!handler) continue;
 
-      // Extract action methods from controller
-      const methodMatches = [
-        ...controller.content.matchAll(
-          /public\s+function\s+(\w+)\s*\([^)]*\)/g
+      const { controller, method } = handler;
+      const methodName = method.name;
+      const controllerName = controller.name.replace(/Controller$/, "");
+      routedMethods.add(method);
+
+      const sequenceType = getSequenceType(methodName, route);
+
+      // Walk the action's statements, following calls into app classes; the
+      // lifecycle mode starts at the router and goes through the middleware
+      const trace = config.lifecycle
+        ? traceRequest(projectInfo, controller, method, route, { depth: config.depth })
+        : traceMethod(projectInfo, controller, method, { depth: config.depth });
+      const request = `${route.method} ${route.path}`;
+      const diagram = renderSequence(trace, request, config);
+      const usedModels = trace.participants
+        .filter((participant) => participant.kind === "model")
+        .map((participant) => participant.label);
+
+      // Routes with the same verb and URI (in different domains) get a suffix
+      const apiAnchor = endpointAnchor(route.method, route.path);
+      const baseId = apiAnchor.replace(/^endpoint-/, "") || "root";
+      let id = baseId;
+      for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+      usedIds.add(id);
+
+      const fileName = `${id}.md`;
+      await fs.promises.writeFile(path.join(sequenceDir, fileName), diagram);
+
+      const diagramInfo = {
+        id,
+        name: request,
+        controller: controllerName,
+        method: methodName,
+        httpMethod: route.method,
+        path: route.path,
+        routeName: route.routeName || null,
+        apiAnchor,
+        type: sequenceType,
+        description: getMethodDescription(
+          sequenceType,
+          controller.name,
+          methodName
         ),
-      ];
-
-      for (const match of methodMatches) {
-        const methodName = match[1];
-
-        // Skip constructor and other common methods
-        if (["__construct", "middleware", "authorize"].includes(methodName)) {
-          continue;
-        }
-
-        // Determine sequence based on common method types
-        let sequenceType = "generic";
-        if (
-          methodName === "index" ||
-          methodName === "all" ||
-          methodName === "list"
-        ) {
-          sequenceType = "list";
-        } else if (
-          methodName === "show" ||
-          methodName === "view" ||
-          methodName === "get"
-        ) {
-          sequenceType = "show";
-        } else if (
-          methodName === "store" ||
-          methodName === "create" ||
-          methodName === "add"
-        ) {
-          sequenceType = "create";
-        } else if (methodName === "update" || methodName === "edit") {
-          sequenceType = "update";
-        } else if (
-          methodName === "destroy" ||
-          methodName === "delete" ||
-          methodName === "remove"
-        ) {
-          sequenceType = "delete";
-        }
-
-        // Extract model usage in the method
-        const methodContent = controller.content.match(
-          new RegExp(
-            `public\\s+function\\s+${methodName}\\s*\\([^)]*\\)\\s*{([\\s\\S]*?)\\}`,
-            "m"
-          )
-        );
-        let usedModels = [];
-
-        if (methodContent && methodContent[1]) {
-          // Look for model references in the method body
-          projectInfo.models.forEach((model) => {
-            if (methodContent[1].includes(model.name)) {
-              usedModels.push(model.name);
-            }
-          });
-        }
-
-        // Generate sequence diagram for the method
-        let diagram;
-
-        switch (sequenceType) {
-          case "list":
-            diagram = generateListSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-            break;
-          case "show":
-            diagram = generateShowSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-            break;
-          case "create":
-            diagram = generateCreateSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-            break;
-          case "update":
-            diagram = generateUpdateSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-            break;
-          case "delete":
-            diagram = generateDeleteSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-            break;
-          default:
-            diagram = generateGenericSequence(
-              controller.name,
-              methodName,
-              usedModels,
-              config
-            );
-        }
-
-        const fileName = `${controller.name}_${methodName}.md`;
-        await fs.promises.writeFile(path.join(sequenceDir, fileName), diagram);
-
-        const diagramInfo = {
-          id: `${controller.name}-${methodName}`,
-          name: `${controller.name}::${methodName}`,
-          controller: controllerName,
-          method: methodName,
-          type: sequenceType,
-          description: getMethodDescription(
-            sequenceType,
-            controller.name,
-            methodName
-          ),
-          fileName: fileName,
-          models: usedModels,
-          timestamp: new Date().toISOString(),
-        };
-
-        diagrams.push(diagramInfo);
-        diagramsByController[controllerName].push(diagramInfo);
-
-        // Update statistics
-        stats.totalDiagrams++;
-        stats.byType[sequenceType] = (stats.byType[sequenceType] || 0) + 1;
-        stats.byController[controllerName]++;
+        fileName: fileName,
+        models: usedModels,
+        timestamp: new Date().toISOString(),
+      };
+
+      if (!diagramsByController[controllerName]) {
+        diagramsByController[controllerName] = [];
+        stats.byController[controllerName] = 0;
       }
+      diagrams.push(diagramInfo);
+      diagramsByController[controllerName].push(diagramInfo);
+
+      // Update statistics
+      stats.totalDiagrams++;
+      stats.byType[sequenceType] = (stats.byType[sequenceType] || 0) + 1;
+      stats.byController[controllerName]++;
     }
 
+    // Public methods no route points at are helpers or dead code rather than
+    // endpoints, so they are listed instead of drawn
+    const unroutedMethods = projectInfo.controllers.flatMap((controller) =>
+      (controller.classInfo ? controller.classInfo.methods : [])
+        .filter(
+          (method) =>
+            method.visibility === "public" &&
+            !method.static &&
+            method.body !== null &&
+            !routedMethods.has(method) &&
+            !["__construct", "middleware", "authorize"].includes(method.name) &&
+            !(method.name.startsWith("__") && method.name !== "__invoke")
+        )
+        .map((method) => ({
+          controller: controller.name.replace(/Controller$/, ""),
+          className: controller.fullName,
+          method: method.name,
+          file: controller.path,
+          line: method.line,
+        }))
+    );
+    stats.unroutedMethods = unroutedMethods.length;
+
     console.log(`Generated ${stats.totalDiagrams} sequence diagrams.`);
+    if (unroutedMethods.length > 0) {
+      console.warn(
+        `${unroutedMethods.length} public controller method(s) have no route: ${unroutedMethods
+          .map((m) => `${m.className}::${m.method}`)
+          .join(", ")}`
+      );
+    }
 
     // Create assets directory for JS and CSS
     const assetsDir = path.join(sequenceDir, "assets");
@@ -209,6 +162,7 @@ async function generateSequenceDiagrams(projectInfo, outputDir, options = {}) {
       projectInfo,
       diagrams,
       diagramsByController,
+      unroutedMethods,
       stats,
       config
     );
@@ -236,6 +190,7 @@ async function generateSequenceDiagrams(projectInfo, outputDir, options = {}) {
       projectVersion: projectInfo.version,
       generatedAt: new Date().toISOString(),
       diagrams: diagrams,
+      unroutedMethods: unroutedMethods,
       statistics: stats,
     };
 
@@ -263,6 +218,28 @@ async function generateSequenceDiagrams(projectInfo, outputDir, options = {}) {
   }
 }
 
+/**
+ * Classify an action by its name, or by its route when the name is not one
+ * of the usual resource actions
+ * @param {string} methodName Controller method name
+ * @param {Object} route Route handled by the method
+ * @returns {string} Sequence type (list, show, create, update, delete or generic)
+ */
+function getSequenceType(methodName, route) {
+  if (["index", "all", "list"].includes(methodName)) return "list";
+  if (["show", "view", "get"].includes(methodName)) return "show";
+  if (["store", "create", "add"].includes(methodName)) return "create";
+  if (["update", "edit"].includes(methodName)) return "update";
+  if (["destroy", "delete", "remove"].includes(methodName)) return "delete";
+
+  const verb = route.method.split(/[\/|]/)[0].toUpperCase();
+  if (verb === "GET") return /\{[^}]+\}$/.test(route.path) ? "show" : "list";
+  if (verb === "POST") return "create";
+  if (verb === "PUT" || verb === "PATCH") return "update";
+  if (verb === "DELETE") return "delete";
+  return "generic";
+}
+
 function getMethodDescription(type, controller, method) {
   const descriptions = {
     list: `Retrieves a collection of resources from ${controller}`,
@@ -276,187 +253,93 @@ function getMethodDescription(type, controller, method) {
   return descriptions[type] || descriptions.generic;
 }
 
-function generateListSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
-
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: GET /resource
-    R->>+${controller}: ${method}()
-    ${controller}->>+${modelName}: all() / get() / paginate()
-    ${modelName}->>+DB: SELECT * FROM table
-    DB-->>-${modelName}: Return records
-    ${modelName}-->>-${controller}: Collection of models
-    ${controller}-->>-R: Return JSON response
-    R-->>C: 200 OK with data
-    
-    ${
-      config.showNotes
-        ? `Note over ${controller},${modelName}: This sequence retrieves a list of resources`
-        : ""
-    }
-  `;
-}
-
-function generateShowSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
-
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: GET /resource/{id}
-    R->>+${controller}: ${method}(id)
-    ${controller}->>+${modelName}: find(id) / findOrFail(id)
-    ${modelName}->>+DB: SELECT * FROM table WHERE id = ?
-    DB-->>-${modelName}: Return record
-    ${modelName}-->>-${controller}: Model instance
-    ${controller}-->>-R: Return JSON response
-    R-->>C: 200 OK with data
-    
-    ${
-      config.showNotes
-        ? `Note over ${controller},${modelName}: This sequence retrieves a specific resource by ID`
-        : ""
-    }
-  `;
-}
-
-function generateCreateSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
-
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant V as Validator
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: POST /resource
-    R->>+${controller}: ${method}(request)
-    ${controller}->>+V: validate(request)
-    V-->>-${controller}: validated data
-    ${controller}->>+${modelName}: create(data)
-    ${modelName}->>+DB: INSERT INTO table
-    DB-->>-${modelName}: Return new record
-    ${modelName}-->>-${controller}: New model instance
-    ${controller}-->>-R: Return JSON response
-    R-->>C: 201 Created with data
-    
-    ${
-      config.showNotes
-        ? `Note over ${controller},${modelName}: This sequence creates a new resource`
-        : ""
-    }
-  `;
-}
+/**
+ * Render a traced action as a Mermaid sequence diagram
+ * @param {Object} trace Trace of the action ({ participants, steps, self })
+ * @param {string} request Label of the message that starts the action
+ * @param {Object} config Diagram options
+ * @returns {string} Mermaid source
+ */
+function renderSequence(trace, request, config) {
+  const lines = ["sequenceDiagram", "    autonumber"];
+  trace.participants.forEach(({ id, label, kind }) => {
+    const keyword = kind === "actor" ? "actor" : "participant";
+    lines.push(`    ${keyword} ${id}${label !== id ? ` as ${label}` : ""}`);
+  });
+  lines.push("");
 
-function generateUpdateSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
+  lines.push(`    Client->>+${trace.self}: ${mermaidText(request)}`);
+  renderSteps(trace.steps, lines, config, "    ");
+  lines.push(`    deactivate ${trace.self}`);
 
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant V as Validator
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: PUT /resource/{id}
-    R->>+${controller}: ${method}(request, id)
-    ${controller}->>+V: validate(request)
-    V-->>-${controller}: validated data
-    ${controller}->>+${modelName}: find(id)
-    ${modelName}->>+DB: SELECT * FROM table WHERE id = ?
-    DB-->>-${modelName}: Return record
-    ${modelName}-->>-${controller}: Model instance
-    ${controller}->>+${modelName}: update(data)
-    ${modelName}->>+DB: UPDATE table SET ... WHERE id = ?
-    DB-->>-${modelName}: Success
-    ${modelName}-->>-${controller}: Updated model
-    ${controller}-->>-R: Return JSON response
-    R-->>C: 200 OK with data
-    
-    ${
-      config.showNotes
-        ? `Note over ${controller},${modelName}: This sequence updates an existing resource`
-        : ""
-    }
-  `;
+  return `${lines.join("\n")}\n`;
 }
 
-function generateDeleteSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
+/**
+ * Keywords starting the second and later sections of a fragment
+ */
+const SECTION_KEYWORDS = {
+  alt: "else",
+  critical: "option",
+};
 
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: DELETE /resource/{id}
-    R->>+${controller}: ${method}(id)
-    ${controller}->>+${modelName}: find(id)
-    ${modelName}->>+DB: SELECT * FROM table WHERE id = ?
-    DB-->>-${modelName}: Return record
-    ${modelName}-->>-${controller}: Model instance
-    ${controller}->>+${modelName}: delete()
-    ${modelName}->>+DB: DELETE FROM table WHERE id = ?
-    DB-->>-${modelName}: Success
-    ${modelName}-->>-${controller}: Success
-    ${controller}-->>-R: Return JSON response
-    R-->>C: 204 No Content
-    
-    ${
-      config.showNotes
-        ? `Note over ${controller},${modelName}: This sequence removes a resource`
-        : ""
+/**
+ * Render trace steps as Mermaid messages. A call with nested steps or a
+ * result activates its callee until it returns; fragments (alt, opt, loop,
+ * critical, break) wrap their sections in blocks
+ * @param {Array} steps Trace steps
+ * @param {Array} lines Lines to append to
+ * @param {Object} config Diagram options
+ * @param {string} indent Indentation of the lines
+ */
+function renderSteps(steps, lines, config, indent) {
+  steps.forEach((step) => {
+    switch (step.kind) {
+      case "call":
+        if (step.steps.length === 0 && !step.result) {
+          lines.push(`${indent}${step.from}->>${step.to}: ${mermaidText(step.label)}`);
+          break;
+        }
+        lines.push(`${indent}${step.from}->>+${step.to}: ${mermaidText(step.label)}`);
+        renderSteps(step.steps, lines, config, indent);
+        lines.push(
+          step.result
+            ? `${indent}${step.to}-->>-${step.from}: ${mermaidText(step.result)}`
+            : `${indent}deactivate ${step.to}`
+        );
+        break;
+      case "async":
+        lines.push(`${indent}${step.from}-)${step.to}: ${mermaidText(step.label)}`);
+        break;
+      case "return":
+        lines.push(`${indent}${step.from}-->>${step.to}: ${mermaidText(step.label)}`);
+        break;
+      case "note":
+        if (config.showNotes) lines.push(`${indent}Note over ${step.over}: ${mermaidText(step.text)}`);
+        break;
+      case "fragment":
+        step.sections.forEach((section, index) => {
+          const keyword = index === 0 ? step.type : SECTION_KEYWORDS[step.type];
+          lines.push(`${indent}${keyword} ${mermaidText(section.label)}`);
+          renderSteps(section.steps, lines, config, `${indent}  `);
+        });
+        lines.push(`${indent}end`);
+        break;
     }
-  `;
+  });
 }
 
-function generateGenericSequence(controller, method, models, config) {
-  const modelName = models.length > 0 ? models[0] : "Model";
-
-  return `sequenceDiagram
-    autonumber
-    participant C as Client
-    participant R as Route
-    participant ${controller} as ${controller}
-    participant ${modelName} as ${modelName}
-    participant DB as Database
-    
-    C->>R: Request
-    R->>+${controller}: ${method}()
-    Note over ${controller}: Process request
-    alt Uses database
-      ${controller}->>+${modelName}: operation()
-      ${modelName}->>+DB: Database query
-      DB-->>-${modelName}: Return data
-      ${modelName}-->>-${controller}: Return result
-    else Direct response
-      Note over ${controller}: Process without database
-    end
-    ${controller}-->>-R: Return response
-    R-->>C: Response
-    
-    ${config.showNotes ? `Note over ${controller}: Generic operation flow` : ""}
-  `;
+/**
+ * Make text safe for a Mermaid message: ";" and "#" are written as entity
+ * codes and line breaks are flattened
+ * @param {string} text Text
+ * @returns {string} Mermaid text
+ */
+function mermaidText(text) {
+  return String(text)
+    .replace(/\s+/g, " ")
+    .replace(/[#;]/g, (char) => (char === "#" ? "#35;" : "#59;"))
+    .trim();
 }
 
 function generateCSS() {
@@ -728,6 +611,19 @@ main {
   font-weight: 600;
 }
 
+.diagram-action {
+  font-family: monospace;
+  font-size: 0.85rem;
+  margin-bottom: 0.5rem;
+  opacity: 0.8;
+}
+
+.route-verb {
+  font-family: monospace;
+  font-weight: 700;
+  color: var(--info-color);
+}
+
 .diagram-description {
   color: #b7a9a9;
   margin-bottom: 1rem;
@@ -778,6 +674,33 @@ main {
   background-color: var(--info-color);
 }
 
+.api-btn {
+  background-color: var(--dark-color);
+}
+
+.api-link {
+  margin-left: 1rem;
+  font-size: 0.9rem;
+}
+
+.unrouted-methods {
+  margin-top: 2rem;
+  padding: 1.5rem;
+  border-left: 4px solid var(--warning-color);
+  background-color: var(--light-color);
+  border-radius: 8px;
+}
+
+.unrouted-methods ul {
+  margin-top: 1rem;
+  padding-left: 1.5rem;
+}
+
+.unrouted-location {
+  font-size: 0.8rem;
+  opacity: 0.7;
+}
+
 .diagram-container {
   margin-bottom: 3rem;
   padding: 2rem;
@@ -1302,6 +1225,7 @@ function generateIndexHTML(
   projectInfo,
   diagrams,
   diagramsByController,
+  unroutedMethods,
   stats,
   config
 ) {
@@ -1369,6 +1293,24 @@ function generateIndexHTML(
     })
     .join("\n      ");
 
+  // Public controller methods without a route, flagged rather than drawn
+  const unroutedSection =
+    unroutedMethods.length === 0
+      ? ""
+      : `
+    <div class="unrouted-methods">
+      <h3><i class="fas fa-triangle-exclamation"></i> Methods without a route (${unroutedMethods.length})</h3>
+      <p>These public controller methods are not the handler of any route, so no diagram was drawn for them. They may be helpers that should not be public, or actions whose route is missing.</p>
+      <ul>
+        ${unroutedMethods
+          .map(
+            (m) =>
+              `<li><code>${m.className}::${m.method}()</code> <span class="unrouted-location">${m.file}:${m.line}</span></li>`
+          )
+          .join("\n        ")}
+      </ul>
+    </div>`;
+
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -1394,6 +1336,7 @@ function generateIndexHTML(
     <a href="../erd/"><i class="fas fa-project-diagram"></i> ERD</a>
     <a href="../uml/"><i class="fas fa-sitemap"></i> UML</a>
     <a href="../sequence/"><i class="fas fa-stream"></i> Sequence</a>
+    <a href="../async/"><i class="fas fa-bolt"></i> Async</a>
     <a href="../api/"><i class="fas fa-plug"></i> API</a>
     <a href="https://github.com/Priom7/laravel2doc" target="_blank" class="github-link">
       <i class="fab fa-github"></i> GitHub
@@ -1486,6 +1429,7 @@ function generateIndexHTML(
     <div id="by-controller" class="tab-content">
       ${controllerTabContent}
     </div>
+    ${unroutedSection}
   </main>
   
   <footer>
@@ -1559,6 +1503,11 @@ function generateDiagramViewHTML(projectInfo, diagram, config) {
       <p><strong>Description:</strong> ${diagram.description}</p>
       
       <div style="margin-top: 1rem;">
+        <p><strong>Route:</strong> <span class="route-verb">${diagram.httpMethod}</span> <code>${diagram.path}</code>${
+          diagram.routeName ? ` (<code>${diagram.routeName}</code>)` : ""
+        }
+          <a href="../api/index.html#${diagram.apiAnchor}" class="api-link"><i class="fas fa-plug"></i> API documentation</a>
+        </p>
         <p><strong>Controller:</strong> ${diagram.controller}</p>
         <p><strong>Method:</strong> ${diagram.method}</p>
         <p><strong>Models:</strong> 
@@ -1642,7 +1591,8 @@ function generateDiagramCard(diagram) {
           <h4>${diagram.controller}</h4>
         </div>
         <div class="diagram-body">
-          <div class="diagram-title">${diagram.method}</div>
+          <div class="diagram-title"><span class="route-verb">${diagram.httpMethod}</span> ${diagram.path}</div>
+          <div class="diagram-action">${diagram.controller}::${diagram.method}</div>
           <div class="diagram-description">${diagram.description}</div>
         </div>
         <div class="diagram-footer">
@@ -1662,6 +1612,11 @@ function generateDiagramCard(diagram) {
             }.html" class="action-btn view-btn" title="View Diagram">
               <i class="fas fa-eye"></i>
             </a>
+            <a href="../api/index.html#${
+              diagram.apiAnchor
+            }" class="action-btn api-btn" title="API Documentation">
+              <i class="fas fa-plug"></i>
+            </a>
           </div>
         </div>
       </div>
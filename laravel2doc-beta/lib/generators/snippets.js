@@ -0,0 +1,180 @@
+/**
+ * Languages of the code examples, in tab order
+ */
+const SNIPPET_LANGUAGES = [
+  { label: "curl", language: "bash", build: curlSnippet },
+  { label: "fetch", language: "javascript", build: fetchSnippet },
+  { label: "axios", language: "javascript", build: axiosSnippet },
+  { label: "Guzzle", language: "php", build: guzzleSnippet },
+  { label: "Python requests", language: "python", build: pythonSnippet },
+];
+
+/**
+ * Build a code example of a request in every supported language
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {Array} Snippets ({ label, language, code })
+ */
+function buildSnippets(request) {
+  return SNIPPET_LANGUAGES.map(({ label, language, build }) => ({
+    label,
+    language,
+    code: build(request),
+  }));
+}
+
+/**
+ * Build a curl command
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {string} Shell command
+ */
+function curlSnippet({ method, url, auth, body }) {
+  const lines = [`curl -X ${method} "${url}"`, `-H "Accept: application/json"`];
+  if (auth) lines.push(`-H "Authorization: Bearer $TOKEN"`);
+  if (body) {
+    lines.push(`-H "Content-Type: application/json"`);
+    // Close the quote around any ' in the JSON, escape it and reopen
+    lines.push(`-d '${JSON.stringify(body, null, 2).replace(/'/g, "'\\''")}'`);
+  }
+  return lines.join(" \\\n  ");
+}
+
+/**
+ * Build a fetch() call
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {string} JavaScript
+ */
+function fetchSnippet({ method, url, auth, body }) {
+  const headers = ['    "Accept": "application/json",'];
+  if (auth) headers.push('    "Authorization": "Bearer " + token,');
+  if (body) headers.push('    "Content-Type": "application/json",');
+
+  const lines = [
+    `const response = await fetch("${url}", {`,
+    `  method: "${method}",`,
+    "  headers: {",
+    ...headers,
+    "  },",
+  ];
+  if (body) lines.push(`  body: JSON.stringify(${indentLines(JSON.stringify(body, null, 2), "  ")}),`);
+  lines.push("});", "", "const data = await response.json();");
+  return lines.join("\n");
+}
+
+/**
+ * Build an axios request
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {string} JavaScript
+ */
+function axiosSnippet({ method, url, auth, body }) {
+  const headers = ['    "Accept": "application/json",'];
+  if (auth) headers.push('    "Authorization": "Bearer " + token,');
+
+  const lines = [
+    "const { data } = await axios.request({",
+    `  method: "${method.toLowerCase()}",`,
+    `  url: "${url}",`,
+    "  headers: {",
+    ...headers,
+    "  },",
+  ];
+  if (body) lines.push(`  data: ${indentLines(JSON.stringify(body, null, 2), "  ")},`);
+  lines.push("});");
+  return lines.join("\n");
+}
+
+/**
+ * Build a Guzzle request
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {string} PHP
+ */
+function guzzleSnippet({ method, url, auth, body }) {
+  const headers = ["        'Accept' => 'application/json',"];
+  if (auth) headers.push("        'Authorization' => 'Bearer ' . $token,");
+
+  const lines = [
+    "$client = new \\GuzzleHttp\\Client();",
+    "",
+    `$response = $client->request('${method}', '${url}', [`,
+    "    'headers' => [",
+    ...headers,
+    "    ],",
+  ];
+  if (body) lines.push(`    'json' => ${phpValue(body, "    ")},`);
+  lines.push("]);", "", "$data = json_decode((string) $response->getBody(), true);");
+  return lines.join("\n");
+}
+
+/**
+ * Build a Python requests call
+ * @param {Object} request Request ({ method, url, auth, body })
+ * @returns {string} Python
+ */
+function pythonSnippet({ method, url, auth, body }) {
+  const headers = ['        "Accept": "application/json",'];
+  if (auth) headers.push('        "Authorization": f"Bearer {token}",');
+
+  const lines = [
+    "import requests",
+    "",
+    `response = requests.${method.toLowerCase()}(`,
+    `    "${url}",`,
+    "    headers={",
+    ...headers,
+    "    },",
+  ];
+  if (body) lines.push(`    json=${pythonValue(body, "    ")},`);
+  lines.push(")", "", "data = response.json()");
+  return lines.join("\n");
+}
+
+/**
+ * Indent every line but the first of a block
+ * @param {string} text Text
+ * @param {string} indent Indentation to add
+ * @returns {string} Indented text
+ */
+function indentLines(text, indent) {
+  return text.split("\n").join(`\n${indent}`);
+}
+
+/**
+ * Write a JSON value as a PHP literal
+ * @param {*} value Value
+ * @param {string} indent Indentation of the line the value starts on
+ * @returns {string} PHP source
+ */
+function phpValue(value, indent) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "string") return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  if (typeof value !== "object") return String(value);
+
+  const inner = `${indent}    `;
+  const items = Array.isArray(value)
+    ? value.map((item) => `${inner}${phpValue(item, inner)},`)
+    : Object.entries(value).map(([key, item]) => `${inner}${phpValue(key, inner)} => ${phpValue(item, inner)},`);
+  return items.length > 0 ? `[\n${items.join("\n")}\n${indent}]` : "[]";
+}
+
+/**
+ * Write a JSON value as a Python literal
+ * @param {*} value Value
+ * @param {string} indent Indentation of the line the value starts on
+ * @returns {string} Python source
+ */
+function pythonValue(value, indent) {
+  if (value === null || value === undefined) return "None";
+  if (typeof value === "boolean") return value ? "True" : "False";
+  if (typeof value !== "object") return JSON.stringify(value);
+
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    const items = value.map((item) => `${inner}${pythonValue(item, inner)},`);
+    return items.length > 0 ? `[\n${items.join("\n")}\n${indent}]` : "[]";
+  }
+  const items = Object.entries(value).map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonValue(item, inner)},`);
+  return items.length > 0 ? `{\n${items.join("\n")}\n${indent}}` : "{}";
+}
+
+module.exports = {
+  buildSnippets,
+};
@@ -1,5 +1,43 @@
 const fs = require("fs");
 const path = require("path");
+const { getPropertyValue } = require("../utils/php");
+const { getModelCasts } = require("../utils/laravel");
+const { describeRelationshipKeys } = require("../utils/relationships");
+
+/**
+ * Class diagram arrows for each relationship type
+ */
+const RELATIONSHIP_ARROWS = {
+  hasOne: "-->",
+  hasMany: "--*",
+  belongsTo: "<--",
+  belongsToMany: "<--*",
+  morphTo: "<..",
+  morphOne: "..>",
+  morphMany: "..*",
+  morphToMany: "<..*",
+  morphedByMany: "<..*",
+  hasOneThrough: "..>",
+  hasManyThrough: "..>",
+};
+
+/**
+ * Class collections from projectInfo shown next to models, with the
+ * stereotype used to label them in the diagram
+ */
+const CLASS_ENTITY_TYPES = [
+  { key: "controllers", label: "Controllers", stereotype: "Controller" },
+  { key: "services", label: "Services", stereotype: "Service" },
+  { key: "repositories", label: "Repositories", stereotype: "Repository" },
+  { key: "actions", label: "Actions", stereotype: "Action" },
+  { key: "jobs", label: "Jobs", stereotype: "Job" },
+  { key: "events", label: "Events", stereotype: "Event" },
+  { key: "listeners", label: "Listeners", stereotype: "Listener" },
+  { key: "observers", label: "Observers", stereotype: "Observer" },
+  { key: "policies", label: "Policies", stereotype: "Policy" },
+  { key: "mailables", label: "Mailables", stereotype: "Mailable" },
+  { key: "notifications", label: "Notifications", stereotype: "Notification" },
+];
 
 /**
  * Generate comprehensive UML diagrams from project info with interactive features
@@ -16,12 +54,30 @@ async function generateUML(projectInfo, outputDir) {
 
   // Generate class diagram data structure
   const diagramData = {
-    models: generateModelData(projectInfo.models),
-    controllers: generateControllerData(projectInfo.controllers || []),
-    services: generateServiceData(projectInfo.services || []),
-    relationships: projectInfo.relationships,
+    models: generateModelData(projectInfo.models, projectInfo.relationships),
+    relationships: projectInfo.relationships.flatMap((rel) => {
+      const keys = describeRelationshipKeys(rel);
+      const label = `${rel.relationshipName.toLowerCase()}${keys ? ` (${keys})` : ""}`;
+      const source = classNodeId(rel.sourceModel, rel.sourceClass);
+
+      // Draw morphTo once for every concrete model that can own it
+      if (rel.morphTargets && rel.morphTargets.length > 0) {
+        return rel.morphTargets.map((target) => ({
+          ...rel,
+          targetModel: target.model,
+          source,
+          target: classNodeId(target.model, target.className),
+          label,
+        }));
+      }
+      return [{ ...rel, source, target: classNodeId(rel.targetModel, rel.targetClass), label }];
+    }),
     directories: extractDirectoryStructure(projectInfo),
   };
+  CLASS_ENTITY_TYPES.forEach(({ key }) => {
+    diagramData[key] = generateClassData(projectInfo[key] || []);
+  });
+  labelSharedNames(["models", ...CLASS_ENTITY_TYPES.map(({ key }) => key)].flatMap((key) => diagramData[key]));
 
   // Write diagram data as JSON for dynamic filtering
   fs.writeFileSync(
@@ -37,7 +93,7 @@ async function generateUML(projectInfo, outputDir) {
 
   // Generate full diagram with all entity types
   const fullDiagram = generateMermaidDiagram(diagramData, {
-    entityTypes: ["models", "controllers", "services"],
+    entityTypes: ["models", ...CLASS_ENTITY_TYPES.map(({ key }) => key)],
   });
   fs.writeFileSync(path.join(umlDir, "full_diagram.md"), fullDiagram);
 
@@ -63,215 +119,150 @@ async function generateUML(projectInfo, outputDir) {
 function extractDirectoryStructure(projectInfo) {
   const directories = {};
 
-  // Process models
-  projectInfo.models.forEach((model) => {
-    const filePath = model.filePath || "";
-    const dir = path.dirname(filePath);
-
-    if (!directories[dir]) {
-      directories[dir] = { models: [] };
-    }
-
-    directories[dir].models.push(model.name);
-  });
-
-  // Process controllers if available
-  if (projectInfo.controllers) {
-    projectInfo.controllers.forEach((controller) => {
-      const filePath = controller.filePath || "";
-      const dir = path.dirname(filePath);
+  ["models", ...CLASS_ENTITY_TYPES.map(({ key }) => key)].forEach((key) => {
+    (projectInfo[key] || []).forEach((file) => {
+      const dir = path.dirname(file.path || "");
 
       if (!directories[dir]) {
-        directories[dir] = { controllers: [] };
-      } else if (!directories[dir].controllers) {
-        directories[dir].controllers = [];
+        directories[dir] = {};
+      }
+      if (!directories[dir][key]) {
+        directories[dir][key] = [];
       }
 
-      directories[dir].controllers.push(controller.name);
+      directories[dir][key].push(file.name);
     });
-  }
+  });
 
   return directories;
 }
 
+/**
+ * Get the node id of a class: its full class name with underscores for
+ * namespace separators, so classes sharing a basename in different
+ * namespaces stay apart
+ * @param {string} name Class basename
+ * @param {string|null} className Fully qualified class name, when known
+ * @returns {string} Node id
+ */
+function classNodeId(name, className) {
+  if (!className) return name.replace(/::class$/, "");
+  return className.replace(/^\\/, "").replace(/\\/g, "_");
+}
+
+/**
+ * Label nodes with their basename, or with their full class name when
+ * another node in the diagram shares that basename
+ * @param {Array} nodes Model and class data from generateModelData() and generateClassData()
+ */
+function labelSharedNames(nodes) {
+  const counts = new Map();
+  nodes.forEach((node) => counts.set(node.name, (counts.get(node.name) || 0) + 1));
+
+  nodes.forEach((node) => {
+    node.label = counts.get(node.name) > 1 && node.namespace ? `${node.namespace}\\${node.name}` : node.name;
+  });
+}
+
 /**
  * Generate model data for diagrams
  * @param {Array} models Model information
+ * @param {Array} relationships Relationships between models
  * @returns {Array} Processed model data
  */
-function generateModelData(models) {
+function generateModelData(models, relationships) {
   return models.map((model) => {
     const processedModel = {
+      id: classNodeId(model.name, model.fullName),
       name: model.name,
       properties: [],
       methods: [],
-      filePath: model.filePath,
-      namespace: extractNamespace(model.content),
+      filePath: model.path,
+      namespace: extractNamespace(model),
     };
 
-    // Extract properties from fillable, guarded, casts, etc.
-    const fillableMatch = model.content.match(
-      /protected\s+\$fillable\s*=\s*\[([\s\S]*?)\]/
-    );
-    const guardedMatch = model.content.match(
-      /protected\s+\$guarded\s*=\s*\[([\s\S]*?)\]/
-    );
-    const castsMatch = model.content.match(
-      /protected\s+\$casts\s*=\s*\[([\s\S]*?)\]|protected\s+\$casts\s*=\s*\{([\s\S]*?)\}/
-    );
-    const tableMatch = model.content.match(
-      /protected\s+\$table\s*=\s*['"]([^'"]+)['"]/
-    );
+    // Extract properties from fillable, casts and table
+    const fillable = getPropertyValue(model.classInfo, "fillable");
+    const casts = getModelCasts(model.classInfo);
+    const table = getPropertyValue(model.classInfo, "table");
 
     // Add table name if available
-    if (tableMatch) {
-      processedModel.tableName = tableMatch[1];
+    if (typeof table === "string") {
+      processedModel.tableName = table;
     }
 
     // Process fillable properties
-    if (fillableMatch) {
-      const fillable = fillableMatch[1]
-        .split(",")
-        .map((item) => item.trim().replace(/['"]/g, ""))
-        .filter((item) => item.length > 0);
-
-      fillable.forEach((prop) => {
+    if (Array.isArray(fillable)) {
+      fillable.filter((prop) => typeof prop === "string").forEach((prop) => {
         processedModel.properties.push({
           name: prop,
           type: "fillable",
-          dataType: extractDataTypeFromCasts(prop, castsMatch),
+          dataType: typeof casts[prop] === "string" ? casts[prop] : "",
         });
       });
     }
 
-    // Extract methods from the model
-    const methodMatches = [
-      ...model.content.matchAll(/public\s+function\s+(\w+)\s*\(([^)]*)\)/g),
-    ];
-
-    methodMatches.forEach((match) => {
-      const methodName = match[1];
-      const params = match[2];
+    // Skip relationship methods as they'll be shown in relationships
+    const relationshipNames = relationships
+      .filter((rel) =>
+        rel.sourceClass ? rel.sourceClass === model.fullName : rel.sourceModel === model.name
+      )
+      .map((rel) => rel.relationshipName);
 
-      // Skip relationship methods as they'll be shown in relationships
-      if (
-        ![
-          "hasOne",
-          "hasMany",
-          "belongsTo",
-          "belongsToMany",
-          "morphTo",
-          "morphMany",
-          "morphOne",
-        ].some(
-          (rel) =>
-            model.content.includes(`this->${rel}`) &&
-            model.content.includes(`function ${methodName}`)
-        )
-      ) {
-        processedModel.methods.push({
-          name: methodName,
-          params: params.trim(),
-        });
-      }
-    });
+    processedModel.methods = extractPublicMethods(model).filter(
+      (method) => !relationshipNames.includes(method.name)
+    );
 
     return processedModel;
   });
 }
 
 /**
- * Generate controller data for diagrams
- * @param {Array} controllers Controller information
- * @returns {Array} Processed controller data
+ * Generate diagram data for controllers, services and other plain classes
+ * @param {Array} files Class files
+ * @returns {Array} Processed class data
  */
-function generateControllerData(controllers) {
-  return controllers.map((controller) => {
-    const processedController = {
-      name: controller.name,
-      methods: [],
-      filePath: controller.filePath,
-      namespace: extractNamespace(controller.content),
+function generateClassData(files) {
+  return files.map((file) => {
+    return {
+      id: classNodeId(file.name, file.fullName),
+      name: file.name,
+      methods: extractPublicMethods(file),
+      filePath: file.path,
+      namespace: extractNamespace(file),
     };
-
-    // Extract methods from the controller
-    const methodMatches = [
-      ...controller.content.matchAll(
-        /public\s+function\s+(\w+)\s*\(([^)]*)\)/g
-      ),
-    ];
-
-    methodMatches.forEach((match) => {
-      const methodName = match[1];
-      const params = match[2];
-
-      processedController.methods.push({
-        name: methodName,
-        params: params.trim(),
-      });
-    });
-
-    return processedController;
   });
 }
 
 /**
- * Generate service data for diagrams
- * @param {Array} services Service information
- * @returns {Array} Processed service data
+ * Extract the public methods declared by a class
+ * @param {Object} file File information with classInfo
+ * @returns {Array} Methods with their name and parameter list
  */
-function generateServiceData(services) {
-  return services.map((service) => {
-    const processedService = {
-      name: service.name,
-      methods: [],
-      filePath: service.filePath,
-      namespace: extractNamespace(service.content),
-    };
-
-    // Extract methods from the service
-    const methodMatches = [
-      ...service.content.matchAll(/public\s+function\s+(\w+)\s*\(([^)]*)\)/g),
-    ];
-
-    methodMatches.forEach((match) => {
-      const methodName = match[1];
-      const params = match[2];
-
-      processedService.methods.push({
-        name: methodName,
-        params: params.trim(),
-      });
-    });
-
-    return processedService;
-  });
+function extractPublicMethods(file) {
+  if (!file.classInfo) return [];
+
+  return file.classInfo.methods
+    .filter((method) => method.visibility === "public")
+    .map((method) => ({
+      name: method.name,
+      params: method.params
+        .map((param) => {
+          const type = param.type ? `${param.type} ` : "";
+          const variadic = param.variadic ? "..." : "";
+          return `${type}${variadic}$${param.name}`;
+        })
+        .join(", "),
+    }));
 }
 
 /**
- * Extract namespace from class content
- * @param {string} content Class content
+ * Extract namespace from a parsed class
+ * @param {Object} file File information with classInfo
  * @returns {string} Namespace
  */
-function extractNamespace(content) {
-  const namespaceMatch = content.match(/namespace\s+([^;]+);/);
-  return namespaceMatch ? namespaceMatch[1] : "";
-}
-
-/**
- * Extract data type from casts
- * @param {string} property Property name
- * @param {RegExpMatchArray} castsMatch Casts match
- * @returns {string} Data type
- */
-function extractDataTypeFromCasts(property, castsMatch) {
-  if (!castsMatch) return "";
-
-  const castsContent = castsMatch[1] || castsMatch[2] || "";
-  const propRegex = new RegExp(`['"]${property}['"]\\s*=>\\s*['"]([^'"]+)['"]`);
-  const typeMatch = castsContent.match(propRegex);
-
-  return typeMatch ? typeMatch[1] : "";
+function extractNamespace(file) {
+  return file.classInfo ? file.classInfo.namespace : "";
 }
 
 /**
@@ -290,7 +281,7 @@ function generateMermaidDiagram(diagramData, options = {}) {
       // Skip models not in the selected directory if directory filter is applied
       if (directory && !model.filePath.includes(directory)) return;
 
-      mermaidDiagram += `  class ${model.name} {\n`;
+      mermaidDiagram += `  class ${model.id}["${model.label}"] {\n`;
 
       // Add tableName if available
       if (model.tableName) {
@@ -312,76 +303,46 @@ function generateMermaidDiagram(diagramData, options = {}) {
     });
   }
 
-  // Add controllers if requested
-  if (entityTypes.includes("controllers") && diagramData.controllers) {
-    diagramData.controllers.forEach((controller) => {
-      // Skip controllers not in the selected directory if directory filter is applied
-      if (directory && !controller.filePath.includes(directory)) return;
-
-      mermaidDiagram += `  class ${controller.name} {\n`;
-      mermaidDiagram += `    <<Controller>>\n`;
-
-      // Add methods
-      controller.methods.forEach((method) => {
-        mermaidDiagram += `    +${method.name}(${method.params})\n`;
-      });
-
-      mermaidDiagram += `  }\n`;
-    });
-  }
+  // Add controllers, services and the other class kinds if requested
+  CLASS_ENTITY_TYPES.forEach(({ key, stereotype }) => {
+    if (!entityTypes.includes(key) || !diagramData[key]) return;
 
-  // Add services if requested
-  if (entityTypes.includes("services") && diagramData.services) {
-    diagramData.services.forEach((service) => {
-      // Skip services not in the selected directory if directory filter is applied
-      if (directory && !service.filePath.includes(directory)) return;
+    diagramData[key].forEach((entity) => {
+      // Skip classes not in the selected directory if directory filter is applied
+      if (directory && !entity.filePath.includes(directory)) return;
 
-      mermaidDiagram += `  class ${service.name} {\n`;
-      mermaidDiagram += `    <<Service>>\n`;
+      mermaidDiagram += `  class ${entity.id}["${entity.label}"] {\n`;
+      mermaidDiagram += `    <<${stereotype}>>\n`;
 
       // Add methods
-      service.methods.forEach((method) => {
+      entity.methods.forEach((method) => {
         mermaidDiagram += `    +${method.name}(${method.params})\n`;
       });
 
       mermaidDiagram += `  }\n`;
     });
-  }
+  });
 
   // Add relationships
   if (entityTypes.includes("models")) {
     diagramData.relationships.forEach((rel) => {
-      // Skip relationships not in the selected directory if directory filter is applied
-      const sourceModel = rel.sourceModel.replace(/::class$/, "");
-      const targetModel = rel.targetModel.replace(/::class$/, "");
-
-      let arrow;
-      let relationshipName = rel.relationshipName.toLowerCase();
-
-      switch (rel.relationshipType) {
-        case "hasOne":
-          arrow = "-->";
-          break;
-        case "hasMany":
-          arrow = "--*";
-          break;
-        case "belongsTo":
-          arrow = "<--";
-          break;
-        case "belongsToMany":
-          arrow = "<--*";
-          break;
-        default:
-          arrow = "-->";
-      }
-
-      mermaidDiagram += `  ${sourceModel} ${arrow} ${targetModel} : ${relationshipName}\n`;
+      const arrow = getRelationshipArrow(rel.relationshipType);
+      mermaidDiagram += `  ${rel.source} ${arrow} ${rel.target} : ${rel.label}\n`;
     });
   }
 
   return mermaidDiagram;
 }
 
+/**
+ * Get the class diagram arrow for a relationship type
+ * @param {string} relationshipType Eloquent relationship type
+ * @returns {string} Mermaid arrow
+ */
+function getRelationshipArrow(relationshipType) {
+  return RELATIONSHIP_ARROWS[relationshipType] || "-->";
+}
+
 /**
  * Generate interactive HTML for UML diagrams
  * @param {Object} projectInfo Project information
@@ -697,6 +658,7 @@ function generateInteractiveHTML(projectInfo, diagramData) {
     <a href="../erd/"><i class="fas fa-project-diagram"></i> ERD</a>
     <a href="../uml/"><i class="fas fa-sitemap"></i> UML</a>
     <a href="../sequence/"><i class="fas fa-stream"></i> Sequence</a>
+    <a href="../async/"><i class="fas fa-bolt"></i> Async</a>
     <a href="../api/"><i class="fas fa-plug"></i> API</a>
     <a href="https://github.com/Priom7/laravel2doc" target="_blank" class="github-link">
       <i class="fab fa-github"></i> GitHub
@@ -730,18 +692,15 @@ function generateInteractiveHTML(projectInfo, diagramData) {
               diagramData.models.length
             })</span></label>
           </div>
+${CLASS_ENTITY_TYPES.map(
+            ({ key, label }) => `
           <div class="checkbox-item">
-            <input type="checkbox" id="controllers-checkbox">
-            <label for="controllers-checkbox">Controllers <span class="entity-count">(${
-              diagramData.controllers ? diagramData.controllers.length : 0
-            })</span></label>
-          </div>
-          <div class="checkbox-item">
-            <input type="checkbox" id="services-checkbox">
-            <label for="services-checkbox">Services <span class="entity-count">(${
-              diagramData.services ? diagramData.services.length : 0
+            <input type="checkbox" id="${key}-checkbox" class="entity-type-checkbox" value="${key}">
+            <label for="${key}-checkbox">${label} <span class="entity-count">(${
+              diagramData[key].length
             })</span></label>
-          </div>
+          </div>`
+          ).join("")}
         </div>
       </div>
       
@@ -806,8 +765,9 @@ function generateInteractiveHTML(projectInfo, diagramData) {
     const diagramEl = document.getElementById('diagram');
     const applyFiltersBtn = document.getElementById('apply-filters');
     const modelsCheckbox = document.getElementById('models-checkbox');
-    const controllersCheckbox = document.getElementById('controllers-checkbox');
-    const servicesCheckbox = document.getElementById('services-checkbox');
+    const classTypeCheckboxes = document.querySelectorAll('.entity-type-checkbox');
+    const classEntityTypes = ${JSON.stringify(CLASS_ENTITY_TYPES)};
+    const relationshipArrows = ${JSON.stringify(RELATIONSHIP_ARROWS)};
     const directorySelect = document.getElementById('directory-select');
     const showPropertiesCheckbox = document.getElementById('show-properties');
     const showMethodsCheckbox = document.getElementById('show-methods');
@@ -829,8 +789,9 @@ function generateInteractiveHTML(projectInfo, diagramData) {
       // Get selected entity types
       const entityTypes = [];
       if (modelsCheckbox.checked) entityTypes.push('models');
-      if (controllersCheckbox.checked) entityTypes.push('controllers');
-      if (servicesCheckbox.checked) entityTypes.push('services');
+      classTypeCheckboxes.forEach(checkbox => {
+        if (checkbox.checked) entityTypes.push(checkbox.value);
+      });
       
       // Get selected directory
       const directory = directorySelect.value;
@@ -850,7 +811,7 @@ function generateInteractiveHTML(projectInfo, diagramData) {
           // Skip models that don't match the search term
           if (searchTerm && !model.name.toLowerCase().includes(searchTerm)) return;
           
-          mermaidDiagram += \`  class \${model.name} {\\n\`;
+          mermaidDiagram += \`  class \${model.id}["\${model.label}"] {\\n\`;
           
           // Add tableName if available
           if (model.tableName) {
@@ -876,86 +837,43 @@ function generateInteractiveHTML(projectInfo, diagramData) {
         });
       }
       
-      // Add controllers if requested
-      if (entityTypes.includes('controllers') && diagramData.controllers) {
-        diagramData.controllers.forEach(controller => {
-          // Skip controllers not in the selected directory if directory filter is applied
-          if (directory && !controller.filePath?.includes(directory)) return;
-          
-          // Skip controllers that don't match the search term
-          if (searchTerm && !controller.name.toLowerCase().includes(searchTerm)) return;
-          
-          mermaidDiagram += \`  class \${controller.name} {\\n\`;
-          mermaidDiagram += \`    <<Controller>>\\n\`;
-          
-          // Add methods if showing methods
-          if (showMethodsCheckbox.checked && controller.methods) {
-            controller.methods.forEach(method => {
-              mermaidDiagram += \`    +\${method.name}(\${method.params})\\n\`;
-            });
-          }
-          
-          mermaidDiagram += \`  }\\n\`;
-        });
-      }
-      
-      // Add services if requested
-      if (entityTypes.includes('services') && diagramData.services) {
-        diagramData.services.forEach(service => {
-          // Skip services not in the selected directory if directory filter is applied
-          if (directory && !service.filePath?.includes(directory)) return;
+      // Add controllers, services and the other class kinds if requested
+      classEntityTypes.forEach(({ key, stereotype }) => {
+        if (!entityTypes.includes(key) || !diagramData[key]) return;
+
+        diagramData[key].forEach(entity => {
+          // Skip classes not in the selected directory if directory filter is applied
+          if (directory && !entity.filePath?.includes(directory)) return;
           
-          // Skip services that don't match the search term
-          if (searchTerm && !service.name.toLowerCase().includes(searchTerm)) return;
+          // Skip classes that don't match the search term
+          if (searchTerm && !entity.name.toLowerCase().includes(searchTerm)) return;
           
-          mermaidDiagram += \`  class \${service.name} {\\n\`;
-          mermaidDiagram += \`    <<Service>>\\n\`;
+          mermaidDiagram += \`  class \${entity.id}["\${entity.label}"] {\\n\`;
+          mermaidDiagram += \`    <<\${stereotype}>>\\n\`;
           
           // Add methods if showing methods
-          if (showMethodsCheckbox.checked && service.methods) {
-            service.methods.forEach(method => {
+          if (showMethodsCheckbox.checked && entity.methods) {
+            entity.methods.forEach(method => {
               mermaidDiagram += \`    +\${method.name}(\${method.params})\\n\`;
             });
           }
           
           mermaidDiagram += \`  }\\n\`;
         });
-      }
+      });
       
       // Add relationships if showing relationships
       if (showRelationshipsCheckbox.checked && entityTypes.includes('models')) {
         diagramData.relationships.forEach(rel => {
-          const sourceModel = rel.sourceModel.replace(/::class$/, '');
-          const targetModel = rel.targetModel.replace(/::class$/, '');
-          
           // Skip relationships where either model doesn't match search term
           if (searchTerm && 
-              !sourceModel.toLowerCase().includes(searchTerm) && 
-              !targetModel.toLowerCase().includes(searchTerm)) {
+              !rel.source.toLowerCase().includes(searchTerm) && 
+              !rel.target.toLowerCase().includes(searchTerm)) {
             return;
           }
           
-          let arrow;
-          let relationshipName = rel.relationshipName.toLowerCase();
-          
-          switch (rel.relationshipType) {
-            case 'hasOne':
-              arrow = '-->';
-              break;
-            case 'hasMany':
-              arrow = '--*';
-              break;
-            case 'belongsTo':
-              arrow = '<--';
-              break;
-            case 'belongsToMany':
-              arrow = '<--*';
-              break;
-            default:
-              arrow = '-->';
-          }
-          
-          mermaidDiagram += \`  \${sourceModel} \${arrow} \${targetModel} : \${relationshipName}\\n\`;
+          const arrow = relationshipArrows[rel.relationshipType] || '-->';
+          mermaidDiagram += \`  \${rel.source} \${arrow} \${rel.target} : \${rel.label}\\n\`;
         });
       }
       
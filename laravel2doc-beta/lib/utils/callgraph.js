@@ -0,0 +1,1714 @@
+const {
+  tokenize,
+  findMatchingToken,
+  skipToStatementEnd,
+  splitTokens,
+  findClosingBracket,
+  resolveClassName,
+  findMethod,
+  getPropertyValue,
+  stripComments,
+} = require("./php");
+const { classBasename, getModelTableName } = require("./naming");
+const { resolveMiddlewareStack, getControllerMiddleware } = require("./middleware");
+const { findFormRequest, getEndpointRules } = require("./validation");
+const { findResponseResource } = require("./resources");
+
+/**
+ * Labels of the participants that stand for framework services
+ */
+const SERVICE_PARTICIPANTS = {
+  DB: "Database",
+  Cache: "Cache",
+  Queue: "Queue",
+  Events: "Event dispatcher",
+  Mail: "Mail",
+  Notifications: "Notifications",
+  ExternalAPI: "External API",
+  Validator: "Validator",
+  Gate: "Gate",
+  Middleware: "Middleware",
+};
+
+/**
+ * Facades drawn as a service participant, keyed by class basename
+ */
+const FACADES = {
+  DB: "DB",
+  Cache: "Cache",
+  Http: "ExternalAPI",
+  Mail: "Mail",
+  Notification: "Notifications",
+  Event: "Events",
+  Bus: "Queue",
+  Queue: "Queue",
+  Validator: "Validator",
+  Gate: "Gate",
+};
+
+/**
+ * SQL verb of the Eloquent methods that run a query
+ */
+const QUERY_VERBS = {
+  get: "SELECT",
+  first: "SELECT",
+  firstOrFail: "SELECT",
+  find: "SELECT",
+  findOrFail: "SELECT",
+  findMany: "SELECT",
+  all: "SELECT",
+  paginate: "SELECT",
+  simplePaginate: "SELECT",
+  cursorPaginate: "SELECT",
+  cursor: "SELECT",
+  lazy: "SELECT",
+  chunk: "SELECT",
+  chunkById: "SELECT",
+  count: "SELECT",
+  sum: "SELECT",
+  avg: "SELECT",
+  min: "SELECT",
+  max: "SELECT",
+  exists: "SELECT",
+  doesntExist: "SELECT",
+  pluck: "SELECT",
+  value: "SELECT",
+  sole: "SELECT",
+  load: "SELECT",
+  loadMissing: "SELECT",
+  refresh: "SELECT",
+  fresh: "SELECT",
+  create: "INSERT",
+  createMany: "INSERT",
+  insert: "INSERT",
+  insertGetId: "INSERT",
+  forceCreate: "INSERT",
+  attach: "INSERT",
+  saveMany: "INSERT",
+  firstOrCreate: "SELECT/INSERT",
+  updateOrCreate: "SELECT/INSERT/UPDATE",
+  upsert: "INSERT/UPDATE",
+  save: "INSERT/UPDATE",
+  push: "INSERT/UPDATE",
+  update: "UPDATE",
+  increment: "UPDATE",
+  decrement: "UPDATE",
+  touch: "UPDATE",
+  restore: "UPDATE",
+  sync: "DELETE/INSERT",
+  syncWithoutDetaching: "INSERT",
+  toggle: "DELETE/INSERT",
+  delete: "DELETE",
+  forceDelete: "DELETE",
+  destroy: "DELETE",
+  detach: "DELETE",
+  truncate: "DELETE",
+};
+
+/**
+ * Eloquent methods that fail with a 404 when nothing matches
+ */
+const OR_FAIL_METHODS = ["findOrFail", "firstOrFail", "sole"];
+
+/**
+ * Reason phrases of the statuses drawn for responses and early exits
+ */
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  202: "Accepted",
+  204: "No Content",
+  400: "Bad Request",
+  401: "Unauthorized",
+  402: "Payment Required",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  409: "Conflict",
+  410: "Gone",
+  419: "Page Expired",
+  422: "Unprocessable Content",
+  423: "Locked",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+  503: "Service Unavailable",
+};
+
+/**
+ * How middleware of each kind ends a request it turns away
+ */
+const MIDDLEWARE_EXITS = {
+  auth: { label: "unauthenticated", status: 401 },
+  "auth.basic": { label: "unauthenticated", status: 401 },
+  guest: { label: "already authenticated", status: "302 redirect" },
+  throttle: { label: "too many attempts", status: 429 },
+  verified: { label: "email not verified", status: 403 },
+  signed: { label: "invalid signature", status: 403 },
+  "password.confirm": { label: "password not confirmed", status: 423 },
+  abilities: { label: "missing token ability", status: 403 },
+  ability: { label: "missing token ability", status: 403 },
+  scopes: { label: "missing token scope", status: 403 },
+  scope: { label: "missing token scope", status: 403 },
+};
+
+/**
+ * Cache methods that store or remove values
+ */
+const CACHE_WRITES = ["put", "putMany", "add", "forever", "forget", "flush", "increment", "decrement"];
+
+/**
+ * Methods that send a notification to a notifiable model
+ */
+const NOTIFY_METHODS = ["notify", "notifyNow"];
+
+/**
+ * Identifiers followed by "(" that aren't function calls
+ */
+const NOT_CALLS = [
+  "if",
+  "elseif",
+  "foreach",
+  "for",
+  "while",
+  "switch",
+  "match",
+  "array",
+  "list",
+  "isset",
+  "empty",
+  "unset",
+  "function",
+  "fn",
+  "catch",
+  "declare",
+  "exit",
+  "die",
+  "eval",
+  "use",
+];
+
+/**
+ * Built-in types that never name a class
+ */
+const SCALAR_TYPES = [
+  "string",
+  "int",
+  "float",
+  "bool",
+  "array",
+  "iterable",
+  "callable",
+  "object",
+  "mixed",
+  "void",
+  "null",
+  "false",
+  "true",
+  "never",
+  "self",
+  "static",
+];
+
+/**
+ * Eloquent relationship methods, used to tell relations from other model methods
+ */
+const RELATION_PATTERN =
+  /\$this\s*->\s*(?:hasOne|hasMany|belongsTo|belongsToMany|morphTo|morphOne|morphMany|morphToMany|morphedByMany|hasOneThrough|hasManyThrough)\s*\(/;
+
+/**
+ * Split a method body into a tree of statements. Control structures keep
+ * their bodies; everything else is an expression up to its ";"
+ * @param {string} code Method body without the outer braces
+ * @returns {Array} Statements ({ type: expression|return|throw|if|loop|switch|try|block, ... })
+ */
+function parseStatements(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type !== "comment" && token.type !== "doc_comment"
+  );
+  return parseBlock(code, tokens, 0, tokens.length);
+}
+
+/**
+ * Parse the statements between two token indexes
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} start First token index
+ * @param {number} end Index after the last token
+ * @returns {Array} Statements
+ */
+function parseBlock(code, tokens, start, end) {
+  const statements = [];
+  let i = start;
+  while (i < end) {
+    const { statement, next } = parseStatement(code, tokens, i, end);
+    if (statement) statements.push(statement);
+    i = Math.max(next, i + 1);
+  }
+  return statements;
+}
+
+/**
+ * Parse the statement starting at a token
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the statement's first token
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {Object} Parsed statement (or null) and the index after it ({ statement, next })
+ */
+function parseStatement(code, tokens, index, end) {
+  const token = tokens[index];
+  const keyword = token.type === "identifier" ? token.value.toLowerCase() : null;
+
+  if (token.value === ";") return { statement: null, next: index + 1 };
+  if (token.value === "{") {
+    const close = closingToken(tokens, index, end);
+    return {
+      statement: { type: "block", body: parseBlock(code, tokens, index + 1, close) },
+      next: close + 1,
+    };
+  }
+
+  switch (keyword) {
+    case "if":
+      return parseIf(code, tokens, index, end);
+    case "foreach":
+    case "for":
+    case "while": {
+      const close = closingToken(tokens, index + 1, end);
+      const body = parseBody(code, tokens, close + 1, end);
+      return {
+        statement: {
+          type: "loop",
+          keyword,
+          header: sliceTokens(code, tokens, index + 2, close),
+          body: body.statements,
+        },
+        next: body.next,
+      };
+    }
+    case "do": {
+      const body = parseBody(code, tokens, index + 1, end);
+      let next = body.next;
+      let header = "";
+      if (tokens[next] && tokens[next].value.toLowerCase() === "while") {
+        const close = closingToken(tokens, next + 1, end);
+        header = sliceTokens(code, tokens, next + 2, close);
+        next = skipToStatementEnd(tokens, close + 1, end) + 1;
+      }
+      return { statement: { type: "loop", keyword, header, body: body.statements }, next };
+    }
+    case "switch":
+      return parseSwitch(code, tokens, index, end);
+    case "try":
+      return parseTry(code, tokens, index, end);
+    case "return":
+    case "throw": {
+      const stop = skipToStatementEnd(tokens, index + 1, end);
+      return {
+        statement: { type: keyword, code: sliceTokens(code, tokens, index + 1, stop) },
+        next: stop + 1,
+      };
+    }
+  }
+
+  const stop = skipToStatementEnd(tokens, index, end);
+  const expression = sliceTokens(code, tokens, index, stop);
+  return {
+    statement: expression ? { type: "expression", code: expression } : null,
+    next: stop + 1,
+  };
+}
+
+/**
+ * Parse an if / elseif / else chain
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the "if" token
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {Object} Statement ({ type: "if", branches: [{ condition, body }], otherwise }) and next index
+ */
+function parseIf(code, tokens, index, end) {
+  const branches = [];
+  let otherwise = null;
+  let i = index;
+
+  for (;;) {
+    const close = closingToken(tokens, i + 1, end);
+    const body = parseBody(code, tokens, close + 1, end);
+    branches.push({ condition: sliceTokens(code, tokens, i + 2, close), body: body.statements });
+    i = body.next;
+
+    const next = i < end ? tokens[i].value.toLowerCase() : null;
+    if (next === "elseif") continue;
+    if (next === "else" && i + 1 < end && tokens[i + 1].value.toLowerCase() === "if") {
+      i++;
+      continue;
+    }
+    if (next === "else") {
+      const elseBody = parseBody(code, tokens, i + 1, end);
+      otherwise = elseBody.statements;
+      i = elseBody.next;
+    }
+    break;
+  }
+
+  return { statement: { type: "if", branches, otherwise }, next: i };
+}
+
+/**
+ * Parse a switch statement into its cases
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the "switch" token
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {Object} Statement ({ type: "switch", subject, cases: [{ label, body }] }) and next index
+ */
+function parseSwitch(code, tokens, index, end) {
+  const close = closingToken(tokens, index + 1, end);
+  const open = close + 1;
+  const blockEnd = closingToken(tokens, open, end);
+  const cases = [];
+  let current = null;
+
+  let i = open + 1;
+  while (i < blockEnd) {
+    const value = tokens[i].value.toLowerCase();
+    if (value === "case" || value === "default") {
+      // The label runs up to its ":" (or the rarely used ";")
+      let labelEnd = i + 1;
+      while (labelEnd < blockEnd && ![":", ";"].includes(tokens[labelEnd].value)) {
+        if (["(", "["].includes(tokens[labelEnd].value)) {
+          labelEnd = closingToken(tokens, labelEnd, blockEnd);
+        }
+        labelEnd++;
+      }
+      current = {
+        label: value === "default" ? "default" : sliceTokens(code, tokens, i + 1, labelEnd),
+        body: [],
+      };
+      cases.push(current);
+      i = labelEnd + 1;
+      continue;
+    }
+
+    const { statement, next } = parseStatement(code, tokens, i, blockEnd);
+    if (statement && current) current.body.push(statement);
+    i = Math.max(next, i + 1);
+  }
+
+  return {
+    statement: { type: "switch", subject: sliceTokens(code, tokens, index + 2, close), cases },
+    next: blockEnd + 1,
+  };
+}
+
+/**
+ * Parse a try statement with its catch and finally blocks
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the "try" token
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {Object} Statement ({ type: "try", body, catches: [{ exception, body }], finally }) and next index
+ */
+function parseTry(code, tokens, index, end) {
+  const body = parseBody(code, tokens, index + 1, end);
+  const catches = [];
+  let finallyBody = null;
+
+  let i = body.next;
+  while (i < end && tokens[i].value.toLowerCase() === "catch") {
+    const close = closingToken(tokens, i + 1, end);
+    const catchBody = parseBody(code, tokens, close + 1, end);
+    catches.push({ exception: sliceTokens(code, tokens, i + 2, close), body: catchBody.statements });
+    i = catchBody.next;
+  }
+  if (i < end && tokens[i].value.toLowerCase() === "finally") {
+    const finallyBlock = parseBody(code, tokens, i + 1, end);
+    finallyBody = finallyBlock.statements;
+    i = finallyBlock.next;
+  }
+
+  return {
+    statement: { type: "try", body: body.statements, catches, finally: finallyBody },
+    next: i,
+  };
+}
+
+/**
+ * Parse the body of a control structure: a block or a single statement
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the body's first token
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {Object} Statements of the body and the index after it ({ statements, next })
+ */
+function parseBody(code, tokens, index, end) {
+  if (index >= end) return { statements: [], next: index };
+
+  if (tokens[index].value === "{") {
+    const close = closingToken(tokens, index, end);
+    return { statements: parseBlock(code, tokens, index + 1, close), next: close + 1 };
+  }
+
+  const { statement, next } = parseStatement(code, tokens, index, end);
+  return { statements: statement ? [statement] : [], next };
+}
+
+/**
+ * Find the token closing a bracket, falling back to the end of the block
+ * when the code is cut short
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the opening bracket
+ * @param {number} end Index after the enclosing block's last token
+ * @returns {number} Index of the closing bracket
+ */
+function closingToken(tokens, index, end) {
+  if (index >= end) return end;
+  const close = findMatchingToken(tokens, index);
+  return close === -1 || close > end ? end : close;
+}
+
+/**
+ * Get the source code of a range of tokens
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} start First token index
+ * @param {number} end Index after the last token
+ * @returns {string} Source code of the range
+ */
+function sliceTokens(code, tokens, start, end) {
+  if (start >= end || !tokens[start]) return "";
+  return code.slice(tokens[start].start, tokens[Math.min(end, tokens.length) - 1].end).trim();
+}
+
+/**
+ * Find the calls of an expression, left to right: object creation, static
+ * calls, function calls and calls on a variable or property, each with the
+ * method chain that follows it. Calls nested in arguments are left in the
+ * arguments
+ * @param {string} code PHP expression
+ * @returns {Array} Calls ({ type: new|static|function|instance, className, name, receiver, method, args, chain })
+ */
+function scanCalls(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type !== "comment" && token.type !== "doc_comment"
+  );
+  const calls = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    const call = readCall(code, tokens, i);
+    if (call) {
+      calls.push(call);
+      i = call.end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Read the call starting at a token, if there is one
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} index Token index
+ * @returns {Object|null} Call, with the index of its last token as end
+ */
+function readCall(code, tokens, index) {
+  const token = tokens[index];
+  const previous = tokens[index - 1];
+  const at = (offset) => tokens[index + offset] || { type: null, value: "" };
+  const isMember = previous && ["->", "?->", "::"].includes(previous.value);
+  if (isMember || !["identifier", "variable"].includes(token.type)) return null;
+
+  let call = null;
+  let open = -1;
+
+  if (token.value.toLowerCase() === "new" && at(1).type === "identifier" && at(2).value === "(") {
+    call = { type: "new", className: at(1).value };
+    open = index + 2;
+  } else if (token.type === "identifier" && at(1).value === "::" && at(2).type === "identifier" && at(3).value === "(") {
+    call = { type: "static", className: token.value, method: at(2).value };
+    open = index + 3;
+  } else if (
+    token.type === "identifier" &&
+    at(1).value === "(" &&
+    !NOT_CALLS.includes(token.value.toLowerCase()) &&
+    !(previous && ["new", "function", "fn"].includes(previous.value.toLowerCase()))
+  ) {
+    call = { type: "function", name: token.value };
+    open = index + 1;
+  } else if (token.type === "variable") {
+    // $variable->property->method(
+    const receiver = [token.value];
+    let i = index;
+    while (
+      tokens[i + 2] &&
+      ["->", "?->"].includes(tokens[i + 1].value) &&
+      tokens[i + 2].type === "identifier"
+    ) {
+      if (tokens[i + 3] && tokens[i + 3].value === "(") {
+        call = { type: "instance", receiver, method: tokens[i + 2].value };
+        open = i + 3;
+        break;
+      }
+      receiver.push(tokens[i + 2].value);
+      i += 2;
+    }
+  }
+  if (!call) return null;
+
+  const close = findMatchingToken(tokens, open);
+  if (close === -1) return null;
+  call.args = readArguments(code, tokens, open, close);
+  call.chain = [];
+
+  let end = close;
+  while (
+    tokens[end + 3] &&
+    ["->", "?->"].includes(tokens[end + 1].value) &&
+    tokens[end + 2].type === "identifier" &&
+    tokens[end + 3].value === "("
+  ) {
+    const chainClose = findMatchingToken(tokens, end + 3);
+    if (chainClose === -1) break;
+    call.chain.push({
+      name: tokens[end + 2].value,
+      args: readArguments(code, tokens, end + 3, chainClose),
+    });
+    end = chainClose;
+  }
+
+  call.end = end;
+  return call;
+}
+
+/**
+ * Get the source code of each argument between a pair of parentheses
+ * @param {string} code Source code
+ * @param {Array} tokens Tokens
+ * @param {number} open Index of "("
+ * @param {number} close Index of ")"
+ * @returns {Array} Arguments as written
+ */
+function readArguments(code, tokens, open, close) {
+  return splitTokens(tokens, open + 1, close, ",").map(([start, end]) =>
+    sliceTokens(code, tokens, start, end)
+  );
+}
+
+/**
+ * Trace what a method does, in statement order: queries, calls into other app
+ * classes (followed up to a depth), framework services, dispatched jobs and
+ * events, and what it returns
+ * @param {Object} projectInfo Project information
+ * @param {Object} classFile Class file the method belongs to
+ * @param {Object} method Parsed method
+ * @param {Object} options Options ({ depth }: how many levels of app class calls to follow)
+ * @returns {Object} Trace ({ participants: [{ id, label, kind }], steps, self })
+ */
+function traceMethod(projectInfo, classFile, method, options = {}) {
+  const context = createContext(projectInfo, classFile, method, options);
+  const self = classParticipant(context, classFile);
+  const frame = createFrame(classFile, method, self, context.client, 0);
+  const steps = walkStatements(parseStatements(method.body || ""), frame, context);
+
+  return { participants: [...context.participants.values()], steps, self };
+}
+
+/**
+ * Trace a request from the router to a controller action and back: the
+ * middleware of the route and the controller, route model binding,
+ * FormRequest authorization and validation, policy checks from can:
+ * middleware, the action itself and the resource that shapes the response
+ * @param {Object} projectInfo Project information
+ * @param {Object} classFile Controller class file
+ * @param {Object} method Controller method
+ * @param {Object|null} route Route the method handles
+ * @param {Object} options Options ({ depth }: how many levels of app class calls to follow)
+ * @returns {Object} Trace ({ participants: [{ id, label, kind }], steps, self })
+ */
+function traceRequest(projectInfo, classFile, method, route, options = {}) {
+  const context = createContext(projectInfo, classFile, method, options);
+  const router = addParticipant(context, "Router", "Router", "router");
+  const routerFrame = createFrame(classFile, method, router, context.client, 0);
+  const steps = [];
+
+  const config = projectInfo.middlewareConfig || { aliases: {}, groups: {}, limiters: {} };
+  const stack = resolveMiddlewareStack(
+    [...((route && route.middleware) || []), ...getControllerMiddleware(classFile.classInfo, method.name)],
+    config
+  );
+  if (stack.length > 0) serviceParticipant(context, "Middleware");
+  const controller = classParticipant(context, classFile);
+
+  // can: middleware runs once the route's models are bound, like a policy check
+  const abilities = [];
+  stack.forEach((entry) => {
+    const basename = classBasename(entry.className || entry.name);
+    if (entry.kind === "can") abilities.push(entry.params);
+    if (entry.kind === "can" || basename === "SubstituteBindings") return;
+
+    const middleware = serviceParticipant(context, "Middleware");
+    steps.push(callStep(router, middleware, entry.name.includes("\\") ? basename : entry.name));
+    const exit = MIDDLEWARE_EXITS[entry.kind];
+    if (exit) steps.push(breakStep({ self: middleware }, context, exit.label, exit.status));
+  });
+
+  // Route model binding of the {parameters} type-hinted with a model
+  const path = (route && route.path) || "";
+  for (const match of path.matchAll(/\{(\w+)(?::(\w+))?\??\}/g)) {
+    const param = method.params.find((p) => p.name === match[1]);
+    const modelFile = param && context.classes.get(resolveType(param.type, classFile));
+    if (!modelFile || modelFile.kind !== "model") continue;
+
+    const model = classParticipant(context, modelFile);
+    const query = callStep(model, serviceParticipant(context, "DB"), `SELECT ${getModelTableName(modelFile)}`, {
+      result: "row",
+    });
+    steps.push(callStep(router, model, `bind ${match[0]}`, { steps: [query], result: match[1] }));
+    steps.push(breakStep(routerFrame, context, `${modelFile.name} not found`, 404));
+  }
+
+  const handler = { controller: classFile, method };
+  const formRequest = findFormRequest(projectInfo, handler);
+  if (formRequest) steps.push(...formRequestSteps(projectInfo, formRequest, handler, router, context));
+
+  abilities.forEach(([ability, subject]) => {
+    if (!ability) return;
+    // can:update,post names a route parameter, can:create,App\Models\Post a class
+    const written = !subject ? "" : /^[A-Z\\]/.test(subject) ? `${subject}::class` : `$${subject}`;
+    steps.push(...policySteps(routerFrame, context, ability, policySubject(written, routerFrame, context)));
+  });
+
+  const frame = createFrame(classFile, method, controller, router, 0);
+  const actionSteps = walkStatements(parseStatements(method.body || ""), frame, context);
+  const params = method.params.map((param) => param.name).join(", ");
+  steps.push(callStep(router, controller, `${method.name}(${params})`, { steps: actionSteps }));
+
+  // The router turns the returned resource into the JSON response
+  const usage = findResponseResource(projectInfo, handler);
+  if (usage) {
+    const resource = classParticipant(context, usage.resource);
+    steps.push(
+      callStep(router, resource, usage.collection ? "toArray(request) for each item" : "toArray(request)", {
+        result: usage.paginated ? "data, links, meta" : "data",
+      })
+    );
+  }
+  steps.push({
+    kind: "return",
+    from: router,
+    to: context.client,
+    label: describeResponse(route, actionSteps, controller, router, usage),
+  });
+
+  return { participants: [...context.participants.values()], steps, self: router };
+}
+
+/**
+ * Create the state shared by everything traced for one diagram
+ * @param {Object} projectInfo Project information
+ * @param {Object} classFile Class file the trace starts in
+ * @param {Object} method Method the trace starts in
+ * @param {Object} options Options ({ depth })
+ * @returns {Object} Trace context
+ */
+function createContext(projectInfo, classFile, method, options) {
+  const context = {
+    classes: new Map((projectInfo.classes || []).map((file) => [file.fullName, file])),
+    maxDepth: options.depth === undefined ? 2 : options.depth,
+    participants: new Map(),
+    client: null,
+    stack: [`${classFile.fullName}::${method.name}`],
+  };
+  context.client = addParticipant(context, "Client", "Client", "actor");
+  return context;
+}
+
+/**
+ * Trace what a type-hinted FormRequest does before the action runs:
+ * authorize(), then validation against rules() with its 422 exit
+ * @param {Object} projectInfo Project information
+ * @param {Object} formRequest FormRequest class file
+ * @param {Object} handler Controller and method ({ controller, method })
+ * @param {string} router Participant id of the router
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function formRequestSteps(projectInfo, formRequest, handler, router, context) {
+  const request = classParticipant(context, formRequest);
+  const steps = [];
+
+  // authorize() that only returns true can't turn anyone away
+  const authorize = findMethod(formRequest.classInfo, "authorize");
+  if (authorize && !/^\s*return\s+true\s*;?\s*$/i.test(authorize.body || "")) {
+    steps.push(callStep(router, request, "authorize()", { result: "allowed" }));
+    steps.push(breakStep({ self: request }, context, "not authorized", 403));
+  }
+
+  if (findMethod(formRequest.classInfo, "rules")) {
+    const endpoint = { controller: handler.controller.fullName, controllerMethod: handler.method.name };
+    const fields = Object.keys(getEndpointRules(projectInfo, endpoint) || {}).filter((field) => !field.includes("."));
+    const shown = fields.length > 3 ? [...fields.slice(0, 3), "…"] : fields;
+    const validate = callStep(request, serviceParticipant(context, "Validator"), `validate(${shown.join(", ")})`, {
+      result: "errors",
+    });
+    steps.push(callStep(router, request, "rules()", { steps: [validate], result: "validated data" }));
+    steps.push(breakStep({ self: request }, context, "validation fails", 422));
+  }
+
+  return steps;
+}
+
+/**
+ * Describe the response the router sends back, from what the action returns
+ * @param {Object|null} route Route
+ * @param {Array} steps Steps of the action
+ * @param {string} controller Participant id of the controller
+ * @param {string} router Participant id of the router
+ * @param {Object|null} usage Resource the action responds with
+ * @returns {string} Status line
+ */
+function describeResponse(route, steps, controller, router, usage) {
+  const returned = steps.filter((step) => step.kind === "return" && step.from === controller && step.to === router);
+  const label = returned.length > 0 ? returned[returned.length - 1].label : "";
+
+  const status = label.match(/\b([1-5]\d\d)\b/);
+  if (status) return STATUS_TEXT[status[1]] ? `${status[1]} ${STATUS_TEXT[status[1]]}` : status[1];
+  if (/^redirect/.test(label)) return "302 redirect";
+  if (/^view /.test(label)) return "200 OK (HTML)";
+  // A resource wrapping a model created during the request is sent as 201
+  if (usage && route && route.method === "POST") return "201 Created";
+  return "200 OK";
+}
+
+/**
+ * Trace a policy check: the policy method for the subject's model when a
+ * policy is registered for it, otherwise the ability on the Gate
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string} ability Ability as written
+ * @param {Object} subject What the ability is checked against ({ label, model })
+ * @returns {Array} Steps
+ */
+function policySteps(frame, context, ability, subject) {
+  const name = ability.trim().replace(/^['"]|['"]$/g, "");
+  const policy = subject.model && findPolicy(context, subject.model);
+  const to = policy ? classParticipant(context, policy) : serviceParticipant(context, "Gate");
+  const label = policy
+    ? `${name}(user${subject.label ? `, ${subject.label}` : ""})`
+    : `authorize(${[name, subject.label].filter(Boolean).join(", ")})`;
+
+  return [
+    callStep(frame.self, to, label, { result: "allowed" }),
+    breakStep(frame, context, "denied", 403),
+  ];
+}
+
+/**
+ * Work out what an ability is checked against: a typed variable or a class
+ * @param {string} code Argument as written ("$post", "Post::class")
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Object} Subject ({ label, model })
+ */
+function policySubject(code, frame, context) {
+  const value = code.trim();
+  if (!value) return { label: "", model: null };
+
+  const variable = value.match(/^\$(\w+)$/);
+  if (variable) return { label: variable[1], model: frame.vars.get(variable[1]) || null };
+
+  const className = value.match(/^([\w\\]+)::class$/);
+  if (className) {
+    const model = resolveClassName(className[1], frame.classFile.classInfo);
+    return { label: classBasename(model), model: context.classes.has(model) ? model : null };
+  }
+  return { label: describeValue(value), model: null };
+}
+
+/**
+ * Find the policy of a model: registered in a provider's $policies or with
+ * Gate::policy(), or found by Laravel's naming convention (PostPolicy)
+ * @param {Object} context Trace context
+ * @param {string} model Fully qualified model class name
+ * @returns {Object|null} Policy class file
+ */
+function findPolicy(context, model) {
+  const classes = [...context.classes.values()];
+
+  for (const provider of classes.filter((file) => file.kind === "provider")) {
+    const policies = getPropertyValue(provider.classInfo, "policies");
+    const registered = Object.entries(policies && typeof policies === "object" ? policies : {});
+    for (const match of stripComments(provider.content || "").matchAll(/Gate::policy\(\s*([\w\\]+)::class\s*,\s*([\w\\]+)::class/g)) {
+      registered.push([match[1], match[2]]);
+    }
+
+    const entry = registered.find(([key]) => resolveClassName(key, provider.classInfo) === model);
+    const policy = entry && context.classes.get(resolveClassName(String(entry[1]), provider.classInfo));
+    if (policy) return policy;
+  }
+
+  return classes.find((file) => file.kind === "policy" && file.name === `${classBasename(model)}Policy`) || null;
+}
+
+/**
+ * Trace a validate() call, which ends the request with a 422 when it fails
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {Array} calls Method chain ({ name, args })
+ * @param {string|null} target Variable the result is assigned to
+ * @returns {Array} Steps
+ */
+function validationSteps(frame, context, calls, target) {
+  return [
+    callStep(frame.self, serviceParticipant(context, "Validator"), formatChain(calls), {
+      result: target || "validated data",
+    }),
+    breakStep(frame, context, "validation fails", 422),
+  ];
+}
+
+/**
+ * Create the state of one method being traced
+ * @param {Object} classFile Class file the method belongs to
+ * @param {Object} method Parsed method
+ * @param {string} self Participant id of the class
+ * @param {string} caller Participant id of the caller
+ * @param {number} depth How many calls deep the method is
+ * @returns {Object} Frame ({ classFile, self, caller, depth, vars, returnType, closure })
+ */
+function createFrame(classFile, method, self, caller, depth) {
+  const vars = new Map();
+  (method.params || []).forEach((param) => {
+    const type = resolveType(param.type, classFile);
+    if (type) vars.set(param.name, type);
+  });
+  const returnType = resolveType(method.returnType, classFile);
+  return { classFile, self, caller, depth, vars, returnType, closure: false };
+}
+
+/**
+ * Add a participant once, keyed by what it stands for
+ * @param {Object} context Trace context
+ * @param {string} key Unique key (a class name or service)
+ * @param {string} label Label shown on the diagram
+ * @param {string} kind Participant kind
+ * @param {string} name Name to derive the id from (defaults to the label)
+ * @returns {string} Participant id
+ */
+function addParticipant(context, key, label, kind, name = label) {
+  if (context.participants.has(key)) return context.participants.get(key).id;
+
+  // Two classes can share a basename, so number the later ones
+  const taken = new Set([...context.participants.values()].map((participant) => participant.id));
+  const base = name.replace(/\W/g, "") || "Participant";
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}${n}`;
+
+  context.participants.set(key, { id, label, kind });
+  return id;
+}
+
+/**
+ * Get the participant of an app class
+ * @param {Object} context Trace context
+ * @param {Object} classFile Class file
+ * @returns {string} Participant id
+ */
+function classParticipant(context, classFile) {
+  return addParticipant(context, classFile.fullName, classFile.name, classFile.kind || "class");
+}
+
+/**
+ * Get the participant of a framework service
+ * @param {Object} context Trace context
+ * @param {string} key Service key (see SERVICE_PARTICIPANTS)
+ * @returns {string} Participant id
+ */
+function serviceParticipant(context, key) {
+  return addParticipant(context, key, SERVICE_PARTICIPANTS[key], "service", key);
+}
+
+/**
+ * Resolve a declared type to a class name
+ * @param {string|null} type Type as written ("?Foo", "Foo|null")
+ * @param {Object} classFile Class file the type is written in
+ * @returns {string|null} Fully qualified class name, or null for scalar types
+ */
+function resolveType(type, classFile) {
+  if (!type) return null;
+  const name = type
+    .replace(/^\?/, "")
+    .split(/[|&]/)
+    .map((part) => part.trim())
+    .find((part) => part && !SCALAR_TYPES.includes(part.toLowerCase()));
+  return name ? resolveClassName(name, classFile.classInfo) : null;
+}
+
+/**
+ * Get the class of a property from its declaration or a promoted constructor parameter
+ * @param {Object} classFile Class file
+ * @param {string} name Property name
+ * @returns {string|null} Fully qualified class name
+ */
+function propertyType(classFile, name) {
+  const classInfo = classFile.classInfo;
+  const property = classInfo.properties.find((p) => p.name === name);
+  if (property && property.type) return resolveType(property.type, classFile);
+
+  const constructor = findMethod(classInfo, "__construct");
+  const param = constructor && constructor.params.find((p) => p.promoted && p.name === name);
+  return param ? resolveType(param.type, classFile) : null;
+}
+
+/**
+ * Trace a list of statements
+ * @param {Array} statements Statements
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkStatements(statements, frame, context) {
+  return statements.flatMap((statement) => walkStatement(statement, frame, context));
+}
+
+/**
+ * Trace one statement
+ * @param {Object} statement Statement
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkStatement(statement, frame, context) {
+  switch (statement.type) {
+    case "expression":
+      return walkExpression(statement.code, frame, context);
+    case "return": {
+      const steps = walkExpression(statement.code, frame, context);
+      // A closure's return value goes back to the code that called it
+      if (frame.closure) return steps;
+      return [
+        ...steps,
+        {
+          kind: "return",
+          from: frame.self,
+          to: frame.caller,
+          label: describeReturn(statement.code, frame, context),
+        },
+      ];
+    }
+    case "throw":
+      return [
+        ...walkExpression(statement.code, frame, context),
+        { kind: "note", over: frame.self, text: `throws ${describeValue(statement.code)}` },
+      ];
+    case "if":
+      return walkIf(statement, frame, context);
+    case "loop":
+      return [
+        ...walkLoopHeader(statement, frame, context),
+        ...fragment("loop", [
+          { label: describeLoop(statement), steps: walkStatements(statement.body, frame, context) },
+        ]),
+      ];
+    case "switch":
+      return [
+        ...walkExpression(statement.subject, frame, context),
+        ...fragment(
+          "alt",
+          statement.cases.map((item) => ({
+            label: item.label === "default" ? "default" : `${statement.subject} = ${item.label}`,
+            steps: walkStatements(item.body, frame, context),
+          }))
+        ),
+      ];
+    case "try": {
+      const body = walkStatements(statement.body, frame, context);
+      const catches = statement.catches.map((item) => ({
+        label: `catch ${item.exception
+          .replace(/\s*\$\w+\s*$/, "")
+          .split("|")
+          .map((name) => classBasename(name.trim()))
+          .join(" | ")}`,
+        steps: walkStatements(item.body, frame, context),
+      }));
+      // Without work in a catch block there is nothing to branch on
+      const tried = catches.some((item) => item.steps.length > 0)
+        ? fragment("alt", [{ label: "success", steps: body }, ...catches])
+        : body;
+      return [...tried, ...walkStatements(statement.finally || [], frame, context)];
+    }
+    case "block":
+      return walkStatements(statement.body, frame, context);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Trace an if / elseif / else chain as an alt fragment, or an opt fragment
+ * when only one branch does anything
+ * @param {Object} statement If statement
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkIf(statement, frame, context) {
+  const [first] = statement.branches;
+  const steps = walkExpression(first.condition, frame, context);
+
+  // Conditions of elseif branches are only evaluated when the earlier ones fail
+  const sections = statement.branches.map((branch, index) => ({
+    label: describeCondition(branch.condition),
+    steps: [
+      ...(index > 0 ? walkExpression(branch.condition, frame, context) : []),
+      ...walkStatements(branch.body, frame, context),
+    ],
+  }));
+  if (statement.otherwise) {
+    sections.push({
+      label: sections.length === 1 ? `not ${describeCondition(first.condition)}` : "otherwise",
+      steps: walkStatements(statement.otherwise, frame, context),
+    });
+  }
+
+  // if (...) abort(403) reads as a break on the condition itself
+  const [only] = sections;
+  if (
+    sections.length === 1 &&
+    only.steps.length === 1 &&
+    only.steps[0].kind === "fragment" &&
+    only.steps[0].type === "break"
+  ) {
+    const [exit] = only.steps[0].sections;
+    return [...steps, { ...only.steps[0], sections: [{ ...exit, label: only.label }] }];
+  }
+
+  return [...steps, ...fragment("alt", sections)];
+}
+
+/**
+ * Build a fragment from the sections that have steps: an alt left with one
+ * section becomes an opt, and a fragment with none is dropped
+ * @param {string} type Fragment type (alt, opt, loop, critical, break)
+ * @param {Array} sections Sections ({ label, steps })
+ * @returns {Array} Zero or one fragment step
+ */
+function fragment(type, sections) {
+  const kept = sections.filter((section) => section.steps.length > 0);
+  if (kept.length === 0) return [];
+  return [{ kind: "fragment", type: type === "alt" && kept.length === 1 ? "opt" : type, sections: kept }];
+}
+
+/**
+ * Build a break fragment for a request that ends early with an HTTP error
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string} label What ends the request
+ * @param {string} status Status code or expression
+ * @returns {Object} Step
+ */
+function breakStep(frame, context, label, status) {
+  const code = String(status).trim();
+  const response = STATUS_TEXT[code] ? `${code} ${STATUS_TEXT[code]}` : describeValue(code);
+  return {
+    kind: "fragment",
+    type: "break",
+    sections: [{ label, steps: [{ kind: "return", from: frame.self, to: context.client, label: response }] }],
+  };
+}
+
+/**
+ * Describe a condition for a fragment label
+ * @param {string} code PHP condition
+ * @returns {string} Shortened condition
+ */
+function describeCondition(code) {
+  const condition = code.replace(/\s+/g, " ").trim();
+  return condition.length > 50 ? `${condition.slice(0, 49)}…` : condition;
+}
+
+/**
+ * Describe a loop for its fragment label
+ * @param {Object} statement Loop statement
+ * @returns {string} Label such as "each item in order->items"
+ */
+function describeLoop(statement) {
+  const header = statement.header.replace(/\s+/g, " ").trim();
+  if (statement.keyword === "foreach") {
+    const match = header.match(/^(.*?) as (?:\$\w+ => )?&?\$(\w+)$/i);
+    if (match) return `each ${match[2]} in ${describeCondition(match[1].replace(/\$/g, ""))}`;
+  }
+  return `${statement.keyword === "do" ? "do while" : statement.keyword} ${describeCondition(header)}`;
+}
+
+/**
+ * Trace the header of a loop, typing the item variable of a foreach over
+ * models of a known class
+ * @param {Object} statement Loop statement
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkLoopHeader(statement, frame, context) {
+  if (statement.keyword !== "foreach") return walkExpression(statement.header, frame, context);
+
+  const match = statement.header.match(/^([\s\S]*?)\s+as\s+(?:\$\w+\s*=>\s*)?&?\$(\w+)\s*$/i);
+  if (!match) return walkExpression(statement.header, frame, context);
+
+  const steps = walkExpression(match[1], frame, context);
+  const collection = match[1].trim().match(/^\$(\w+)$/);
+  const type = collection ? frame.vars.get(collection[1]) : expressionType(match[1], frame, context);
+  if (type) frame.vars.set(match[2], type);
+  return steps;
+}
+
+/**
+ * Trace the calls of an expression and type the variable it assigns
+ * @param {string} code PHP expression
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkExpression(code, frame, context) {
+  if (!code || /^(?:break|continue)\b/i.test(code)) return [];
+
+  // $variable = ..., but not a comparison or an array key
+  const assignment = code.match(/^\$(\w+)\s*(?:\?\?=|=(?![=>]))\s*/);
+  const expression = assignment ? code.slice(assignment[0].length) : code;
+  const target = assignment ? assignment[1] : null;
+
+  const calls = scanCalls(expression);
+  const steps = calls.flatMap((call) =>
+    traceCall(call, frame, context, calls.length === 1 ? target : null)
+  );
+
+  if (target) {
+    const type = expressionType(expression, frame, context);
+    if (type) frame.vars.set(target, type);
+    else frame.vars.delete(target);
+  }
+
+  return steps;
+}
+
+/**
+ * Trace one call found in an expression
+ * @param {Object} call Call
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @returns {Array} Steps
+ */
+function traceCall(call, frame, context, target) {
+  // Arguments are evaluated first; closures run wherever the callee runs them
+  const steps = [];
+  const closures = [];
+  [call.args, ...call.chain.map((link) => link.args)].forEach((args) => {
+    args.forEach((arg) => {
+      const body = closureStatements(arg);
+      if (body) closures.push(body);
+      else steps.push(...walkExpression(arg, frame, context));
+    });
+  });
+
+  switch (call.type) {
+    case "function":
+      return [...steps, ...traceFunctionCall(call, frame, context, target, closures)];
+    case "static":
+      return [...steps, ...traceStaticCall(call, frame, context, target, closures)];
+    case "instance":
+      return [...steps, ...traceInstanceCall(call, frame, context, target, closures)];
+    default:
+      return [...steps, ...walkClosures(closures, frame, context)];
+  }
+}
+
+/**
+ * Trace a call to a global function
+ * @param {Object} call Function call
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Array} Steps
+ */
+function traceFunctionCall(call, frame, context, target, closures) {
+  const name = call.name.replace(/^\\/, "").toLowerCase();
+  const subject = describeValue(call.args[0] || "");
+
+  switch (name) {
+    case "event":
+    case "broadcast":
+      return [asyncStep(frame.self, serviceParticipant(context, "Events"), `${name}(${subject})`)];
+    case "abort":
+      return [breakStep(frame, context, `abort(${subject})`, call.args[0] || "")];
+    case "abort_if":
+    case "abort_unless": {
+      const condition = describeCondition(call.args[0] || "");
+      const label = name === "abort_if" ? condition : `not ${condition}`;
+      return [breakStep(frame, context, label, call.args[1] || "")];
+    }
+    case "dispatch":
+      return [asyncStep(frame.self, serviceParticipant(context, "Queue"), `dispatch(${subject})`)];
+    case "dispatch_sync":
+    case "dispatch_now":
+      return [callStep(frame.self, serviceParticipant(context, "Queue"), `${name}(${subject})`)];
+    case "cache":
+      return [
+        cacheStep(call.chain.length > 0 ? call.chain : [{ name: "cache", args: call.args }], frame, context, target, closures),
+      ];
+    case "app":
+    case "resolve": {
+      // app(Service::class)->method()
+      const className = (call.args[0] || "").match(/^([\w\\]+)::class$/);
+      const classFile = className && context.classes.get(resolveClassName(className[1], frame.classFile.classInfo));
+      if (classFile && call.chain.length > 0) {
+        const [first, ...rest] = call.chain;
+        return traceClassCall(classFile, { name: first.name, args: first.args, chain: rest }, frame, context, target, closures);
+      }
+      return walkClosures(closures, frame, context);
+    }
+    default:
+      return walkClosures(closures, frame, context);
+  }
+}
+
+/**
+ * Trace a static call: facades, Eloquent queries, job and event dispatching
+ * and calls into other app classes
+ * @param {Object} call Static call
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Array} Steps
+ */
+function traceStaticCall(call, frame, context, target, closures) {
+  const written = call.className.toLowerCase();
+  if (written === "self" || written === "static") {
+    return traceClassCall(frame.classFile, call, frame, context, target, closures);
+  }
+  if (written === "parent") return walkClosures(closures, frame, context);
+
+  const classFile = context.classes.get(resolveClassName(call.className, frame.classFile.classInfo));
+  if (!classFile) {
+    const facade = FACADES[classBasename(call.className)];
+    return facade
+      ? traceFacadeCall(facade, call, frame, context, target, closures)
+      : walkClosures(closures, frame, context);
+  }
+
+  const calls = [{ name: call.method, args: call.args }, ...call.chain];
+  switch (classFile.kind) {
+    case "model":
+      return traceModelCall(classFile, calls, frame, context, target, closures);
+    case "job":
+      if (/^dispatch/.test(call.method)) {
+        const label = `${call.method}(${classFile.name})`;
+        const queue = serviceParticipant(context, "Queue");
+        return [call.method === "dispatchSync" ? callStep(frame.self, queue, label) : asyncStep(frame.self, queue, label)];
+      }
+      break;
+    case "event":
+      if (/^dispatch/.test(call.method)) {
+        return [asyncStep(frame.self, serviceParticipant(context, "Events"), `dispatch(${classFile.name})`)];
+      }
+      break;
+    case "resource":
+      return walkClosures(closures, frame, context);
+  }
+
+  return traceClassCall(classFile, call, frame, context, target, closures);
+}
+
+/**
+ * Trace a call on a variable or property, typed from parameters,
+ * constructor injection and earlier assignments
+ * @param {Object} call Instance call
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Array} Steps
+ */
+function traceInstanceCall(call, frame, context, target, closures) {
+  const [variable, ...properties] = call.receiver;
+  const calls = [{ name: call.method, args: call.args }, ...call.chain];
+
+  if (NOTIFY_METHODS.includes(call.method)) {
+    return [asyncStep(frame.self, serviceParticipant(context, "Notifications"), `${call.method}(${describeValue(call.args[0] || "")})`)];
+  }
+
+  let type = null;
+  if (variable === "$this" && properties.length === 0) {
+    if (/^validate(?:WithBag)?$/.test(call.method)) return validationSteps(frame, context, calls, target);
+    if (call.method === "authorize" && !findMethod(frame.classFile.classInfo, "authorize")) {
+      return policySteps(frame, context, call.args[0] || "", policySubject(call.args[1] || "", frame, context));
+    }
+    // A method of the class itself, or one it inherits from the framework
+    return findMethod(frame.classFile.classInfo, call.method)
+      ? traceClassCall(frame.classFile, call, frame, context, target, closures)
+      : walkClosures(closures, frame, context);
+  } else if (variable === "$this" && properties.length === 1) {
+    type = propertyType(frame.classFile, properties[0]);
+  } else if (properties.length === 0) {
+    type = frame.vars.get(variable.slice(1)) || null;
+  }
+  if (!type) return walkClosures(closures, frame, context);
+
+  const classFile = context.classes.get(type);
+  if (!classFile) {
+    if (/(?:^|\\)Request$/.test(type)) {
+      return call.method === "validate"
+        ? validationSteps(frame, context, calls, target)
+        : walkClosures(closures, frame, context);
+    }
+    // An injected framework or vendor class: draw the call, but it can't be followed
+    if (variable !== "$this") return walkClosures(closures, frame, context);
+    const to = addParticipant(context, type, classBasename(type), "service");
+    return [callStep(frame.self, to, formatChain(calls), { result: target })];
+  }
+
+  switch (classFile.kind) {
+    case "model":
+      return traceModelCall(classFile, calls, frame, context, target, closures);
+    case "formRequest":
+    case "resource":
+      return walkClosures(closures, frame, context);
+    default:
+      return traceClassCall(classFile, call, frame, context, target, closures);
+  }
+}
+
+/**
+ * Trace a facade call to a framework service
+ * @param {string} service Service key (see SERVICE_PARTICIPANTS)
+ * @param {Object} call Static call on the facade
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Array} Steps
+ */
+function traceFacadeCall(service, call, frame, context, target, closures) {
+  const calls = [{ name: call.method, args: call.args }, ...call.chain];
+  const names = calls.map((link) => link.name);
+  const to = serviceParticipant(context, service);
+  const label = formatChain(calls);
+
+  switch (service) {
+    case "Events":
+    case "Queue":
+    case "Notifications":
+      return [asyncStep(frame.self, to, label)];
+    case "Mail":
+      return [
+        names.some((name) => ["queue", "later"].includes(name))
+          ? asyncStep(frame.self, to, label)
+          : callStep(frame.self, to, label),
+      ];
+    case "DB": {
+      if (call.method === "transaction") {
+        return fragment("critical", [{ label: "DB transaction", steps: walkClosures(closures, frame, context) }]);
+      }
+      const verbCall = [...calls].reverse().find((link) => QUERY_VERBS[link.name]);
+      if (call.method === "table" && verbCall) {
+        const table = describeValue(call.args[0] || "");
+        return [callStep(frame.self, to, `${QUERY_VERBS[verbCall.name]} ${table}`, { result: target || resultLabel(verbCall.name) })];
+      }
+      return [callStep(frame.self, to, label, { steps: walkClosures(closures, frame, context), result: target })];
+    }
+    case "Gate":
+      if (call.method === "authorize") {
+        return policySteps(frame, context, call.args[0] || "", policySubject(call.args[1] || "", frame, context));
+      }
+      return [callStep(frame.self, to, label, { result: target || "bool" })];
+    case "ExternalAPI":
+      return [callStep(frame.self, to, label, { result: target || "response" })];
+    case "Cache":
+      return [cacheStep(calls, frame, context, target, closures)];
+    default:
+      return [callStep(frame.self, to, label, { steps: walkClosures(closures, frame, context), result: target || "value" })];
+  }
+}
+
+/**
+ * Trace a cache call. The closure of remember() only runs on a cache miss,
+ * and writes give nothing back
+ * @param {Array} calls Method chain ({ name, args })
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Object} Step
+ */
+function cacheStep(calls, frame, context, target, closures) {
+  const name = calls[calls.length - 1].name;
+  const steps = walkClosures(closures, frame, context);
+  const isWrite = CACHE_WRITES.includes(name);
+  return callStep(frame.self, serviceParticipant(context, "Cache"), formatChain(calls), {
+    steps: /^remember/.test(name) ? fragment("opt", [{ label: "cache miss", steps }]) : steps,
+    result: target || (isWrite ? null : "value"),
+  });
+}
+
+/**
+ * Trace an Eloquent call: a query against the model's table, or a custom
+ * method of the model, which is followed like any app class
+ * @param {Object} modelFile Model class file
+ * @param {Array} calls Method chain ({ name, args })
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the chain
+ * @returns {Array} Steps
+ */
+function traceModelCall(modelFile, calls, frame, context, target, closures) {
+  const [first, ...rest] = calls;
+  const own = findMethod(modelFile.classInfo, first.name);
+  const isRelation = own && RELATION_PATTERN.test(own.body || "");
+  if (own && !isRelation && !/^scope/i.test(own.name)) {
+    return traceClassCall(modelFile, { name: first.name, args: first.args, chain: rest }, frame, context, target, closures);
+  }
+
+  const verbCall = [...calls].reverse().find((link) => QUERY_VERBS[link.name]);
+  if (!verbCall) return walkClosures(closures, frame, context);
+
+  const model = classParticipant(context, modelFile);
+  const table = isRelation ? first.name : getModelTableName(modelFile);
+  const query = callStep(model, serviceParticipant(context, "DB"), `${QUERY_VERBS[verbCall.name]} ${table}`, {
+    result: resultLabel(verbCall.name),
+  });
+
+  // findOrFail() and friends end the request with a 404 when nothing matches
+  const failing = calls.find((link) => OR_FAIL_METHODS.includes(link.name));
+  return [
+    callStep(frame.self, model, formatChain(calls), { steps: [query], result: target }),
+    ...(failing ? [breakStep(frame, context, `${modelFile.name} not found`, 404)] : []),
+    ...walkClosures(closures, frame, context),
+  ];
+}
+
+/**
+ * Trace a call into an app class, following its body while the depth allows
+ * @param {Object} classFile Class file of the callee
+ * @param {Object} call Call ({ name or method, args })
+ * @param {Object} frame Method frame of the caller
+ * @param {Object} context Trace context
+ * @param {string|null} target Variable the result is assigned to
+ * @param {Array} closures Statements of closures passed to the call
+ * @returns {Array} Steps
+ */
+function traceClassCall(classFile, call, frame, context, target, closures) {
+  const name = call.method || call.name;
+  const to = classParticipant(context, classFile);
+  const label = `${name}(${formatArguments(call.args)})`;
+  const method = findMethod(classFile.classInfo, name);
+  const key = `${classFile.fullName}::${name}`;
+  const steps = walkClosures(closures, frame, context);
+
+  // Recursion is drawn as a plain call, as are calls past the depth limit
+  if (!method || frame.depth >= context.maxDepth || context.stack.includes(key)) {
+    return [...steps, callStep(frame.self, to, label, { result: target })];
+  }
+
+  context.stack.push(key);
+  const calleeFrame = createFrame(classFile, method, to, frame.self, frame.depth + 1);
+  const nested = walkStatements(parseStatements(method.body || ""), calleeFrame, context);
+  context.stack.pop();
+
+  return [...steps, callStep(frame.self, to, label, { steps: nested })];
+}
+
+/**
+ * Trace the bodies of closures where they are called
+ * @param {Array} closures Statements of each closure
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {Array} Steps
+ */
+function walkClosures(closures, frame, context) {
+  const closureFrame = { ...frame, closure: true };
+  return closures.flatMap((statements) => walkStatements(statements, closureFrame, context));
+}
+
+/**
+ * Get the statements of a closure passed as an argument
+ * @param {string} code Argument as written
+ * @returns {Array|null} Statements, or null when the argument isn't a closure
+ */
+function closureStatements(code) {
+  const source = code.replace(/^\w+\s*:\s*(?!:)/, "");
+  if (/^(?:static\s+)?function\b/.test(source)) {
+    const open = source.indexOf("{");
+    if (open === -1) return [];
+    const close = findClosingBracket(source, open);
+    return parseStatements(source.slice(open + 1, close === -1 ? source.length : close));
+  }
+
+  const arrow = source.match(/^(?:static\s+)?fn\s*\(/);
+  if (arrow) {
+    const close = findClosingBracket(source, arrow[0].length - 1);
+    const body = close === -1 ? -1 : source.indexOf("=>", close);
+    return body === -1 ? [] : [{ type: "expression", code: source.slice(body + 2).trim() }];
+  }
+
+  return null;
+}
+
+/**
+ * Get the class an expression evaluates to, when it is known
+ * @param {string} code PHP expression
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {string|null} Fully qualified class name
+ */
+function expressionType(code, frame, context) {
+  const calls = scanCalls(code);
+  if (calls.length !== 1) return null;
+  const call = calls[0];
+  const classInfo = frame.classFile.classInfo;
+
+  if (call.type === "new") return resolveClassName(call.className, classInfo);
+
+  let classFile = null;
+  if (call.type === "static" && !["self", "static", "parent"].includes(call.className.toLowerCase())) {
+    classFile = context.classes.get(resolveClassName(call.className, classInfo));
+  } else if (call.type === "instance" && call.receiver.length === 1 && call.receiver[0] !== "$this") {
+    classFile = context.classes.get(frame.vars.get(call.receiver[0].slice(1)));
+  }
+  if (!classFile) return null;
+
+  // Queries on a model give its models back
+  if (classFile.kind === "model") return classFile.fullName;
+
+  const method = call.chain.length === 0 && findMethod(classFile.classInfo, call.method);
+  return method ? resolveType(method.returnType, classFile) : null;
+}
+
+/**
+ * Describe what a return statement sends back
+ * @param {string} code Returned expression
+ * @param {Object} frame Method frame
+ * @param {Object} context Trace context
+ * @returns {string} Short description
+ */
+function describeReturn(code, frame, context) {
+  const expression = code.trim();
+  if (!expression) return "void";
+
+  let match;
+  if ((match = expression.match(/^([\w\\]+)::collection\s*\(/))) {
+    return `${classBasename(match[1])} collection`;
+  }
+  if (/^response\(\s*\)\s*->\s*noContent\s*\(/.test(expression)) return "204 No Content";
+  if (/^response\(\s*\)\s*->\s*json\s*\(/.test(expression)) {
+    const [call] = scanCalls(expression);
+    const json = call && call.chain.find((link) => link.name === "json");
+    const status = json && json.args[1] && json.args[1].match(/^\d{3}$/);
+    return status ? `JSON response (${status[0]})` : "JSON response";
+  }
+  if ((match = expression.match(/^(?:view|inertia|Inertia::render)\s*\(\s*['"]([^'"]+)['"]/))) {
+    return `view ${match[1]}`;
+  }
+  if (/^(?:redirect|back|to_route)\s*\(/.test(expression)) {
+    return /->\s*back\s*\(|^back\s*\(/.test(expression) ? "redirect back" : "redirect";
+  }
+
+  // The result of a call: its class when known, else the method's return type
+  const calls = scanCalls(expression);
+  if (calls.length === 1 && calls[0].type !== "new") {
+    const type = expressionType(expression, frame, context) || frame.returnType;
+    if (type) return classBasename(type);
+    const call = calls[0];
+    const name = call.chain.length > 0 ? call.chain[call.chain.length - 1].name : call.method || call.name;
+    return `${name}() result`;
+  }
+  return describeValue(expression);
+}
+
+/**
+ * Shorten an expression for a label: classes of new objects, variable
+ * names, or the start of the code
+ * @param {string} code PHP expression
+ * @returns {string} Short description
+ */
+function describeValue(code) {
+  const value = code.trim();
+  const created = value.match(/^new\s+([\w\\]+)/);
+  if (created) return classBasename(created[1]);
+  if (/^\$\w+$/.test(value)) return value.slice(1);
+  if (/^(?:static\s+)?(?:function|fn)\b/.test(value)) return "fn";
+  const flat = value.replace(/\s+/g, " ");
+  return flat.length > 30 ? `${flat.slice(0, 29)}…` : flat;
+}
+
+/**
+ * Format the arguments of a call for a label
+ * @param {Array} args Arguments as written
+ * @returns {string} Shortened arguments
+ */
+function formatArguments(args) {
+  return args
+    .map((arg) => {
+      const value = arg.trim();
+      if (/^\[/.test(value)) return value === "[]" ? "[]" : "[…]";
+      const short = describeValue(value);
+      return short.length > 20 ? `${short.slice(0, 19)}…` : short;
+    })
+    .join(", ");
+}
+
+/**
+ * Format a method chain for a label
+ * @param {Array} calls Calls ({ name, args })
+ * @returns {string} Label such as "where(status)->get()"
+ */
+function formatChain(calls) {
+  return calls.map((call) => `${call.name}(${formatArguments(call.args)})`).join("->");
+}
+
+/**
+ * Describe what a query method gives back
+ * @param {string} name Eloquent method
+ * @returns {string} Result label
+ */
+function resultLabel(name) {
+  return QUERY_VERBS[name] === "SELECT" ? "rows" : "ok";
+}
+
+/**
+ * Build a synchronous call step
+ * @param {string} from Caller participant id
+ * @param {string} to Callee participant id
+ * @param {string} label Message label
+ * @param {Object} details Nested steps and result label ({ steps, result })
+ * @returns {Object} Step
+ */
+function callStep(from, to, label, details = {}) {
+  return { kind: "call", from, to, label, steps: details.steps || [], result: details.result || null };
+}
+
+/**
+ * Build a step for work handed off without waiting: queued jobs, events,
+ * notifications and queued mail
+ * @param {string} from Sender participant id
+ * @param {string} to Receiver participant id
+ * @param {string} label Message label
+ * @returns {Object} Step
+ */
+function asyncStep(from, to, label) {
+  return { kind: "async", from, to, label };
+}
+
+module.exports = {
+  parseStatements,
+  scanCalls,
+  traceMethod,
+  traceRequest,
+};
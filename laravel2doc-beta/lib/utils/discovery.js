@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { parsePhp, resolveClassName } = require("./php");
+
+/**
+ * Autoload map used when composer.json is missing or declares no PSR-4 paths
+ */
+const DEFAULT_PSR4 = { "App\\": ["app/"] };
+
+/**
+ * Kinds of classes we recognise, checked in order. A class matches a kind
+ * when one of its ancestors, interfaces or traits is listed, or, failing
+ * that, when its namespace or class name suffix matches the kind's.
+ */
+const CLASS_KINDS = [
+  {
+    kind: "model",
+    extends: [
+      "Illuminate\\Database\\Eloquent\\Model",
+      "Illuminate\\Foundation\\Auth\\User",
+      "Illuminate\\Database\\Eloquent\\Relations\\Pivot",
+      "Illuminate\\Database\\Eloquent\\Relations\\MorphPivot",
+    ],
+  },
+  {
+    kind: "formRequest",
+    extends: ["Illuminate\\Foundation\\Http\\FormRequest"],
+  },
+  {
+    kind: "resource",
+    extends: [
+      "Illuminate\\Http\\Resources\\Json\\JsonResource",
+      "Illuminate\\Http\\Resources\\Json\\ResourceCollection",
+    ],
+  },
+  {
+    kind: "controller",
+    extends: ["Illuminate\\Routing\\Controller"],
+    namespace: /\\Http\\Controllers(\\|$)/,
+  },
+  {
+    kind: "middleware",
+    namespace: /\\Http\\Middleware(\\|$)/,
+  },
+  {
+    kind: "job",
+    traits: ["Illuminate\\Foundation\\Bus\\Dispatchable"],
+    namespace: /\\Jobs(\\|$)/,
+  },
+  {
+    kind: "event",
+    traits: ["Illuminate\\Foundation\\Events\\Dispatchable"],
+    implements: ["Illuminate\\Contracts\\Broadcasting\\ShouldBroadcast"],
+    namespace: /\\Events(\\|$)/,
+  },
+  {
+    kind: "mailable",
+    extends: ["Illuminate\\Mail\\Mailable"],
+  },
+  {
+    kind: "notification",
+    extends: ["Illuminate\\Notifications\\Notification"],
+  },
+  {
+    kind: "policy",
+    traits: ["Illuminate\\Auth\\Access\\HandlesAuthorization"],
+    namespace: /\\Policies(\\|$)/,
+  },
+  {
+    kind: "listener",
+    namespace: /\\Listeners(\\|$)/,
+  },
+  {
+    kind: "observer",
+    namespace: /\\Observers(\\|$)/,
+    suffix: "Observer",
+  },
+  {
+    kind: "service",
+    namespace: /\\Services(\\|$)/,
+    suffix: "Service",
+  },
+  {
+    kind: "repository",
+    namespace: /\\Repositories(\\|$)/,
+    suffix: "Repository",
+  },
+  {
+    kind: "action",
+    namespace: /\\Actions(\\|$)/,
+  },
+  {
+    kind: "command",
+    extends: ["Illuminate\\Console\\Command"],
+  },
+  {
+    kind: "provider",
+    extends: [
+      "Illuminate\\Support\\ServiceProvider",
+      "Illuminate\\Foundation\\Support\\Providers\\AuthServiceProvider",
+      "Illuminate\\Foundation\\Support\\Providers\\EventServiceProvider",
+      "Illuminate\\Foundation\\Support\\Providers\\RouteServiceProvider",
+    ],
+  },
+];
+
+/**
+ * Read the PHP files matching a glob pattern and parse their main class
+ * @param {string} pattern Glob pattern relative to the project root
+ * @returns {Array} Files ({ name, path, content, classInfo })
+ */
+function readPhpFiles(pattern) {
+  const files = glob.sync(pattern, { cwd: process.cwd() });
+  return files.map(readPhpFile);
+}
+
+/**
+ * Read a PHP file and parse its main class
+ * @param {string} file Path relative to the project root
+ * @returns {Object} File ({ name, path, content, classInfo })
+ */
+function readPhpFile(file) {
+  const name = path.basename(file, ".php");
+  const content = fs.readFileSync(path.join(process.cwd(), file), "utf8");
+
+  let classInfo = null;
+  try {
+    const { classes } = parsePhp(content);
+    classInfo = classes.find((c) => c.name === name) || classes[0] || null;
+  } catch (err) {
+    // Leave files we can't parse without class information
+  }
+
+  return { name, path: file, content, classInfo };
+}
+
+/**
+ * Read the PSR-4 autoload map from composer.json. autoload-dev is left out:
+ * it maps the tests, whose namespaces (Tests\Feature\Http\Controllers, ...)
+ * would otherwise pass for application classes
+ * @returns {Object} Directories keyed by namespace prefix
+ */
+function readAutoloadMap() {
+  let composerJson = {};
+  try {
+    composerJson = JSON.parse(
+      fs.readFileSync(path.join(process.cwd(), "composer.json"), "utf8")
+    );
+  } catch (err) {
+    // Fall back to the default layout below
+  }
+
+  const map = {};
+  const psr4 = (composerJson.autoload && composerJson.autoload["psr-4"]) || {};
+  Object.entries(psr4).forEach(([prefix, dirs]) => {
+    map[prefix] = (map[prefix] || []).concat(dirs);
+  });
+
+  return Object.keys(map).length > 0 ? map : DEFAULT_PSR4;
+}
+
+/**
+ * Discover every class in the directories mapped by the composer autoloader
+ * and classify it by what it extends, implements or uses
+ * @returns {Array} Class files ({ name, path, content, classInfo, fullName, kind, ancestors, interfaces, traits })
+ */
+function discoverClasses() {
+  const seen = new Set();
+  const files = [];
+
+  Object.values(readAutoloadMap()).forEach((dirs) => {
+    dirs.forEach((dir) => {
+      const base = dir.replace(/\\/g, "/").replace(/\/?$/, "/").replace(/^\.\//, "");
+      glob
+        .sync(`${base === "/" ? "" : base}**/*.php`, {
+          cwd: process.cwd(),
+          ignore: ["**/vendor/**", "**/node_modules/**"],
+        })
+        .forEach((file) => {
+          if (seen.has(file)) return;
+          seen.add(file);
+
+          const phpFile = readPhpFile(file);
+          if (phpFile.classInfo && phpFile.classInfo.name) {
+            files.push(phpFile);
+          }
+        });
+    });
+  });
+
+  const classIndex = new Map(
+    files.map((file) => [file.classInfo.fullName, file])
+  );
+
+  files.forEach((file) => {
+    file.fullName = file.classInfo.fullName;
+    Object.assign(file, resolveHierarchy(file, classIndex));
+    file.kind = classifyClass(file);
+  });
+
+  return files;
+}
+
+/**
+ * Resolve the parent classes, interfaces and traits of a class, following
+ * parents that are declared in the project
+ * @param {Object} file Class file
+ * @param {Map} classIndex Class files keyed by fully qualified name
+ * @returns {Object} Fully qualified ancestors, interfaces and traits
+ */
+function resolveHierarchy(file, classIndex) {
+  const ancestors = [];
+  const interfaces = new Set();
+  const traits = new Set();
+  let current = file.classInfo;
+
+  while (current) {
+    const classInfo = current;
+    classInfo.implements.forEach((name) => interfaces.add(resolveClassName(name, classInfo)));
+    classInfo.traits.forEach((name) => traits.add(resolveClassName(name, classInfo)));
+
+    if (!classInfo.extends) break;
+    const parent = resolveClassName(classInfo.extends, classInfo);
+
+    // Guard against inheritance cycles in broken code
+    if (ancestors.includes(parent)) break;
+    ancestors.push(parent);
+
+    const parentFile = classIndex.get(parent);
+    current = parentFile ? parentFile.classInfo : null;
+  }
+
+  return {
+    ancestors,
+    interfaces: [...interfaces],
+    traits: [...traits],
+  };
+}
+
+/**
+ * Work out what kind of Laravel class a class file holds
+ * @param {Object} file Class file with its resolved hierarchy
+ * @returns {string|null} Class kind, or null when it isn't recognised
+ */
+function classifyClass(file) {
+  const matchesHierarchy = (rule) =>
+    (rule.extends || []).some((name) => file.ancestors.includes(name)) ||
+    (rule.implements || []).some((name) => file.interfaces.includes(name)) ||
+    (rule.traits || []).some((name) => file.traits.includes(name));
+
+  const byHierarchy = CLASS_KINDS.find(matchesHierarchy);
+  if (byHierarchy) return byHierarchy.kind;
+
+  // Plain classes (services, actions, ...) and abstract bases extend nothing
+  // we know, so fall back to where they live and what they're called
+  const byConvention = CLASS_KINDS.find(
+    (rule) =>
+      (rule.namespace && rule.namespace.test(file.classInfo.namespace)) ||
+      (rule.suffix && file.name.endsWith(rule.suffix))
+  );
+  return byConvention && file.classInfo.kind === "class" ? byConvention.kind : null;
+}
+
+module.exports = {
+  readPhpFiles,
+  discoverClasses,
+};
@@ -0,0 +1,333 @@
+const { findControllerMethod } = require("./laravel");
+const { getEndpointRules, rulesToSchema } = require("./validation");
+
+/**
+ * Methods whose validated input comes from the query string
+ */
+const QUERY_METHODS = ["get", "head", "delete"];
+
+/**
+ * Validation rules standing in for the parameter types of Scribe tags
+ */
+const PARAM_RULES = {
+  string: "string",
+  integer: "integer",
+  int: "integer",
+  number: "numeric",
+  float: "numeric",
+  double: "numeric",
+  boolean: "boolean",
+  bool: "boolean",
+  object: "array",
+  array: "array",
+  file: "file",
+};
+
+/**
+ * JSON schema types of the parameter types of Scribe tags
+ */
+const PARAM_SCHEMA_TYPES = {
+  string: "string",
+  integer: "integer",
+  int: "integer",
+  number: "number",
+  float: "number",
+  double: "number",
+  boolean: "boolean",
+  bool: "boolean",
+  object: "object",
+  array: "array",
+  file: "string",
+};
+
+/**
+ * Split a PHPDoc comment into its summary (first line), description (the
+ * text up to the first tag) and tags, whose values may span several lines
+ * @param {string|null} comment Doc comment including the delimiters
+ * @returns {Object} Doc block ({ summary, description, tags: [{ name, value }] })
+ */
+function parseDocBlock(comment) {
+  const docBlock = { summary: "", description: "", tags: [] };
+  if (!comment) return docBlock;
+
+  const lines = comment
+    .replace(/^\/\*\*/, "")
+    .replace(/\*\/\s*$/, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*(?!\/) ?/, "").trimEnd());
+
+  const text = [];
+  lines.forEach((line) => {
+    const tag = line.match(/^\s*@([\w-]+)\s*(.*)$/);
+    if (tag) {
+      docBlock.tags.push({ name: tag[1], value: tag[2] });
+    } else if (docBlock.tags.length > 0) {
+      // Continuation of the previous tag, such as a multi-line @response
+      docBlock.tags[docBlock.tags.length - 1].value += `\n${line}`;
+    } else {
+      text.push(line.trim());
+    }
+  });
+
+  docBlock.tags.forEach((tag) => {
+    tag.value = tag.value.trim();
+  });
+
+  const firstLine = text.findIndex(Boolean);
+  if (firstLine !== -1) {
+    docBlock.summary = text[firstLine];
+    docBlock.description = text.slice(firstLine + 1).join("\n").trim();
+  }
+
+  return docBlock;
+}
+
+/**
+ * Read the Scribe-style annotations of the controller method handling an
+ * endpoint; @group and @authenticated on the controller apply to all its actions
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @returns {Object} Docs ({ summary, description, group, authenticated, urlParams, queryParams, bodyParams, responses })
+ */
+function getEndpointDocs(projectInfo, endpoint) {
+  const docs = {
+    summary: null,
+    description: null,
+    group: null,
+    authenticated: null,
+    urlParams: [],
+    queryParams: [],
+    bodyParams: [],
+    responses: [],
+  };
+
+  const handler = findControllerMethod(projectInfo, endpoint);
+  if (!handler) return docs;
+
+  const classDoc = parseDocBlock(handler.controller.classInfo.docComment);
+  const methodDoc = parseDocBlock(handler.method.docComment);
+
+  [classDoc, methodDoc].forEach((docBlock) => {
+    docBlock.tags.forEach(({ name, value }) => {
+      switch (name.toLowerCase()) {
+        case "group":
+          // The lines after the group name describe the group
+          docs.group = value.split("\n")[0].trim() || docs.group;
+          break;
+        case "authenticated":
+          docs.authenticated = true;
+          break;
+        case "unauthenticated":
+          docs.authenticated = false;
+          break;
+        case "urlparam":
+          docs.urlParams.push(parseParamTag(value));
+          break;
+        case "queryparam":
+          docs.queryParams.push(parseParamTag(value));
+          break;
+        case "bodyparam":
+          docs.bodyParams.push(parseParamTag(value));
+          break;
+        case "response":
+          docs.responses.push(parseResponseTag(value));
+          break;
+      }
+    });
+  });
+
+  docs.summary = methodDoc.summary || null;
+  docs.description = methodDoc.description || null;
+  return docs;
+}
+
+/**
+ * Parse a parameter tag: "name [type] [required] description [Example: value]"
+ * @param {string} value Tag value
+ * @returns {Object} Parameter ({ name, type, required, description, example })
+ */
+function parseParamTag(value) {
+  const words = value.split(/\s+/).filter(Boolean);
+  const param = {
+    name: (words.shift() || "").replace(/\[\]/g, ".*"),
+    type: null,
+    required: false,
+    description: "",
+    example: undefined,
+  };
+
+  // The type is optional, so only take the next word when it is one
+  if (words[0] && PARAM_RULES[words[0].replace(/\[\]$/, "").toLowerCase()]) {
+    param.type = words.shift().toLowerCase();
+  }
+  if (words[0] === "required") {
+    param.required = true;
+    words.shift();
+  }
+
+  let description = words.join(" ");
+  const example = description.match(/\s*\bExample:\s*(.*)$/);
+  if (example) {
+    param.example = parseExample(example[1].trim(), param.type);
+    description = description.slice(0, example.index);
+  }
+  param.description = description.replace(/\s*\bNo-example\.?$/, "").trim();
+
+  return param;
+}
+
+/**
+ * Convert the example of a parameter tag to its parameter's type
+ * @param {string} raw Example as written
+ * @param {string|null} type Parameter type
+ * @returns {*} Example value
+ */
+function parseExample(raw, type) {
+  const baseType = (type || "string").replace(/\[\]$/, "");
+  if ((type || "").endsWith("[]") || baseType === "object" || baseType === "array") {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Comma-separated items, as in "Example: a,b"
+      return baseType === "object" ? raw : raw.split(",").map((item) => parseExample(item.trim(), baseType));
+    }
+  }
+
+  switch (PARAM_SCHEMA_TYPES[baseType]) {
+    case "integer":
+    case "number":
+      return isNaN(Number(raw)) ? raw : Number(raw);
+    case "boolean":
+      return ["true", "1"].includes(raw.toLowerCase());
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse a @response tag: "[status] [status=201] [scenario="..."] body"
+ * @param {string} value Tag value
+ * @returns {Object} Response ({ status, scenario, body, example }); example is
+ * the parsed body, or undefined when it isn't JSON
+ */
+function parseResponseTag(value) {
+  const response = { status: 200, scenario: null, body: "", example: undefined };
+
+  let rest = value;
+  let match;
+  while ((match = rest.match(/^(?:(\d{3})\b|status=(\d{3})|scenario="([^"]*)"|scenario=(\S+))\s*/))) {
+    if (match[1] || match[2]) response.status = Number(match[1] || match[2]);
+    else response.scenario = match[3] !== undefined ? match[3] : match[4];
+    rest = rest.slice(match[0].length);
+  }
+
+  response.body = rest.trim();
+  try {
+    response.example = JSON.parse(response.body);
+  } catch (error) {
+    // Not JSON, only the raw text is shown
+  }
+
+  return response;
+}
+
+/**
+ * Get the JSON schema type of a parameter type from a Scribe tag
+ * @param {string|null} type Parameter type
+ * @returns {string|null} JSON schema type
+ */
+function paramSchemaType(type) {
+  if (!type) return null;
+  return type.endsWith("[]") ? "array" : PARAM_SCHEMA_TYPES[type] || null;
+}
+
+/**
+ * Collect the input of one method of an endpoint: validation rules completed
+ * with the documented query and body parameters
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @param {string} method HTTP method
+ * @returns {Object} Query and body input ({ query, body }), each null or
+ * { rules, schema, descriptions }
+ */
+function getEndpointInput(projectInfo, endpoint, method) {
+  const rules = getEndpointRules(projectInfo, endpoint);
+  const docs = getEndpointDocs(projectInfo, endpoint);
+
+  // Validated input of GET requests comes from the query string
+  if (QUERY_METHODS.includes(method.toLowerCase())) {
+    return { query: buildInput(rules, docs.queryParams), body: null };
+  }
+  return {
+    query: buildInput(null, docs.queryParams),
+    body: buildInput(rules, docs.bodyParams),
+  };
+}
+
+/**
+ * Merge documented parameters into validation rules and build their schema
+ * @param {Object|null} rules Rule lists keyed by field
+ * @param {Array} params Documented parameters
+ * @returns {Object|null} Input ({ rules, schema, descriptions }), or null when there is none
+ */
+function buildInput(rules, params) {
+  if (!rules && params.length === 0) return null;
+
+  // The validation rules are authoritative, tags only add missing fields
+  const merged = { ...(rules || {}) };
+  params.forEach((param) => {
+    if (!merged[param.name]) Object.assign(merged, paramRules(param));
+  });
+
+  const schema = rulesToSchema(merged);
+  const descriptions = {};
+  params.forEach((param) => {
+    if (param.description) descriptions[param.name] = param.description;
+
+    const node = findSchemaNode(schema, param.name);
+    if (!node) return;
+    if (param.description) node.description = param.description;
+    if (param.example !== undefined) node.example = param.example;
+  });
+
+  return { rules: merged, schema, descriptions };
+}
+
+/**
+ * Build validation rules equivalent to a documented parameter
+ * @param {Object} param Documented parameter
+ * @returns {Object} Rule lists keyed by field
+ */
+function paramRules(param) {
+  const type = param.type || "string";
+  const presence = param.required ? ["required"] : [];
+
+  if (type.endsWith("[]")) {
+    return {
+      [param.name]: [...presence, "array"],
+      [`${param.name}.*`]: [PARAM_RULES[type.slice(0, -2)]],
+    };
+  }
+  return { [param.name]: [...presence, PARAM_RULES[type]] };
+}
+
+/**
+ * Find the schema of a dotted field ("items.*.sku") in an object schema
+ * @param {Object} schema Object schema
+ * @param {string} field Field name
+ * @returns {Object|null} Schema of the field
+ */
+function findSchemaNode(schema, field) {
+  return field.split(".").reduce((node, segment) => {
+    if (!node) return null;
+    if (segment === "*") return node.items || null;
+    return (node.properties && node.properties[segment]) || null;
+  }, schema);
+}
+
+module.exports = {
+  parseDocBlock,
+  getEndpointDocs,
+  getEndpointInput,
+  paramSchemaType,
+};
@@ -0,0 +1,501 @@
+const {
+  findMethod,
+  findTopLevel,
+  splitTopLevel,
+  parseValue,
+  parseClassReference,
+  resolveClassName,
+} = require("./php");
+const { scanCalls } = require("./callgraph");
+const { classBasename } = require("./naming");
+
+/**
+ * Interfaces that send a job, listener, notification or mailable to the queue
+ */
+const SHOULD_QUEUE = [
+  "Illuminate\\Contracts\\Queue\\ShouldQueue",
+  "Illuminate\\Contracts\\Queue\\ShouldQueueAfterCommit",
+];
+
+/**
+ * Interfaces of events that are broadcast, queued or right away
+ */
+const SHOULD_BROADCAST = "Illuminate\\Contracts\\Broadcasting\\ShouldBroadcast";
+const SHOULD_BROADCAST_NOW = "Illuminate\\Contracts\\Broadcasting\\ShouldBroadcastNow";
+
+/**
+ * Provider whose subclasses register listeners through $listen
+ */
+const EVENT_SERVICE_PROVIDER = "Illuminate\\Foundation\\Support\\Providers\\EventServiceProvider";
+
+/**
+ * Mail methods that take the mailable, and the argument it is passed in
+ */
+const MAIL_METHODS = { send: 0, sendNow: 0, queue: 0, later: 1 };
+
+/**
+ * Build the map of what happens asynchronously: which listeners each event
+ * has (from $listen, Event::listen() and listener discovery), where events,
+ * jobs, notifications and mail are sent from, and which queue and connection
+ * each of them runs on
+ * @param {Object} projectInfo Project information
+ * @returns {Object} Async map ({ discovery, events, jobs, notifications, mailables, emissions, unregistered })
+ */
+function buildAsyncMap(projectInfo) {
+  const classFiles = (projectInfo.classes || []).filter((file) => file.classInfo);
+  const classes = new Map(classFiles.map((file) => [file.fullName, file]));
+  const ofKind = (kind) => classFiles.filter((file) => file.kind === kind && !file.classInfo.abstract);
+
+  const emissions = classFiles.flatMap((file) => findEmissions(file, classes));
+
+  // Listeners registered by hand win over discovered ones for the same method
+  const discovery = isDiscoveryEnabled(classFiles);
+  const registered = findRegisteredListeners(classFiles);
+  const discovered = discoverListeners(ofKind("listener"));
+  const bindings = [...registered];
+  const unregistered = [];
+  discovered.forEach((binding) => {
+    if (registered.some((other) => sameBinding(other, binding))) return;
+    if (discovery) bindings.push(binding);
+    else unregistered.push(binding);
+  });
+
+  // Events come from the event classes and from anything listened to or
+  // dispatched, which includes framework events such as Registered
+  const eventNames = new Set(ofKind("event").map((file) => file.fullName));
+  bindings.forEach((binding) => eventNames.add(binding.event));
+  emissions.filter((emission) => emission.kind === "event").forEach((emission) => eventNames.add(emission.target));
+
+  const events = [...eventNames].map((name) => {
+    const file = classes.get(name) || null;
+    return {
+      ...describeClass(name, file),
+      broadcast: file ? broadcastMode(file) : null,
+      listeners: bindings
+        .filter((binding) => binding.event === name)
+        .map((binding) => {
+          const listenerFile = classes.get(binding.listener) || null;
+          return {
+            ...describeClass(binding.listener, listenerFile),
+            method: binding.method,
+            source: binding.source,
+            queue: listenerFile ? queueSettings(listenerFile) : null,
+          };
+        }),
+      dispatchedFrom: emissions.filter((emission) => emission.kind === "event" && emission.target === name),
+    };
+  });
+
+  const describeQueued = (kind) =>
+    ofKind(kind).map((file) => ({
+      ...describeClass(file.fullName, file),
+      queue: queueSettings(file),
+      sentFrom: emissions.filter((emission) => emission.target === file.fullName),
+    }));
+
+  return {
+    discovery,
+    events,
+    jobs: describeQueued("job"),
+    notifications: describeQueued("notification").map((notification) => ({
+      ...notification,
+      channels: notificationChannels(classes.get(notification.className)),
+    })),
+    mailables: describeQueued("mailable"),
+    emissions,
+    unregistered,
+  };
+}
+
+/**
+ * Describe a class that may only be known by name
+ * @param {string} name Fully qualified class name
+ * @param {Object|null} file Class file, when the class is in the project
+ * @returns {Object} Class ({ className, name, file, line })
+ */
+function describeClass(name, file) {
+  return {
+    className: name,
+    name: classBasename(name),
+    file: file ? file.path : null,
+    line: file ? file.classInfo.line : null,
+  };
+}
+
+/**
+ * Check two listener bindings for the same event, listener and method
+ * @param {Object} a Binding
+ * @param {Object} b Binding
+ * @returns {boolean} True when they are the same
+ */
+function sameBinding(a, b) {
+  return a.event === b.event && a.listener === b.listener && a.method === b.method;
+}
+
+/**
+ * Work out whether Laravel discovers listeners by their type hints: it does
+ * by default from Laravel 11, where the app has no EventServiceProvider of
+ * its own, and otherwise only when shouldDiscoverEvents() returns true
+ * @param {Array} classFiles Class files
+ * @returns {boolean} True when listeners are discovered
+ */
+function isDiscoveryEnabled(classFiles) {
+  const providers = classFiles.filter((file) => (file.ancestors || []).includes(EVENT_SERVICE_PROVIDER));
+  if (providers.length === 0) return true;
+
+  return providers.some((provider) => {
+    const method = findMethod(provider.classInfo, "shouldDiscoverEvents");
+    return Boolean(method && method.body && /return\s+true\s*;/.test(method.body));
+  });
+}
+
+/**
+ * Find the listeners registered in the $listen arrays and Event::listen()
+ * calls of the service providers
+ * @param {Array} classFiles Class files
+ * @returns {Array} Bindings ({ event, listener, method, source })
+ */
+function findRegisteredListeners(classFiles) {
+  const bindings = [];
+  const add = (event, entry, provider, source) => {
+    const listener = parseListener(entry, provider.classInfo);
+    if (!event || !listener) return;
+
+    const binding = { event, ...listener, source };
+    if (!bindings.some((other) => sameBinding(other, binding))) bindings.push(binding);
+  };
+
+  classFiles
+    .filter((file) => file.kind === "provider")
+    .forEach((provider) => {
+      const listen = provider.classInfo.properties.find((property) => property.name === "listen");
+      const map = listen && listen.default && listen.default.match(/^\[([\s\S]*)\]$/);
+      if (map) {
+        splitTopLevel(map[1], ",").forEach((item) => {
+          const arrow = findTopLevel(item, "=>");
+          const list = arrow !== -1 && item.slice(arrow + 2).trim().match(/^\[([\s\S]*)\]$/);
+          if (!list) return;
+
+          const event = parseClassReference(item.slice(0, arrow), provider.classInfo);
+          splitTopLevel(list[1], ",").forEach((entry) => add(event, entry, provider, "$listen"));
+        });
+      }
+
+      // Event::listen(OrderPlaced::class, SendReceipt::class) in boot()
+      provider.classInfo.methods.forEach((method) => {
+        collectCalls(method.body || "")
+          .filter((call) => call.type === "static" && classBasename(call.className) === "Event" && call.method === "listen")
+          .forEach((call) => {
+            if (call.args.length < 2) return;
+            add(parseClassReference(call.args[0], provider.classInfo), call.args[1], provider, "Event::listen()");
+          });
+      });
+    });
+
+  return bindings;
+}
+
+/**
+ * Parse a listener as registered: Listener::class, "Listener@method" or
+ * [Listener::class, "method"]; closures are left out
+ * @param {string} entry Listener as written
+ * @param {Object} classInfo Class the listener is registered in
+ * @returns {Object|null} Listener ({ listener, method })
+ */
+function parseListener(entry, classInfo) {
+  const array = entry.trim().match(/^\[([\s\S]*)\]$/);
+  if (array) {
+    const [className, method] = splitTopLevel(array[1], ",");
+    const listener = className && parseClassReference(className, classInfo);
+    const name = method ? parseValue(method) : "handle";
+    return listener && typeof name === "string" ? { listener, method: name } : null;
+  }
+
+  const reference = parseClassReference(entry, classInfo);
+  if (!reference) return null;
+
+  const [listener, method = "handle"] = reference.split("@");
+  return { listener, method };
+}
+
+/**
+ * Find the listeners Laravel would discover: handle*() and __invoke()
+ * methods of listener classes, bound to the events their first parameter
+ * is type-hinted with
+ * @param {Array} listeners Listener class files
+ * @returns {Array} Bindings ({ event, listener, method, source })
+ */
+function discoverListeners(listeners) {
+  return listeners.flatMap((file) =>
+    file.classInfo.methods
+      .filter(
+        (method) =>
+          method.visibility === "public" &&
+          !method.static &&
+          (/^handle/.test(method.name) || method.name === "__invoke") &&
+          method.params.length > 0 &&
+          method.params[0].type
+      )
+      .flatMap((method) =>
+        method.params[0].type
+          .replace(/^\?/, "")
+          .split("|")
+          .map((type) => ({
+            event: resolveClassName(type, file.classInfo),
+            listener: file.fullName,
+            method: method.name,
+            source: "discovered",
+          }))
+      )
+  );
+}
+
+/**
+ * Read where a job, listener, notification or mailable is queued: the
+ * ShouldQueue marker, and the queue and connection from its properties,
+ * viaQueue() / viaConnection() or onQueue() / onConnection() in its constructor
+ * @param {Object} file Class file
+ * @returns {Object} Queue settings ({ queued, queue, connection })
+ */
+function queueSettings(file) {
+  const classInfo = file.classInfo;
+  const read = (property, method, setter) => {
+    const value = classInfo.properties.find((p) => p.name === property && !p.static);
+    if (value && typeof value.value === "string") return value.value;
+
+    const via = findMethod(classInfo, method);
+    const returned = via && via.body && via.body.match(/^\s*return\s+(['"])([^'"]+)\1\s*;\s*$/);
+    if (returned) return returned[2];
+
+    const constructor = findMethod(classInfo, "__construct");
+    const called = constructor && constructor.body && constructor.body.match(new RegExp(`\\$this->${setter}\\(\\s*(['"])([^'"]+)\\1`));
+    return called ? called[2] : null;
+  };
+
+  return {
+    queued: (file.interfaces || []).some((name) => SHOULD_QUEUE.includes(name)),
+    queue: read("queue", "viaQueue", "onQueue"),
+    connection: read("connection", "viaConnection", "onConnection"),
+  };
+}
+
+/**
+ * Tell how an event is broadcast
+ * @param {Object} file Event class file
+ * @returns {string|null} "queued", "now", or null when it isn't broadcast
+ */
+function broadcastMode(file) {
+  const interfaces = file.interfaces || [];
+  if (interfaces.includes(SHOULD_BROADCAST_NOW)) return "now";
+  return interfaces.includes(SHOULD_BROADCAST) ? "queued" : null;
+}
+
+/**
+ * Read the channels a notification is sent through from its via() method
+ * @param {Object} file Notification class file
+ * @returns {Array} Channels, empty when they depend on the notifiable
+ */
+function notificationChannels(file) {
+  const via = findMethod(file.classInfo, "via");
+  const returned = via && via.body && via.body.match(/^\s*return\s+([\s\S]*?);\s*$/);
+  const channels = returned ? parseValue(returned[1]) : null;
+  return Array.isArray(channels) ? channels.filter((channel) => typeof channel === "string") : [];
+}
+
+/**
+ * Find the events, jobs, notifications and mail a class sends, from its
+ * own code and, for models, from $dispatchesEvents
+ * @param {Object} file Class file
+ * @param {Map} classes Class files keyed by fully qualified name
+ * @returns {Array} Emissions ({ kind, target, via, queued, queue, connection, source })
+ */
+function findEmissions(file, classes) {
+  const emissions = [];
+
+  file.classInfo.methods.forEach((method) => {
+    if (!method.body) return;
+    const source = { className: file.fullName, name: file.name, method: method.name, file: file.path, line: method.line };
+    collectCalls(method.body).forEach((call) => {
+      readEmissions(call, file.classInfo, classes).forEach((emission) => {
+        emissions.push({ ...emission, source });
+      });
+    });
+  });
+
+  // Model events mapped to event classes fire when the model is saved, deleted, ...
+  const dispatchesEvents = file.classInfo.properties.find((property) => property.name === "dispatchesEvents");
+  const map = dispatchesEvents && dispatchesEvents.default && dispatchesEvents.default.match(/^\[([\s\S]*)\]$/);
+  if (file.kind === "model" && map) {
+    splitTopLevel(map[1], ",").forEach((item) => {
+      const arrow = findTopLevel(item, "=>");
+      if (arrow === -1) return;
+
+      const modelEvent = parseValue(item.slice(0, arrow));
+      const target = parseClassReference(item.slice(arrow + 2), file.classInfo);
+      if (typeof modelEvent !== "string" || !target) return;
+      emissions.push({
+        ...createEmission("event", target, `$dispatchesEvents['${modelEvent}']`, false, classes),
+        source: { className: file.fullName, name: file.name, method: modelEvent, file: file.path, line: dispatchesEvents.line },
+      });
+    });
+  }
+
+  return emissions;
+}
+
+/**
+ * List the calls in a piece of code, including those nested in arguments
+ * and closures
+ * @param {string} code PHP code
+ * @returns {Array} Calls (see scanCalls)
+ */
+function collectCalls(code) {
+  return scanCalls(code).flatMap((call) => [
+    call,
+    ...[call.args, ...call.chain.map((link) => link.args)].flat().flatMap(collectCalls),
+  ]);
+}
+
+/**
+ * Read what a call sends off: event(), dispatch(), Job::dispatch(),
+ * Bus::chain(), ->notify(), Notification::send() and Mail::to()->queue()
+ * @param {Object} call Call
+ * @param {Object} classInfo Class the call is made in
+ * @param {Map} classes Class files keyed by fully qualified name
+ * @returns {Array} Emissions, without their source
+ */
+function readEmissions(call, classInfo, classes) {
+  const instantiated = (arg) => {
+    const match = (arg || "").trim().match(/^new\s+([\w\\]+)/);
+    return match ? resolveClassName(match[1], classInfo) : null;
+  };
+  const links = [{ name: call.method || call.name, args: call.args }, ...call.chain];
+  const emit = (kind, target, via, sync = false) =>
+    target ? [withCallSiteQueue(createEmission(kind, target, via, sync, classes), call.chain)] : [];
+  const emitJob = (target, via, sync) => {
+    const file = target && classes.get(target);
+    return emit(file && file.kind === "event" ? "event" : "job", target, via, sync);
+  };
+
+  // $user->notify(new X), but also User::find($id)->notify(new X)
+  const notify = links.find((link, index) => (index > 0 || call.type === "instance") && /^notify(?:Now)?$/.test(link.name));
+  const viaFacade = call.type === "static" && classBasename(call.className) === "Notification";
+  if (notify && !viaFacade) {
+    return emit("notification", instantiated(notify.args[0]), `->${notify.name}()`, notify.name === "notifyNow");
+  }
+
+  switch (call.type) {
+    case "function": {
+      const name = call.name.replace(/^\\/, "").toLowerCase();
+      if (name === "event" || name === "broadcast") return emit("event", instantiated(call.args[0]), `${name}()`);
+      if (name === "dispatch") return emitJob(instantiated(call.args[0]), "dispatch()");
+      if (name === "dispatch_sync" || name === "dispatch_now") return emitJob(instantiated(call.args[0]), `${name}()`, true);
+      return [];
+    }
+    case "instance": {
+      if (call.receiver.join("->") === "$this" && /^dispatch(?:Sync|Now)?$/.test(call.method)) {
+        return emitJob(instantiated(call.args[0]), `$this->${call.method}()`, call.method !== "dispatch");
+      }
+      return [];
+    }
+    case "static":
+      break;
+    default:
+      return [];
+  }
+
+  const written = call.className.toLowerCase();
+  if (["self", "static", "parent"].includes(written)) return [];
+
+  // Job::dispatch(), Event::dispatch() on an app class, OrderShipped::broadcast()
+  const file = classes.get(resolveClassName(call.className, classInfo));
+  if (file && ["job", "event"].includes(file.kind)) {
+    if (!/^(?:dispatch\w*|broadcast)$/.test(call.method)) return [];
+    return emit(file.kind, file.fullName, `${file.name}::${call.method}()`, /(?:Sync|Now)$/.test(call.method));
+  }
+
+  const via = `${classBasename(call.className)}::${call.method}()`;
+  switch (classBasename(call.className)) {
+    case "Event":
+      return call.method === "dispatch" ? emit("event", instantiated(call.args[0]), via) : [];
+    case "Bus":
+      if (call.method === "chain" || call.method === "batch") {
+        // Every job in the chain or batch, in order
+        return [...(call.args[0] || "").matchAll(/new\s+([\w\\]+)/g)].flatMap((match) =>
+          emitJob(resolveClassName(match[1], classInfo), via)
+        );
+      }
+      return /^dispatch/.test(call.method)
+        ? emitJob(instantiated(call.args[0]), via, /(?:Sync|Now)$/.test(call.method))
+        : [];
+    case "Queue":
+      if (call.method === "push" || call.method === "later") {
+        return emitJob(instantiated(call.args[call.method === "later" ? 1 : 0]), via);
+      }
+      if (call.method === "pushOn") {
+        return emitJob(instantiated(call.args[1]), via).map((emission) => ({
+          ...emission,
+          queue: parseValue(call.args[0] || "") || emission.queue,
+        }));
+      }
+      return [];
+    case "Notification": {
+      // Notification::send($users, new X) or Notification::route(...)->notify(new X)
+      const link = links.find((l) => /^(?:send|sendNow|notify|notifyNow)$/.test(l.name));
+      if (!link) return [];
+      const arg = link.name.startsWith("send") ? link.args[1] : link.args[0];
+      return emit("notification", instantiated(arg), via, /Now$/.test(link.name));
+    }
+    case "Mail": {
+      const link = links.find((l) => Object.keys(MAIL_METHODS).includes(l.name));
+      if (!link) return [];
+      return emit("mail", instantiated(link.args[MAIL_METHODS[link.name]]), `Mail::${link.name}()`)
+        .map((emission) => ({ ...emission, queued: ["queue", "later"].includes(link.name) || emission.queued }));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Create an emission, queued when the class it sends is
+ * @param {string} kind event, job, notification or mail
+ * @param {string} target Fully qualified class name
+ * @param {string} via Call that sends it
+ * @param {boolean} sync Whether the call runs it right away whatever the class says
+ * @param {Map} classes Class files keyed by fully qualified name
+ * @returns {Object} Emission ({ kind, target, name, via, queued, queue, connection })
+ */
+function createEmission(kind, target, via, sync, classes) {
+  const file = classes.get(target);
+  const settings = file && kind !== "event" ? queueSettings(file) : { queued: false, queue: null, connection: null };
+  return {
+    kind,
+    target,
+    name: classBasename(target),
+    via,
+    queued: !sync && settings.queued,
+    queue: settings.queue,
+    connection: settings.connection,
+  };
+}
+
+/**
+ * Apply the ->onQueue() and ->onConnection() calls chained on a dispatch
+ * @param {Object} emission Emission
+ * @param {Array} chain Method chain ({ name, args })
+ * @returns {Object} Emission
+ */
+function withCallSiteQueue(emission, chain) {
+  chain.forEach((link) => {
+    const value = parseValue(link.args[0] || "");
+    if (typeof value !== "string") return;
+    if (link.name === "onQueue") emission.queue = value;
+    if (link.name === "onConnection") emission.connection = value;
+  });
+  return emission;
+}
+
+module.exports = {
+  buildAsyncMap,
+};
@@ -1,6 +1,19 @@
 const fs = require("fs");
 const path = require("path");
-const glob = require("glob");
+const { parseMigrations } = require("./migrations");
+const { readPhpFiles, discoverClasses } = require("./discovery");
+const { parseRoutes, importRouteList, linkRouteControllers } = require("./routes");
+const { parseMiddlewareConfig } = require("./middleware");
+const {
+  parseModelRelationships,
+  parseMorphMap,
+  resolvePolymorphicRelations,
+} = require("./relationships");
+const {
+  parseValue,
+  findMethod,
+  getPropertyValue,
+} = require("./php");
 const dir = path.resolve(process.cwd(), "laravel2doc");
 /**
  * Check if the current directory is a Laravel project
@@ -32,25 +45,51 @@ function isLaravelProject() {
 }
 
 /**
- * Extract information from a Laravel project
+ * Extract information from a Laravel project and write the documentation
+ * index and styles
+ * @param {Object} options Options ({ routeList, routeListMode })
  * @returns {Object} Project information
  */
-async function extractLaravelInfo() {
+async function extractLaravelInfo(options = {}) {
+  generateMainIndex(dir);
+
+  // Generate styles
+
+  generateStyles(dir);
+
+  return readProjectInfo(options);
+}
+
+/**
+ * Read the models, routes, schema and other classes of the Laravel project
+ * in the current directory, without writing anything
+ * @param {Object} options Options ({ routeList, routeListMode })
+ * @returns {Object} Project information
+ */
+function readProjectInfo(options = {}) {
   const projectInfo = {
     name: "Unknown Laravel Project",
     version: "Unknown",
     models: [],
     controllers: [],
+    services: [],
+    repositories: [],
+    actions: [],
+    jobs: [],
+    events: [],
+    listeners: [],
+    observers: [],
+    policies: [],
+    mailables: [],
+    notifications: [],
+    classes: [],
     routes: [],
     migrations: [],
+    schema: { tables: {} },
     relationships: [],
+    morphMap: {},
   };
- 
-  generateMainIndex(dir);
 
-  // Generate styles
-
-  generateStyles(dir);
 
   // Get project name from composer.json
   try {
@@ -77,124 +116,103 @@ async function extractLaravelInfo() {
     // Ignore errors if composer.lock doesn't exist or can't be parsed
   }
 
-  // Extract models
-  const modelFiles = glob.sync("app/Models/**/*.php", { cwd: process.cwd() });
-  projectInfo.models = modelFiles.map((file) => {
-    return {
-      name: path.basename(file, ".php"),
-      path: file,
-      content: fs.readFileSync(path.join(process.cwd(), file), "utf8"),
-    };
-  });
-
-  // Extract controllers
-  const controllerFiles = glob.sync("app/Http/Controllers/**/*.php", {
-    cwd: process.cwd(),
-  });
-  projectInfo.controllers = controllerFiles.map((file) => {
-    return {
-      name: path.basename(file, ".php"),
-      path: file,
-      content: fs.readFileSync(path.join(process.cwd(), file), "utf8"),
-    };
-  });
+  // Discover classes in the composer autoload paths and sort them by kind,
+  // leaving out abstract base classes
+  projectInfo.classes = discoverClasses();
+  const concreteClasses = (kind) =>
+    projectInfo.classes.filter((c) => c.kind === kind && !c.classInfo.abstract);
+
+  projectInfo.models = concreteClasses("model");
+  projectInfo.controllers = concreteClasses("controller");
+  projectInfo.services = concreteClasses("service");
+  projectInfo.repositories = concreteClasses("repository");
+  projectInfo.actions = concreteClasses("action");
+  projectInfo.jobs = concreteClasses("job");
+  projectInfo.events = concreteClasses("event");
+  projectInfo.listeners = concreteClasses("listener");
+  projectInfo.observers = concreteClasses("observer");
+  projectInfo.policies = concreteClasses("policy");
+  projectInfo.mailables = concreteClasses("mailable");
+  projectInfo.notifications = concreteClasses("notification");
 
   // Extract migrations
-  const migrationFiles = glob.sync("database/migrations/**/*.php", {
-    cwd: process.cwd(),
-  });
-  projectInfo.migrations = migrationFiles.map((file) => {
-    return {
-      name: path.basename(file, ".php"),
-      path: file,
-      content: fs.readFileSync(path.join(process.cwd(), file), "utf8"),
-    };
-  });
-
-  // Extract routes from route files
-  const routeFiles = glob.sync("routes/**/*.php", { cwd: process.cwd() });
-  projectInfo.routeFiles = routeFiles.map((file) => {
-    return {
-      name: path.basename(file, ".php"),
-      path: file,
-      content: fs.readFileSync(path.join(process.cwd(), file), "utf8"),
-    };
-  });
-
-  // Parse model relationships
-  projectInfo.relationships = parseModelRelationships(projectInfo.models);
+  projectInfo.migrations = readPhpFiles("database/migrations/**/*.php");
+
+  // Replay migrations to build the database schema
+  projectInfo.schema = parseMigrations(projectInfo.migrations);
+
+  // Extract routes from route files, following their groups
+  projectInfo.routeFiles = readPhpFiles("routes/**/*.php");
+  projectInfo.routes = parseRoutes(projectInfo.routeFiles, projectInfo.classes);
+
+  // A saved route:list also knows the routes packages and macros register
+  if (options.routeList) {
+    projectInfo.routes = importRouteList(
+      projectInfo.routes,
+      options.routeList,
+      options.routeListMode
+    );
+  }
+  linkRouteControllers(projectInfo.routes, projectInfo.controllers);
+
+  // Middleware aliases, groups and named rate limiters the routes refer to
+  projectInfo.middlewareConfig = parseMiddlewareConfig(projectInfo.classes);
+
+  // Parse model relationships and work out the owners of polymorphic ones
+  projectInfo.morphMap = parseMorphMap(projectInfo.classes);
+  projectInfo.relationships = resolvePolymorphicRelations(
+    parseModelRelationships(projectInfo.models),
+    projectInfo.models,
+    projectInfo.morphMap
+  );
 
   return projectInfo;
 }
 
 /**
- * Parse model relationships from model files
- * @param {Array} models List of models
- * @returns {Array} Relationships between models
+ * Get the attribute casts of a model from $casts and the casts() method
+ * @param {Object|null} classInfo Parsed model class
+ * @returns {Object} Cast types keyed by attribute name
+ */
+function getModelCasts(classInfo) {
+  const casts = {};
+
+  const property = getPropertyValue(classInfo, "casts");
+  if (property && typeof property === "object") {
+    Object.assign(casts, property);
+  }
+
+  // Laravel 11 models may declare casts in a method instead
+  const method = findMethod(classInfo, "casts");
+  const returnMatch = method && method.body
+    ? method.body.match(/return\s+([\s\S]*);\s*$/)
+    : null;
+  if (returnMatch) {
+    const value = parseValue(returnMatch[1]);
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(casts, value);
+    }
+  }
+
+  return casts;
+}
+
+/**
+ * Find the controller method handling an endpoint
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint with its controller and controllerMethod
+ * @returns {Object|null} The controller file and parsed method, or null
  */
-function parseModelRelationships(models) {
-  const relationships = [];
-
-  // Define relationship patterns to look for
-  const relationshipPatterns = [
-    {
-      type: "hasOne",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->hasOne\s*\(\s*([^,)]+)/g,
-    },
-    {
-      type: "hasMany",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->hasMany\s*\(\s*([^,)]+)/g,
-    },
-    {
-      type: "belongsTo",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->belongsTo\s*\(\s*([^,)]+)/g,
-    },
-    {
-      type: "belongsToMany",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->belongsToMany\s*\(\s*([^,)]+)/g,
-    },
-    {
-      type: "morphTo",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->morphTo\s*\(/g,
-    },
-    {
-      type: "morphMany",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->morphMany\s*\(\s*([^,)]+)/g,
-    },
-    {
-      type: "morphOne",
-      regex:
-        /public\s+function\s+(\w+)\s*\(\s*\)\s*{\s*return\s+\$?this->morphOne\s*\(\s*([^,)]+)/g,
-    },
-  ];
-
-  models.forEach((model) => {
-    relationshipPatterns.forEach((pattern) => {
-      const matches = [...model.content.matchAll(pattern.regex)];
-
-      matches.forEach((match) => {
-        const relationshipName = match[1];
-        const relatedModel = match[2]
-          ? match[2].replace(/['"]/g, "").split("\\").pop()
-          : "Unknown";
-
-        relationships.push({
-          sourceModel: model.name,
-          relationshipType: pattern.type,
-          relationshipName: relationshipName,
-          targetModel: relatedModel,
-        });
-      });
-    });
-  });
-
-  return relationships;
+function findControllerMethod(projectInfo, endpoint) {
+  if (!endpoint.controller || !endpoint.controllerMethod) return null;
+
+  const controllers = projectInfo.controllers || [];
+  const controller =
+    controllers.find((c) => c.fullName === endpoint.controller) ||
+    controllers.find((c) => c.name === endpoint.controller.split("\\").pop());
+
+  const method = controller ? findMethod(controller.classInfo, endpoint.controllerMethod) : null;
+  return method ? { controller, method } : null;
 }
 
 function generateMainIndex(dir) {
@@ -214,6 +232,7 @@ function generateMainIndex(dir) {
       <a href="erd/">ERD</a>
       <a href="uml/">UML</a>
       <a href="sequence/">Sequence</a>
+      <a href="async/">Async</a>
       <a href="api/">API</a>
     </div>
   </div>
@@ -254,6 +273,12 @@ function generateMainIndex(dir) {
         <a href="sequence/" class="card-button">View Sequence Diagrams</a>
       </div>
       
+      <div class="doc-card">
+        <h3>Asynchronous Flows</h3>
+        <p>Events and their listeners, and the jobs, notifications and mail they send on, with the queues they run on.</p>
+        <a href="async/" class="card-button">View Async Flows</a>
+      </div>
+      
       <div class="doc-card">
         <h3>API Documentation</h3>
         <p>Comprehensive documentation of your application's API endpoints and their parameters.</p>
@@ -479,4 +504,7 @@ footer a {
 module.exports = {
   isLaravelProject,
   extractLaravelInfo,
+  readProjectInfo,
+  getModelCasts,
+  findControllerMethod,
 };
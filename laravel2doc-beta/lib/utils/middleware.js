@@ -0,0 +1,540 @@
+const {
+  parsePhp,
+  stripComments,
+  findClosingBracket,
+  findTopLevel,
+  splitTopLevel,
+  parseValue,
+  parseCallChain,
+  resolveClassName,
+  findMethod,
+} = require("./php");
+const { classBasename } = require("./naming");
+const { readPhpFiles } = require("./discovery");
+
+/**
+ * Middleware kinds that need the caller to send a bearer token
+ */
+const TOKEN_KINDS = ["auth", "abilities", "ability", "scopes", "scope"];
+
+/**
+ * Middleware aliases Laravel registers out of the box (Laravel 11+)
+ */
+const DEFAULT_ALIASES = {
+  auth: "Illuminate\\Auth\\Middleware\\Authenticate",
+  "auth.basic": "Illuminate\\Auth\\Middleware\\AuthenticateWithBasicAuth",
+  "auth.session": "Illuminate\\Session\\Middleware\\AuthenticateSession",
+  "cache.headers": "Illuminate\\Http\\Middleware\\SetCacheHeaders",
+  can: "Illuminate\\Auth\\Middleware\\Authorize",
+  guest: "Illuminate\\Auth\\Middleware\\RedirectIfAuthenticated",
+  "password.confirm": "Illuminate\\Auth\\Middleware\\RequirePassword",
+  precognitive: "Illuminate\\Foundation\\Http\\Middleware\\HandlePrecognitiveRequests",
+  signed: "Illuminate\\Routing\\Middleware\\ValidateSignature",
+  throttle: "Illuminate\\Routing\\Middleware\\ThrottleRequests",
+  verified: "Illuminate\\Auth\\Middleware\\EnsureEmailIsVerified",
+};
+
+/**
+ * Middleware groups Laravel registers out of the box (Laravel 11+)
+ */
+const DEFAULT_GROUPS = {
+  web: [
+    "Illuminate\\Cookie\\Middleware\\EncryptCookies",
+    "Illuminate\\Cookie\\Middleware\\AddQueuedCookiesToResponse",
+    "Illuminate\\Session\\Middleware\\StartSession",
+    "Illuminate\\View\\Middleware\\ShareErrorsFromSession",
+    "Illuminate\\Foundation\\Http\\Middleware\\ValidateCsrfToken",
+    "Illuminate\\Routing\\Middleware\\SubstituteBindings",
+  ],
+  api: ["Illuminate\\Routing\\Middleware\\SubstituteBindings"],
+};
+
+/**
+ * What a middleware checks, keyed by the basename of its class, so apps
+ * that extend or re-alias the framework middleware are recognised too
+ */
+const MIDDLEWARE_KINDS = {
+  Authenticate: "auth",
+  AuthenticateWithBasicAuth: "auth.basic",
+  RedirectIfAuthenticated: "guest",
+  Authorize: "can",
+  ThrottleRequests: "throttle",
+  ThrottleRequestsWithRedis: "throttle",
+  EnsureEmailIsVerified: "verified",
+  ValidateSignature: "signed",
+  RequirePassword: "password.confirm",
+  CheckAbilities: "abilities",
+  CheckForAnyAbility: "ability",
+  CheckScopes: "scopes",
+  CheckForAnyScope: "scope",
+};
+
+/**
+ * Read the middleware aliases and groups from app/Http/Kernel.php
+ * (Laravel 10 and older) or bootstrap/app.php withMiddleware() (Laravel 11+),
+ * and the named rate limiters from RateLimiter::for() definitions
+ * @param {Array} classes Discovered classes
+ * @returns {Object} Middleware configuration ({ aliases, groups, limiters })
+ */
+function parseMiddlewareConfig(classes = []) {
+  const config = {
+    aliases: { ...DEFAULT_ALIASES },
+    groups: Object.fromEntries(Object.entries(DEFAULT_GROUPS).map(([name, list]) => [name, [...list]])),
+    limiters: {},
+  };
+
+  const kernel = classes.find(
+    (c) =>
+      c.fullName === "App\\Http\\Kernel" ||
+      (c.ancestors || []).includes("Illuminate\\Foundation\\Http\\Kernel")
+  );
+  if (kernel && kernel.classInfo) {
+    readKernel(kernel.classInfo, config);
+  }
+
+  const [bootstrapFile] = readPhpFiles("bootstrap/app.php");
+  if (bootstrapFile) {
+    readBootstrapMiddleware(bootstrapFile, config);
+  }
+
+  // Named limiters usually live in a service provider's boot()
+  const providers = classes.filter((c) => c.kind === "provider");
+  [bootstrapFile, ...providers].filter(Boolean).forEach((file) => {
+    Object.assign(config.limiters, parseRateLimiters(stripComments(file.content)));
+  });
+
+  return config;
+}
+
+/**
+ * Read $middlewareAliases (or $routeMiddleware) and $middlewareGroups
+ * @param {Object} classInfo Parsed HTTP kernel
+ * @param {Object} config Middleware configuration to fill
+ */
+function readKernel(classInfo, config) {
+  const rawProperty = (name) => {
+    const property = classInfo.properties.find((p) => p.name === name);
+    return property && property.default ? property.default : null;
+  };
+
+  ["routeMiddleware", "middlewareAliases"].forEach((name) => {
+    const raw = rawProperty(name);
+    if (raw) Object.assign(config.aliases, readMiddlewareMap(raw, classInfo));
+  });
+
+  // The kernel lists every group, so it replaces the defaults
+  const groups = rawProperty("middlewareGroups");
+  if (groups) {
+    config.groups = readMiddlewareMap(groups, classInfo, true);
+  }
+}
+
+/**
+ * Apply the $middleware calls in bootstrap/app.php ->withMiddleware()
+ * @param {Object} file bootstrap/app.php
+ * @param {Object} config Middleware configuration to fill
+ */
+function readBootstrapMiddleware(file, config) {
+  const content = stripComments(file.content);
+  const match = content.match(/->\s*withMiddleware\s*\(/);
+  if (!match) return;
+
+  const closeIndex = findClosingBracket(content, match.index + match[0].length - 1);
+  const body = content.slice(match.index + match[0].length, closeIndex === -1 ? content.length : closeIndex);
+  const context = { namespace: null, uses: readUses(file) };
+
+  const callRegex = /\$\w+\s*->\s*(\w+)\s*\(/g;
+  let call;
+  while ((call = callRegex.exec(body)) !== null) {
+    const openIndex = call.index + call[0].length - 1;
+    const argsEnd = findClosingBracket(body, openIndex);
+    if (argsEnd === -1) break;
+
+    const args = {};
+    const positional = [];
+    splitTopLevel(body.slice(openIndex + 1, argsEnd), ",").forEach((arg) => {
+      const named = arg.match(/^(\w+)\s*:(?!:)\s*([\s\S]*)$/);
+      if (named) args[named[1]] = named[2].trim();
+      else positional.push(arg);
+    });
+
+    applyBootstrapCall(call[1], args, positional, context, config);
+    callRegex.lastIndex = argsEnd + 1;
+  }
+}
+
+/**
+ * Apply one $middleware->...() call from bootstrap/app.php
+ * @param {string} name Method name
+ * @param {Object} args Named arguments as written
+ * @param {Array} positional Positional arguments as written
+ * @param {Object} context File context (namespace and uses)
+ * @param {Object} config Middleware configuration to fill
+ */
+function applyBootstrapCall(name, args, positional, context, config) {
+  const list = (raw) => (raw ? readMiddlewareList(raw, context) : []);
+  const group = (groupName) => {
+    if (!config.groups[groupName]) config.groups[groupName] = [];
+    return config.groups[groupName];
+  };
+
+  switch (name) {
+    case "alias":
+      Object.assign(config.aliases, readMiddlewareMap(positional[0] || args.aliases || "[]", context));
+      break;
+    case "group":
+      config.groups[parseValue(positional[0])] = list(positional[1]);
+      break;
+    case "appendToGroup":
+      group(parseValue(positional[0])).push(...list(positional[1]));
+      break;
+    case "prependToGroup":
+      group(parseValue(positional[0])).unshift(...list(positional[1]));
+      break;
+    case "web":
+    case "api": {
+      // $middleware->api(prepend: [...], append: [...], remove: [...])
+      const members = group(name);
+      const removed = list(args.remove || positional[2]);
+      config.groups[name] = [
+        ...list(args.prepend || positional[1]),
+        ...members.filter((entry) => !removed.includes(entry)),
+        ...list(args.append || positional[0]),
+      ];
+      break;
+    }
+    case "throttleApi": {
+      const limiter = positional[0] || args.limiter;
+      group("api").push(`throttle:${limiter ? parseValue(limiter) : "api"}`);
+      break;
+    }
+    case "statefulApi":
+      group("api").unshift("Laravel\\Sanctum\\Http\\Middleware\\EnsureFrontendRequestsAreStateful");
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Read a map of middleware such as ['auth' => Authenticate::class]
+ * @param {string} raw PHP array as written
+ * @param {Object} context Namespace and uses to resolve class names with
+ * @param {boolean} lists Whether the values are lists (middleware groups)
+ * @returns {Object} Middleware (or lists of middleware) keyed by name
+ */
+function readMiddlewareMap(raw, context, lists = false) {
+  const map = {};
+  const inner = raw.trim().replace(/^\[|\]$/g, "");
+
+  splitTopLevel(inner, ",").forEach((item) => {
+    const arrowIndex = findTopLevel(item, "=>");
+    if (arrowIndex === -1) return;
+
+    const key = parseValue(item.slice(0, arrowIndex));
+    const value = item.slice(arrowIndex + 2).trim();
+    if (typeof key !== "string") return;
+    map[key] = lists ? readMiddlewareList(value, context) : readMiddlewareEntry(value, context);
+  });
+
+  return map;
+}
+
+/**
+ * Read a list of middleware, or a single middleware, as written
+ * @param {string} raw PHP expression
+ * @param {Object} context Namespace and uses to resolve class names with
+ * @returns {Array} Middleware names and class names
+ */
+function readMiddlewareList(raw, context) {
+  const value = raw.trim();
+  if (!value.startsWith("[")) return [readMiddlewareEntry(value, context)];
+  return splitTopLevel(value.slice(1, -1), ",").map((item) => readMiddlewareEntry(item, context));
+}
+
+/**
+ * Read one middleware: an alias, Foo::class, or Foo::class.':param'
+ * @param {string} raw PHP expression
+ * @param {Object} context Namespace and uses to resolve class names with
+ * @returns {string} Alias, or fully qualified class name with its parameters
+ */
+function readMiddlewareEntry(raw, context) {
+  const value = raw.trim();
+  const classReference = value.match(/^([\w\\]+)::class(?:\s*\.\s*(['"])(.*)\2)?$/);
+  if (classReference) {
+    return resolveClassName(classReference[1], context) + (classReference[3] || "");
+  }
+
+  const parsed = parseValue(value);
+  return typeof parsed === "string" ? parsed : value;
+}
+
+/**
+ * Read the uses of a file without a class
+ * @param {Object} file PHP file
+ * @returns {Object} Imported class names keyed by alias
+ */
+function readUses(file) {
+  try {
+    return parsePhp(file.content).uses;
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Find the RateLimiter::for() definitions in a file and describe their limits
+ * @param {string} content Source without comments
+ * @returns {Object} Limit descriptions keyed by limiter name
+ */
+function parseRateLimiters(content) {
+  const limiters = {};
+
+  for (const match of content.matchAll(/RateLimiter::for\s*\(/g)) {
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(content, openIndex);
+    if (closeIndex === -1) continue;
+
+    const [nameArg, ...rest] = splitTopLevel(content.slice(openIndex + 1, closeIndex), ",");
+    const name = parseValue(nameArg || "");
+    if (typeof name !== "string") continue;
+
+    const limits = [];
+    const callback = rest.join(",");
+    for (const limit of callback.matchAll(/Limit::(\w+)\s*\(/g)) {
+      const limitOpen = limit.index + limit[0].length - 1;
+      const limitClose = findClosingBracket(callback, limitOpen);
+      const args = limitClose === -1 ? [] : splitTopLevel(callback.slice(limitOpen + 1, limitClose), ",");
+      const description = describeLimit(limit[1], args);
+      if (description && !limits.includes(description)) limits.push(description);
+    }
+    limiters[name] = limits;
+  }
+
+  return limiters;
+}
+
+/**
+ * Describe a Limit::perMinute(60) style limit
+ * @param {string} method Limit factory method
+ * @param {Array} args Arguments as written
+ * @returns {string|null} Description such as "60 per minute"
+ */
+function describeLimit(method, args) {
+  const decay = (raw) => (raw === undefined ? 1 : parseValue(raw));
+  switch (method) {
+    case "none":
+      return "unlimited";
+    case "perSecond":
+      return formatRate(args[0], decay(args[1]), "second");
+    case "perMinute":
+      return formatRate(args[0], 1, "minute");
+    case "perMinutes":
+      return formatRate(args[1], decay(args[0]), "minute");
+    case "perHour":
+      return formatRate(args[0], decay(args[1]), "hour");
+    case "perDay":
+      return formatRate(args[0], decay(args[1]), "day");
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format a rate such as "60 per minute" or "5 per 10 minutes"
+ * @param {string} max Maximum attempts as written
+ * @param {number|string} decay Length of the window in units
+ * @param {string} unit Time unit
+ * @returns {string} Description
+ */
+function formatRate(max, decay, unit) {
+  const attempts = max === undefined ? "?" : String(parseValue(max));
+  return String(decay) === "1" ? `${attempts} per ${unit}` : `${attempts} per ${decay} ${unit}s`;
+}
+
+/**
+ * Resolve a route's middleware to what it runs and what it requires of the
+ * caller (authentication, abilities, rate limits, ...)
+ * @param {Array} middleware Middleware of the route as written
+ * @param {Object} config Middleware configuration
+ * @returns {Object} Entries ({ name, target }) and access labels ({ kind, label })
+ */
+function describeMiddleware(middleware, config) {
+  const entries = middleware.map((name) => {
+    const group = config.groups[name];
+    return { name, target: group ? group : resolveMiddleware(name, config).className };
+  });
+
+  const access = [];
+  const addAccess = (kind, label) => {
+    if (!access.some((item) => item.label === label)) access.push({ kind, label });
+  };
+  expandMiddleware(middleware, config, new Set()).forEach((name) => {
+    const { kind, params } = resolveMiddleware(name, config);
+    describeAccess(kind, params, config).forEach((label) => addAccess(kind, label));
+  });
+
+  return { entries, access };
+}
+
+/**
+ * Resolve a route's middleware to the stack it runs, groups expanded, in order
+ * @param {Array} middleware Middleware as written
+ * @param {Object} config Middleware configuration
+ * @returns {Array} Middleware ({ name, className, kind, params })
+ */
+function resolveMiddlewareStack(middleware, config) {
+  return expandMiddleware(middleware, config, new Set()).map((name) => ({
+    name,
+    ...resolveMiddleware(name, config),
+  }));
+}
+
+/**
+ * Collect the middleware a controller applies to one of its actions, from
+ * $this->middleware() calls in its constructor (Laravel 10 and older) or
+ * its static middleware() method (HasMiddleware, Laravel 11+)
+ * @param {Object} classInfo Parsed controller
+ * @param {string} action Controller method
+ * @returns {Array} Middleware names
+ */
+function getControllerMiddleware(classInfo, action) {
+  const middleware = [];
+  const applies = (only, except) =>
+    (!only || only.includes(action)) && !(except && except.includes(action));
+  const names = (raw) => {
+    const value = raw.trim();
+    if (/^\[[\s\S]*\]$/.test(value)) return splitTopLevel(value.slice(1, -1), ",").flatMap(names);
+    if (/::class$/.test(value)) return [resolveClassName(value, classInfo)];
+    const parsed = parseValue(value);
+    return typeof parsed === "string" ? [parsed] : [];
+  };
+
+  // $this->middleware('auth')->only(['store', 'update'])
+  const constructor = findMethod(classInfo, "__construct");
+  const body = (constructor && constructor.body) || "";
+  for (const match of body.matchAll(/\$this\s*->\s*middleware\s*\(/g)) {
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(body, openIndex);
+    if (closeIndex === -1) continue;
+
+    const chain = parseCallChain(body.slice(closeIndex + 1));
+    const only = chain.find((call) => call.name === "only");
+    const except = chain.find((call) => call.name === "except");
+    if (applies(only && only.args.flatMap(names), except && except.args.flatMap(names))) {
+      middleware.push(...names(body.slice(openIndex + 1, closeIndex)));
+    }
+  }
+
+  // public static function middleware(): array { return ['auth', new Middleware('log', only: ['index'])]; }
+  const method = findMethod(classInfo, "middleware");
+  const returned = method && method.static && method.body && method.body.match(/return\s+\[([\s\S]*)\]\s*;\s*$/);
+  if (returned) {
+    splitTopLevel(returned[1], ",").forEach((item) => {
+      const created = item.match(/^new\s+[\w\\]*Middleware\s*\(([\s\S]*)\)$/);
+      if (!created) {
+        middleware.push(...names(item));
+        return;
+      }
+
+      let entry = null;
+      let only = null;
+      let except = null;
+      splitTopLevel(created[1], ",").forEach((arg, index) => {
+        const named = arg.match(/^(\w+)\s*:(?!:)\s*([\s\S]*)$/);
+        if (named && named[1] === "only") only = names(named[2]);
+        else if (named && named[1] === "except") except = names(named[2]);
+        else if (!named && index === 0) entry = names(arg);
+        else if (named && named[1] === "middleware") entry = names(named[2]);
+      });
+      if (entry && applies(only, except)) middleware.push(...entry);
+    });
+  }
+
+  return middleware;
+}
+
+/**
+ * Expand middleware groups (recursively) into the middleware they contain
+ * @param {Array} middleware Middleware names
+ * @param {Object} config Middleware configuration
+ * @param {Set} seen Groups already expanded
+ * @returns {Array} Middleware names and class names
+ */
+function expandMiddleware(middleware, config, seen) {
+  return middleware.flatMap((name) => {
+    if (!config.groups[name]) return [name];
+    if (seen.has(name)) return [];
+    seen.add(name);
+    return expandMiddleware(config.groups[name], config, seen);
+  });
+}
+
+/**
+ * Resolve a middleware name such as "auth:sanctum" to its class and kind
+ * @param {string} name Middleware as written
+ * @param {Object} config Middleware configuration
+ * @returns {Object} Class name, kind and parameters ({ className, kind, params })
+ */
+function resolveMiddleware(name, config) {
+  const separator = name.indexOf(":");
+  const base = separator === -1 ? name : name.slice(0, separator);
+  const params = separator === -1 ? [] : name.slice(separator + 1).split(",").map((p) => p.trim());
+
+  const className = config.aliases[base] || (base.includes("\\") ? base : null);
+  const kind = (className && MIDDLEWARE_KINDS[classBasename(className)]) || null;
+  return { className, kind, params };
+}
+
+/**
+ * Describe what a middleware requires of the caller
+ * @param {string|null} kind Kind of middleware
+ * @param {Array} params Middleware parameters
+ * @param {Object} config Middleware configuration
+ * @returns {Array} Labels
+ */
+function describeAccess(kind, params, config) {
+  switch (kind) {
+    case "auth":
+      return [params.length > 0 ? `Authenticated (${params.join(", ")})` : "Authenticated"];
+    case "auth.basic":
+      return ["Authenticated (basic)"];
+    case "guest":
+      return ["Guest only"];
+    case "can":
+      return params.length > 0 ? [`Can ${params.join(" ")}`] : [];
+    case "abilities":
+      return [`Abilities: ${params.join(", ")}`];
+    case "ability":
+      return [`Any ability: ${params.join(", ")}`];
+    case "scopes":
+      return [`Scopes: ${params.join(", ")}`];
+    case "scope":
+      return [`Any scope: ${params.join(", ")}`];
+    case "throttle": {
+      // throttle:60,1 is 60 attempts per minute; throttle:api names a limiter
+      if (params.length === 0) return ["Throttle 60 per minute"];
+      if (!/^\d+$/.test(params[0])) {
+        const limits = config.limiters[params[0]];
+        return [limits && limits.length > 0 ? `Throttle ${params[0]}: ${limits.join(", ")}` : `Throttle ${params[0]}`];
+      }
+      return [`Throttle ${formatRate(params[0], params[1] || 1, "minute")}`];
+    }
+    case "verified":
+      return ["Verified email"];
+    case "signed":
+      return ["Signed URL"];
+    case "password.confirm":
+      return ["Password confirmed"];
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  TOKEN_KINDS,
+  parseMiddlewareConfig,
+  describeMiddleware,
+  resolveMiddlewareStack,
+  getControllerMiddleware,
+};
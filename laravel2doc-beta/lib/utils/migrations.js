@@ -0,0 +1,691 @@
+const { snakeCase, pluralize, classBasename } = require("./naming");
+const {
+  parsePhp,
+  findMethod,
+  stripComments,
+  findClosingBracket,
+  splitTopLevel,
+  parseCallChain,
+  parseValue,
+} = require("./php");
+
+/**
+ * Blueprint methods that add a single column, keyed by method name.
+ * "lengthArg" and "precisionArgs" give the argument positions (after the
+ * column name) that carry the length or precision/scale of the column.
+ */
+const COLUMN_DEFINITIONS = {
+  id: { type: "bigIncrements", defaultName: "id", autoIncrement: true },
+  bigIncrements: { type: "bigIncrements", autoIncrement: true },
+  increments: { type: "increments", autoIncrement: true },
+  mediumIncrements: { type: "mediumIncrements", autoIncrement: true },
+  smallIncrements: { type: "smallIncrements", autoIncrement: true },
+  tinyIncrements: { type: "tinyIncrements", autoIncrement: true },
+  bigInteger: { type: "bigInteger" },
+  integer: { type: "integer" },
+  mediumInteger: { type: "mediumInteger" },
+  smallInteger: { type: "smallInteger" },
+  tinyInteger: { type: "tinyInteger" },
+  unsignedBigInteger: { type: "unsignedBigInteger", unsigned: true },
+  unsignedInteger: { type: "unsignedInteger", unsigned: true },
+  unsignedMediumInteger: { type: "unsignedMediumInteger", unsigned: true },
+  unsignedSmallInteger: { type: "unsignedSmallInteger", unsigned: true },
+  unsignedTinyInteger: { type: "unsignedTinyInteger", unsigned: true },
+  foreignId: { type: "unsignedBigInteger", unsigned: true },
+  foreignUuid: { type: "uuid" },
+  foreignUlid: { type: "ulid" },
+  string: { type: "string", lengthArg: 0, defaultLength: 255 },
+  char: { type: "char", lengthArg: 0, defaultLength: 255 },
+  text: { type: "text" },
+  tinyText: { type: "tinyText" },
+  mediumText: { type: "mediumText" },
+  longText: { type: "longText" },
+  decimal: { type: "decimal", precisionArgs: [0, 1] },
+  unsignedDecimal: { type: "decimal", precisionArgs: [0, 1], unsigned: true },
+  float: { type: "float", precisionArgs: [0, 1] },
+  double: { type: "double", precisionArgs: [0, 1] },
+  boolean: { type: "boolean" },
+  date: { type: "date" },
+  dateTime: { type: "dateTime" },
+  dateTimeTz: { type: "dateTimeTz" },
+  time: { type: "time" },
+  timeTz: { type: "timeTz" },
+  timestamp: { type: "timestamp" },
+  timestampTz: { type: "timestampTz" },
+  year: { type: "year" },
+  json: { type: "json" },
+  jsonb: { type: "jsonb" },
+  uuid: { type: "uuid", defaultName: "uuid" },
+  ulid: { type: "ulid", defaultName: "ulid" },
+  ipAddress: { type: "ipAddress", defaultName: "ip_address" },
+  macAddress: { type: "macAddress", defaultName: "mac_address" },
+  binary: { type: "binary" },
+  enum: { type: "enum", valuesArg: 0 },
+  set: { type: "set", valuesArg: 0 },
+  geometry: { type: "geometry" },
+  geography: { type: "geography" },
+  point: { type: "point" },
+  lineString: { type: "lineString" },
+  polygon: { type: "polygon" },
+  multiPoint: { type: "multiPoint" },
+  multiLineString: { type: "multiLineString" },
+  multiPolygon: { type: "multiPolygon" },
+  vector: { type: "vector" },
+};
+
+/**
+ * Polymorphic column helpers and the type of the *_id column they add
+ */
+const MORPH_DEFINITIONS = {
+  morphs: { idType: "unsignedBigInteger", nullable: false },
+  nullableMorphs: { idType: "unsignedBigInteger", nullable: true },
+  numericMorphs: { idType: "unsignedBigInteger", nullable: false },
+  nullableNumericMorphs: { idType: "unsignedBigInteger", nullable: true },
+  uuidMorphs: { idType: "uuid", nullable: false },
+  nullableUuidMorphs: { idType: "uuid", nullable: true },
+  ulidMorphs: { idType: "ulid", nullable: false },
+  nullableUlidMorphs: { idType: "ulid", nullable: true },
+};
+
+/**
+ * Build the database schema by replaying migrations in timestamp order
+ * @param {Array} migrations Migration files ({ name, path, content })
+ * @returns {Object} Schema with a map of tables keyed by table name
+ */
+function parseMigrations(migrations) {
+  const schema = { tables: {} };
+
+  // Laravel runs migrations ordered by file name, which starts with the timestamp
+  [...migrations]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((migration) => {
+      try {
+        applyMigration(schema, migration);
+      } catch (err) {
+        // Skip migrations we can't understand rather than failing the whole run
+      }
+    });
+
+  return schema;
+}
+
+/**
+ * Apply the schema changes made by a single migration's up() method
+ * @param {Object} schema Schema being built
+ * @param {Object} migration Migration file
+ */
+function applyMigration(schema, migration) {
+  const classInfo = parsePhp(migration.content).classes[0];
+  const upMethod = findMethod(classInfo, "up");
+  const upBody =
+    upMethod && upMethod.body !== null
+      ? upMethod.body
+      : stripComments(migration.content);
+
+  const schemaCallRegex =
+    /Schema::(?:connection\s*\([^)]*\)\s*->\s*)?(create|table|drop|dropIfExists|rename)\s*\(/g;
+
+  let match;
+  while ((match = schemaCallRegex.exec(upBody)) !== null) {
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(upBody, openIndex);
+    if (closeIndex === -1) break;
+
+    const args = splitTopLevel(upBody.slice(openIndex + 1, closeIndex), ",");
+    const tableName = parseValue(args[0] || "");
+    schemaCallRegex.lastIndex = closeIndex;
+
+    if (typeof tableName !== "string") continue;
+
+    switch (match[1]) {
+      case "create":
+        schema.tables[tableName] = createTable(tableName);
+        applyBlueprint(schema.tables[tableName], args[1], migration);
+        break;
+      case "table":
+        if (!schema.tables[tableName]) {
+          schema.tables[tableName] = createTable(tableName);
+        }
+        applyBlueprint(schema.tables[tableName], args[1], migration);
+        break;
+      case "drop":
+      case "dropIfExists":
+        delete schema.tables[tableName];
+        break;
+      case "rename": {
+        const newName = parseValue(args[1] || "");
+        if (typeof newName === "string" && schema.tables[tableName]) {
+          schema.tables[newName] = schema.tables[tableName];
+          schema.tables[newName].name = newName;
+          delete schema.tables[tableName];
+        }
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Create an empty table definition
+ * @param {string} name Table name
+ * @returns {Object} Table definition
+ */
+function createTable(name) {
+  return {
+    name,
+    columns: [],
+    primaryKey: [],
+    indexes: [],
+    foreignKeys: [],
+    migrations: [],
+  };
+}
+
+/**
+ * Replay the Blueprint calls made inside a Schema::create/table closure
+ * @param {Object} table Table being modified
+ * @param {string} closure Source of the closure passed to Schema
+ * @param {Object} migration Migration file the closure belongs to
+ */
+function applyBlueprint(table, closure, migration) {
+  if (!closure) return;
+
+  const variableMatch = closure.match(/function\s*\(\s*(?:[\w\\]+\s+)?\$(\w+)/);
+  const openIndex = closure.indexOf("{");
+  if (!variableMatch || openIndex === -1) return;
+
+  const closeIndex = findClosingBracket(closure, openIndex);
+  const body = closure.slice(openIndex + 1, closeIndex);
+  const prefix = `$${variableMatch[1]}`;
+
+  table.migrations.push(migration.name);
+
+  splitTopLevel(body, ";").forEach((statement) => {
+    if (!statement.startsWith(prefix)) return;
+
+    const calls = parseCallChain(statement.slice(prefix.length));
+    if (calls.length === 0) return;
+
+    const [command, ...modifiers] = calls;
+    const columns = createColumns(command);
+
+    if (columns) {
+      addColumns(table, columns, modifiers);
+      addColumnKeys(table, columns, modifiers);
+    } else {
+      applyTableCommand(table, command, modifiers);
+    }
+  });
+}
+
+/**
+ * Create the column definitions for a Blueprint column method call
+ * @param {Object} call Parsed method call ({ name, args })
+ * @returns {Array|null} Column definitions, or null if the call adds no columns
+ */
+function createColumns(call) {
+  const args = call.args.map(parseValue);
+  const definition = COLUMN_DEFINITIONS[call.name];
+
+  if (definition) {
+    const name = typeof args[0] === "string" ? args[0] : definition.defaultName;
+    if (!name) return null;
+
+    const column = createColumn(name, definition.type, {
+      autoIncrement: Boolean(definition.autoIncrement),
+      unsigned: Boolean(definition.unsigned || definition.autoIncrement),
+    });
+
+    if (definition.lengthArg !== undefined) {
+      const length = args[definition.lengthArg + 1];
+      column.length = typeof length === "number" ? length : definition.defaultLength;
+    }
+    if (definition.precisionArgs) {
+      const precision = args[definition.precisionArgs[0] + 1];
+      const scale = args[definition.precisionArgs[1] + 1];
+      if (typeof precision === "number") column.precision = precision;
+      if (typeof scale === "number") column.scale = scale;
+    }
+    if (definition.valuesArg !== undefined) {
+      const values = args[definition.valuesArg + 1];
+      if (Array.isArray(values)) column.values = values;
+    }
+
+    return [column];
+  }
+
+  if (MORPH_DEFINITIONS[call.name]) {
+    const morph = MORPH_DEFINITIONS[call.name];
+    const name = args[0];
+    if (typeof name !== "string") return null;
+
+    return [
+      createColumn(`${name}_type`, "string", {
+        length: 255,
+        nullable: morph.nullable,
+      }),
+      createColumn(`${name}_id`, morph.idType, {
+        unsigned: morph.idType === "unsignedBigInteger",
+        nullable: morph.nullable,
+      }),
+    ];
+  }
+
+  switch (call.name) {
+    case "timestamps":
+    case "nullableTimestamps":
+      return [
+        createColumn("created_at", "timestamp", { nullable: true }),
+        createColumn("updated_at", "timestamp", { nullable: true }),
+      ];
+    case "timestampsTz":
+      return [
+        createColumn("created_at", "timestampTz", { nullable: true }),
+        createColumn("updated_at", "timestampTz", { nullable: true }),
+      ];
+    case "datetimes":
+      return [
+        createColumn("created_at", "dateTime", { nullable: true }),
+        createColumn("updated_at", "dateTime", { nullable: true }),
+      ];
+    case "softDeletes":
+    case "softDeletesTz":
+    case "softDeletesDatetime": {
+      const type = {
+        softDeletes: "timestamp",
+        softDeletesTz: "timestampTz",
+        softDeletesDatetime: "dateTime",
+      }[call.name];
+      const name = typeof args[0] === "string" ? args[0] : "deleted_at";
+      return [createColumn(name, type, { nullable: true })];
+    }
+    case "rememberToken":
+      return [
+        createColumn("remember_token", "string", {
+          length: 100,
+          nullable: true,
+        }),
+      ];
+    case "foreignIdFor": {
+      if (typeof args[0] !== "string") return null;
+      const name =
+        typeof args[1] === "string"
+          ? args[1]
+          : `${snakeCase(classBasename(args[0]))}_id`;
+      return [
+        createColumn(name, "unsignedBigInteger", { unsigned: true }),
+      ];
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a column definition with every attribute present
+ * @param {string} name Column name
+ * @param {string} type Blueprint column type
+ * @param {Object} attributes Attributes overriding the defaults
+ * @returns {Object} Column definition
+ */
+function createColumn(name, type, attributes = {}) {
+  return {
+    name,
+    type,
+    nullable: false,
+    default: undefined,
+    length: null,
+    precision: null,
+    scale: null,
+    unsigned: false,
+    autoIncrement: false,
+    comment: null,
+    values: null,
+    ...attributes,
+  };
+}
+
+/**
+ * Apply column modifiers and add (or change) the columns on the table
+ * @param {Object} table Table being modified
+ * @param {Array} columns Columns created by the Blueprint call
+ * @param {Array} modifiers Chained modifier calls
+ */
+function addColumns(table, columns, modifiers) {
+  let isChange = false;
+  let afterColumn = null;
+  let first = false;
+
+  modifiers.forEach((modifier) => {
+    const args = modifier.args.map(parseValue);
+
+    columns.forEach((column) => {
+      switch (modifier.name) {
+        case "nullable":
+          column.nullable = args[0] !== false;
+          break;
+        case "default":
+          column.default = args[0];
+          break;
+        case "useCurrent":
+          column.default = "CURRENT_TIMESTAMP";
+          break;
+        case "unsigned":
+          column.unsigned = true;
+          break;
+        case "autoIncrement":
+          column.autoIncrement = true;
+          break;
+        case "comment":
+          column.comment = typeof args[0] === "string" ? args[0] : null;
+          break;
+      }
+    });
+
+    if (modifier.name === "change") isChange = true;
+    if (modifier.name === "after" && typeof args[0] === "string") {
+      afterColumn = args[0];
+    }
+    if (modifier.name === "first") first = true;
+  });
+
+  columns.forEach((column) => {
+    const existingIndex = table.columns.findIndex((c) => c.name === column.name);
+
+    if (existingIndex !== -1) {
+      // ->change() (or a redefinition) replaces the column in place
+      table.columns[existingIndex] = isChange
+        ? { ...table.columns[existingIndex], ...column }
+        : column;
+      return;
+    }
+
+    const afterIndex = afterColumn
+      ? table.columns.findIndex((c) => c.name === afterColumn)
+      : -1;
+
+    if (first) {
+      table.columns.unshift(column);
+    } else if (afterIndex !== -1) {
+      table.columns.splice(afterIndex + 1, 0, column);
+      afterColumn = column.name;
+    } else {
+      table.columns.push(column);
+    }
+  });
+}
+
+/**
+ * Record the keys and indexes declared through column modifiers
+ * @param {Object} table Table being modified
+ * @param {Array} columns Columns created by the Blueprint call
+ * @param {Array} modifiers Chained modifier calls
+ */
+function addColumnKeys(table, columns, modifiers) {
+  const names = columns.map((column) => column.name);
+
+  if (columns.some((column) => column.autoIncrement)) {
+    table.primaryKey = names.filter(
+      (name) => columns.find((c) => c.name === name).autoIncrement
+    );
+  }
+
+  modifiers.forEach((modifier) => {
+    const args = modifier.args.map(parseValue);
+    const indexName = typeof args[0] === "string" ? args[0] : null;
+
+    switch (modifier.name) {
+      case "primary":
+        table.primaryKey = names;
+        break;
+      case "unique":
+      case "index":
+      case "fullText":
+      case "spatialIndex":
+        addIndex(table, modifier.name, names, indexName);
+        break;
+    }
+  });
+
+  const foreignKey = parseForeignKey(table, names, modifiers);
+  if (foreignKey) {
+    table.foreignKeys.push(foreignKey);
+  }
+}
+
+/**
+ * Build a foreign key from constrained()/references()/on() modifiers
+ * @param {Object} table Table being modified
+ * @param {Array} columns Local column names
+ * @param {Array} modifiers Chained modifier calls
+ * @param {boolean} explicit Whether the call is a $table->foreign() definition
+ * @returns {Object|null} Foreign key definition
+ */
+function parseForeignKey(table, columns, modifiers, explicit = false) {
+  const foreignKey = {
+    name: `${table.name}_${columns.join("_")}_foreign`,
+    columns,
+    references: ["id"],
+    on: null,
+    onDelete: null,
+    onUpdate: null,
+  };
+  let constrained = explicit;
+
+  modifiers.forEach((modifier) => {
+    const args = modifier.args.map(parseValue);
+
+    switch (modifier.name) {
+      case "constrained":
+        constrained = true;
+        foreignKey.on =
+          typeof args[0] === "string"
+            ? args[0]
+            : pluralize(columns[0].replace(/_id$/, ""));
+        if (typeof args[1] === "string") foreignKey.references = [args[1]];
+        break;
+      case "references":
+        constrained = true;
+        foreignKey.references = [].concat(args[0]);
+        break;
+      case "on":
+        constrained = true;
+        foreignKey.on = args[0];
+        break;
+      case "onDelete":
+        foreignKey.onDelete = String(args[0]).toLowerCase();
+        break;
+      case "onUpdate":
+        foreignKey.onUpdate = String(args[0]).toLowerCase();
+        break;
+      default: {
+        // cascadeOnDelete(), nullOnUpdate(), restrictOnDelete(), ...
+        const actionMatch = modifier.name.match(
+          /^(cascade|restrict|null|noAction)On(Delete|Update)$/
+        );
+        if (actionMatch) {
+          const action = {
+            cascade: "cascade",
+            restrict: "restrict",
+            null: "set null",
+            noAction: "no action",
+          }[actionMatch[1]];
+          foreignKey[`on${actionMatch[2]}`] = action;
+        }
+      }
+    }
+  });
+
+  return constrained && foreignKey.on ? foreignKey : null;
+}
+
+/**
+ * Add an index to the table, replacing one with the same name
+ * @param {Object} table Table being modified
+ * @param {string} type Index type (unique, index, fullText, spatialIndex)
+ * @param {Array} columns Indexed columns
+ * @param {string|null} name Explicit index name
+ */
+function addIndex(table, type, columns, name) {
+  const suffix = type === "unique" ? "unique" : "index";
+  const indexName = name || `${table.name}_${columns.join("_")}_${suffix}`;
+
+  table.indexes = table.indexes.filter((index) => index.name !== indexName);
+  table.indexes.push({
+    name: indexName,
+    type: type === "unique" ? "unique" : "index",
+    columns,
+  });
+}
+
+/**
+ * Remove a key or index given either its name or its columns
+ * @param {Array} keys Indexes or foreign keys of the table
+ * @param {*} identifier Key name, or array of columns
+ * @returns {Array} Remaining keys
+ */
+function dropKey(keys, identifier) {
+  if (Array.isArray(identifier)) {
+    return keys.filter(
+      (key) => key.columns.join(",") !== identifier.join(",")
+    );
+  }
+  return keys.filter((key) => key.name !== identifier);
+}
+
+/**
+ * Apply a Blueprint call that modifies the table rather than adding columns
+ * @param {Object} table Table being modified
+ * @param {Object} command Parsed method call ({ name, args })
+ * @param {Array} modifiers Chained modifier calls
+ */
+function applyTableCommand(table, command, modifiers) {
+  const args = command.args.map(parseValue);
+  const columnList = (value) =>
+    [].concat(value).filter((arg) => typeof arg === "string");
+  const dropColumns = (names) => {
+    table.columns = table.columns.filter((c) => !names.includes(c.name));
+    table.primaryKey = table.primaryKey.filter((c) => !names.includes(c));
+    table.indexes = table.indexes.filter(
+      (index) => !index.columns.some((c) => names.includes(c))
+    );
+    table.foreignKeys = table.foreignKeys.filter(
+      (fk) => !fk.columns.some((c) => names.includes(c))
+    );
+  };
+
+  switch (command.name) {
+    case "dropColumn":
+    case "dropColumns":
+    case "dropConstrainedForeignId":
+      dropColumns(args.flat().filter((arg) => typeof arg === "string"));
+      break;
+    case "renameColumn": {
+      const column = table.columns.find((c) => c.name === args[0]);
+      if (column && typeof args[1] === "string") {
+        const rename = (name) => (name === args[0] ? args[1] : name);
+        column.name = args[1];
+        table.primaryKey = table.primaryKey.map(rename);
+        table.indexes.forEach((index) => {
+          index.columns = index.columns.map(rename);
+        });
+        table.foreignKeys.forEach((fk) => {
+          fk.columns = fk.columns.map(rename);
+        });
+      }
+      break;
+    }
+    case "primary":
+      table.primaryKey = columnList(args[0]);
+      break;
+    case "unique":
+    case "index":
+    case "fullText":
+    case "spatialIndex":
+      addIndex(
+        table,
+        command.name,
+        columnList(args[0]),
+        typeof args[1] === "string" ? args[1] : null
+      );
+      break;
+    case "foreign": {
+      const foreignKey = parseForeignKey(
+        table,
+        columnList(args[0]),
+        modifiers,
+        true
+      );
+      if (foreignKey) {
+        if (typeof args[1] === "string") foreignKey.name = args[1];
+        table.foreignKeys.push(foreignKey);
+      }
+      break;
+    }
+    case "dropPrimary":
+      table.primaryKey = [];
+      break;
+    case "dropUnique":
+    case "dropIndex":
+    case "dropFullText":
+    case "dropSpatialIndex":
+      table.indexes = dropKey(table.indexes, args[0]);
+      break;
+    case "dropForeign":
+      table.foreignKeys = dropKey(table.foreignKeys, args[0]);
+      break;
+    case "dropTimestamps":
+    case "dropTimestampsTz":
+      dropColumns(["created_at", "updated_at"]);
+      break;
+    case "dropSoftDeletes":
+    case "dropSoftDeletesTz":
+      dropColumns([typeof args[0] === "string" ? args[0] : "deleted_at"]);
+      break;
+    case "dropRememberToken":
+      dropColumns(["remember_token"]);
+      break;
+    case "dropMorphs":
+      if (typeof args[0] === "string") {
+        dropColumns([`${args[0]}_type`, `${args[0]}_id`]);
+      }
+      break;
+  }
+}
+
+/**
+ * Map a migration column to a JSON schema
+ * @param {Object} column Column from the migration schema
+ * @returns {Object} JSON schema
+ */
+function columnSchema(column) {
+  let schema;
+  if (/increments$|integer$/i.test(column.type)) {
+    schema = { type: "integer" };
+  } else if (/^(decimal|unsignedDecimal|float|double)$/.test(column.type)) {
+    schema = { type: "number" };
+  } else if (column.type === "boolean") {
+    schema = { type: "boolean" };
+  } else if (/^jsonb?$/.test(column.type)) {
+    schema = { type: "object" };
+  } else if (column.type === "date") {
+    schema = { type: "string", format: "date" };
+  } else if (/^(dateTime|timestamp)(Tz)?$/.test(column.type)) {
+    schema = { type: "string", format: "date-time" };
+  } else if (column.type === "uuid") {
+    schema = { type: "string", format: "uuid" };
+  } else {
+    schema = { type: "string" };
+    if (column.length) schema.maxLength = column.length;
+    if (Array.isArray(column.values)) schema.enum = column.values;
+  }
+
+  if (column.comment) schema.description = column.comment;
+  if (column.nullable) schema.type = [schema.type, "null"];
+  return schema;
+}
+
+module.exports = {
+  parseMigrations,
+  columnSchema,
+};
@@ -0,0 +1,93 @@
+const { getPropertyValue } = require("./php");
+
+/**
+ * Convert a StudlyCase or camelCase name to snake_case
+ * @param {string} name Name to convert
+ * @returns {string} snake_case name
+ */
+function snakeCase(name) {
+  return name
+    .replace(/([a-z\d])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z]+)([A-Z][a-z\d]+)/g, "$1_$2")
+    .replace(/[-\s]+/g, "_")
+    .toLowerCase();
+}
+
+/**
+ * Pluralize an English word the way Laravel does for the common cases
+ * @param {string} word Singular word
+ * @returns {string} Plural word
+ */
+function pluralize(word) {
+  if (/(s|x|z|ch|sh)$/i.test(word)) {
+    return `${word}es`;
+  }
+  if (/[^aeiou]y$/i.test(word)) {
+    return `${word.slice(0, -1)}ies`;
+  }
+  return `${word}s`;
+}
+
+/**
+ * Singularize an English word the way Laravel does for the common cases
+ * @param {string} word Plural word
+ * @returns {string} Singular word
+ */
+function singularize(word) {
+  if (/[^aeiou]ies$/i.test(word)) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(s|x|z|ch|sh)es$/i.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (/[^s]s$/i.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Get the short class name from a fully qualified or ::class reference
+ * @param {string} className Class reference
+ * @returns {string} Class basename
+ */
+function classBasename(className) {
+  return className
+    .replace(/::class$/, "")
+    .replace(/^['"]+|['"]+$/g, "")
+    .split("\\")
+    .pop();
+}
+
+/**
+ * Resolve the database table used by a model, honouring a custom $table
+ * @param {Object} model Model object with name, classInfo and ancestors
+ * @returns {string} Table name
+ */
+function getModelTableName(model) {
+  const table = getPropertyValue(model.classInfo, "table");
+  if (typeof table === "string") {
+    return table;
+  }
+
+  // Custom pivot models default to the singular name, e.g. RoleUser => role_user
+  const parts = snakeCase(classBasename(model.name)).split("_");
+  const isPivot = (model.ancestors || []).some((ancestor) =>
+    /\\Relations\\(Morph)?Pivot$/.test(ancestor)
+  );
+  if (isPivot) {
+    return parts.join("_");
+  }
+
+  // Laravel pluralizes only the last word of the snake_cased class name
+  parts.push(pluralize(parts.pop()));
+  return parts.join("_");
+}
+
+module.exports = {
+  snakeCase,
+  pluralize,
+  singularize,
+  classBasename,
+  getModelTableName,
+};
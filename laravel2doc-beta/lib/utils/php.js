@@ -0,0 +1,1019 @@
+/**
+ * Multi-character PHP operators, longest first so they win over their prefixes
+ */
+const OPERATORS = [
+  "<=>", "**=", "...", "<<=", ">>=", "===", "!==", "??=", "?->",
+  "->", "=>", "::", "==", "!=", "<>", "<=", ">=", "&&", "||", "??",
+  "++", "--", "+=", "-=", "*=", "/=", ".=", "%=", "&=", "|=", "^=",
+  "<<", ">>", "**", "#[",
+];
+
+const MODIFIERS = [
+  "public", "protected", "private", "static", "abstract", "final",
+  "readonly", "var",
+];
+
+const CLASS_KEYWORDS = ["class", "interface", "trait", "enum"];
+
+/**
+ * Split PHP source into tokens. Whitespace is dropped, comments are kept
+ * as "comment" / "doc_comment" tokens so callers can decide what to do.
+ * @param {string} source PHP source
+ * @returns {Array} Tokens ({ type, value, start, end, line })
+ */
+function tokenize(source) {
+  const tokens = [];
+  let line = 1;
+  let i = source.indexOf("<?php");
+  i = i === -1 ? 0 : i + 5;
+  line += countLines(source, 0, i);
+
+  const push = (type, start, end) => {
+    tokens.push({ type, value: source.slice(start, end), start, end, line });
+    line += countLines(source, start, end);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (/\s/.test(char)) {
+      if (char === "\n") line++;
+      i++;
+    } else if (char === "?" && next === ">") {
+      // Skip inline HTML until PHP resumes
+      const resume = source.indexOf("<?php", i);
+      const end = resume === -1 ? source.length : resume + 5;
+      line += countLines(source, i, end);
+      i = end;
+    } else if (char === "/" && next === "*") {
+      const close = source.indexOf("*/", i + 2);
+      const end = close === -1 ? source.length : close + 2;
+      push(source[i + 2] === "*" && source[i + 3] !== "/" ? "doc_comment" : "comment", i, end);
+      i = end;
+    } else if ((char === "/" && next === "/") || (char === "#" && next !== "[")) {
+      let end = i;
+      while (end < source.length && source[end] !== "\n") end++;
+      push("comment", i, end);
+      i = end;
+    } else if (char === "'" || char === '"' || char === "`") {
+      const end = skipString(source, i);
+      push("string", i, end);
+      i = end;
+    } else if (source.startsWith("<<<", i)) {
+      const end = skipHeredoc(source, i);
+      push("string", i, end);
+      i = end;
+    } else if (char === "$" && /[A-Za-z_\x80-\uffff]/.test(next || "")) {
+      const match = /^\$[\w\x80-\uffff]+/.exec(source.slice(i, i + 256));
+      push("variable", i, i + match[0].length);
+      i += match[0].length;
+    } else if (/[A-Za-z_\\\x80-\uffff]/.test(char)) {
+      let end = i + 1;
+      while (end < source.length && /[\w\\\x80-\uffff]/.test(source[end])) end++;
+      push("identifier", i, end);
+      i = end;
+    } else if (/\d/.test(char) || (char === "." && /\d/.test(next || ""))) {
+      const match = /^(0x[\da-f_]+|0b[01_]+|(\d[\d_]*)?\.?[\d_]*(e[+-]?\d+)?)/i.exec(
+        source.slice(i, i + 64)
+      );
+      const length = Math.max(match[0].length, 1);
+      push("number", i, i + length);
+      i += length;
+    } else {
+      const operator = OPERATORS.find((op) => source.startsWith(op, i));
+      const length = operator ? operator.length : 1;
+      push("punct", i, i + length);
+      i += length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Count the newlines in part of the source
+ * @param {string} source Source
+ * @param {number} start Start offset
+ * @param {number} end End offset
+ * @returns {number} Number of newlines
+ */
+function countLines(source, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (source[i] === "\n") count++;
+  }
+  return count;
+}
+
+/**
+ * Find the index just past the end of a quoted string
+ * @param {string} content Source
+ * @param {number} start Index of the opening quote
+ * @returns {number} Index after the closing quote
+ */
+function skipString(content, start) {
+  const quote = content[start];
+  let i = start + 1;
+
+  while (i < content.length && content[i] !== quote) {
+    i += content[i] === "\\" ? 2 : 1;
+  }
+
+  return Math.min(i + 1, content.length);
+}
+
+/**
+ * Find the index just past the end of a heredoc or nowdoc
+ * @param {string} content Source
+ * @param {number} start Index of the <<< marker
+ * @returns {number} Index after the closing identifier
+ */
+function skipHeredoc(content, start) {
+  const match = /^<<<[ \t]*(['"]?)([A-Za-z_]\w*)\1/.exec(content.slice(start));
+  if (!match) return start + 3;
+
+  const closing = new RegExp(`\\n[ \\t]*${match[2]}\\b`, "g");
+  closing.lastIndex = start + match[0].length;
+  const close = closing.exec(content);
+
+  return close ? close.index + close[0].length : content.length;
+}
+
+/**
+ * Remove comments from PHP source. Comments are replaced with spaces so
+ * offsets and line numbers still match the original source.
+ * @param {string} source PHP source
+ * @returns {string} Source without comments
+ */
+function stripComments(source) {
+  let result = "";
+  let last = 0;
+
+  tokenize(source).forEach((token) => {
+    if (token.type !== "comment" && token.type !== "doc_comment") return;
+    result += source.slice(last, token.start);
+    result += token.value.replace(/[^\n]/g, " ");
+    last = token.end;
+  });
+
+  return result + source.slice(last);
+}
+
+/**
+ * Parse PHP source into its namespace, imports and class declarations
+ * @param {string} source PHP source
+ * @returns {Object} Parsed file ({ namespace, uses, classes })
+ */
+function parsePhp(source) {
+  const code = stripComments(source);
+  const tokens = [];
+  let docComment = null;
+
+  // Attach each doc comment to the token that follows it
+  tokenize(source).forEach((token) => {
+    if (token.type === "doc_comment") {
+      docComment = token.value;
+    } else if (token.type !== "comment") {
+      tokens.push({ ...token, docComment });
+      docComment = null;
+    }
+  });
+
+  const file = { namespace: "", uses: {}, classes: [] };
+  let depth = 0;
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const isMember =
+      previous && (previous.value === "::" || previous.value === "->" || previous.value === "?->");
+
+    if (token.value === "{") depth++;
+    if (token.value === "}") depth--;
+
+    if (token.type === "identifier" && !isMember) {
+      const keyword = token.value.toLowerCase();
+
+      if (keyword === "namespace" && tokens[i + 1] && tokens[i + 1].type === "identifier") {
+        file.namespace = tokens[i + 1].value.replace(/^\\/, "");
+        i += 2;
+        continue;
+      }
+
+      if (keyword === "use" && depth === 0) {
+        i = parseUseStatement(tokens, i + 1, file.uses);
+        continue;
+      }
+
+      if (CLASS_KEYWORDS.includes(keyword) && isClassDeclaration(tokens, i)) {
+        const classInfo = parseClass(tokens, i, code, file);
+        if (classInfo) {
+          file.classes.push(classInfo);
+          i = classInfo.endToken + 1;
+          continue;
+        }
+      }
+    }
+
+    i++;
+  }
+
+  file.classes.forEach((classInfo) => {
+    delete classInfo.endToken;
+  });
+
+  return file;
+}
+
+/**
+ * Check whether a class-like keyword starts a declaration
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the keyword
+ * @returns {boolean} True for a class, interface, trait or enum declaration
+ */
+function isClassDeclaration(tokens, index) {
+  const next = tokens[index + 1];
+  if (!next) return false;
+
+  // Anonymous classes: new class(...) extends Foo { ... }
+  if (tokens[index].value.toLowerCase() === "class" && tokens[index - 1] && tokens[index - 1].value.toLowerCase() === "new") {
+    return true;
+  }
+
+  // enum is a soft keyword, so "enum" alone could be a function or constant
+  if (tokens[index].value.toLowerCase() === "enum") {
+    const after = tokens[index + 2];
+    return next.type === "identifier" && after && (after.value === "{" || after.value === ":" || after.value.toLowerCase() === "implements");
+  }
+
+  return next.type === "identifier";
+}
+
+/**
+ * Parse a top-level use statement into the alias map
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of the first token after "use"
+ * @param {Object} uses Alias map to fill (alias => fully qualified name)
+ * @returns {number} Index after the statement
+ */
+function parseUseStatement(tokens, index, uses) {
+  let i = index;
+  const kind = tokens[i] && tokens[i].value.toLowerCase();
+
+  // Function and constant imports don't name classes
+  if (kind === "function" || kind === "const") {
+    while (i < tokens.length && tokens[i].value !== ";") i++;
+    return i + 1;
+  }
+
+  let prefix = "";
+  while (i < tokens.length && tokens[i].value !== ";") {
+    const token = tokens[i];
+
+    if (token.type === "identifier" && token.value.endsWith("\\") && tokens[i + 1] && tokens[i + 1].value === "{") {
+      // Group use: use App\Models\{User, Post as Article};
+      prefix = token.value;
+      i += 2;
+      continue;
+    }
+
+    if (token.type === "identifier" && token.value.toLowerCase() !== "as") {
+      const name = (prefix + token.value).replace(/^\\/, "");
+      let alias = name.split("\\").pop();
+
+      if (tokens[i + 1] && tokens[i + 1].value.toLowerCase() === "as" && tokens[i + 2]) {
+        alias = tokens[i + 2].value;
+        i += 2;
+      }
+      uses[alias] = name;
+    }
+
+    if (token.value === "}") prefix = "";
+    i++;
+  }
+
+  return i + 1;
+}
+
+/**
+ * Parse a class, interface, trait or enum declaration
+ * @param {Array} tokens Tokens without comments
+ * @param {number} index Index of the class keyword
+ * @param {string} code Source without comments
+ * @param {Object} file Parsed file (namespace and uses)
+ * @returns {Object|null} Class information
+ */
+function parseClass(tokens, index, code, file) {
+  const keywordToken = tokens[index];
+  const classInfo = {
+    name: null,
+    fullName: null,
+    kind: keywordToken.value.toLowerCase(),
+    abstract: false,
+    final: false,
+    extends: null,
+    interfaces: [],
+    implements: [],
+    traits: [],
+    attributes: [],
+    docComment: keywordToken.docComment,
+    constants: [],
+    cases: [],
+    properties: [],
+    methods: [],
+    namespace: file.namespace,
+    uses: file.uses,
+    line: keywordToken.line,
+  };
+
+  // Look back for modifiers and attributes in front of the keyword
+  let back = index - 1;
+  while (back >= 0) {
+    const value = tokens[back].value.toLowerCase();
+    if (value === "abstract" || value === "final" || value === "readonly") {
+      classInfo[value] = true;
+      classInfo.docComment = tokens[back].docComment || classInfo.docComment;
+      back--;
+    } else if (value === "]") {
+      const open = findOpeningToken(tokens, back);
+      if (open === -1 || tokens[open].value !== "#[") break;
+      classInfo.attributes.unshift(...parseAttributes(tokens, open, code));
+      classInfo.docComment = tokens[open].docComment || classInfo.docComment;
+      back = open - 1;
+    } else {
+      break;
+    }
+  }
+
+  let i = index + 1;
+  if (tokens[i] && tokens[i].type === "identifier" && !["extends", "implements"].includes(tokens[i].value.toLowerCase())) {
+    classInfo.name = tokens[i].value;
+    classInfo.fullName = file.namespace ? `${file.namespace}\\${classInfo.name}` : classInfo.name;
+    i++;
+  }
+
+  // Skip constructor arguments of anonymous classes and enum backing types
+  if (tokens[i] && tokens[i].value === "(") {
+    i = findMatchingToken(tokens, i) + 1;
+  }
+  if (tokens[i] && tokens[i].value === ":") {
+    i += 2;
+  }
+
+  while (i < tokens.length && tokens[i].value !== "{") {
+    const keyword = tokens[i].value.toLowerCase();
+
+    if (keyword === "extends" || keyword === "implements") {
+      const names = [];
+      i++;
+      while (i < tokens.length && tokens[i].value !== "{" && !["extends", "implements"].includes(tokens[i].value.toLowerCase())) {
+        if (tokens[i].type === "identifier") names.push(tokens[i].value);
+        i++;
+      }
+
+      if (keyword === "implements") {
+        classInfo.implements.push(...names);
+      } else if (classInfo.kind === "interface") {
+        classInfo.interfaces.push(...names);
+      } else {
+        classInfo.extends = names[0] || null;
+      }
+      continue;
+    }
+    i++;
+  }
+
+  if (i >= tokens.length) return null;
+
+  const close = findMatchingToken(tokens, i);
+  classInfo.start = keywordToken.start;
+  classInfo.end = close === -1 ? code.length : tokens[close].end;
+  classInfo.endToken = close === -1 ? tokens.length - 1 : close;
+
+  parseClassBody(tokens, i + 1, classInfo.endToken, code, classInfo);
+
+  return classInfo;
+}
+
+/**
+ * Parse the members declared in a class body
+ * @param {Array} tokens Tokens without comments
+ * @param {number} start Index of the first token inside the braces
+ * @param {number} end Index of the closing brace
+ * @param {string} code Source without comments
+ * @param {Object} classInfo Class information to fill
+ */
+function parseClassBody(tokens, start, end, code, classInfo) {
+  let i = start;
+  let modifiers = [];
+  let attributes = [];
+  let docComment = null;
+
+  const resetMember = () => {
+    modifiers = [];
+    attributes = [];
+    docComment = null;
+  };
+
+  while (i < end) {
+    const token = tokens[i];
+    const keyword = token.value.toLowerCase();
+
+    if (!docComment && token.docComment) {
+      docComment = token.docComment;
+    }
+
+    if (token.value === "#[") {
+      const close = findMatchingToken(tokens, i);
+      attributes.push(...parseAttributes(tokens, i, code));
+      i = close + 1;
+      continue;
+    }
+
+    if (token.type === "identifier" && keyword === "use") {
+      // Trait imports, optionally with a conflict resolution block
+      i++;
+      while (i < end && tokens[i].value !== ";" && tokens[i].value !== "{") {
+        if (tokens[i].type === "identifier") classInfo.traits.push(tokens[i].value);
+        i++;
+      }
+      i = tokens[i] && tokens[i].value === "{" ? findMatchingToken(tokens, i) + 1 : i + 1;
+      resetMember();
+      continue;
+    }
+
+    if (token.type === "identifier" && MODIFIERS.includes(keyword)) {
+      modifiers.push(keyword);
+      i++;
+      continue;
+    }
+
+    if (token.type === "identifier" && keyword === "case") {
+      // Enum cases, backed (case Draft = 'draft';) or pure (case Draft;)
+      const statementEnd = skipToStatementEnd(tokens, i, end);
+      const equals = tokens.findIndex(
+        (candidate, index) => index > i && index < statementEnd && candidate.value === "="
+      );
+      const raw = equals === -1 ? null : code.slice(tokens[equals + 1].start, tokens[statementEnd - 1].end).trim();
+      classInfo.cases.push({ name: tokens[i + 1].value, value: raw === null ? null : parseValue(raw) });
+      i = statementEnd + 1;
+      resetMember();
+      continue;
+    }
+
+    if (token.type === "identifier" && keyword === "const") {
+      const statementEnd = skipToStatementEnd(tokens, i, end);
+      parseConstants(tokens, i + 1, statementEnd, code, classInfo, modifiers, docComment);
+      i = statementEnd + 1;
+      resetMember();
+      continue;
+    }
+
+    if (token.type === "identifier" && keyword === "function") {
+      const method = parseMethod(tokens, i, end, code, modifiers, attributes, docComment);
+      if (method) {
+        classInfo.methods.push(method);
+        i = method.endToken + 1;
+        delete method.endToken;
+      } else {
+        i++;
+      }
+      resetMember();
+      continue;
+    }
+
+    if (modifiers.length > 0 || token.type === "variable") {
+      const statementEnd = skipToStatementEnd(tokens, i, end);
+      parseProperties(tokens, i, statementEnd, code, classInfo, modifiers, docComment);
+      i = statementEnd + 1;
+      resetMember();
+      continue;
+    }
+
+    i++;
+  }
+}
+
+/**
+ * Parse a method declaration
+ * @param {Array} tokens Tokens without comments
+ * @param {number} index Index of the function keyword
+ * @param {number} end Index of the class closing brace
+ * @param {string} code Source without comments
+ * @param {Array} modifiers Modifiers in front of the method
+ * @param {Array} attributes Attributes in front of the method
+ * @param {string|null} docComment Doc comment in front of the method
+ * @returns {Object|null} Method information
+ */
+function parseMethod(tokens, index, end, code, modifiers, attributes, docComment) {
+  let i = index + 1;
+  if (tokens[i] && tokens[i].value === "&") i++;
+
+  const nameToken = tokens[i];
+  if (!nameToken || nameToken.type !== "identifier") return null;
+
+  const paramsOpen = i + 1;
+  if (!tokens[paramsOpen] || tokens[paramsOpen].value !== "(") return null;
+  const paramsClose = findMatchingToken(tokens, paramsOpen);
+  if (paramsClose === -1) return null;
+
+  const method = {
+    name: nameToken.value,
+    visibility: modifiers.find((m) => ["public", "protected", "private"].includes(m)) || "public",
+    static: modifiers.includes("static"),
+    abstract: modifiers.includes("abstract"),
+    params: parseParameters(tokens, paramsOpen, paramsClose, code),
+    returnType: null,
+    attributes,
+    docComment: docComment || tokens[index].docComment,
+    body: null,
+    line: nameToken.line,
+  };
+
+  i = paramsClose + 1;
+  if (tokens[i] && tokens[i].value === ":") {
+    const typeStart = i + 1;
+    while (i < end && tokens[i].value !== "{" && tokens[i].value !== ";") i++;
+    method.returnType = code.slice(tokens[typeStart].start, tokens[i - 1].end).trim();
+  }
+
+  if (tokens[i] && tokens[i].value === "{") {
+    const close = findMatchingToken(tokens, i);
+    const bodyEnd = close === -1 ? end : close;
+    method.body = code.slice(tokens[i].end, tokens[bodyEnd].start);
+    method.bodyStart = tokens[i].end;
+    method.endLine = tokens[bodyEnd].line;
+    method.endToken = bodyEnd;
+  } else {
+    // Abstract and interface methods end with a semicolon
+    method.endToken = i;
+  }
+
+  return method;
+}
+
+/**
+ * Parse the parameter list of a method or closure
+ * @param {Array} tokens Tokens without comments
+ * @param {number} open Index of the opening parenthesis
+ * @param {number} close Index of the closing parenthesis
+ * @param {string} code Source without comments
+ * @returns {Array} Parameters ({ name, type, default, variadic, byReference, promoted })
+ */
+function parseParameters(tokens, open, close, code) {
+  return splitTokens(tokens, open + 1, close, ",").map(([start, end]) => {
+    const param = {
+      name: null,
+      type: null,
+      default: null,
+      variadic: false,
+      byReference: false,
+      promoted: null,
+      attributes: [],
+    };
+    let typeStart = null;
+    let typeEnd = null;
+    let i = start;
+
+    while (i < end) {
+      const token = tokens[i];
+
+      if (token.value === "#[") {
+        param.attributes.push(...parseAttributes(tokens, i, code));
+        i = findMatchingToken(tokens, i) + 1;
+        continue;
+      }
+      if (token.type === "variable") {
+        param.name = token.value.slice(1);
+        if (tokens[i + 1] && tokens[i + 1].value === "=" && i + 2 < end) {
+          param.default = code.slice(tokens[i + 2].start, tokens[end - 1].end).trim();
+        }
+        break;
+      }
+      if (token.value === "...") {
+        param.variadic = true;
+      } else if (token.value === "&") {
+        param.byReference = true;
+      } else if (token.type === "identifier" && MODIFIERS.includes(token.value.toLowerCase())) {
+        if (token.value.toLowerCase() !== "readonly") param.promoted = token.value.toLowerCase();
+      } else {
+        if (typeStart === null) typeStart = token.start;
+        typeEnd = token.end;
+      }
+      i++;
+    }
+
+    if (typeStart !== null) {
+      param.type = code.slice(typeStart, typeEnd).replace(/\s+/g, "");
+    }
+
+    return param;
+  }).filter((param) => param.name);
+}
+
+/**
+ * Parse one property declaration statement (which may declare several)
+ * @param {Array} tokens Tokens without comments
+ * @param {number} start Index of the first token after the modifiers
+ * @param {number} end Index of the terminating semicolon
+ * @param {string} code Source without comments
+ * @param {Object} classInfo Class information to fill
+ * @param {Array} modifiers Modifiers in front of the property
+ * @param {string|null} docComment Doc comment in front of the property
+ */
+function parseProperties(tokens, start, end, code, classInfo, modifiers, docComment) {
+  const firstVariable = tokens.findIndex((token, index) => index >= start && index < end && token.type === "variable");
+  if (firstVariable === -1) return;
+
+  const type = firstVariable > start
+    ? code.slice(tokens[start].start, tokens[firstVariable - 1].end).replace(/\s+/g, "")
+    : null;
+
+  splitTokens(tokens, firstVariable, end, ",").forEach(([itemStart, itemEnd]) => {
+    const variable = tokens[itemStart];
+    if (!variable || variable.type !== "variable") return;
+
+    const hasDefault = tokens[itemStart + 1] && tokens[itemStart + 1].value === "=";
+    const raw = hasDefault ? code.slice(tokens[itemStart + 2].start, tokens[itemEnd - 1].end).trim() : null;
+
+    classInfo.properties.push({
+      name: variable.value.slice(1),
+      visibility: modifiers.find((m) => ["public", "protected", "private"].includes(m)) || "public",
+      static: modifiers.includes("static"),
+      readonly: modifiers.includes("readonly"),
+      type,
+      default: raw,
+      value: raw === null ? undefined : parseValue(raw),
+      docComment,
+      line: variable.line,
+    });
+  });
+}
+
+/**
+ * Parse one class constant declaration statement
+ * @param {Array} tokens Tokens without comments
+ * @param {number} start Index of the first token after "const"
+ * @param {number} end Index of the terminating semicolon
+ * @param {string} code Source without comments
+ * @param {Object} classInfo Class information to fill
+ * @param {Array} modifiers Modifiers in front of the constant
+ * @param {string|null} docComment Doc comment in front of the constant
+ */
+function parseConstants(tokens, start, end, code, classInfo, modifiers, docComment) {
+  splitTokens(tokens, start, end, ",").forEach(([itemStart, itemEnd]) => {
+    const equals = tokens.findIndex((token, index) => index > itemStart && index < itemEnd && token.value === "=");
+    if (equals === -1) return;
+
+    const raw = code.slice(tokens[equals + 1].start, tokens[itemEnd - 1].end).trim();
+    classInfo.constants.push({
+      name: tokens[equals - 1].value,
+      visibility: modifiers.find((m) => ["public", "protected", "private"].includes(m)) || "public",
+      default: raw,
+      value: parseValue(raw),
+      docComment,
+    });
+  });
+}
+
+/**
+ * Parse an attribute group such as #[Route('/x'), Deprecated]
+ * @param {Array} tokens Tokens without comments
+ * @param {number} open Index of the #[ token
+ * @param {string} code Source without comments
+ * @returns {Array} Attributes ({ name, args })
+ */
+function parseAttributes(tokens, open, code) {
+  const close = findMatchingToken(tokens, open);
+  if (close === -1) return [];
+
+  return splitTokens(tokens, open + 1, close, ",").map(([start, end]) => {
+    const hasArgs = tokens[start + 1] && tokens[start + 1].value === "(";
+    return {
+      name: tokens[start].value,
+      args: hasArgs
+        ? splitTopLevel(code.slice(tokens[start + 1].end, tokens[end - 1].start), ",")
+        : [],
+    };
+  });
+}
+
+/**
+ * Find the end of the statement starting at index, skipping nested brackets
+ * @param {Array} tokens Tokens without comments
+ * @param {number} index Index to start from
+ * @param {number} end Upper bound
+ * @returns {number} Index of the terminating semicolon (or end)
+ */
+function skipToStatementEnd(tokens, index, end) {
+  let i = index;
+  while (i < end && tokens[i].value !== ";") {
+    if (["(", "[", "{", "#["].includes(tokens[i].value)) {
+      i = findMatchingToken(tokens, i);
+      if (i === -1) return end;
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Split a token range on a separator that is outside nested brackets
+ * @param {Array} tokens Tokens
+ * @param {number} start First index (inclusive)
+ * @param {number} end Last index (exclusive)
+ * @param {string} separator Separator token value
+ * @returns {Array} Non-empty [start, end) index ranges
+ */
+function splitTokens(tokens, start, end, separator) {
+  const ranges = [];
+  let depth = 0;
+  let itemStart = start;
+
+  for (let i = start; i < end; i++) {
+    const value = tokens[i].value;
+    if (["(", "[", "{", "#["].includes(value)) depth++;
+    if ([")", "]", "}"].includes(value)) depth--;
+    if (depth === 0 && value === separator) {
+      if (i > itemStart) ranges.push([itemStart, i]);
+      itemStart = i + 1;
+    }
+  }
+  if (end > itemStart) ranges.push([itemStart, end]);
+
+  return ranges;
+}
+
+/**
+ * Find the token that closes the bracket token at index
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of (, [, { or #[
+ * @returns {number} Index of the matching closing token, or -1
+ */
+function findMatchingToken(tokens, index) {
+  let depth = 0;
+
+  for (let i = index; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (["(", "[", "{", "#["].includes(value)) depth++;
+    if ([")", "]", "}"].includes(value)) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Find the token that opens the bracket token at index
+ * @param {Array} tokens Tokens
+ * @param {number} index Index of ), ] or }
+ * @returns {number} Index of the matching opening token, or -1
+ */
+function findOpeningToken(tokens, index) {
+  let depth = 0;
+
+  for (let i = index; i >= 0; i--) {
+    const value = tokens[i].value;
+    if ([")", "]", "}"].includes(value)) depth++;
+    if (["(", "[", "{", "#["].includes(value)) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Find the bracket matching the one at openIndex, ignoring strings
+ * @param {string} content Source without comments
+ * @param {number} openIndex Index of (, [ or {
+ * @returns {number} Index of the matching bracket, or -1
+ */
+function findClosingBracket(content, openIndex) {
+  let depth = 0;
+  let i = openIndex;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === "'" || char === '"') {
+      i = skipString(content, i);
+      continue;
+    }
+    if (char === "(" || char === "[" || char === "{") depth++;
+    if (char === ")" || char === "]" || char === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * Find the first occurrence of a token outside brackets and strings
+ * @param {string} content Source without comments
+ * @param {string} token Token to look for
+ * @returns {number} Index of the token, or -1
+ */
+function findTopLevel(content, token) {
+  let depth = 0;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === "'" || char === '"') {
+      i = skipString(content, i);
+      continue;
+    }
+    if (char === "(" || char === "[" || char === "{") depth++;
+    if (char === ")" || char === "]" || char === "}") depth--;
+    if (depth === 0 && content.startsWith(token, i)) return i;
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * Split source on a separator that is outside brackets and strings
+ * @param {string} content Source without comments
+ * @param {string} separator Separator
+ * @returns {Array} Trimmed, non-empty parts
+ */
+function splitTopLevel(content, separator) {
+  const parts = [];
+  let rest = content;
+  let index;
+
+  while ((index = findTopLevel(rest, separator)) !== -1) {
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index + separator.length);
+  }
+  parts.push(rest);
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a chain of method calls such as ->string('name')->nullable()
+ * @param {string} source Source starting at the first -> (without comments)
+ * @returns {Array} Calls with their name and raw argument strings
+ */
+function parseCallChain(source) {
+  const calls = [];
+  const callRegex = /^\s*\??->\s*(\w+)\s*\(/;
+  let rest = source;
+  let match;
+
+  while ((match = callRegex.exec(rest)) !== null) {
+    const openIndex = match[0].length - 1;
+    const closeIndex = findClosingBracket(rest, openIndex);
+    if (closeIndex === -1) break;
+
+    calls.push({
+      name: match[1],
+      args: splitTopLevel(rest.slice(openIndex + 1, closeIndex), ","),
+    });
+    rest = rest.slice(closeIndex + 1);
+  }
+
+  return calls;
+}
+
+/**
+ * Convert a PHP literal into its JavaScript equivalent. Lists become
+ * arrays, arrays with keys become objects and X::class becomes "X".
+ * @param {string} raw PHP expression
+ * @returns {*} Parsed value, or the trimmed source if it isn't a literal
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+
+  const stringMatch = value.match(/^(['"])([\s\S]*)\1$/);
+  if (stringMatch && skipString(value, 0) === value.length) {
+    return stringMatch[2].replace(/\\(['"\\])/g, "$1");
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (/^null$/i.test(value)) return null;
+  if (/^[\w\\]+::class$/.test(value)) return value.replace(/::class$/, "");
+
+  const arrayMatch = value.match(/^(?:array\s*\(([\s\S]*)\)|\[([\s\S]*)\])$/i);
+  if (arrayMatch && findClosingBracket(value, value.indexOf(value.startsWith("[") ? "[" : "(")) === value.length - 1) {
+    const items = splitTopLevel(arrayMatch[1] !== undefined ? arrayMatch[1] : arrayMatch[2], ",");
+    const entries = items.map((item) => {
+      const arrowIndex = findTopLevel(item, "=>");
+      return arrowIndex === -1
+        ? [null, parseValue(item)]
+        : [parseValue(item.slice(0, arrowIndex)), parseValue(item.slice(arrowIndex + 2))];
+    });
+
+    if (entries.every(([key]) => key === null)) {
+      return entries.map(([, item]) => item);
+    }
+
+    const object = {};
+    entries.forEach(([key, item], index) => {
+      object[key === null ? index : key] = item;
+    });
+    return object;
+  }
+
+  return value;
+}
+
+/**
+ * Resolve a class name as written in a file to its fully qualified name
+ * @param {string} name Class name as written
+ * @param {Object} context Object with the file's namespace and uses
+ * @returns {string} Fully qualified class name without a leading backslash
+ */
+function resolveClassName(name, context) {
+  const className = name.replace(/::class$/, "").replace(/^['"]|['"]$/g, "");
+
+  if (className.startsWith("\\")) return className.slice(1);
+  if (["self", "static", "parent"].includes(className.toLowerCase())) return className;
+
+  const [first, ...rest] = className.split("\\");
+  if (context.uses && context.uses[first]) {
+    return [context.uses[first], ...rest].join("\\");
+  }
+
+  return context.namespace ? `${context.namespace}\\${className}` : className;
+}
+
+/**
+ * Resolve a class reference written as Foo::class or as a string literal
+ * @param {string} raw PHP expression
+ * @param {Object} context Object with the file's namespace and uses
+ * @returns {string|null} Fully qualified class name, or null for other expressions
+ */
+function parseClassReference(raw, context) {
+  const value = raw.trim();
+
+  if (/^[\w\\]+::class$/.test(value)) {
+    return resolveClassName(value, context);
+  }
+
+  // Strings are always fully qualified, whatever namespace they appear in
+  const parsed = parseValue(value);
+  if (/^['"]/.test(value) && typeof parsed === "string" && parsed) {
+    return parsed.replace(/^\\/, "");
+  }
+
+  return null;
+}
+
+/**
+ * Find a method on a parsed class
+ * @param {Object|null} classInfo Parsed class
+ * @param {string} name Method name
+ * @returns {Object|undefined} Method information
+ */
+function findMethod(classInfo, name) {
+  return classInfo
+    ? classInfo.methods.find((m) => m.name.toLowerCase() === name.toLowerCase())
+    : undefined;
+}
+
+/**
+ * Get the parsed default value of a class property
+ * @param {Object|null} classInfo Parsed class
+ * @param {string} name Property name (without $)
+ * @returns {*} Parsed default value, or undefined when not declared
+ */
+function getPropertyValue(classInfo, name) {
+  const property = classInfo
+    ? classInfo.properties.find((p) => p.name === name)
+    : undefined;
+  return property ? property.value : undefined;
+}
+
+module.exports = {
+  tokenize,
+  stripComments,
+  parsePhp,
+  skipToStatementEnd,
+  splitTokens,
+  findMatchingToken,
+  findClosingBracket,
+  findTopLevel,
+  splitTopLevel,
+  parseCallChain,
+  parseValue,
+  resolveClassName,
+  parseClassReference,
+  findMethod,
+  getPropertyValue,
+};
@@ -0,0 +1,468 @@
+const {
+  findClosingBracket,
+  findTopLevel,
+  splitTopLevel,
+  parseCallChain,
+  parseValue,
+  parseClassReference,
+  getPropertyValue,
+} = require("./php");
+const { snakeCase, pluralize, classBasename } = require("./naming");
+
+/**
+ * Positional parameters of each Eloquent relationship method, matching the
+ * signatures in Illuminate\Database\Eloquent\Concerns\HasRelationships
+ */
+const RELATIONSHIP_SIGNATURES = {
+  hasOne: ["related", "foreignKey", "localKey"],
+  hasMany: ["related", "foreignKey", "localKey"],
+  belongsTo: ["related", "foreignKey", "ownerKey", "relation"],
+  belongsToMany: [
+    "related", "table", "foreignPivotKey", "relatedPivotKey",
+    "parentKey", "relatedKey", "relation",
+  ],
+  morphTo: ["name", "type", "id", "ownerKey"],
+  morphOne: ["related", "name", "type", "id", "localKey"],
+  morphMany: ["related", "name", "type", "id", "localKey"],
+  morphToMany: [
+    "related", "name", "table", "foreignPivotKey", "relatedPivotKey",
+    "parentKey", "relatedKey", "relation", "inverse",
+  ],
+  morphedByMany: [
+    "related", "name", "table", "foreignPivotKey", "relatedPivotKey",
+    "parentKey", "relatedKey", "relation",
+  ],
+  hasOneThrough: [
+    "related", "through", "firstKey", "secondKey", "localKey", "secondLocalKey",
+  ],
+  hasManyThrough: [
+    "related", "through", "firstKey", "secondKey", "localKey", "secondLocalKey",
+  ],
+};
+
+/**
+ * Relationship types that ->one() turns a "many" relationship into
+ */
+const ONE_OF_MANY_TYPES = {
+  hasMany: "hasOne",
+  hasManyThrough: "hasOneThrough",
+  morphMany: "morphOne",
+};
+
+/**
+ * Parse model relationships from the methods of each model class
+ * @param {Array} models List of models
+ * @returns {Array} Relationships between models
+ */
+function parseModelRelationships(models) {
+  const relationships = [];
+  const callRegex = new RegExp(
+    `\\$this\\s*(->\\s*(?:${Object.keys(RELATIONSHIP_SIGNATURES).join("|")})\\s*\\()`
+  );
+
+  models.forEach((model) => {
+    if (!model.classInfo) return;
+    const modelRelationships = [];
+
+    model.classInfo.methods.forEach((method) => {
+      if (method.visibility !== "public" || method.static || !method.body) {
+        return;
+      }
+
+      const match = callRegex.exec(method.body);
+      if (!match) return;
+
+      const [call, ...modifiers] = parseCallChain(
+        method.body.slice(match.index + match[0].length - match[1].length)
+      );
+      modelRelationships.push(
+        buildRelationship(model, method, call, modifiers)
+      );
+    });
+
+    // $this->orders()->one() turns an existing "many" relationship into a "one"
+    model.classInfo.methods.forEach((method) => {
+      const oneMatch = method.body
+        ? method.body.match(/\$this\s*->\s*(\w+)\s*\(\s*\)\s*->\s*one\s*\(\s*\)/)
+        : null;
+      const base = oneMatch
+        ? modelRelationships.find((rel) => rel.relationshipName === oneMatch[1])
+        : null;
+      if (!base || !ONE_OF_MANY_TYPES[base.relationshipType]) return;
+
+      const tail = method.body.slice(oneMatch.index + oneMatch[0].length);
+      modelRelationships.push({
+        ...base,
+        relationshipType: ONE_OF_MANY_TYPES[base.relationshipType],
+        relationshipName: method.name,
+        ofMany: getOfMany(parseCallChain(tail)),
+      });
+    });
+
+    relationships.push(...modelRelationships);
+  });
+
+  return relationships;
+}
+
+/**
+ * Build a relationship from a relationship call and the calls chained on it
+ * @param {Object} model Model declaring the relationship
+ * @param {Object} method Relationship method
+ * @param {Object} call Relationship call ({ name, args })
+ * @param {Array} modifiers Calls chained after the relationship call
+ * @returns {Object} Relationship
+ */
+function buildRelationship(model, method, call, modifiers) {
+  const type = call.name;
+  const rawArgs = mapArguments(call.args, RELATIONSHIP_SIGNATURES[type]);
+  const args = {};
+  Object.keys(rawArgs).forEach((param) => {
+    args[param] = parseValue(rawArgs[param]);
+  });
+  const classInfo = model.classInfo;
+  const sourceKey = snakeCase(model.name);
+  const localKey = args.localKey || getPrimaryKey(classInfo);
+
+  const relationship = {
+    sourceModel: model.name,
+    sourceClass: model.fullName || null,
+    relationshipType: type,
+    relationshipName: method.name,
+    targetModel: "Unknown",
+    targetClass: null,
+  };
+
+  const relatedClass = rawArgs.related
+    ? parseClassReference(rawArgs.related, classInfo)
+    : null;
+  if (relatedClass) {
+    relationship.targetClass = relatedClass;
+    relationship.targetModel = classBasename(relatedClass);
+  }
+  const targetKey = snakeCase(relationship.targetModel);
+
+  // Fill in the keys Laravel would use when they aren't passed explicitly
+  switch (type) {
+    case "hasOne":
+    case "hasMany":
+      relationship.foreignKey = args.foreignKey || `${sourceKey}_id`;
+      relationship.localKey = localKey;
+      break;
+    case "belongsTo":
+      relationship.foreignKey = args.foreignKey || `${snakeCase(method.name)}_id`;
+      relationship.ownerKey = args.ownerKey || "id";
+      break;
+    case "belongsToMany":
+      relationship.table = args.table || [sourceKey, targetKey].sort().join("_");
+      relationship.foreignPivotKey = args.foreignPivotKey || `${sourceKey}_id`;
+      relationship.relatedPivotKey = args.relatedPivotKey || `${targetKey}_id`;
+      break;
+    case "morphTo":
+      relationship.morphName =
+        args.name && args.name !== "__FUNCTION__" ? args.name : snakeCase(method.name);
+      relationship.morphType = args.type || `${relationship.morphName}_type`;
+      relationship.morphId = args.id || `${relationship.morphName}_id`;
+      relationship.ownerKey = args.ownerKey || null;
+      break;
+    case "morphOne":
+    case "morphMany":
+      relationship.morphName = args.name || null;
+      relationship.morphType = args.type || (args.name ? `${args.name}_type` : null);
+      relationship.morphId = args.id || (args.name ? `${args.name}_id` : null);
+      relationship.localKey = localKey;
+      break;
+    case "morphToMany":
+    case "morphedByMany": {
+      const inverse = type === "morphedByMany" || args.inverse === true;
+      relationship.morphName = args.name || null;
+      relationship.table = args.table || pluralize(args.name || "");
+      relationship.foreignPivotKey =
+        args.foreignPivotKey || (inverse ? `${sourceKey}_id` : `${args.name}_id`);
+      relationship.relatedPivotKey =
+        args.relatedPivotKey || (inverse ? `${args.name}_id` : `${targetKey}_id`);
+      relationship.morphType = args.name ? `${args.name}_type` : null;
+      relationship.inverse = inverse;
+      break;
+    }
+    case "hasOneThrough":
+    case "hasManyThrough": {
+      const throughClass = rawArgs.through
+        ? parseClassReference(rawArgs.through, classInfo)
+        : null;
+      relationship.throughModel = throughClass ? classBasename(throughClass) : null;
+      relationship.firstKey = args.firstKey || `${sourceKey}_id`;
+      relationship.secondKey =
+        args.secondKey || `${snakeCase(relationship.throughModel || "")}_id`;
+      relationship.localKey = localKey;
+      relationship.secondLocalKey = args.secondLocalKey || "id";
+      break;
+    }
+  }
+
+  applyModifiers(relationship, modifiers, classInfo);
+
+  return relationship;
+}
+
+/**
+ * Record what the calls chained on a relationship change about it
+ * @param {Object} relationship Relationship to update
+ * @param {Array} modifiers Chained calls ({ name, args })
+ * @param {Object} classInfo Parsed model class, for resolving class names
+ */
+function applyModifiers(relationship, modifiers, classInfo) {
+  modifiers.forEach((modifier) => {
+    const args = modifier.args.map(parseValue);
+
+    switch (modifier.name) {
+      case "withPivot":
+        relationship.pivotColumns = (relationship.pivotColumns || []).concat(
+          ...args.filter((arg) => typeof arg === "string" || Array.isArray(arg))
+        );
+        break;
+      case "withTimestamps":
+        relationship.pivotTimestamps = true;
+        break;
+      case "using": {
+        const pivotClass = modifier.args[0]
+          ? parseClassReference(modifier.args[0], classInfo)
+          : null;
+        if (pivotClass) {
+          relationship.pivotModel = classBasename(pivotClass);
+          relationship.pivotClass = pivotClass;
+        }
+        break;
+      }
+      case "as":
+        relationship.pivotAccessor = args[0];
+        break;
+      case "chaperone":
+      case "inverse":
+        relationship.chaperone = true;
+        break;
+      case "withDefault":
+        relationship.withDefault = true;
+        break;
+    }
+  });
+
+  const ofMany = getOfMany(modifiers);
+  if (ofMany) {
+    relationship.ofMany = ofMany;
+  }
+}
+
+/**
+ * Find which "one of many" variant a chain of calls selects
+ * @param {Array} modifiers Chained calls ({ name, args })
+ * @returns {string|null} latest, oldest or ofMany, or null for none
+ */
+function getOfMany(modifiers) {
+  const call = modifiers.find((modifier) =>
+    ["latestOfMany", "oldestOfMany", "ofMany"].includes(modifier.name)
+  );
+  return call ? call.name.replace(/OfMany$/, "") : null;
+}
+
+/**
+ * Map positional and named call arguments onto parameter names
+ * @param {Array} rawArgs Raw argument strings
+ * @param {Array} params Parameter names in order
+ * @returns {Object} Raw argument strings keyed by parameter name
+ */
+function mapArguments(rawArgs, params) {
+  const args = {};
+
+  rawArgs.forEach((raw, index) => {
+    // PHP 8 named arguments: foreignKey: 'owner_id'
+    const namedMatch = raw.match(/^(\w+)\s*:(?!:)/);
+    if (namedMatch && findTopLevel(raw, ":") === namedMatch[0].length - 1) {
+      args[namedMatch[1]] = raw.slice(namedMatch[0].length).trim();
+    } else if (params[index]) {
+      args[params[index]] = raw;
+    }
+  });
+
+  return args;
+}
+
+/**
+ * Get the primary key column of a model
+ * @param {Object} classInfo Parsed model class
+ * @returns {string} Primary key column
+ */
+function getPrimaryKey(classInfo) {
+  const primaryKey = getPropertyValue(classInfo, "primaryKey");
+  return typeof primaryKey === "string" ? primaryKey : "id";
+}
+
+/**
+ * Describe the keys, pivot table or morph name that define a relationship
+ * @param {Object} relationship Relationship
+ * @returns {string} Short description, empty when there is nothing to add
+ */
+function describeRelationshipKeys(relationship) {
+  const details = [];
+
+  switch (relationship.relationshipType) {
+    case "hasOne":
+    case "hasMany":
+    case "belongsTo":
+      details.push(relationship.foreignKey);
+      if (relationship.ownerKey && relationship.ownerKey !== "id") {
+        details.push(`owner key ${relationship.ownerKey}`);
+      }
+      if (relationship.localKey && relationship.localKey !== "id") {
+        details.push(`local key ${relationship.localKey}`);
+      }
+      break;
+    case "belongsToMany":
+    case "morphToMany":
+    case "morphedByMany":
+      details.push(`via ${relationship.table}`);
+      if (relationship.morphName) details.push(`morph ${relationship.morphName}`);
+      if (relationship.pivotModel) details.push(`using ${relationship.pivotModel}`);
+      if (relationship.pivotColumns && relationship.pivotColumns.length > 0) {
+        details.push(`pivot ${relationship.pivotColumns.join("/")}`);
+      }
+      break;
+    case "morphTo":
+    case "morphOne":
+    case "morphMany":
+      if (relationship.morphName) details.push(`morph ${relationship.morphName}`);
+      break;
+    case "hasOneThrough":
+    case "hasManyThrough":
+      if (relationship.throughModel) details.push(`through ${relationship.throughModel}`);
+      break;
+  }
+
+  if (relationship.ofMany) details.push(`${relationship.ofMany} of many`);
+  if (relationship.chaperone) details.push("chaperone");
+
+  return details.filter(Boolean).join(", ");
+}
+
+/**
+ * Read the morph map registered with Relation::morphMap() or
+ * Relation::enforceMorphMap(), usually in a service provider
+ * @param {Array} classes Discovered class files
+ * @returns {Object} Fully qualified class names keyed by morph alias
+ */
+function parseMorphMap(classes) {
+  const morphMap = {};
+  const callRegex = /Relation\s*::\s*(?:morphMap|enforceMorphMap)\s*\(/g;
+
+  classes.forEach((file) => {
+    if (!file.classInfo) return;
+
+    file.classInfo.methods.forEach((method) => {
+      if (!method.body) return;
+
+      let match;
+      callRegex.lastIndex = 0;
+      while ((match = callRegex.exec(method.body)) !== null) {
+        const openIndex = match.index + match[0].length - 1;
+        const closeIndex = findClosingBracket(method.body, openIndex);
+        if (closeIndex === -1) break;
+
+        const [mapArg = ""] = splitTopLevel(method.body.slice(openIndex + 1, closeIndex), ",");
+        const arrayMatch = mapArg.match(/^\[([\s\S]*)\]$/);
+        if (!arrayMatch) continue;
+
+        splitTopLevel(arrayMatch[1], ",").forEach((item) => {
+          const arrowIndex = findTopLevel(item, "=>");
+          if (arrowIndex === -1) return;
+
+          const alias = parseValue(item.slice(0, arrowIndex));
+          const className = parseClassReference(item.slice(arrowIndex + 2), file.classInfo);
+          if (typeof alias === "string" && className) {
+            morphMap[alias] = className;
+          }
+        });
+      }
+    });
+  });
+
+  return morphMap;
+}
+
+/**
+ * Get the value Laravel stores in a *_type column for a model
+ * @param {string} className Fully qualified model class name
+ * @param {Object} morphMap Morph map (alias => class name)
+ * @returns {string} Morph alias, or the class name when it isn't mapped
+ */
+function getMorphType(className, morphMap) {
+  const alias = Object.keys(morphMap).find((key) => morphMap[key] === className);
+  return alias || className;
+}
+
+/**
+ * Check whether two relationship ends name the same model, comparing fully
+ * qualified class names when both are known
+ * @param {string} name Basename of the first model
+ * @param {string|null} className Fully qualified class of the first model
+ * @param {string} otherName Basename of the second model
+ * @param {string|null} otherClassName Fully qualified class of the second model
+ * @returns {boolean} True if both ends are the same model
+ */
+function isSameModel(name, className, otherName, otherClassName) {
+  if (className && otherClassName) return className === otherClassName;
+  return name === otherName;
+}
+
+/**
+ * Pair each morphTo relationship with the morphOne, morphMany, morphToMany
+ * and morphedByMany declarations that point at it, so we know which
+ * concrete models can own it
+ * @param {Array} relationships Model relationships
+ * @param {Array} models List of models
+ * @param {Object} morphMap Morph map (alias => class name)
+ * @returns {Array} The relationships, with morphTargets set on morphTo
+ */
+function resolvePolymorphicRelations(relationships, models, morphMap) {
+  relationships
+    .filter((rel) => rel.relationshipType === "morphTo")
+    .forEach((morphTo) => {
+      const owners = new Map();
+      const addOwner = (name, className) => owners.set(className || name, { name, className });
+      const isChild = (name, className) =>
+        isSameModel(name, className, morphTo.sourceModel, morphTo.sourceClass);
+
+      relationships.forEach((rel) => {
+        if (rel.morphName !== morphTo.morphName) return;
+
+        // morphOne/morphMany point at the child model, the many-to-many
+        // variants at the custom pivot model that declares the morphTo
+        if (["morphOne", "morphMany"].includes(rel.relationshipType) && isChild(rel.targetModel, rel.targetClass)) {
+          addOwner(rel.sourceModel, rel.sourceClass);
+        } else if (rel.relationshipType === "morphToMany" && isChild(rel.pivotModel, rel.pivotClass)) {
+          addOwner(rel.sourceModel, rel.sourceClass);
+        } else if (rel.relationshipType === "morphedByMany" && isChild(rel.pivotModel, rel.pivotClass)) {
+          addOwner(rel.targetModel, rel.targetClass);
+        }
+      });
+
+      morphTo.morphTargets = [...owners.values()].map((owner) => {
+        const model = models.find((m) => isSameModel(m.name, m.fullName, owner.name, owner.className));
+        const className = model && model.fullName ? model.fullName : owner.className;
+        return {
+          model: owner.name,
+          className: className || null,
+          type: getMorphType(className || owner.name, morphMap),
+        };
+      });
+    });
+
+  return relationships;
+}
+
+module.exports = {
+  parseModelRelationships,
+  parseMorphMap,
+  getMorphType,
+  resolvePolymorphicRelations,
+  describeRelationshipKeys,
+};
@@ -0,0 +1,615 @@
+const {
+  findClosingBracket,
+  findTopLevel,
+  splitTopLevel,
+  parseValue,
+  resolveClassName,
+  findMethod,
+  getPropertyValue,
+} = require("./php");
+const { classBasename, getModelTableName } = require("./naming");
+const { columnSchema } = require("./migrations");
+
+const RESOURCE_COLLECTION_CLASS = "Illuminate\\Http\\Resources\\Json\\ResourceCollection";
+
+/**
+ * Places an API resource is created: new X(...), X::make(...), X::collection(...)
+ */
+const RESOURCE_CALL_REGEX = /(?:\bnew\s+([\w\\]+)\s*\(|\b([\w\\]+)::(collection|make)\s*\()/g;
+
+const PAGINATOR_REGEX = /(?:->|::)(?:paginate|simplePaginate|cursorPaginate)\(/;
+
+/**
+ * Relationship types that load a list of models
+ */
+const MANY_RELATIONSHIPS = [
+  "hasMany",
+  "hasManyThrough",
+  "belongsToMany",
+  "morphMany",
+  "morphToMany",
+  "morphedByMany",
+];
+
+/**
+ * Carbon methods that turn a date attribute into a string
+ */
+const DATE_FORMAT_REGEX =
+  /^\??->(?:toIso8601String|toIso8601ZuluString|toAtomString|toDateTimeString|toDateString|toISOString|toJSON|format)\(/;
+
+/**
+ * JSON schema types of PHP casts
+ */
+const CAST_TYPES = {
+  int: "integer",
+  integer: "integer",
+  float: "number",
+  double: "number",
+  bool: "boolean",
+  boolean: "boolean",
+  string: "string",
+  array: "array",
+};
+
+/**
+ * Links and meta Laravel adds to a paginated resource collection
+ */
+const PAGINATION_SCHEMAS = {
+  links: {
+    type: "object",
+    properties: {
+      first: { type: ["string", "null"] },
+      last: { type: ["string", "null"] },
+      prev: { type: ["string", "null"] },
+      next: { type: ["string", "null"] },
+    },
+  },
+  meta: {
+    type: "object",
+    properties: {
+      current_page: { type: "integer" },
+      from: { type: ["integer", "null"] },
+      last_page: { type: "integer" },
+      links: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            url: { type: ["string", "null"] },
+            label: { type: "string" },
+            active: { type: "boolean" },
+          },
+        },
+      },
+      path: { type: "string" },
+      per_page: { type: "integer" },
+      to: { type: ["integer", "null"] },
+      total: { type: "integer" },
+    },
+  },
+};
+
+/**
+ * Find the API resource a controller method responds with
+ * @param {Object} projectInfo Project information
+ * @param {Object} handler Controller and method ({ controller, method })
+ * @returns {Object|null} Resource usage ({ resource, collection, paginated })
+ */
+function findResponseResource(projectInfo, handler) {
+  const { controller, method } = handler;
+  const body = method.body || "";
+
+  for (const match of body.matchAll(RESOURCE_CALL_REGEX)) {
+    const resource = findResource(projectInfo, match[1] || match[2], controller.classInfo);
+    if (!resource) continue;
+
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(body, openIndex);
+    const arg = closeIndex === -1 ? "" : body.slice(openIndex + 1, closeIndex).trim();
+    return {
+      resource,
+      collection: match[3] === "collection" || isResourceCollection(resource),
+      paginated: isPaginated(body, arg),
+    };
+  }
+
+  // Fall back to a return type such as ": UserResource"
+  const resource = method.returnType
+    ? findResource(projectInfo, method.returnType.replace(/^\?/, ""), controller.classInfo)
+    : null;
+  if (!resource) return null;
+
+  return {
+    resource,
+    collection: isResourceCollection(resource),
+    paginated: PAGINATOR_REGEX.test(body),
+  };
+}
+
+/**
+ * Find an API resource class by the name it is written with
+ * @param {Object} projectInfo Project information
+ * @param {string} name Class name as written
+ * @param {Object} context Class the name is written in (namespace and uses)
+ * @returns {Object|undefined} Resource class file
+ */
+function findResource(projectInfo, name, context) {
+  const resources = (projectInfo.classes || []).filter((c) => c.kind === "resource");
+  const fullName = resolveClassName(name, context);
+  return (
+    resources.find((c) => c.fullName === fullName) ||
+    resources.find((c) => c.name === classBasename(fullName))
+  );
+}
+
+/**
+ * Check whether a resource class is a ResourceCollection
+ * @param {Object} resource Resource class file
+ * @returns {boolean} True for collections
+ */
+function isResourceCollection(resource) {
+  return (resource.ancestors || []).includes(RESOURCE_COLLECTION_CLASS);
+}
+
+/**
+ * Check whether the value passed to a resource comes from a paginator
+ * @param {string} body Method body without comments
+ * @param {string} arg Argument passed to the resource
+ * @returns {boolean} True when the argument is paginated
+ */
+function isPaginated(body, arg) {
+  if (PAGINATOR_REGEX.test(arg)) return true;
+
+  const variable = arg.match(/^\$(\w+)$/);
+  if (!variable) return false;
+  const assignments = [...body.matchAll(new RegExp(`\\$${variable[1]}\\s*=\\s*([^;]+);`, "g"))];
+  return assignments.length > 0 && PAGINATOR_REGEX.test(assignments[assignments.length - 1][1]);
+}
+
+/**
+ * Build the JSON schema of the response an API resource produces, with the
+ * "data" wrapper, the pagination links and meta and any with() data
+ * @param {Object} projectInfo Project information
+ * @param {Object} usage Resource usage ({ resource, collection, paginated })
+ * @param {Object} schemas Named schemas, filled with the resources used
+ * @returns {Object} JSON schema
+ */
+function resourceResponseSchema(projectInfo, usage, schemas) {
+  const { resource, collection, paginated } = usage;
+  const wrap = getPropertyValue(resource.classInfo, "wrap");
+  const wrapKey = typeof wrap === "string" ? wrap : "data";
+
+  let schema;
+  if (isResourceCollection(resource)) {
+    // A toArray() that already returns a "data" key isn't wrapped again
+    const fields = describeResource(projectInfo, resource, schemas);
+    schema = fieldsToSchema(fields);
+    if (!fields.some((field) => field.name === wrapKey)) {
+      schema = { type: "object", properties: { [wrapKey]: schema }, required: [wrapKey] };
+    }
+  } else {
+    const ref = resourceSchemaRef(projectInfo, resource, schemas);
+    const payload = collection ? { type: "array", items: ref } : ref;
+    // JsonResource::withoutWrapping() style resources with $wrap = null
+    if (wrap === null && !collection) return payload;
+    schema = { type: "object", properties: { [wrapKey]: payload }, required: [wrapKey] };
+  }
+
+  if (paginated) {
+    Object.assign(schema.properties, PAGINATION_SCHEMAS);
+    schema.required = [...(schema.required || []), "links", "meta"];
+  }
+
+  // Top-level data added by the resource's with() method
+  const withMethod = findMethod(resource.classInfo, "with");
+  const extra = withMethod && withMethod.body
+    ? returnedFields(withMethod.body, resourceContext(projectInfo, resource, schemas))
+    : [];
+  extra.forEach((field) => {
+    schema.properties[field.name] = field.schema;
+  });
+
+  return schema;
+}
+
+/**
+ * Add a resource's schema to the named schemas and reference it
+ * @param {Object} projectInfo Project information
+ * @param {Object} resource Resource class file
+ * @param {Object} schemas Named schemas
+ * @returns {Object} Reference to the schema
+ */
+function resourceSchemaRef(projectInfo, resource, schemas) {
+  if (!schemas[resource.name]) {
+    // Register first so resources that nest each other don't loop forever
+    schemas[resource.name] = {};
+    Object.assign(schemas[resource.name], fieldsToSchema(describeResource(projectInfo, resource, schemas)));
+  }
+  return { $ref: `#/components/schemas/${resource.name}` };
+}
+
+/**
+ * Describe the fields a resource's toArray() returns
+ * @param {Object} projectInfo Project information
+ * @param {Object} resource Resource class file
+ * @param {Object} schemas Named schemas, filled with nested resources
+ * @returns {Array} Fields ({ name, schema, condition })
+ */
+function describeResource(projectInfo, resource, schemas) {
+  const context = resourceContext(projectInfo, resource, schemas);
+  const toArray = findMethod(resource.classInfo, "toArray");
+  return toArray && toArray.body ? returnedFields(toArray.body, context) : defaultFields(context);
+}
+
+/**
+ * Gather what a resource's fields are resolved against
+ * @param {Object} projectInfo Project information
+ * @param {Object} resource Resource class file
+ * @param {Object} schemas Named schemas
+ * @returns {Object} Context ({ projectInfo, resource, model, schemas })
+ */
+function resourceContext(projectInfo, resource, schemas) {
+  return { projectInfo, resource, model: findResourceModel(projectInfo, resource), schemas };
+}
+
+/**
+ * Find the model a resource wraps, from its @mixin tag or its name
+ * (UserResource and UserCollection wrap User)
+ * @param {Object} projectInfo Project information
+ * @param {Object} resource Resource class file
+ * @returns {Object|undefined} Model file
+ */
+function findResourceModel(projectInfo, resource) {
+  const models = projectInfo.models || [];
+  const mixin = (resource.classInfo.docComment || "").match(/@mixin\s+([\w\\]+)/);
+  if (mixin) {
+    const fullName = resolveClassName(mixin[1], resource.classInfo);
+    const model = models.find((m) => m.fullName === fullName);
+    if (model) return model;
+  }
+
+  const name = resource.name.replace(/(Resource|Collection)$/, "");
+  return models.find((m) => m.name === name);
+}
+
+/**
+ * Find the resource each item of a ResourceCollection is turned into, from
+ * $collects or the naming convention (UserCollection collects UserResource)
+ * @param {Object} context Resource context
+ * @returns {Object|undefined} Resource class file
+ */
+function findCollectedResource(context) {
+  const { projectInfo, resource } = context;
+  const collects = getPropertyValue(resource.classInfo, "collects");
+  if (typeof collects === "string") {
+    return findResource(projectInfo, collects, resource.classInfo);
+  }
+  return findResource(projectInfo, resource.name.replace(/Collection$/, "Resource"), resource.classInfo);
+}
+
+/**
+ * Describe the fields of the array a method returns
+ * @param {string} body Method body without comments
+ * @param {Object} context Resource context
+ * @returns {Array} Fields ({ name, schema, condition })
+ */
+function returnedFields(body, context) {
+  const match = body.match(/\breturn\s+/);
+  if (!match) return [];
+
+  const rest = body.slice(match.index + match[0].length);
+  const end = findTopLevel(rest, ";");
+  return expressionFields(end === -1 ? rest : rest.slice(0, end), context, null);
+}
+
+/**
+ * Describe the fields of an array expression: a literal, parent::toArray()
+ * or an array_merge() of those
+ * @param {string} expression PHP expression
+ * @param {Object} context Resource context
+ * @param {string|null} condition Condition the fields are included under
+ * @returns {Array} Fields ({ name, schema, condition })
+ */
+function expressionFields(expression, context, condition) {
+  const value = unwrapClosure(expression.trim());
+
+  if (/^parent::toArray\(/.test(value)) {
+    return defaultFields(context).map((field) => ({ ...field, condition: field.condition || condition }));
+  }
+
+  const merge = value.match(/^array_merge\s*\(/);
+  if (merge) {
+    const closeIndex = findClosingBracket(value, merge[0].length - 1);
+    return splitTopLevel(value.slice(merge[0].length, closeIndex), ",").flatMap((arg) =>
+      expressionFields(arg, context, condition)
+    );
+  }
+
+  if (value.startsWith("[") && findClosingBracket(value, 0) === value.length - 1) {
+    return arrayFields(value.slice(1, -1), context, condition);
+  }
+
+  return [];
+}
+
+/**
+ * Describe the entries of an array literal, including the keyless
+ * $this->merge() and $this->mergeWhen() entries
+ * @param {string} content Source between the square brackets
+ * @param {Object} context Resource context
+ * @param {string|null} condition Condition the fields are included under
+ * @returns {Array} Fields ({ name, schema, condition })
+ */
+function arrayFields(content, context, condition) {
+  return splitTopLevel(content, ",").flatMap((item) => {
+    const arrowIndex = findTopLevel(item, "=>");
+    if (arrowIndex === -1) {
+      const call = parseThisCall(item);
+      if (!call) return [];
+      if (call.name === "merge") return expressionFields(call.args[0] || "", context, condition);
+      if (call.name === "mergeWhen" || call.name === "mergeUnless") {
+        const verb = call.name === "mergeWhen" ? "when" : "unless";
+        return expressionFields(call.args[1] || "", context, `${verb} ${call.args[0]}`);
+      }
+      return [];
+    }
+
+    const name = parseValue(item.slice(0, arrowIndex));
+    if (typeof name !== "string" && typeof name !== "number") return [];
+
+    const field = valueSchema(item.slice(arrowIndex + 2).trim(), context);
+    return [{ name: String(name), schema: field.schema, condition: field.condition || condition }];
+  });
+}
+
+/**
+ * Work out the schema of a value in toArray(), and the condition it is only
+ * present under (when(), whenLoaded(), ...)
+ * @param {string} expression PHP expression
+ * @param {Object} context Resource context
+ * @returns {Object} Schema and condition ({ schema, condition })
+ */
+function valueSchema(expression, context) {
+  const cast = expression.match(/^\(\s*(int|integer|float|double|bool|boolean|string|array)\s*\)\s*/);
+  if (cast) {
+    const inner = valueSchema(expression.slice(cast[0].length), context);
+    return { schema: { type: CAST_TYPES[cast[1]] }, condition: inner.condition };
+  }
+
+  const call = parseThisCall(expression);
+  if (call) return conditionalSchema(call, context);
+
+  const nested = nestedResourceSchema(expression, context);
+  if (nested) return nested;
+
+  // $this->attribute, optionally formatted: $this->created_at?->toIso8601String()
+  const attribute = expression.match(/^\$this->(?:resource->)?(\w+)(?![\w(])/);
+  if (attribute) {
+    const rest = expression.slice(attribute[0].length).trim();
+    if (attribute[1] === "collection" && !rest) {
+      const item = findCollectedResource(context);
+      return {
+        schema: {
+          type: "array",
+          items: item ? resourceSchemaRef(context.projectInfo, item, context.schemas) : { type: "object" },
+        },
+        condition: null,
+      };
+    }
+    if (!rest) return { schema: attributeSchema(attribute[1], context), condition: null };
+    if (DATE_FORMAT_REGEX.test(rest)) {
+      const type = rest.startsWith("?") ? ["string", "null"] : "string";
+      return { schema: { type }, condition: null };
+    }
+    if (/^->count\(\)$/.test(rest)) return { schema: { type: "integer" }, condition: null };
+    return { schema: {}, condition: null };
+  }
+
+  if (/^(?:route|url|asset|secure_url)\(/.test(expression)) {
+    return { schema: { type: "string", format: "uri" }, condition: null };
+  }
+
+  if (expression.startsWith("[") && findClosingBracket(expression, 0) === expression.length - 1) {
+    const fields = arrayFields(expression.slice(1, -1), context, null);
+    const isList = splitTopLevel(expression.slice(1, -1), ",").every((item) => findTopLevel(item, "=>") === -1);
+    return { schema: isList && fields.length === 0 ? { type: "array" } : fieldsToSchema(fields), condition: null };
+  }
+
+  return { schema: literalSchema(expression), condition: null };
+}
+
+/**
+ * Work out the schema of a $this->when...() call and the condition it implies
+ * @param {Object} call Parsed call ({ name, args })
+ * @param {Object} context Resource context
+ * @returns {Object} Schema and condition ({ schema, condition })
+ */
+function conditionalSchema(call, context) {
+  const { name, args } = call;
+  const valueOf = (raw) => valueSchema(unwrapClosure(raw || ""), context).schema;
+  const subject = args[0] ? parseValue(args[0]) : "";
+
+  switch (name) {
+    case "when":
+    case "unless":
+      return { schema: valueOf(args[1]), condition: `${name} ${args[0]}` };
+    case "whenLoaded":
+      return {
+        schema: args[1] ? valueOf(args[1]) : relationSchema(subject, context),
+        condition: `when ${subject} is loaded`,
+      };
+    case "whenCounted":
+      return { schema: { type: "integer" }, condition: `when ${subject} is counted` };
+    case "whenAggregated":
+      return { schema: { type: "number" }, condition: `when ${subject} is aggregated` };
+    case "whenExistsLoaded":
+      return { schema: { type: "boolean" }, condition: `when ${subject} existence is loaded` };
+    case "whenHas":
+      return { schema: attributeSchema(subject, context), condition: `when ${subject} is set` };
+    case "whenNotNull":
+      return { schema: valueOf(args[0]), condition: "when not null" };
+    case "whenPivotLoaded":
+    case "whenPivotLoadedAs":
+      return { schema: valueOf(args[args.length - 1]), condition: `when the ${subject} pivot is loaded` };
+    default:
+      return { schema: {}, condition: null };
+  }
+}
+
+/**
+ * Work out the schema of a nested resource: new X(...), X::make(...) or
+ * X::collection(...), keeping the condition of a whenLoaded() argument
+ * @param {string} expression PHP expression
+ * @param {Object} context Resource context
+ * @returns {Object|null} Schema and condition, or null for other expressions
+ */
+function nestedResourceSchema(expression, context) {
+  const match = expression.match(/^(?:new\s+([\w\\]+)\s*\(|([\w\\]+)::(collection|make)\s*\()/);
+  if (!match) return null;
+
+  const closeIndex = findClosingBracket(expression, match[0].length - 1);
+  if (closeIndex !== expression.length - 1) return null;
+
+  const { projectInfo, resource, schemas } = context;
+  const nested = findResource(projectInfo, match[1] || match[2], resource.classInfo);
+  if (!nested) return null;
+
+  const arg = expression.slice(match[0].length, closeIndex).trim();
+  const { condition } = arg ? valueSchema(arg, context) : { condition: null };
+  const ref = resourceSchemaRef(projectInfo, nested, schemas);
+  const isList = match[3] === "collection" || isResourceCollection(nested);
+  return { schema: isList && !isResourceCollection(nested) ? { type: "array", items: ref } : ref, condition };
+}
+
+/**
+ * Get the schema of a model attribute from its migration column
+ * @param {string} name Attribute name
+ * @param {Object} context Resource context
+ * @returns {Object} JSON schema, empty when the column is unknown
+ */
+function attributeSchema(name, context) {
+  const { projectInfo, model } = context;
+  const table = model && projectInfo.schema ? projectInfo.schema.tables[getModelTableName(model)] : null;
+  const column = table ? table.columns.find((c) => c.name === name) : null;
+  return column ? columnSchema(column) : {};
+}
+
+/**
+ * Get the schema of a relationship serialised without a resource
+ * @param {string} name Relationship name
+ * @param {Object} context Resource context
+ * @returns {Object} JSON schema
+ */
+function relationSchema(name, context) {
+  const { projectInfo, model } = context;
+  const relationship = model
+    ? (projectInfo.relationships || []).find(
+        (rel) =>
+          (rel.sourceClass ? rel.sourceClass === model.fullName : rel.sourceModel === model.name) &&
+          rel.relationshipName === name
+      )
+    : null;
+  if (!relationship) return {};
+
+  const item = { type: "object", description: `${relationship.targetModel} model` };
+  return MANY_RELATIONSHIPS.includes(relationship.relationshipType) ? { type: "array", items: item } : item;
+}
+
+/**
+ * Describe the fields parent::toArray() returns: the model's visible
+ * attributes, or the collected items of a ResourceCollection
+ * @param {Object} context Resource context
+ * @returns {Array} Fields ({ name, schema, condition })
+ */
+function defaultFields(context) {
+  const { projectInfo, resource, model, schemas } = context;
+
+  if (isResourceCollection(resource)) {
+    const item = findCollectedResource(context);
+    const items = item ? resourceSchemaRef(projectInfo, item, schemas) : { type: "object" };
+    return [{ name: "data", schema: { type: "array", items }, condition: null }];
+  }
+
+  const table = model && projectInfo.schema ? projectInfo.schema.tables[getModelTableName(model)] : null;
+  if (!table) return [];
+
+  const hidden = getPropertyValue(model.classInfo, "hidden");
+  return table.columns
+    .filter((column) => !(Array.isArray(hidden) && hidden.includes(column.name)))
+    .map((column) => ({ name: column.name, schema: columnSchema(column), condition: null }));
+}
+
+/**
+ * Build an object schema from fields, requiring the unconditional ones
+ * @param {Array} fields Fields ({ name, schema, condition })
+ * @returns {Object} JSON schema
+ */
+function fieldsToSchema(fields) {
+  const schema = { type: "object", properties: {} };
+  const required = [];
+
+  fields.forEach(({ name, schema: fieldSchema, condition }) => {
+    schema.properties[name] = condition
+      ? { ...fieldSchema, description: `Only present ${condition}` }
+      : fieldSchema;
+    if (!condition) required.push(name);
+  });
+
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Get the schema of a literal value
+ * @param {string} expression PHP expression
+ * @returns {Object} JSON schema, empty for non-literals
+ */
+function literalSchema(expression) {
+  const value = parseValue(expression);
+  if (value === null) return { type: "null" };
+  if (typeof value === "number") return { type: Number.isInteger(value) ? "integer" : "number" };
+  if (typeof value === "boolean") return { type: "boolean" };
+  // parseValue hands back other expressions as source, so only quoted text is a string
+  if (typeof value === "string" && /^['"]/.test(expression)) return { type: "string" };
+  return {};
+}
+
+/**
+ * Parse a call on the resource such as $this->whenLoaded('posts')
+ * @param {string} expression PHP expression
+ * @returns {Object|null} Call ({ name, args }), or null when it isn't one
+ */
+function parseThisCall(expression) {
+  const match = expression.match(/^\$this->(\w+)\s*\(/);
+  if (!match) return null;
+
+  const closeIndex = findClosingBracket(expression, match[0].length - 1);
+  if (closeIndex !== expression.length - 1) return null;
+  return { name: match[1], args: splitTopLevel(expression.slice(match[0].length, closeIndex), ",") };
+}
+
+/**
+ * Get the value a closure returns: fn () => x, or function () { return x; }
+ * @param {string} expression PHP expression
+ * @returns {string} Returned expression, or the expression itself
+ */
+function unwrapClosure(expression) {
+  const arrow = expression.match(/^(?:static\s+)?fn\s*\([^)]*\)\s*(?::\s*[\w\\?]+\s*)?=>\s*/);
+  if (arrow) return expression.slice(arrow[0].length).trim();
+
+  const closure = expression.match(/^(?:static\s+)?function\s*\([^)]*\)[^{]*\{/);
+  if (closure) {
+    const body = expression.slice(closure[0].length, findClosingBracket(expression, closure[0].length - 1));
+    const returned = body.match(/\breturn\s+([\s\S]*?);\s*$/);
+    return returned ? returned[1].trim() : expression;
+  }
+
+  return expression;
+}
+
+module.exports = {
+  findResponseResource,
+  isResourceCollection,
+  resourceResponseSchema,
+  describeResource,
+};
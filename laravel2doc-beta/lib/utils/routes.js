@@ -0,0 +1,845 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  stripComments,
+  parsePhp,
+  findClosingBracket,
+  splitTopLevel,
+  parseValue,
+  resolveClassName,
+  findMethod,
+} = require("./php");
+const { singularize, classBasename } = require("./naming");
+const { readPhpFiles } = require("./discovery");
+
+/**
+ * Route::verb() methods and the HTTP method they register
+ */
+const ROUTE_VERBS = {
+  get: "GET",
+  post: "POST",
+  put: "PUT",
+  patch: "PATCH",
+  delete: "DELETE",
+  options: "OPTIONS",
+  any: "ANY",
+};
+
+/**
+ * Registrars that take their methods, URI or action in other positions
+ */
+const SPECIAL_REGISTRARS = ["match", "view", "redirect", "permanentRedirect", "fallback"];
+
+/**
+ * Routes registered by Route::resource(), in Laravel's order. API
+ * resources leave out the actions that only show forms.
+ */
+const RESOURCE_ACTIONS = [
+  { action: "index", method: "GET", suffix: "", description: "List all {plural}" },
+  { action: "create", method: "GET", suffix: "/create", form: true, description: "Show form to create a new {singular}" },
+  { action: "store", method: "POST", suffix: "", description: "Store a new {singular}" },
+  { action: "show", method: "GET", suffix: "/{param}", description: "Show a specific {singular}" },
+  { action: "edit", method: "GET", suffix: "/{param}/edit", form: true, description: "Show form to edit {singular}" },
+  { action: "update", method: "PUT/PATCH", suffix: "/{param}", description: "Update a specific {singular}" },
+  { action: "destroy", method: "DELETE", suffix: "/{param}", description: "Delete a specific {singular}" },
+];
+
+/**
+ * Scope of a route file before any group is entered. groupPrefix only
+ * collects the prefixes added inside the file, to group its routes by.
+ */
+const ROOT_SCOPE = {
+  prefix: "",
+  groupPrefix: "",
+  middleware: [],
+  namePrefix: "",
+  domain: null,
+  controller: null,
+  namespace: null,
+  uses: {},
+};
+
+/**
+ * How Laravel registers the default route files when the app doesn't say
+ */
+const DEFAULT_REGISTRATIONS = [
+  { file: "routes/web.php", prefix: "", middleware: ["web"] },
+  { file: "routes/api.php", prefix: "api", middleware: ["api"] },
+];
+
+/**
+ * Parse the routes of a project the way the app registers them: from
+ * bootstrap/app.php withRouting() (Laravel 11+), the RouteServiceProvider,
+ * or Laravel's defaults, following nested groups and included files
+ * @param {Array} routeFiles Route files ({ name, path, content })
+ * @param {Array} classes Discovered classes
+ * @returns {Array} Routes ({ method, path, handler, routeName, middleware, domain, controller, routeFile, routeFilePath, group })
+ */
+function parseRoutes(routeFiles, classes = []) {
+  const context = {
+    routes: [],
+    parsedFiles: new Set(),
+    loadFile: (filePath) =>
+      routeFiles.find((file) => file.path === filePath) || readPhpFiles(filePath)[0] || null,
+  };
+
+  const [bootstrapFile] = readPhpFiles("bootstrap/app.php");
+  const routeServiceProvider = classes.find(
+    (c) =>
+      c.name === "RouteServiceProvider" ||
+      (c.ancestors || []).includes("Illuminate\\Foundation\\Support\\Providers\\RouteServiceProvider")
+  );
+
+  if (!(bootstrapFile && parseBootstrapRouting(bootstrapFile, context))) {
+    if (routeServiceProvider) {
+      parseRouteServiceProvider(routeServiceProvider, context);
+    }
+    if (context.parsedFiles.size === 0) {
+      DEFAULT_REGISTRATIONS.forEach((registration) => parseRegistration(registration, context));
+    }
+  }
+
+  // Files we couldn't see being registered are still documented as written
+  routeFiles.forEach((file) => parseRouteFile(file, ROOT_SCOPE, context));
+
+  return context.routes;
+}
+
+/**
+ * Register the route files listed in bootstrap/app.php ->withRouting()
+ * @param {Object} file bootstrap/app.php
+ * @param {Object} context Parsing context
+ * @returns {boolean} True when the file configures routing
+ */
+function parseBootstrapRouting(file, context) {
+  const content = stripComments(file.content);
+  const match = content.match(/->\s*withRouting\s*\(/);
+  if (!match) return false;
+
+  const openIndex = match.index + match[0].length - 1;
+  const closeIndex = findClosingBracket(content, openIndex);
+  if (closeIndex === -1) return false;
+
+  const args = {};
+  splitTopLevel(content.slice(openIndex + 1, closeIndex), ",").forEach((arg) => {
+    const named = arg.match(/^(\w+)\s*:(?!:)\s*([\s\S]*)$/);
+    if (named) args[named[1]] = named[2].trim();
+  });
+
+  // using: takes over route registration completely
+  if (args.using) {
+    parseClosureBody(args.using, { ...ROOT_SCOPE, uses: readUses(file) }, file, context);
+    return true;
+  }
+
+  const apiPrefix = args.apiPrefix ? parseValue(args.apiPrefix) : "api";
+  [
+    { arg: args.web, prefix: "", middleware: ["web"] },
+    { arg: args.api, prefix: typeof apiPrefix === "string" ? apiPrefix : "api", middleware: ["api"] },
+  ].forEach(({ arg, prefix, middleware }) => {
+    if (!arg) return;
+    const value = parseValue(arg);
+    (Array.isArray(value) ? value : [arg]).forEach((expression) => {
+      const filePath = resolvePathExpression(String(expression), file);
+      if (filePath) parseRegistration({ file: filePath, prefix, middleware }, context);
+    });
+  });
+
+  if (args.then) {
+    parseClosureBody(args.then, { ...ROOT_SCOPE, uses: readUses(file) }, file, context);
+  }
+
+  return true;
+}
+
+/**
+ * Parse the route registrations in a RouteServiceProvider (boot(), map()
+ * and the map*Routes() methods of older apps)
+ * @param {Object} provider RouteServiceProvider class file
+ * @param {Object} context Parsing context
+ */
+function parseRouteServiceProvider(provider, context) {
+  provider.classInfo.methods
+    .filter((method) => method.body && /^(boot|map\w*)$/.test(method.name))
+    .forEach((method) => {
+      parseRouteBlock(method.body, { ...ROOT_SCOPE, uses: readUses(provider) }, provider, context);
+    });
+}
+
+/**
+ * Parse a route file registered with a prefix and middleware group
+ * @param {Object} registration Registration ({ file, prefix, middleware })
+ * @param {Object} context Parsing context
+ */
+function parseRegistration(registration, context) {
+  const file = context.loadFile(registration.file);
+  if (!file) return;
+
+  parseRouteFile(
+    file,
+    { ...ROOT_SCOPE, prefix: registration.prefix, middleware: registration.middleware },
+    context
+  );
+}
+
+/**
+ * Parse a route file once, in the scope it is registered or included in
+ * @param {Object} file Route file
+ * @param {Object} scope Scope of the registration
+ * @param {Object} context Parsing context
+ */
+function parseRouteFile(file, scope, context) {
+  if (context.parsedFiles.has(file.path)) return;
+  context.parsedFiles.add(file.path);
+
+  // Commented-out routes shouldn't be documented
+  parseRouteBlock(
+    stripComments(file.content),
+    { ...scope, groupPrefix: "", uses: readUses(file) },
+    file,
+    context
+  );
+}
+
+/**
+ * Get the use imports of a file, which route files declare without a class
+ * @param {Object} file PHP file
+ * @returns {Object} Fully qualified names keyed by alias
+ */
+function readUses(file) {
+  if (file.classInfo) return file.classInfo.uses;
+
+  try {
+    return parsePhp(file.content).uses;
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Parse the Route:: statements and included files of a file, method or
+ * group closure body
+ * @param {string} content Source without comments
+ * @param {Object} scope Group scope the statements are in
+ * @param {Object} file File the statements are written in
+ * @param {Object} context Parsing context
+ */
+function parseRouteBlock(content, scope, file, context) {
+  const statementRegex = /\bRoute::|\b(?:require|include)(?:_once)?\b([^;]*);/g;
+  let match;
+
+  while ((match = statementRegex.exec(content)) !== null) {
+    // require __DIR__.'/auth.php' pulls routes into the current scope
+    if (match[1] !== undefined) {
+      const filePath = resolvePathExpression(match[1], file);
+      const included = filePath ? context.loadFile(filePath) : null;
+      if (included) parseRouteFile(included, scope, context);
+      continue;
+    }
+
+    const chain = readRouteChain(content, match.index);
+    if (!chain) continue;
+
+    // Nested group bodies are parsed with their own scope
+    statementRegex.lastIndex = chain.end;
+    parseRouteChain(chain.calls, scope, file, context);
+  }
+}
+
+/**
+ * Parse the body of a closure as a route block
+ * @param {string} closure Closure source
+ * @param {Object} scope Scope of the closure
+ * @param {Object} file File the closure is written in
+ * @param {Object} context Parsing context
+ */
+function parseClosureBody(closure, scope, file, context) {
+  const openIndex = closure.indexOf("{");
+  const closeIndex = openIndex === -1 ? -1 : findClosingBracket(closure, openIndex);
+  if (closeIndex !== -1) {
+    parseRouteBlock(closure.slice(openIndex + 1, closeIndex), scope, file, context);
+  }
+}
+
+/**
+ * Resolve a PHP path expression such as base_path('routes/api.php') or
+ * __DIR__.'/../routes/web.php' to a path relative to the project root
+ * @param {string} expression PHP expression
+ * @param {Object} file File the expression is written in
+ * @returns {string|null} Relative path, or null when it can't be resolved
+ */
+function resolvePathExpression(expression, file) {
+  const basePath = expression.match(/\bbase_path\(\s*(['"])(.*?)\1\s*\)/);
+  if (basePath) return path.posix.normalize(basePath[2].replace(/^\/+/, ""));
+
+  const dirPath = expression.match(/__DIR__\s*\.\s*(['"])(.*?)\1/);
+  if (dirPath) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(file.path), dirPath[2]));
+  }
+
+  const literal = parseValue(expression);
+  return typeof literal === "string" && /\.php$/.test(literal) ? path.posix.normalize(literal) : null;
+}
+
+/**
+ * Read a Route::a(...)->b(...) chain
+ * @param {string} content Source without comments
+ * @param {number} start Index of "Route::"
+ * @returns {Object|null} Calls ({ name, args }) and the index after the chain
+ */
+function readRouteChain(content, start) {
+  const calls = [];
+  let index = start;
+  let callRegex = /^Route::(\w+)\s*\(/;
+  let match;
+
+  while ((match = callRegex.exec(content.slice(index))) !== null) {
+    const openIndex = index + match[0].length - 1;
+    const closeIndex = findClosingBracket(content, openIndex);
+    if (closeIndex === -1) break;
+
+    calls.push({
+      name: match[1],
+      args: splitTopLevel(content.slice(openIndex + 1, closeIndex), ","),
+    });
+    index = closeIndex + 1;
+    callRegex = /^\s*->\s*(\w+)\s*\(/;
+  }
+
+  return calls.length > 0 ? { calls, end: index } : null;
+}
+
+/**
+ * Register the routes or group described by a Route:: chain
+ * @param {Array} calls Calls of the chain
+ * @param {Object} scope Group scope the chain is in
+ * @param {Object} file File the chain is written in
+ * @param {Object} context Parsing context
+ */
+function parseRouteChain(calls, scope, file, context) {
+  const groupCall = calls.find((call) => call.name === "group");
+  if (groupCall) {
+    parseGroup(calls, groupCall, scope, file, context);
+    return;
+  }
+
+  // Attributes such as Route::middleware('auth')->get(...) come before the verb
+  const registrarIndex = calls.findIndex(
+    (call) =>
+      ROUTE_VERBS[call.name] ||
+      SPECIAL_REGISTRARS.includes(call.name) ||
+      ["resource", "apiResource"].includes(call.name)
+  );
+  if (registrarIndex === -1) return;
+
+  const routeScope = calls
+    .slice(0, registrarIndex)
+    .reduce((current, call) => applyGroupAttribute(current, call.name, call.args.map(parseValue)), scope);
+  const registrar = calls[registrarIndex];
+  const modifiers = calls.slice(registrarIndex + 1);
+
+  const registered = ["resource", "apiResource"].includes(registrar.name)
+    ? buildResourceRoutes(registrar, modifiers, routeScope, file)
+    : [buildRoute(registrar, modifiers, routeScope, file)];
+  context.routes.push(...registered);
+}
+
+/**
+ * Parse a route group, combining the chained and array attributes with the
+ * enclosing scope before parsing the routes inside it
+ * @param {Array} calls Calls of the chain
+ * @param {Object} groupCall The ->group() call
+ * @param {Object} scope Enclosing group scope
+ * @param {Object} file File the group is written in
+ * @param {Object} context Parsing context
+ */
+function parseGroup(calls, groupCall, scope, file, context) {
+  let groupScope = calls
+    .filter((call) => call !== groupCall)
+    .reduce((current, call) => applyGroupAttribute(current, call.name, call.args.map(parseValue)), scope);
+
+  // Route::group(['prefix' => 'v1', 'middleware' => [...]], function () {...})
+  groupCall.args.map(parseValue).forEach((value) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      groupScope = Object.entries(value).reduce(
+        (current, [key, attribute]) => applyGroupAttribute(current, key, [attribute]),
+        groupScope
+      );
+    }
+  });
+
+  const closure = groupCall.args.find(isClosure);
+  if (closure) {
+    parseClosureBody(closure, groupScope, file, context);
+    return;
+  }
+
+  // ->group(base_path('routes/api.php')) registers a whole file in the group
+  const filePath = groupCall.args
+    .map((arg) => resolvePathExpression(arg, file))
+    .find(Boolean);
+  const groupFile = filePath ? context.loadFile(filePath) : null;
+  if (groupFile) {
+    parseRouteFile(groupFile, groupScope, context);
+  }
+}
+
+/**
+ * Apply a group attribute (prefix, middleware, name, ...) to a scope
+ * @param {Object} scope Current scope
+ * @param {string} attribute Attribute or method name
+ * @param {Array} values Parsed arguments
+ * @returns {Object} New scope
+ */
+function applyGroupAttribute(scope, attribute, values) {
+  const [value] = values;
+
+  switch (attribute) {
+    case "prefix":
+      return {
+        ...scope,
+        prefix: joinUri(scope.prefix, value),
+        groupPrefix: joinUri(scope.groupPrefix, value),
+      };
+    case "middleware":
+      return { ...scope, middleware: [...scope.middleware, ...flattenStrings(values)] };
+    case "withoutMiddleware": {
+      const removed = flattenStrings(values);
+      return { ...scope, middleware: scope.middleware.filter((m) => !removed.includes(m)) };
+    }
+    case "name":
+    case "as":
+      return { ...scope, namePrefix: `${scope.namePrefix}${value}` };
+    case "domain":
+      return { ...scope, domain: value };
+    case "controller":
+      return { ...scope, controller: resolveClassName(String(value), { namespace: null, uses: scope.uses }) };
+    case "namespace":
+      // ->namespace($this->namespace) can't be followed statically
+      if (typeof value !== "string" || !/^\\?[\w\\]+$/.test(value)) return scope;
+      return {
+        ...scope,
+        namespace: scope.namespace && !value.startsWith("\\") ? `${scope.namespace}\\${value}` : value.replace(/^\\/, ""),
+      };
+    default:
+      return scope;
+  }
+}
+
+/**
+ * Build a route registered with Route::get(), Route::match(), Route::view(), ...
+ * @param {Object} registrar The registrar call
+ * @param {Array} modifiers Calls chained after it
+ * @param {Object} scope Group scope
+ * @param {Object} file Route file
+ * @returns {Object} Route
+ */
+function buildRoute(registrar, modifiers, scope, file) {
+  const registration = readRegistrar(registrar);
+  const action = registration.action
+    ? resolveAction(registration.action, scope)
+    : { handler: registration.handler || "Closure" };
+
+  let routeName = action.name ? `${scope.namePrefix}${action.name}` : null;
+  let middleware = [...scope.middleware, ...(action.middleware || [])];
+  modifiers.forEach((modifier) => {
+    const values = modifier.args.map(parseValue);
+    if (modifier.name === "name") routeName = `${scope.namePrefix}${values[0]}`;
+    if (modifier.name === "middleware") middleware = [...middleware, ...flattenStrings(values)];
+    if (modifier.name === "withoutMiddleware") {
+      const removed = flattenStrings(values);
+      middleware = middleware.filter((m) => !removed.includes(m));
+    }
+  });
+
+  const route = {
+    method: registration.method,
+    path: toPath(joinUri(scope.prefix, parseValue(registration.uri || "''"))),
+    handler: action.handler,
+    routeName,
+    middleware,
+    domain: scope.domain,
+    controller: action.controller || null,
+    controllerMethod: action.controllerMethod || null,
+    routeFile: file.name,
+    routeFilePath: file.path,
+    group: scope.groupPrefix || null,
+  };
+  if (registration.description) route.description = registration.description;
+
+  return route;
+}
+
+/**
+ * Read the methods, URI and action of a registrar call
+ * @param {Object} registrar The registrar call
+ * @returns {Object} Registration ({ method, uri, action } or a fixed handler and description)
+ */
+function readRegistrar(registrar) {
+  const { args } = registrar;
+
+  switch (registrar.name) {
+    case "match":
+      return {
+        method: flattenStrings([parseValue(args[0] || "[]")]).map((m) => m.toUpperCase()).join("/"),
+        uri: args[1],
+        action: args[2],
+      };
+    case "view":
+      return {
+        method: "GET",
+        uri: args[0],
+        handler: `view(${args[1] || ""})`,
+        description: `Render the ${parseValue(args[1] || "''")} view`,
+      };
+    case "redirect":
+    case "permanentRedirect": {
+      const status = registrar.name === "permanentRedirect" ? 301 : parseValue(args[2] || "302");
+      return {
+        method: "ANY",
+        uri: args[0],
+        handler: `redirect(${args[1] || ""}, ${status})`,
+        description: `Redirect to ${parseValue(args[1] || "''")} (${status})`,
+      };
+    }
+    case "fallback":
+      return {
+        method: "GET",
+        uri: "'{fallbackPlaceholder}'",
+        action: args[0],
+        description: "Fallback for requests no other route matches",
+      };
+    default:
+      return { method: ROUTE_VERBS[registrar.name], uri: args[0], action: args[1] };
+  }
+}
+
+/**
+ * Build the routes registered by Route::resource() or Route::apiResource()
+ * @param {Object} registrar The resource call
+ * @param {Array} modifiers Calls chained after it (only, except, middleware, ...)
+ * @param {Object} scope Group scope
+ * @param {Object} file Route file
+ * @returns {Array} Routes
+ */
+function buildResourceRoutes(registrar, modifiers, scope, file) {
+  const [name, controllerName, options] = registrar.args.map(parseValue);
+  if (typeof name !== "string" || typeof controllerName !== "string") return [];
+
+  const controller = resolveControllerName(
+    controllerName,
+    /::class$/.test(registrar.args[1].trim()),
+    scope
+  );
+  const isApi = registrar.name === "apiResource";
+  const settings = options && typeof options === "object" ? { ...options } : {};
+  let middleware = scope.middleware;
+  modifiers.forEach((modifier) => {
+    const values = modifier.args.map(parseValue);
+    if (modifier.name === "only" || modifier.name === "except") {
+      settings[modifier.name] = flattenStrings(values);
+    }
+    if (modifier.name === "middleware") middleware = [...middleware, ...flattenStrings(values)];
+  });
+  const only = settings.only ? flattenStrings([settings.only]) : null;
+  const except = settings.except ? flattenStrings([settings.except]) : [];
+
+  // Nested resources like photos.comments become photos/{photo}/comments/{comment}
+  const segments = name.split(".");
+  const resource = segments.pop();
+  const parentUri = segments.map((segment) => `${segment}/{${singularize(segment)}}`);
+  const baseUri = joinUri(scope.prefix, [...parentUri, resource].join("/"));
+  const param = singularize(resource).replace(/-/g, "_");
+
+  return RESOURCE_ACTIONS.filter(
+    (route) =>
+      !(isApi && route.form) &&
+      (!only || only.includes(route.action)) &&
+      !except.includes(route.action)
+  ).map((route) => ({
+    method: route.method,
+    path: toPath(`${baseUri}${route.suffix.replace("{param}", `{${param}}`)}`),
+    handler: `${classBasename(controller)}@${route.action}`,
+    routeName: `${scope.namePrefix}${name}.${route.action}`,
+    description: route.description
+      .replace("{plural}", resource)
+      .replace("{singular}", singularize(resource)),
+    middleware,
+    domain: scope.domain,
+    controller,
+    controllerMethod: route.action,
+    routeFile: file.name,
+    routeFilePath: file.path,
+    group: scope.groupPrefix || (isApi ? "API Resource" : "Resource"),
+  }));
+}
+
+/**
+ * Read a saved `php artisan route:list --json` file and combine it with the
+ * statically parsed routes. Routes are flagged with where they were found
+ * (static, route-list or both) so gaps in the static parser show up.
+ * @param {Array} staticRoutes Routes parsed from the route files
+ * @param {string} filePath Path of the route:list JSON file
+ * @param {string} mode "merge" to keep static-only routes, "replace" to drop them
+ * @returns {Array} Routes
+ */
+function importRouteList(staticRoutes, filePath, mode = "merge") {
+  let routeList;
+  try {
+    routeList = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read route list ${filePath}: ${err.message}`);
+  }
+  if (!Array.isArray(routeList)) {
+    throw new Error(`Route list ${filePath} is not the output of php artisan route:list --json`);
+  }
+
+  const unmatched = new Set(staticRoutes);
+  const routes = routeList.map((entry) => {
+    const route = fromRouteListEntry(entry);
+    const key = routeKey(route);
+    const match = [...unmatched].find((staticRoute) => routeKey(staticRoute) === key);
+    if (!match) return route;
+
+    // The route list is exact, the static route knows where it was written
+    unmatched.delete(match);
+    return {
+      ...route,
+      description: match.description,
+      routeFile: match.routeFile,
+      routeFilePath: match.routeFilePath,
+      group: match.group,
+      source: "both",
+    };
+  });
+
+  if (mode === "merge") {
+    unmatched.forEach((route) => routes.push({ ...route, source: "static" }));
+  }
+
+  return routes;
+}
+
+/**
+ * Convert a route:list --json entry into a route
+ * @param {Object} entry Entry ({ domain, method, uri, name, action, middleware })
+ * @returns {Object} Route
+ */
+function fromRouteListEntry(entry) {
+  const methods = String(entry.method || "GET").split("|");
+  const action = entry.action || "Closure";
+
+  // Invokable controllers are listed by class name alone
+  const [controller, controllerMethod] =
+    action === "Closure" ? [null, null] : [...action.split("@"), "__invoke"];
+
+  return {
+    // HEAD comes with every GET route, so only list it on its own
+    method: methods.filter((m) => m !== "HEAD" || methods.length === 1).join("/"),
+    path: toPath(joinUri("", entry.uri || "")),
+    handler: controller ? `${classBasename(controller)}@${controllerMethod}` : action,
+    routeName: entry.name || null,
+    middleware: Array.isArray(entry.middleware) ? entry.middleware : [],
+    domain: entry.domain || null,
+    controller: controller ? controller.replace(/^\\/, "") : null,
+    controllerMethod,
+    routeFile: "route:list",
+    routeFilePath: null,
+    group: null,
+    source: "route-list",
+  };
+}
+
+/**
+ * Build a key identifying a route by its methods and URI, ignoring the
+ * names of its parameters
+ * @param {Object} route Route
+ * @returns {string} Key
+ */
+function routeKey(route) {
+  const methods = route.method
+    .toUpperCase()
+    .split(/[\/|]/)
+    .filter((m) => m !== "HEAD")
+    .sort()
+    .join("|");
+  return `${methods} ${route.path.replace(/\{[^}]+\}/g, "{}")}`;
+}
+
+/**
+ * Build the id of a route's section in the API documentation, so other
+ * pages can link to it
+ * @param {string} method HTTP method(s), as in "PUT/PATCH"
+ * @param {string} uri Route URI
+ * @returns {string} Anchor id
+ */
+function endpointAnchor(method, uri) {
+  const slug = `${method} ${uri}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `endpoint-${slug}`;
+}
+
+/**
+ * Find the controllers of the routes and link each route to the file and
+ * line of the method handling it
+ * @param {Array} routes Routes
+ * @param {Array} controllers Controller class files
+ */
+function linkRouteControllers(routes, controllers) {
+  routes.forEach((route) => {
+    if (!route.controller) return;
+
+    const controller =
+      controllers.find((c) => c.fullName === route.controller) ||
+      controllers.find((c) => c.name === classBasename(route.controller));
+    if (!controller) return;
+
+    const method = findMethod(controller.classInfo, route.controllerMethod);
+    route.controller = controller.fullName;
+    route.controllerFile = controller.path;
+    route.controllerLine = method ? method.line : controller.classInfo.line;
+  });
+}
+
+/**
+ * Resolve the action of a route to its handler and controller method
+ * @param {string} action Raw action argument
+ * @param {Object} scope Group scope
+ * @returns {Object} Action ({ handler, controller, controllerMethod, name, middleware })
+ */
+function resolveAction(action, scope) {
+  const raw = action.trim();
+  if (isClosure(raw)) return { handler: "Closure" };
+
+  const value = parseValue(raw);
+
+  // [UserController::class, 'show'], or [UserController::class] when invokable
+  if (Array.isArray(value) && raw.startsWith("[")) {
+    const [controllerRaw, methodRaw] = splitTopLevel(raw.slice(1, -1), ",");
+    const isClassReference = /::class$/.test(controllerRaw);
+    return controllerAction(
+      resolveControllerName(isClassReference ? controllerRaw : String(parseValue(controllerRaw)), isClassReference, scope),
+      methodRaw ? parseValue(methodRaw) : "__invoke"
+    );
+  }
+
+  // ['as' => 'users.show', 'uses' => 'UserController@show'] in older apps
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const uses = typeof value.uses === "string" && !isClosure(value.uses)
+      ? resolveActionString(value.uses, scope)
+      : { handler: "Closure" };
+    return {
+      ...uses,
+      name: typeof value.as === "string" ? value.as : null,
+      middleware: flattenStrings([value.middleware]),
+    };
+  }
+
+  // A single action controller is registered by its class alone
+  if (/::class$/.test(raw)) {
+    return controllerAction(resolveControllerName(raw, true, scope), "__invoke");
+  }
+
+  return typeof value === "string" ? resolveActionString(value, scope) : { handler: raw };
+}
+
+/**
+ * Resolve a string action: "Controller@method", a method of the group's
+ * controller, or an invokable controller class
+ * @param {string} value Action string
+ * @param {Object} scope Group scope
+ * @returns {Object} Action ({ handler, controller, controllerMethod })
+ */
+function resolveActionString(value, scope) {
+  if (value.includes("@")) {
+    const [controller, method] = value.split("@");
+    return controllerAction(resolveControllerName(controller, false, scope), method);
+  }
+
+  // Route::controller(X::class)->group(...) routes name only the method
+  if (scope.controller) {
+    return controllerAction(scope.controller, value);
+  }
+
+  return controllerAction(resolveControllerName(value, false, scope), "__invoke");
+}
+
+/**
+ * Resolve a controller name to its fully qualified name
+ * @param {string} name Controller as written
+ * @param {boolean} isClassReference Whether it was written as X::class
+ * @param {Object} scope Group scope
+ * @returns {string} Fully qualified class name
+ */
+function resolveControllerName(name, isClassReference, scope) {
+  if (isClassReference) {
+    return resolveClassName(name, { namespace: null, uses: scope.uses });
+  }
+
+  // Older apps prefix string controllers with the group's namespace
+  const className = name.replace(/^\\/, "");
+  return scope.namespace && !name.startsWith("\\") ? `${scope.namespace}\\${className}` : className;
+}
+
+/**
+ * Build the action of a controller method
+ * @param {string} controller Fully qualified controller name
+ * @param {string} method Method name
+ * @returns {Object} Action ({ handler, controller, controllerMethod })
+ */
+function controllerAction(controller, method) {
+  return {
+    handler: `${classBasename(controller)}@${method}`,
+    controller,
+    controllerMethod: method,
+  };
+}
+
+/**
+ * Check whether an action is a closure
+ * @param {string} action Raw action
+ * @returns {boolean} True for function () {...} and fn () => ...
+ */
+function isClosure(action) {
+  return /^(static\s+)?(function|fn)\b/.test(action.trim());
+}
+
+/**
+ * Flatten string or array arguments into a list of strings
+ * @param {Array} values Parsed arguments
+ * @returns {Array} Strings
+ */
+function flattenStrings(values) {
+  return values.flat(Infinity).filter((value) => typeof value === "string" && value);
+}
+
+/**
+ * Join URI parts with single slashes
+ * @param {string} prefix Prefix
+ * @param {string} uri URI
+ * @returns {string} Joined URI without leading or trailing slashes
+ */
+function joinUri(prefix, uri) {
+  return [prefix, typeof uri === "string" ? uri : ""]
+    .map((part) => part.replace(/^\/+|\/+$/g, ""))
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Turn a joined URI into a path with a leading slash
+ * @param {string} uri URI without leading slash
+ * @returns {string} Path
+ */
+function toPath(uri) {
+  return `/${uri}`;
+}
+
+module.exports = {
+  parseRoutes,
+  importRouteList,
+  linkRouteControllers,
+  endpointAnchor,
+};
@@ -0,0 +1,482 @@
+const {
+  findClosingBracket,
+  splitTopLevel,
+  parseValue,
+  resolveClassName,
+  findMethod,
+} = require("./php");
+const { snakeCase, classBasename } = require("./naming");
+const { findControllerMethod } = require("./laravel");
+
+/**
+ * Calls that take a validation rules array
+ */
+const VALIDATE_CALL_REGEX =
+  /(?:\bValidator::make|\bvalidator|->validateWithBag|->validate|\bvalidate)\s*\(/g;
+
+/**
+ * Rules written as objects: Rule::in([...]), new Enum(...), Password::min(8)
+ */
+const OBJECT_RULE_REGEX = /^(?:new\s+)?([\w\\]+)(?:::(\w+))?\s*\(/;
+
+/**
+ * Rule names of the static rule builders, keyed by class then method
+ */
+const OBJECT_RULE_NAMES = {
+  Password: { default: "password" },
+  File: { image: "image", types: "mimes", default: "file" },
+};
+
+/**
+ * Rules that only affect whether a field is present, not what it contains
+ */
+const PRESENCE_RULES = ["required", "nullable", "sometimes", "bail", "present", "filled"];
+
+/**
+ * JSON schema types implied by type rules
+ */
+const RULE_TYPES = {
+  integer: "integer",
+  int: "integer",
+  numeric: "number",
+  decimal: "number",
+  boolean: "boolean",
+  bool: "boolean",
+  accepted: "boolean",
+  declined: "boolean",
+  array: "array",
+  list: "array",
+  string: "string",
+  email: "string",
+  url: "string",
+  active_url: "string",
+  uuid: "string",
+  ulid: "string",
+  date: "string",
+  date_format: "string",
+  ip: "string",
+  ipv4: "string",
+  ipv6: "string",
+  json: "string",
+  file: "string",
+  image: "string",
+  image_file: "string",
+  mimes: "string",
+  mimetypes: "string",
+  password: "string",
+  enum: "string",
+};
+
+/**
+ * JSON schema formats implied by rules
+ */
+const RULE_FORMATS = {
+  email: "email",
+  url: "uri",
+  active_url: "uri",
+  uuid: "uuid",
+  date: "date-time",
+  ipv4: "ipv4",
+  ipv6: "ipv6",
+  file: "binary",
+  image: "binary",
+  image_file: "binary",
+  mimes: "binary",
+  mimetypes: "binary",
+};
+
+/**
+ * Find the rules passed to an inline validate() or Validator::make() call
+ * @param {string} body Method body without comments
+ * @returns {Object|null} Rule lists keyed by field, or null when none is found
+ */
+function extractInlineRules(body) {
+  for (const match of body.matchAll(VALIDATE_CALL_REGEX)) {
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(body, openIndex);
+    if (closeIndex === -1) continue;
+
+    // $request->validate([...]) takes the rules first, the others second
+    const rules = splitTopLevel(body.slice(openIndex + 1, closeIndex), ",")
+      .map(parseValue)
+      .find((arg) => arg && typeof arg === "object" && !Array.isArray(arg));
+
+    if (rules) return normalizeRules(rules);
+  }
+
+  return null;
+}
+
+/**
+ * Find the rules array returned by a FormRequest's rules() method
+ * @param {string} body Method body without comments
+ * @returns {Object|null} Rules keyed by field as written, or null
+ */
+function extractReturnedRules(body) {
+  const returnMatch = body.match(/\breturn\s+(\[|\$\w+\s*;)/);
+  if (!returnMatch) return null;
+
+  let openIndex = returnMatch.index + returnMatch[0].length - 1;
+  if (returnMatch[1] !== "[") {
+    // return $rules; after building the array in a variable
+    const variable = returnMatch[1].replace(/[\s;]/g, "").replace("$", "\\$");
+    const assignments = [...body.matchAll(new RegExp(`${variable}\\s*=\\s*\\[`, "g"))];
+    if (assignments.length === 0) return null;
+    const last = assignments[assignments.length - 1];
+    openIndex = last.index + last[0].length - 1;
+  }
+
+  const closeIndex = findClosingBracket(body, openIndex);
+  if (closeIndex === -1) return null;
+
+  const rules = parseValue(body.slice(openIndex, closeIndex + 1));
+  return rules && typeof rules === "object" && !Array.isArray(rules) ? rules : null;
+}
+
+/**
+ * Find the FormRequest type-hinted in a controller method's signature
+ * @param {Object} projectInfo Project information
+ * @param {Object} handler Controller and method ({ controller, method })
+ * @returns {Object|null} FormRequest class file
+ */
+function findFormRequest(projectInfo, handler) {
+  const formRequests = (projectInfo.classes || []).filter((c) => c.kind === "formRequest");
+
+  for (const param of handler.method.params) {
+    if (!param.type) continue;
+    const fullName = resolveClassName(param.type.replace(/^\?/, ""), handler.controller.classInfo);
+    const formRequest =
+      formRequests.find((c) => c.fullName === fullName) ||
+      formRequests.find((c) => c.name === classBasename(fullName));
+    if (formRequest) return formRequest;
+  }
+
+  return null;
+}
+
+/**
+ * Get the validation rules of the controller method handling an endpoint,
+ * preferring the rules() of a type-hinted FormRequest over inline validation
+ * @param {Object} projectInfo Project information
+ * @param {Object} endpoint Endpoint
+ * @returns {Object|null} Rule lists keyed by field, or null when there are none
+ */
+function getEndpointRules(projectInfo, endpoint) {
+  const handler = findControllerMethod(projectInfo, endpoint);
+  if (!handler) return null;
+
+  const formRequest = findFormRequest(projectInfo, handler);
+  const rulesMethod = formRequest && findMethod(formRequest.classInfo, "rules");
+  if (rulesMethod && rulesMethod.body) {
+    const rules = extractReturnedRules(rulesMethod.body);
+    if (rules) {
+      return resolveEnumRules(normalizeRules(rules), formRequest.classInfo, projectInfo.classes);
+    }
+  }
+
+  const rules = handler.method.body ? extractInlineRules(handler.method.body) : null;
+  return rules && resolveEnumRules(rules, handler.controller.classInfo, projectInfo.classes);
+}
+
+/**
+ * Replace enum rules of backed enums with an "in" rule listing their values
+ * @param {Object} rules Rule lists keyed by field
+ * @param {Object} context Class the rules are written in (namespace and uses)
+ * @param {Array} classes Discovered classes
+ * @returns {Object} Rule lists keyed by field
+ */
+function resolveEnumRules(rules, context, classes) {
+  Object.keys(rules).forEach((field) => {
+    rules[field] = rules[field].map((rule) => {
+      const parsed = parseRule(rule);
+      if (parsed.name !== "enum" || typeof parsed.args[0] !== "string") return rule;
+
+      const fullName = resolveClassName(parsed.args[0], context);
+      const enumClass = (classes || []).find(
+        (c) => c.classInfo && c.classInfo.kind === "enum" && c.fullName === fullName
+      );
+      const values = enumClass ? enumClass.classInfo.cases.map((c) => c.value) : [];
+      if (values.length === 0 || values.some((value) => value === null)) return rule;
+
+      return `in:${values.join(",")}`;
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Turn the rules of each field into a list, splitting "a|b:c" strings
+ * @param {Object} rules Rules keyed by field as written
+ * @returns {Object} Rule lists keyed by field
+ */
+function normalizeRules(rules) {
+  const normalized = {};
+
+  Object.entries(rules).forEach(([field, fieldRules]) => {
+    // Like Laravel, only a single rule string is split on pipes, so regex
+    // rules with alternatives are written as array items
+    if (typeof fieldRules === "string" && !OBJECT_RULE_REGEX.test(fieldRules)) {
+      normalized[field] = fieldRules.split("|").map((part) => part.trim()).filter(Boolean);
+    } else {
+      const list = Array.isArray(fieldRules) ? fieldRules : [fieldRules];
+      normalized[field] = list.map(String);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Split a rule such as "max:255" into its name and arguments
+ * @param {string} rule Rule as written
+ * @returns {Object} Rule name and arguments
+ */
+function parseRule(rule) {
+  const objectRule = parseObjectRule(rule);
+  if (objectRule) return objectRule;
+
+  const separator = rule.indexOf(":");
+  if (separator === -1) return { name: rule, args: [] };
+
+  const name = rule.slice(0, separator);
+  const value = rule.slice(separator + 1);
+  // Regex patterns may contain commas of their own
+  const args = name === "regex" || name === "not_regex" ? [value] : value.split(",");
+  return { name, args };
+}
+
+/**
+ * Parse a rule object such as Rule::in([...]), new Enum(Status::class),
+ * Password::min(8) or File::image(), ignoring methods chained after it
+ * @param {string} rule Rule as written
+ * @returns {Object|null} Rule name and arguments, or null for string rules
+ */
+function parseObjectRule(rule) {
+  const match = rule.match(OBJECT_RULE_REGEX);
+  if (!match) return null;
+
+  const openIndex = match[0].length - 1;
+  const closeIndex = findClosingBracket(rule, openIndex);
+  let args = closeIndex === -1 ? [] : splitTopLevel(rule.slice(openIndex + 1, closeIndex), ",").map(parseValue);
+
+  // Rule::in(['a', 'b']) and new In(['a', 'b']) take the values as a list
+  if (args.length === 1 && Array.isArray(args[0])) args = args[0];
+  args = args.map((arg) => (typeof arg === "string" ? arg.replace(/::class$/, "") : arg));
+
+  const className = classBasename(match[1]);
+  const builder = match[2];
+  if (OBJECT_RULE_NAMES[className] && builder) {
+    const names = OBJECT_RULE_NAMES[className];
+    // Password::min(8) and File::types([...]) keep their arguments
+    const name = names[builder] || names.default;
+    return { name, args: builder === "min" || name === "mimes" ? args : [] };
+  }
+  if (className === "Rule" && builder) {
+    return { name: snakeCase(builder), args };
+  }
+  if (!builder) {
+    // new Enum(...), new In([...]), or a custom rule class
+    const name = snakeCase(className);
+    return RULE_TYPES[name] || ["in", "not_in", "dimensions"].includes(name)
+      ? { name, args }
+      : { name: className, args: [] };
+  }
+
+  return { name: rule, args: [] };
+}
+
+/**
+ * Build a JSON schema for a request body from its validation rules, nesting
+ * "items.*.name" style fields into array items and object properties
+ * @param {Object} rules Rule lists keyed by field
+ * @returns {Object} JSON schema of an object with one property per field
+ */
+function rulesToSchema(rules) {
+  const schema = { type: "object", properties: {} };
+
+  Object.entries(rules).forEach(([field, fieldRules]) => {
+    const parsed = fieldRules.map(parseRule);
+    const segments = field.split(".");
+    const name = segments.pop();
+    const parent = segments.reduce(childSchema, schema);
+
+    const target = childSchema(parent, name);
+    mergeFieldSchema(target, fieldSchema(parsed));
+    if (name !== "*" && parsed.some((rule) => rule.name === "required")) {
+      parent.required = [...new Set([...(parent.required || []), name])];
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Get (or create) the schema of a property or of the array items ("*")
+ * @param {Object} parent Schema of the parent field
+ * @param {string} segment Property name, or "*" for array items
+ * @returns {Object} Schema of the child
+ */
+function childSchema(parent, segment) {
+  const type = segment === "*" ? "array" : "object";
+  // A parent validated only as "required" still holds the nested fields
+  if (![].concat(parent.type).includes(type)) {
+    parent.type = [].concat(parent.type).includes("null") ? [type, "null"] : type;
+  }
+
+  if (segment === "*") {
+    if (Object.keys(parent.properties || {}).length === 0) delete parent.properties;
+    if (!parent.items) parent.items = { type: "object", properties: {} };
+    return parent.items;
+  }
+
+  if (!parent.properties) parent.properties = {};
+  if (!parent.properties[segment]) {
+    parent.properties[segment] = { type: "object", properties: {} };
+  }
+  return parent.properties[segment];
+}
+
+/**
+ * Merge the schema built from a field's own rules into its node in the tree
+ * @param {Object} target Node of the field, possibly holding nested fields
+ * @param {Object} schema Schema built from the field's rules
+ */
+function mergeFieldSchema(target, schema) {
+  const hasChildren = Object.keys(target.properties || {}).length > 0 || target.items;
+  if (!hasChildren) {
+    delete target.properties;
+    Object.assign(target, schema);
+    return;
+  }
+
+  // Keep the container type the nested fields need, and its nullability
+  const { type, ...rest } = schema;
+  Object.assign(target, rest);
+  if ([].concat(type).includes("null") && !Array.isArray(target.type)) {
+    target.type = [target.type, "null"];
+  }
+}
+
+/**
+ * Describe each field's rules for a request body table
+ * @param {Object} rules Rule lists keyed by field
+ * @returns {Array} Rows ({ field, type, required, nullable, constraints })
+ */
+function describeRules(rules) {
+  return Object.entries(rules).map(([field, fieldRules]) => {
+    const parsed = fieldRules.map(parseRule);
+    const schema = fieldSchema(parsed);
+    const type = [].concat(schema.type)[0];
+    const conditional = parsed.find((rule) => /^required_/.test(rule.name));
+
+    let required = "No";
+    if (parsed.some((rule) => rule.name === "required")) required = "Yes";
+    else if (conditional) required = `If (${formatRule(conditional)})`;
+
+    return {
+      field,
+      type: schema.format ? `${type} (${schema.format})` : type,
+      required,
+      nullable: parsed.some((rule) => rule.name === "nullable"),
+      constraints: parsed
+        .filter((rule) => !PRESENCE_RULES.includes(rule.name) && rule !== conditional)
+        .filter((rule) => !(RULE_TYPES[rule.name] && rule.args.length === 0))
+        .map(formatRule),
+    };
+  });
+}
+
+/**
+ * Write a parsed rule back in Laravel's "name:arg1,arg2" form
+ * @param {Object} rule Parsed rule
+ * @returns {string} Rule text
+ */
+function formatRule(rule) {
+  const args = rule.args.map((arg) => (typeof arg === "object" ? JSON.stringify(arg) : String(arg)));
+  return args.length > 0 ? `${rule.name}:${args.join(",")}` : rule.name;
+}
+
+/**
+ * Build the JSON schema of a single field from its parsed rules
+ * @param {Array} rules Parsed rules of the field
+ * @returns {Object} JSON schema
+ */
+function fieldSchema(rules) {
+  const typeRule = rules.find((rule) => RULE_TYPES[rule.name]);
+  const type = typeRule ? RULE_TYPES[typeRule.name] : "string";
+  const schema = { type };
+
+  rules.forEach(({ name, args }) => {
+    if (RULE_FORMATS[name]) schema.format = RULE_FORMATS[name];
+
+    const number = Number(args[0]);
+    switch (name) {
+      case "min":
+      case "max":
+      case "size":
+        if (Number.isNaN(number)) break;
+        applyBound(schema, name === "max" ? "max" : "min", number);
+        if (name === "size") applyBound(schema, "max", number);
+        break;
+      case "between":
+        applyBound(schema, "min", number);
+        applyBound(schema, "max", Number(args[1]));
+        break;
+      case "in":
+        schema.enum = args.map((arg) => (type === "integer" || type === "number" ? Number(arg) : arg));
+        break;
+      case "regex":
+        schema.pattern = args[0].replace(/^\/(.*)\/[a-z]*$/, "$1");
+        break;
+      case "date_format":
+        schema.description = `Format: ${args.join(",")}`;
+        break;
+      case "password":
+        // Password::min(8) and new Password(8)
+        applyBound(schema, "min", number);
+        break;
+      case "enum":
+        if (args[0]) schema.description = `${classBasename(String(args[0]))} enum value`;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (rules.some((rule) => rule.name === "nullable")) {
+    schema.type = [type, "null"];
+    if (schema.enum) schema.enum.push(null);
+  }
+
+  return schema;
+}
+
+/**
+ * Apply a min/max rule, whose meaning depends on the field's type
+ * @param {Object} schema JSON schema of the field
+ * @param {string} bound "min" or "max"
+ * @param {number} value Bound value
+ */
+function applyBound(schema, bound, value) {
+  if (Number.isNaN(value) || schema.format === "binary") return;
+
+  const keywords = {
+    string: ["minLength", "maxLength"],
+    integer: ["minimum", "maximum"],
+    number: ["minimum", "maximum"],
+    array: ["minItems", "maxItems"],
+  }[schema.type];
+  if (keywords) {
+    schema[keywords[bound === "min" ? 0 : 1]] = value;
+  }
+}
+
+module.exports = {
+  extractInlineRules,
+  findFormRequest,
+  getEndpointRules,
+  normalizeRules,
+  rulesToSchema,
+  describeRules,
+};
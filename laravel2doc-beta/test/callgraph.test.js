@@ -0,0 +1,237 @@
+const { parseStatements, scanCalls, traceMethod, traceRequest } = require("../lib/utils/callgraph");
+const { findMethod } = require("../lib/utils/php");
+const { loadProject } = require("./helpers");
+
+/**
+ * List the messages of a trace in the order they are drawn, with the
+ * fragments they are nested in
+ * @param {Array} steps Trace steps
+ * @returns {Array} Lines such as "PostController -> PostPolicy: update(user, post)"
+ */
+function messages(steps) {
+  return steps.flatMap((step) => {
+    if (step.kind === "fragment") {
+      return step.sections.flatMap((section) => [
+        `${step.type} [${section.label}]`,
+        ...messages(section.steps).map((line) => `  ${line}`),
+      ]);
+    }
+
+    const arrow = step.kind === "async" ? "-)" : "->";
+    return [`${step.from} ${arrow} ${step.to}: ${step.label}`, ...messages(step.steps || [])];
+  });
+}
+
+describe("parseStatements", () => {
+  test("keeps control structures with their bodies and splits expressions on ;", () => {
+    const statements = parseStatements(`
+        $post = Post::findOrFail($id); // Post::delete();
+        if ($post->draft) {
+            abort(403);
+        } elseif ($x) {
+            $a = 1;
+        } else {
+            foreach ($post->tags as $tag) { $tag->touch(); }
+        }
+        try { $this->service->publish($post); } catch (PublishException $e) { report($e); }
+        return new PostResource($post);
+    `);
+
+    expect(statements.map((statement) => statement.type)).toEqual(["expression", "if", "try", "return"]);
+    expect(statements[0].code).toBe("$post = Post::findOrFail($id)");
+    expect(statements[1].branches.map((branch) => branch.condition)).toEqual(["$post->draft", "$x"]);
+    expect(statements[1].otherwise).toEqual([
+      {
+        type: "loop",
+        keyword: "foreach",
+        header: "$post->tags as $tag",
+        body: [{ type: "expression", code: "$tag->touch()" }],
+      },
+    ]);
+    expect(statements[2].catches).toEqual([
+      { exception: "PublishException $e", body: [{ type: "expression", code: "report($e)" }] },
+    ]);
+  });
+
+  test("does not end a statement on a brace or semicolon inside a heredoc", () => {
+    const statements = parseStatements("$s = <<<TXT\n} not a brace;\nTXT;\nreturn $s;");
+
+    expect(statements.map((statement) => statement.type)).toEqual(["expression", "return"]);
+  });
+});
+
+describe("scanCalls", () => {
+  test("reads a static call with the chain that follows it", () => {
+    expect(scanCalls("Post::query()->where('a', 1)->get()")).toMatchObject([
+      {
+        type: "static",
+        className: "Post",
+        method: "query",
+        args: [],
+        chain: [
+          { name: "where", args: ["'a'", "1"] },
+          { name: "get", args: [] },
+        ],
+      },
+    ]);
+  });
+
+  test("leaves calls nested in arguments in the arguments", () => {
+    expect(scanCalls("$this->service->publish(new Foo($x), bar())")).toMatchObject([
+      { type: "instance", receiver: ["$this", "service"], method: "publish", args: ["new Foo($x)", "bar()"] },
+    ]);
+  });
+});
+
+describe("tracing", () => {
+  const projectInfo = loadProject({
+    "routes/api.php": `<?php
+
+use App\\Http\\Controllers\\PostController;
+
+Route::middleware('auth:sanctum')->put('/posts/{post}', [PostController::class, 'update']);
+`,
+    "app/Models/Post.php": `<?php
+
+namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Model;
+
+class Post extends Model
+{
+}
+`,
+    "app/Policies/PostPolicy.php": `<?php
+
+namespace App\\Policies;
+
+class PostPolicy
+{
+    public function update($user, $post)
+    {
+        return true;
+    }
+}
+`,
+    "app/Policies/LegacyPostPolicy.php": `<?php
+
+namespace App\\Policies;
+
+class LegacyPostPolicy
+{
+    public function update($user, $post)
+    {
+        return false;
+    }
+}
+`,
+    "app/Providers/AuthServiceProvider.php": `<?php
+
+namespace App\\Providers;
+
+use Illuminate\\Support\\ServiceProvider;
+
+class AuthServiceProvider extends ServiceProvider
+{
+    public function boot(): void
+    {
+        // Gate::policy(\\App\\Models\\Post::class, \\App\\Policies\\LegacyPostPolicy::class);
+    }
+}
+`,
+    "app/Services/PostService.php": `<?php
+
+namespace App\\Services;
+
+use App\\Events\\PostUpdated;
+use App\\Models\\Post;
+
+class PostService
+{
+    public function update(Post $post, array $data)
+    {
+        $post->update($data);
+        event(new PostUpdated($post));
+
+        return $post;
+    }
+}
+`,
+    "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+use App\\Models\\Post;
+use App\\Services\\PostService;
+use Illuminate\\Http\\Request;
+
+class PostController extends Controller
+{
+    public function __construct(private PostService $posts)
+    {
+    }
+
+    public function update(Request $request, Post $post)
+    {
+        $this->authorize('update', $post);
+        $data = $request->validate(['title' => 'required']);
+        if ($post->locked) {
+            abort(423);
+        }
+        $post = $this->posts->update($post, $data);
+
+        return response()->json($post, 200);
+    }
+}
+`,
+  });
+  const controller = projectInfo.controllers[0];
+  const method = findMethod(controller.classInfo, "update");
+
+  test("traces a controller method through injected services, queries and events", () => {
+    const trace = traceMethod(projectInfo, controller, method, { depth: 2 });
+
+    expect(trace.self).toBe("PostController");
+    expect(messages(trace.steps)).toEqual([
+      "PostController -> PostPolicy: update(user, post)",
+      "break [denied]",
+      "  PostController -> Client: 403 Forbidden",
+      "PostController -> Validator: validate([…])",
+      "break [validation fails]",
+      "  PostController -> Client: 422 Unprocessable Content",
+      "break [$post->locked]",
+      "  PostController -> Client: 423 Locked",
+      "PostController -> PostService: update(post, data)",
+      "PostService -> Post: update(data)",
+      "Post -> DB: UPDATE posts",
+      "PostService -) Events: event(PostUpdated)",
+      "PostService -> PostController: post",
+      "PostController -> Client: JSON response (200)",
+    ]);
+  });
+
+  test("ignores commented-out Gate::policy() registrations", () => {
+    const trace = traceMethod(projectInfo, controller, method, { depth: 0 });
+
+    expect(trace.participants.map((participant) => participant.id)).toContain("PostPolicy");
+    expect(trace.participants.map((participant) => participant.id)).not.toContain("LegacyPostPolicy");
+  });
+
+  test("traces a request through middleware and route model binding", () => {
+    const trace = traceRequest(projectInfo, controller, method, projectInfo.routes[0], { depth: 0 });
+    const lines = messages(trace.steps);
+
+    expect(trace.self).toBe("Router");
+    expect(lines.slice(0, 7)).toEqual([
+      "Router -> Middleware: auth:sanctum",
+      "break [unauthenticated]",
+      "  Middleware -> Client: 401 Unauthorized",
+      "Router -> Post: bind {post}",
+      "Post -> DB: SELECT posts",
+      "break [Post not found]",
+      "  Router -> Client: 404 Not Found",
+    ]);
+    expect(lines[7]).toBe("Router -> PostController: update(request, post)");
+    expect(lines[lines.length - 1]).toBe("Router -> Client: 200 OK");
+  });
+});
@@ -0,0 +1,34 @@
+const { loadProject } = require("./helpers");
+
+describe("discoverClasses", () => {
+  const projectInfo = loadProject({
+    "composer.json": JSON.stringify({
+      require: { "laravel/framework": "^11.0" },
+      autoload: { "psr-4": { "App\\": "app/" } },
+      "autoload-dev": { "psr-4": { "Tests\\": "tests/" } },
+    }),
+    "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+class PostController extends Controller
+{
+}
+`,
+    "tests/Feature/Http/Controllers/PostControllerTest.php": `<?php
+
+namespace Tests\\Feature\\Http\\Controllers;
+
+use Tests\\TestCase;
+
+class PostControllerTest extends TestCase
+{
+}
+`,
+  });
+
+  test("leaves out the autoload-dev classes", () => {
+    expect(projectInfo.classes.map((c) => c.fullName)).toEqual(["App\\Http\\Controllers\\PostController"]);
+    expect(projectInfo.controllers).toHaveLength(1);
+  });
+});
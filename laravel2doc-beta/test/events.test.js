@@ -0,0 +1,238 @@
+const { buildAsyncMap } = require("../lib/utils/events");
+const { loadProject } = require("./helpers");
+
+const projectInfo = loadProject({
+  "app/Providers/EventServiceProvider.php": `<?php
+
+namespace App\\Providers;
+
+use App\\Events\\OrderPlaced;
+use App\\Listeners\\ReserveStock;
+use Illuminate\\Foundation\\Support\\Providers\\EventServiceProvider as ServiceProvider;
+
+class EventServiceProvider extends ServiceProvider
+{
+    protected $listen = [
+        OrderPlaced::class => [ReserveStock::class],
+    ];
+
+    public function boot(): void
+    {
+        Event::listen(OrderPlaced::class, [\\App\\Listeners\\NotifyAccounting::class, 'handle']);
+        // Event::listen(OrderPlaced::class, \\App\\Listeners\\Ghost::class);
+    }
+
+    public function shouldDiscoverEvents(): bool
+    {
+        return false;
+    }
+}
+`,
+  "app/Events/OrderPlaced.php": `<?php
+
+namespace App\\Events;
+
+use Illuminate\\Contracts\\Broadcasting\\ShouldBroadcast;
+use Illuminate\\Foundation\\Events\\Dispatchable;
+
+class OrderPlaced implements ShouldBroadcast
+{
+    use Dispatchable;
+
+    public function __construct(public $order)
+    {
+    }
+}
+`,
+  "app/Listeners/ReserveStock.php": `<?php
+
+namespace App\\Listeners;
+
+use App\\Events\\OrderPlaced;
+use Illuminate\\Contracts\\Queue\\ShouldQueue;
+
+class ReserveStock implements ShouldQueue
+{
+    public $queue = 'stock';
+
+    public function handle(OrderPlaced $event)
+    {
+    }
+}
+`,
+  "app/Listeners/NotifyAccounting.php": `<?php
+
+namespace App\\Listeners;
+
+use App\\Events\\OrderPlaced;
+use App\\Jobs\\GenerateInvoice;
+
+class NotifyAccounting
+{
+    public function handle(OrderPlaced $event)
+    {
+        GenerateInvoice::dispatch($event->order)->onQueue('billing');
+    }
+}
+`,
+  "app/Listeners/LogOrder.php": `<?php
+
+namespace App\\Listeners;
+
+use App\\Events\\OrderPlaced;
+
+class LogOrder
+{
+    public function handle(OrderPlaced $event)
+    {
+    }
+}
+`,
+  "app/Jobs/GenerateInvoice.php": `<?php
+
+namespace App\\Jobs;
+
+use App\\Mail\\InvoiceMail;
+use App\\Notifications\\InvoiceReady;
+use Illuminate\\Contracts\\Queue\\ShouldQueue;
+use Illuminate\\Foundation\\Bus\\Dispatchable;
+
+class GenerateInvoice implements ShouldQueue
+{
+    use Dispatchable;
+
+    public $connection = 'redis';
+
+    public function handle()
+    {
+        $this->order->user->notify(new InvoiceReady($this->order));
+        Mail::to($this->order->user)->later(now()->addMinute(), new InvoiceMail($this->order));
+    }
+}
+`,
+  "app/Notifications/InvoiceReady.php": `<?php
+
+namespace App\\Notifications;
+
+use Illuminate\\Notifications\\Notification;
+
+class InvoiceReady extends Notification
+{
+    public function via($notifiable)
+    {
+        return ['mail', 'database'];
+    }
+}
+`,
+  "app/Mail/InvoiceMail.php": `<?php
+
+namespace App\\Mail;
+
+use Illuminate\\Mail\\Mailable;
+
+class InvoiceMail extends Mailable
+{
+}
+`,
+  "app/Http/Controllers/OrderController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+use App\\Events\\OrderPlaced;
+
+class OrderController extends Controller
+{
+    public function store()
+    {
+        $order = Order::create();
+        OrderPlaced::dispatch($order);
+        // event(new OrderPlaced($order));
+
+        return $order;
+    }
+}
+`,
+});
+const asyncMap = buildAsyncMap(projectInfo);
+
+describe("buildAsyncMap", () => {
+  const [event] = asyncMap.events;
+
+  test("reads listeners from $listen and Event::listen() when discovery is off", () => {
+    expect(asyncMap.discovery).toBe(false);
+    expect(event).toMatchObject({ className: "App\\Events\\OrderPlaced", broadcast: "queued" });
+    expect(event.listeners).toMatchObject([
+      {
+        className: "App\\Listeners\\ReserveStock",
+        method: "handle",
+        source: "$listen",
+        queue: { queued: true, queue: "stock", connection: null },
+      },
+      {
+        className: "App\\Listeners\\NotifyAccounting",
+        method: "handle",
+        source: "Event::listen()",
+        queue: { queued: false },
+      },
+    ]);
+  });
+
+  test("reports listeners that would only be found by discovery", () => {
+    expect(asyncMap.unregistered).toEqual([
+      {
+        event: "App\\Events\\OrderPlaced",
+        listener: "App\\Listeners\\LogOrder",
+        method: "handle",
+        source: "discovered",
+      },
+    ]);
+  });
+
+  test("records where events are dispatched, leaving out commented-out code", () => {
+    expect(event.dispatchedFrom).toEqual([
+      {
+        kind: "event",
+        target: "App\\Events\\OrderPlaced",
+        name: "OrderPlaced",
+        via: "OrderPlaced::dispatch()",
+        queued: false,
+        queue: null,
+        connection: null,
+        source: {
+          className: "App\\Http\\Controllers\\OrderController",
+          name: "OrderController",
+          method: "store",
+          file: "app/Http/Controllers/OrderController.php",
+          line: 9,
+        },
+      },
+    ]);
+  });
+
+  test("combines the queue of a dispatch chain with the job's own connection", () => {
+    const [job] = asyncMap.jobs;
+
+    expect(job.queue).toEqual({ queued: true, queue: null, connection: "redis" });
+    expect(job.sentFrom).toMatchObject([
+      {
+        via: "GenerateInvoice::dispatch()",
+        queued: true,
+        queue: "billing",
+        connection: "redis",
+        source: { className: "App\\Listeners\\NotifyAccounting", method: "handle" },
+      },
+    ]);
+  });
+
+  test("finds notifications with their channels and mail sent through Mail", () => {
+    const [notification] = asyncMap.notifications;
+    const [mailable] = asyncMap.mailables;
+
+    expect(notification.channels).toEqual(["mail", "database"]);
+    expect(notification.sentFrom).toMatchObject([
+      { via: "->notify()", source: { className: "App\\Jobs\\GenerateInvoice" } },
+    ]);
+    expect(mailable.className).toBe("App\\Mail\\InvoiceMail");
+    expect(mailable.sentFrom).toMatchObject([{ kind: "mail", queued: true }]);
+  });
+});
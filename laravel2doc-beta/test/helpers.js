@@ -0,0 +1,40 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readProjectInfo } = require("../lib/utils/laravel");
+
+/**
+ * composer.json of the test projects, autoloading App\ from app/
+ */
+const COMPOSER_JSON = JSON.stringify({
+  name: "test/app",
+  require: { "laravel/framework": "^11.0" },
+  autoload: { "psr-4": { "App\\": "app/" } },
+});
+
+/**
+ * Write a Laravel project to a temporary directory and read it
+ * @param {Object} files File contents keyed by path relative to the project root
+ * @returns {Object} Project information
+ */
+function loadProject(files) {
+  const cwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "laravel2doc-"));
+
+  Object.entries({ "composer.json": COMPOSER_JSON, ...files }).forEach(([file, content]) => {
+    fs.mkdirSync(path.join(projectDir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  });
+
+  process.chdir(projectDir);
+  try {
+    return readProjectInfo();
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  loadProject,
+};
@@ -0,0 +1,146 @@
+const {
+  describeMiddleware,
+  resolveMiddlewareStack,
+  getControllerMiddleware,
+} = require("../lib/utils/middleware");
+const { loadProject } = require("./helpers");
+
+describe("parseMiddlewareConfig with bootstrap/app.php", () => {
+  const projectInfo = loadProject({
+    "bootstrap/app.php": `<?php
+
+use App\\Http\\Middleware\\EnsureTeam;
+use Illuminate\\Foundation\\Application;
+
+return Application::configure(basePath: dirname(__DIR__))
+    ->withMiddleware(function ($middleware) {
+        $middleware->alias(['team' => EnsureTeam::class]);
+        // $middleware->alias(['ghost' => Ghost::class]);
+        $middleware->appendToGroup('api', ['team']);
+    })
+    ->create();
+`,
+    "app/Providers/AppServiceProvider.php": `<?php
+
+namespace App\\Providers;
+
+use Illuminate\\Support\\ServiceProvider;
+
+class AppServiceProvider extends ServiceProvider
+{
+    public function boot(): void
+    {
+        RateLimiter::for('uploads', function ($request) {
+            return Limit::perMinute(10)->by($request->user()?->id);
+        });
+        // RateLimiter::for('old', fn () => Limit::perHour(1));
+    }
+}
+`,
+    "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+use Illuminate\\Routing\\Controllers\\HasMiddleware;
+use Illuminate\\Routing\\Controllers\\Middleware;
+
+class PostController extends Controller implements HasMiddleware
+{
+    public static function middleware(): array
+    {
+        return [
+            'auth:sanctum',
+            new Middleware('can:update,post', only: ['update']),
+            new Middleware('throttle:uploads', except: ['index']),
+        ];
+    }
+
+    public function index() {}
+
+    public function update() {}
+}
+`,
+  });
+  const config = projectInfo.middlewareConfig;
+
+  test("adds the aliases and group entries registered in withMiddleware()", () => {
+    expect(config.aliases.team).toBe("App\\Http\\Middleware\\EnsureTeam");
+    expect(config.aliases.auth).toBe("Illuminate\\Auth\\Middleware\\Authenticate");
+    expect(config.aliases.ghost).toBeUndefined();
+    expect(config.groups.api).toEqual(["Illuminate\\Routing\\Middleware\\SubstituteBindings", "team"]);
+  });
+
+  test("reads named rate limiters from service providers", () => {
+    expect(config.limiters).toEqual({ uploads: ["10 per minute"] });
+  });
+
+  test("expands groups and aliases into the middleware stack", () => {
+    expect(resolveMiddlewareStack(["api", "can:update,post"], config)).toEqual([
+      {
+        name: "Illuminate\\Routing\\Middleware\\SubstituteBindings",
+        className: "Illuminate\\Routing\\Middleware\\SubstituteBindings",
+        kind: null,
+        params: [],
+      },
+      { name: "team", className: "App\\Http\\Middleware\\EnsureTeam", kind: null, params: [] },
+      {
+        name: "can:update,post",
+        className: "Illuminate\\Auth\\Middleware\\Authorize",
+        kind: "can",
+        params: ["update", "post"],
+      },
+    ]);
+  });
+
+  test("labels what each middleware requires", () => {
+    const { access } = describeMiddleware(["api", "auth:sanctum", "can:update,post", "throttle:uploads"], config);
+
+    expect(access).toEqual([
+      { kind: "auth", label: "Authenticated (sanctum)" },
+      { kind: "can", label: "Can update post" },
+      { kind: "throttle", label: "Throttle uploads: 10 per minute" },
+    ]);
+  });
+
+  test("applies the only and except options of controller middleware", () => {
+    const controller = projectInfo.controllers[0];
+
+    expect(getControllerMiddleware(controller.classInfo, "index")).toEqual(["auth:sanctum"]);
+    expect(getControllerMiddleware(controller.classInfo, "update")).toEqual([
+      "auth:sanctum",
+      "can:update,post",
+      "throttle:uploads",
+    ]);
+  });
+});
+
+describe("parseMiddlewareConfig with an HTTP kernel", () => {
+  const { middlewareConfig: config } = loadProject({
+    "app/Http/Kernel.php": `<?php
+
+namespace App\\Http;
+
+use Illuminate\\Foundation\\Http\\Kernel as HttpKernel;
+
+class Kernel extends HttpKernel
+{
+    protected $middlewareGroups = [
+        'api' => [
+            \\Illuminate\\Routing\\Middleware\\ThrottleRequests::class.':api',
+            'bindings',
+        ],
+    ];
+
+    protected $routeMiddleware = [
+        'auth' => \\App\\Http\\Middleware\\Authenticate::class,
+    ];
+}
+`,
+  });
+
+  test("replaces the default groups with the kernel's and reads its aliases", () => {
+    expect(Object.keys(config.groups)).toEqual(["api"]);
+    expect(config.groups.api).toEqual(["Illuminate\\Routing\\Middleware\\ThrottleRequests:api", "bindings"]);
+    expect(config.aliases.auth).toBe("App\\Http\\Middleware\\Authenticate");
+  });
+});
@@ -0,0 +1,148 @@
+const { parseMigrations, columnSchema } = require("../lib/utils/migrations");
+
+/**
+ * Build an anonymous migration class around the body of its up() method
+ * @param {string} name Migration file name
+ * @param {string} up Body of up()
+ * @returns {Object} Migration file
+ */
+function migration(name, up) {
+  return {
+    name,
+    path: `database/migrations/${name}`,
+    content: `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+${up}
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('users');
+    }
+};
+`,
+  };
+}
+
+const CREATE_USERS = migration(
+  "2024_01_01_000000_create_users_table.php",
+  `        Schema::create('users', function (Blueprint $table) {
+            $table->id();
+            $table->string('name');
+            $table->string('email')->unique();
+            $table->string('legacy');
+            $table->foreignId('team_id')->nullable()->constrained()->nullOnDelete();
+            $table->decimal('balance', 8, 2)->default(0);
+            $table->enum('status', ['active', 'banned']);
+            $table->timestamps();
+        });
+
+        // Schema::create('ghosts', function (Blueprint $table) {
+        //     $table->id();
+        // });`
+);
+
+const ALTER_USERS = migration(
+  "2024_02_01_000000_alter_users_table.php",
+  `        Schema::table('users', function (Blueprint $table) {
+            $table->string('nickname', 50)->nullable()->after('name');
+            $table->dropColumn('legacy');
+            $table->renameColumn('name', 'full_name');
+        });`
+);
+
+describe("parseMigrations", () => {
+  test("replays migrations in timestamp order whatever order they are found in", () => {
+    const schema = parseMigrations([ALTER_USERS, CREATE_USERS]);
+
+    expect(Object.keys(schema.tables)).toEqual(["users"]);
+    expect(schema.tables.users.columns.map((column) => column.name)).toEqual([
+      "id",
+      "full_name",
+      "nickname",
+      "email",
+      "team_id",
+      "balance",
+      "status",
+      "created_at",
+      "updated_at",
+    ]);
+    expect(schema.tables.users.migrations).toEqual([CREATE_USERS.name, ALTER_USERS.name]);
+  });
+
+  test("reads column types, lengths, precision, defaults and enum values", () => {
+    const { columns } = parseMigrations([CREATE_USERS]).tables.users;
+    const column = (name) => columns.find((c) => c.name === name);
+
+    expect(column("id")).toMatchObject({ type: "bigIncrements", autoIncrement: true, unsigned: true });
+    expect(column("name")).toMatchObject({ type: "string", length: 255, nullable: false });
+    expect(column("balance")).toMatchObject({ type: "decimal", precision: 8, scale: 2, default: 0 });
+    expect(column("status").values).toEqual(["active", "banned"]);
+    expect(column("created_at")).toMatchObject({ type: "timestamp", nullable: true });
+  });
+
+  test("records primary keys, unique indexes and foreign key constraints", () => {
+    const table = parseMigrations([CREATE_USERS]).tables.users;
+
+    expect(table.primaryKey).toEqual(["id"]);
+    expect(table.indexes).toEqual([{ name: "users_email_unique", type: "unique", columns: ["email"] }]);
+    expect(table.foreignKeys).toEqual([
+      {
+        name: "users_team_id_foreign",
+        columns: ["team_id"],
+        references: ["id"],
+        on: "teams",
+        onDelete: "set null",
+        onUpdate: null,
+      },
+    ]);
+  });
+
+  test("follows renamed and dropped tables", () => {
+    const schema = parseMigrations([
+      migration(
+        "2024_03_01_000000_shuffle_tables.php",
+        `        Schema::create('drafts', function (Blueprint $table) {
+            $table->id();
+        });
+        Schema::rename('drafts', 'posts');
+        Schema::create('tmp', function (Blueprint $table) {
+            $table->id();
+        });
+        Schema::dropIfExists('tmp');`
+      ),
+    ]);
+
+    expect(Object.keys(schema.tables)).toEqual(["posts"]);
+    expect(schema.tables.posts.name).toBe("posts");
+  });
+
+  test("skips migrations it can't parse instead of failing", () => {
+    const broken = { name: "2024_01_00_000000_broken.php", path: "broken.php", content: null };
+
+    expect(Object.keys(parseMigrations([broken, CREATE_USERS]).tables)).toEqual(["users"]);
+  });
+});
+
+describe("columnSchema", () => {
+  test("maps column types to JSON schema types", () => {
+    const { columns } = parseMigrations([CREATE_USERS, ALTER_USERS]).tables.users;
+    const schema = (name) => columnSchema(columns.find((c) => c.name === name));
+
+    expect(schema("id")).toEqual({ type: "integer" });
+    expect(schema("full_name")).toEqual({ type: "string", maxLength: 255 });
+    expect(schema("nickname")).toEqual({ type: ["string", "null"], maxLength: 50 });
+    expect(schema("team_id")).toEqual({ type: ["integer", "null"] });
+    expect(schema("balance")).toEqual({ type: "number" });
+    expect(schema("status")).toEqual({ type: "string", enum: ["active", "banned"] });
+    expect(schema("created_at")).toEqual({ type: ["string", "null"], format: "date-time" });
+  });
+});
@@ -0,0 +1,52 @@
+const { buildOpenAPISpec } = require("../lib/generators/openapi");
+const { loadProject } = require("./helpers");
+
+describe("buildOpenAPISpec", () => {
+  const projectInfo = loadProject({
+    "routes/api.php": `<?php
+
+use App\\Http\\Controllers\\PostController;
+
+Route::get('/posts', [PostController::class, 'index']);
+Route::middleware('auth:sanctum')->post('/posts', [PostController::class, 'store']);
+`,
+    "routes/web.php": `<?php
+
+Route::redirect('/blog', '/posts');
+Route::permanentRedirect('/news', '/posts');
+`,
+    "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+class PostController extends Controller
+{
+    public function index()
+    {
+        return response()->json([]);
+    }
+
+    public function store()
+    {
+        return response()->json([], 201);
+    }
+}
+`,
+  });
+  const spec = buildOpenAPISpec(projectInfo, projectInfo.routes);
+
+  test("adds a bearer scheme and security to the operations behind auth middleware", () => {
+    expect(spec.components.securitySchemes).toEqual({ bearerAuth: { type: "http", scheme: "bearer" } });
+    expect(spec.paths["/api/posts"].post.security).toEqual([{ bearerAuth: [] }]);
+    expect(spec.paths["/api/posts"].post.responses["401"]).toEqual({ description: "Unauthenticated" });
+    expect(spec.paths["/api/posts"].get.security).toBeUndefined();
+  });
+
+  test("answers redirect routes with their redirect status", () => {
+    expect(Object.keys(spec.paths["/blog"].get.responses)).toEqual(["302"]);
+    expect(Object.keys(spec.paths["/news"].get.responses)).toEqual(["301"]);
+    expect(spec.paths["/news"].get.responses["301"].headers).toEqual({
+      Location: { schema: { type: "string" } },
+    });
+  });
+});
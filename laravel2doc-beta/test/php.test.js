@@ -0,0 +1,204 @@
+const {
+  tokenize,
+  stripComments,
+  parsePhp,
+  splitTopLevel,
+  parseCallChain,
+  parseValue,
+  resolveClassName,
+  parseClassReference,
+} = require("../lib/utils/php");
+
+const MODEL_SOURCE = `<?php
+namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Model;
+use App\\Enums\\{Status, Kind as K};
+
+/** Post model */
+#[ObservedBy(PostObserver::class)]
+final class Post extends Model implements \\JsonSerializable
+{
+    use SoftDeletes, HasFactory;
+
+    const LIMIT = 10;
+    protected $fillable = ['title', 'body']; // trailing comment
+    // protected $guarded = ['id'];
+
+    /**
+     * Publish the post
+     */
+    public function publish(string $at = null, ...$rest): bool
+    {
+        $sql = <<<SQL
+        update posts set body = '}' where id = 1
+        SQL;
+
+        return true;
+    }
+
+    private function hidden() {}
+}
+`;
+
+describe("tokenize", () => {
+  test("keeps comments and doc comments as their own tokens", () => {
+    const tokens = tokenize("<?php $a = 1; // line\n/* block */ /** doc */ $b;");
+
+    expect(tokens.map((token) => token.type)).toEqual([
+      "variable",
+      "punct",
+      "number",
+      "punct",
+      "comment",
+      "comment",
+      "doc_comment",
+      "variable",
+      "punct",
+    ]);
+    expect(tokens[4].value).toBe("// line");
+    expect(tokens[7].line).toBe(2);
+  });
+
+  test("does not read comment markers or brackets inside strings", () => {
+    const tokens = tokenize(`<?php $a = "// not a comment }"; $b = '# nor this';`);
+
+    expect(tokens.filter((token) => token.type === "comment")).toEqual([]);
+    expect(tokens.filter((token) => token.type === "string").map((token) => token.value)).toEqual([
+      `"// not a comment }"`,
+      `'# nor this'`,
+    ]);
+  });
+
+  test("reads heredocs and nowdocs as a single string token", () => {
+    const source = "<?php $a = <<<SQL\nselect '{' from posts\nSQL;\n$b = <<<'TXT'\n$not_a_variable\nTXT;\n$c;";
+    const tokens = tokenize(source);
+
+    expect(tokens.filter((token) => token.type === "string")).toHaveLength(2);
+    expect(tokens.filter((token) => token.type === "variable").map((token) => token.value)).toEqual([
+      "$a",
+      "$b",
+      "$c",
+    ]);
+    expect(tokens[tokens.length - 2].line).toBe(7);
+  });
+
+  test("tells attributes apart from # comments", () => {
+    const tokens = tokenize("<?php #[Route('/x')]\n# comment\nfunction a() {}");
+
+    expect(tokens[0]).toMatchObject({ type: "punct", value: "#[" });
+    expect(tokens.filter((token) => token.type === "comment").map((token) => token.value)).toEqual([
+      "# comment",
+    ]);
+  });
+});
+
+describe("stripComments", () => {
+  test("blanks out comments and keeps offsets and line numbers", () => {
+    const source = `<?php\n$a = "// kept"; // gone\n/* two\n lines */ $b;`;
+    const stripped = stripComments(source);
+
+    expect(stripped).toHaveLength(source.length);
+    expect(stripped).toContain(`"// kept"`);
+    expect(stripped).not.toContain("gone");
+    expect(stripped).not.toContain("lines");
+    expect(stripped.split("\n")).toHaveLength(source.split("\n").length);
+  });
+});
+
+describe("parsePhp", () => {
+  const file = parsePhp(MODEL_SOURCE);
+  const classInfo = file.classes[0];
+
+  test("reads the namespace and imports, including group uses and aliases", () => {
+    expect(file.namespace).toBe("App\\Models");
+    expect(file.uses).toEqual({
+      Model: "Illuminate\\Database\\Eloquent\\Model",
+      Status: "App\\Enums\\Status",
+      K: "App\\Enums\\Kind",
+    });
+  });
+
+  test("reads the class declaration", () => {
+    expect(file.classes).toHaveLength(1);
+    expect(classInfo).toMatchObject({
+      name: "Post",
+      fullName: "App\\Models\\Post",
+      kind: "class",
+      final: true,
+      extends: "Model",
+      implements: ["\\JsonSerializable"],
+      traits: ["SoftDeletes", "HasFactory"],
+      docComment: "/** Post model */",
+    });
+    expect(classInfo.attributes.map((attribute) => attribute.name)).toEqual(["ObservedBy"]);
+  });
+
+  test("parses property defaults and ignores commented-out properties", () => {
+    expect(classInfo.constants).toMatchObject([{ name: "LIMIT", value: 10 }]);
+    expect(classInfo.properties.map((property) => property.name)).toEqual(["fillable"]);
+    expect(classInfo.properties[0].value).toEqual(["title", "body"]);
+  });
+
+  test("parses methods with their parameters, even with a brace inside a heredoc", () => {
+    expect(classInfo.methods.map((method) => [method.name, method.visibility])).toEqual([
+      ["publish", "public"],
+      ["hidden", "private"],
+    ]);
+
+    const publish = classInfo.methods[0];
+    expect(publish.returnType).toBe("bool");
+    expect(publish.params).toMatchObject([
+      { name: "at", type: "string", default: "null", variadic: false },
+      { name: "rest", type: null, variadic: true },
+    ]);
+    expect(publish.line).toBe(20);
+    expect(publish.endLine).toBe(27);
+  });
+});
+
+describe("parseValue", () => {
+  test("turns nested PHP arrays into arrays and objects", () => {
+    expect(parseValue(`['a' => ['b' => [1, 2.5, true, null], 'c' => Foo::class]]`)).toEqual({
+      a: { b: [1, 2.5, true, null], c: "Foo" },
+    });
+    expect(parseValue("[1, [2, [3]]]")).toEqual([1, [2, [3]]]);
+    expect(parseValue("array('x', 'y')")).toEqual(["x", "y"]);
+  });
+
+  test("returns expressions that aren't literals as source", () => {
+    expect(parseValue(" $x + 1 ")).toBe("$x + 1");
+  });
+});
+
+describe("splitTopLevel", () => {
+  test("splits outside strings and brackets only", () => {
+    expect(splitTopLevel(`'a,b', [1, 2], f(3, 4)`, ",")).toEqual(["'a,b'", "[1, 2]", "f(3, 4)"]);
+  });
+});
+
+describe("parseCallChain", () => {
+  test("reads each call of a chain with its raw arguments", () => {
+    expect(parseCallChain(`->string('name', 100)->nullable()->default('x')`)).toEqual([
+      { name: "string", args: ["'name'", "100"] },
+      { name: "nullable", args: [] },
+      { name: "default", args: ["'x'"] },
+    ]);
+  });
+});
+
+describe("resolveClassName", () => {
+  const context = { namespace: "App\\Http", uses: { Model: "Illuminate\\Database\\Eloquent\\Model" } };
+
+  test("resolves imports, relative names and fully qualified names", () => {
+    expect(resolveClassName("Model", context)).toBe("Illuminate\\Database\\Eloquent\\Model");
+    expect(resolveClassName("Controllers\\Home", context)).toBe("App\\Http\\Controllers\\Home");
+    expect(resolveClassName("\\Foo\\Bar", context)).toBe("Foo\\Bar");
+  });
+
+  test("parseClassReference accepts ::class and string literals only", () => {
+    expect(parseClassReference("Model::class", context)).toBe("Illuminate\\Database\\Eloquent\\Model");
+    expect(parseClassReference(`'\\App\\Models\\User'`, context)).toBe("App\\Models\\User");
+    expect(parseClassReference("$model", context)).toBeNull();
+  });
+});
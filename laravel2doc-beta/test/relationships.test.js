@@ -0,0 +1,86 @@
+const { loadProject } = require("./helpers");
+
+/**
+ * Build an Eloquent model class
+ * @param {string} namespace Namespace of the model
+ * @param {string} name Class name
+ * @param {string} body Class body
+ * @returns {string} PHP source
+ */
+function model(namespace, name, body = "") {
+  return `<?php
+
+namespace ${namespace};
+
+use Illuminate\\Database\\Eloquent\\Model;
+
+class ${name} extends Model
+{
+${body}
+}
+`;
+}
+
+describe("resolvePolymorphicRelations", () => {
+  const projectInfo = loadProject({
+    "app/Providers/AppServiceProvider.php": `<?php
+
+namespace App\\Providers;
+
+use App\\Models\\Post;
+use App\\Models\\User;
+use Illuminate\\Support\\ServiceProvider;
+
+class AppServiceProvider extends ServiceProvider
+{
+    public function boot(): void
+    {
+        Relation::enforceMorphMap(['post' => Post::class, 'user' => User::class]);
+    }
+}
+`,
+    "app/Domain/Billing/Models/User.php": model("App\\Domain\\Billing\\Models", "User"),
+    "app/Domain/Billing/Models/Invoice.php": model(
+      "App\\Domain\\Billing\\Models",
+      "Invoice",
+      `    public function comments()
+    {
+        return $this->morphMany(\\App\\Domain\\Billing\\Models\\Comment::class, 'commentable');
+    }`
+    ),
+    "app/Domain/Billing/Models/Comment.php": model("App\\Domain\\Billing\\Models", "Comment"),
+    "app/Models/User.php": model(
+      "App\\Models",
+      "User",
+      `    public function comments()
+    {
+        return $this->morphMany(Comment::class, 'commentable');
+    }`
+    ),
+    "app/Models/Post.php": model(
+      "App\\Models",
+      "Post",
+      `    public function comments()
+    {
+        return $this->morphMany(Comment::class, 'commentable');
+    }`
+    ),
+    "app/Models/Comment.php": model(
+      "App\\Models",
+      "Comment",
+      `    public function commentable()
+    {
+        return $this->morphTo();
+    }`
+    ),
+  });
+
+  test("finds the owners of a morphTo by their fully qualified class", () => {
+    const morphTo = projectInfo.relationships.find((rel) => rel.relationshipType === "morphTo");
+
+    expect(morphTo.morphTargets).toEqual([
+      { model: "Post", className: "App\\Models\\Post", type: "post" },
+      { model: "User", className: "App\\Models\\User", type: "user" },
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+const {
+  findResponseResource,
+  isResourceCollection,
+  resourceResponseSchema,
+  describeResource,
+} = require("../lib/utils/resources");
+const { findControllerMethod } = require("../lib/utils/laravel");
+const { loadProject } = require("./helpers");
+
+const projectInfo = loadProject({
+  "database/migrations/2024_01_01_000000_create_posts_table.php": `<?php
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('posts', function (Blueprint $table) {
+            $table->id();
+            $table->string('title', 120);
+            $table->boolean('published')->default(false);
+            $table->timestamps();
+        });
+    }
+};
+`,
+  "app/Models/Post.php": `<?php
+
+namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Model;
+
+class Post extends Model
+{
+    public function tags()
+    {
+        return $this->belongsToMany(Tag::class);
+    }
+
+    public function author()
+    {
+        return $this->belongsTo(User::class);
+    }
+}
+`,
+  "app/Http/Resources/TagResource.php": `<?php
+
+namespace App\\Http\\Resources;
+
+use Illuminate\\Http\\Resources\\Json\\JsonResource;
+
+class TagResource extends JsonResource
+{
+    public function toArray($request): array
+    {
+        return ['id' => $this->id, 'name' => $this->name];
+    }
+}
+`,
+  "app/Http/Resources/PostResource.php": `<?php
+
+namespace App\\Http\\Resources;
+
+use Illuminate\\Http\\Resources\\Json\\JsonResource;
+
+/** @mixin \\App\\Models\\Post */
+class PostResource extends JsonResource
+{
+    public function toArray($request): array
+    {
+        return [
+            'id' => $this->id,
+            'title' => $this->title,
+            'published' => $this->published,
+            'created' => $this->created_at->toIso8601String(),
+            'tags' => TagResource::collection($this->whenLoaded('tags')),
+            'author' => $this->whenLoaded('author'),
+            // 'secret' => $this->secret,
+            $this->mergeWhen($request->user(), ['edit_url' => url('/posts')]),
+        ];
+    }
+}
+`,
+  "app/Http/Resources/PostCollection.php": `<?php
+
+namespace App\\Http\\Resources;
+
+use Illuminate\\Http\\Resources\\Json\\ResourceCollection;
+
+class PostCollection extends ResourceCollection
+{
+}
+`,
+  "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+use App\\Http\\Resources\\PostResource;
+use App\\Models\\Post;
+
+class PostController extends Controller
+{
+    public function index()
+    {
+        return PostResource::collection(Post::paginate());
+    }
+
+    public function show(Post $post)
+    {
+        return new PostResource($post);
+    }
+}
+`,
+});
+
+const handler = (controllerMethod) =>
+  findControllerMethod(projectInfo, {
+    controller: "App\\Http\\Controllers\\PostController",
+    controllerMethod,
+  });
+const findClass = (name) => projectInfo.classes.find((c) => c.name === name);
+
+describe("findResponseResource", () => {
+  test("finds a single resource", () => {
+    const usage = findResponseResource(projectInfo, handler("show"));
+
+    expect(usage.resource.fullName).toBe("App\\Http\\Resources\\PostResource");
+    expect(usage).toMatchObject({ collection: false, paginated: false });
+  });
+
+  test("finds a paginated resource collection", () => {
+    const usage = findResponseResource(projectInfo, handler("index"));
+
+    expect(usage.resource.fullName).toBe("App\\Http\\Resources\\PostResource");
+    expect(usage).toMatchObject({ collection: true, paginated: true });
+  });
+});
+
+describe("isResourceCollection", () => {
+  test("tells ResourceCollection classes apart from JsonResource", () => {
+    expect(isResourceCollection(findClass("PostCollection"))).toBe(true);
+    expect(isResourceCollection(findClass("PostResource"))).toBe(false);
+  });
+});
+
+describe("describeResource", () => {
+  const fields = describeResource(projectInfo, findClass("PostResource"), {});
+  const field = (name) => fields.find((f) => f.name === name);
+
+  test("types attributes from the migration of the model in @mixin", () => {
+    expect(field("id").schema).toEqual({ type: "integer" });
+    expect(field("title").schema).toEqual({ type: "string", maxLength: 120 });
+    expect(field("published").schema).toEqual({ type: "boolean" });
+    expect(field("created").schema).toEqual({ type: "string" });
+  });
+
+  test("describes conditional relations and merged fields", () => {
+    expect(field("tags")).toEqual({
+      name: "tags",
+      schema: { type: "array", items: { $ref: "#/components/schemas/TagResource" } },
+      condition: "when tags is loaded",
+    });
+    expect(field("author")).toMatchObject({
+      schema: { type: "object", description: "User model" },
+      condition: "when author is loaded",
+    });
+    expect(field("edit_url")).toMatchObject({ condition: "when $request->user()" });
+  });
+
+  test("leaves out commented-out fields", () => {
+    expect(field("secret")).toBeUndefined();
+  });
+});
+
+describe("resourceResponseSchema", () => {
+  test("wraps a paginated collection in data, links and meta and names the resources used", () => {
+    const schemas = {};
+    const schema = resourceResponseSchema(projectInfo, findResponseResource(projectInfo, handler("index")), schemas);
+
+    expect(schema.properties.data).toEqual({
+      type: "array",
+      items: { $ref: "#/components/schemas/PostResource" },
+    });
+    expect(schema.required).toEqual(["data", "links", "meta"]);
+    expect(Object.keys(schemas)).toEqual(["PostResource", "TagResource"]);
+    expect(schemas.PostResource.required).toEqual(["id", "title", "published", "created"]);
+  });
+});
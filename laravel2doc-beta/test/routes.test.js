@@ -0,0 +1,124 @@
+const { endpointAnchor } = require("../lib/utils/routes");
+const { loadProject } = require("./helpers");
+
+const API_ROUTES = `<?php
+
+use App\\Http\\Controllers\\PostController;
+use App\\Http\\Controllers\\Admin\\UserController;
+use Illuminate\\Support\\Facades\\Route;
+
+Route::get('/status', fn () => ['ok' => true])->name('status');
+// Route::get('/hidden', [PostController::class, 'hidden']);
+
+Route::prefix('v1')->middleware(['auth:sanctum'])->name('v1.')->group(function () {
+    Route::apiResource('posts', PostController::class)->only(['index', 'show']);
+
+    Route::prefix('admin')->controller(UserController::class)->group(function () {
+        Route::match(['get', 'post'], '/users/{user}', 'update')->name('admin.users.update');
+    });
+});
+
+require __DIR__.'/extra.php';
+`;
+
+const EXTRA_ROUTES = `<?php
+
+use Illuminate\\Support\\Facades\\Route;
+
+Route::delete('/cache', 'App\\Http\\Controllers\\CacheController@clear');
+`;
+
+const WEB_ROUTES = `<?php
+
+Route::view('/about', 'about');
+`;
+
+describe("parseRoutes", () => {
+  const { routes } = loadProject({
+    "routes/api.php": API_ROUTES,
+    "routes/extra.php": EXTRA_ROUTES,
+    "routes/web.php": WEB_ROUTES,
+  });
+
+  const findRoute = (routePath) => routes.find((route) => route.path === routePath);
+
+  test("applies Laravel's default prefix and middleware to api.php and web.php", () => {
+    expect(findRoute("/api/status")).toMatchObject({
+      method: "GET",
+      handler: "Closure",
+      routeName: "status",
+      middleware: ["api"],
+      group: null,
+    });
+    expect(findRoute("/about")).toMatchObject({
+      method: "GET",
+      handler: "view('about')",
+      middleware: ["web"],
+    });
+  });
+
+  test("leaves out commented-out routes", () => {
+    expect(routes.some((route) => route.path.includes("hidden"))).toBe(false);
+  });
+
+  test("expands resources and nested groups with their prefix, middleware, names and controller", () => {
+    expect(routes.filter((route) => route.path.startsWith("/api/v1")).map((route) => [
+      route.method,
+      route.path,
+      route.routeName,
+    ])).toEqual([
+      ["GET", "/api/v1/posts", "v1.posts.index"],
+      ["GET", "/api/v1/posts/{post}", "v1.posts.show"],
+      ["GET/POST", "/api/v1/admin/users/{user}", "v1.admin.users.update"],
+    ]);
+
+    expect(findRoute("/api/v1/admin/users/{user}")).toMatchObject({
+      controller: "App\\Http\\Controllers\\Admin\\UserController",
+      controllerMethod: "update",
+      middleware: ["api", "auth:sanctum"],
+      group: "v1/admin",
+    });
+  });
+
+  test("follows required route files in the scope they are included in", () => {
+    expect(findRoute("/api/cache")).toMatchObject({
+      method: "DELETE",
+      controller: "App\\Http\\Controllers\\CacheController",
+      controllerMethod: "clear",
+      routeFilePath: "routes/extra.php",
+    });
+  });
+});
+
+describe("parseRoutes with bootstrap/app.php", () => {
+  const { routes } = loadProject({
+    "bootstrap/app.php": `<?php
+
+use Illuminate\\Foundation\\Application;
+
+return Application::configure(basePath: dirname(__DIR__))
+    ->withRouting(
+        api: __DIR__.'/../routes/api.php',
+        apiPrefix: 'api/v2',
+        // web: __DIR__.'/../routes/web.php',
+    )
+    ->create();
+`,
+    "routes/api.php": `<?php
+
+Route::get('/ping', fn () => 'pong');
+`,
+  });
+
+  test("registers the files listed in withRouting() with their prefix", () => {
+    expect(routes.map((route) => [route.method, route.path, route.middleware])).toEqual([
+      ["GET", "/api/v2/ping", ["api"]],
+    ]);
+  });
+});
+
+describe("endpointAnchor", () => {
+  test("builds the same anchor for a method and URI everywhere", () => {
+    expect(endpointAnchor("GET", "/api/v1/posts/{post}")).toBe("endpoint-get-api-v1-posts-post");
+  });
+});
@@ -0,0 +1,165 @@
+const {
+  extractInlineRules,
+  getEndpointRules,
+  normalizeRules,
+  rulesToSchema,
+  describeRules,
+} = require("../lib/utils/validation");
+const { loadProject } = require("./helpers");
+
+const INLINE_VALIDATION = `
+    $data = $request->validate([
+        'title' => 'required|string|max:255',
+        'tags' => ['array'],
+        'tags.*' => 'integer|min:1',
+        'meta.author.email' => ['nullable', 'email'],
+        'status' => [Rule::in(['draft', 'published'])],
+        'age' => 'integer|between:18,99',
+    ]);
+`;
+
+describe("normalizeRules", () => {
+  test("splits pipe strings and keeps rule arrays as lists", () => {
+    expect(normalizeRules({ a: "required|in:x,y", b: ["sometimes", "boolean"] })).toEqual({
+      a: ["required", "in:x,y"],
+      b: ["sometimes", "boolean"],
+    });
+  });
+
+  test("keeps the alternatives of a regex rule written as an array item", () => {
+    expect(normalizeRules({ code: ["required", "regex:/^(a|b)$/"] })).toEqual({
+      code: ["required", "regex:/^(a|b)$/"],
+    });
+  });
+});
+
+describe("extractInlineRules", () => {
+  test("reads the rules passed to $request->validate()", () => {
+    expect(extractInlineRules(INLINE_VALIDATION)).toEqual({
+      title: ["required", "string", "max:255"],
+      tags: ["array"],
+      "tags.*": ["integer", "min:1"],
+      "meta.author.email": ["nullable", "email"],
+      status: [`Rule::in(['draft', 'published'])`],
+      age: ["integer", "between:18,99"],
+    });
+  });
+
+  test("returns null when the method validates nothing", () => {
+    expect(extractInlineRules("return $post;")).toBeNull();
+  });
+});
+
+describe("rulesToSchema", () => {
+  const schema = rulesToSchema(extractInlineRules(INLINE_VALIDATION));
+
+  test("maps rules to types, bounds, formats and enums", () => {
+    expect(schema.properties.title).toEqual({ type: "string", maxLength: 255 });
+    expect(schema.properties.status).toEqual({ type: "string", enum: ["draft", "published"] });
+    expect(schema.properties.age).toEqual({ type: "integer", minimum: 18, maximum: 99 });
+    expect(schema.required).toEqual(["title"]);
+  });
+
+  test("nests dotted and wildcard fields", () => {
+    expect(schema.properties.tags).toEqual({
+      type: "array",
+      items: { type: "integer", minimum: 1 },
+    });
+    expect(schema.properties.meta).toEqual({
+      type: "object",
+      properties: {
+        author: {
+          type: "object",
+          properties: { email: { type: ["string", "null"], format: "email" } },
+        },
+      },
+    });
+  });
+});
+
+describe("describeRules", () => {
+  test("lists each field with its type and the constraints the type doesn't cover", () => {
+    expect(describeRules({ title: ["required", "string", "max:255"], email: ["nullable", "email"] })).toEqual([
+      { field: "title", type: "string", required: "Yes", nullable: false, constraints: ["max:255"] },
+      { field: "email", type: "string (email)", required: "No", nullable: true, constraints: [] },
+    ]);
+  });
+});
+
+describe("getEndpointRules", () => {
+  const projectInfo = loadProject({
+    "app/Enums/Status.php": `<?php
+
+namespace App\\Enums;
+
+enum Status: string
+{
+    case Draft = 'draft';
+    case Published = 'published';
+}
+`,
+    "app/Http/Requests/StorePostRequest.php": `<?php
+
+namespace App\\Http\\Requests;
+
+use App\\Enums\\Status;
+use Illuminate\\Foundation\\Http\\FormRequest;
+use Illuminate\\Validation\\Rule;
+
+class StorePostRequest extends FormRequest
+{
+    public function rules(): array
+    {
+        $rules = [
+            'title' => 'required|string',
+            'status' => [Rule::enum(Status::class)],
+        ];
+
+        return $rules;
+    }
+}
+`,
+    "app/Http/Controllers/PostController.php": `<?php
+
+namespace App\\Http\\Controllers;
+
+use App\\Http\\Requests\\StorePostRequest;
+use Illuminate\\Http\\Request;
+
+class PostController extends Controller
+{
+    public function store(StorePostRequest $request)
+    {
+        // $request->validate(['ignored' => 'required']);
+    }
+
+    public function update(Request $request)
+    {
+${INLINE_VALIDATION}
+    }
+}
+`,
+  });
+  const endpoint = (controllerMethod) => ({
+    controller: "App\\Http\\Controllers\\PostController",
+    controllerMethod,
+  });
+
+  test("prefers the rules() of a type-hinted FormRequest and expands enum rules", () => {
+    expect(getEndpointRules(projectInfo, endpoint("store"))).toEqual({
+      title: ["required", "string"],
+      status: ["in:draft,published"],
+    });
+  });
+
+  test("falls back to inline validation in the controller method", () => {
+    expect(Object.keys(getEndpointRules(projectInfo, endpoint("update")))).toEqual([
+      "title",
+      "tags",
+      "tags.*",
+      "meta.author.email",
+      "status",
+      "age",
+    ]);
+  });
+});